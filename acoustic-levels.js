@@ -0,0 +1,255 @@
+/* acoustic-levels.js - calibrated underwater sound levels (dB re 1 µPa)
+   - a calibration turns sample values (full scale = 1) into pressure:
+       p [µPa] = x * adcFullScaleV / 10^(gainDb / 20) / 10^(sensitivityDb / 20)
+     i.e. every level gets offsetDb = 20·log10(adcFullScaleV) - gainDb - sensitivityDb
+   - without a calibration the same numbers are reported in dB re full scale
+   - measured on channel 0: a calibration describes one hydrophone
+   - third-octave bands (base-10, IEC 61260 centres) come from a Welch power
+     spectrum; 63 Hz and 125 Hz are the shipping-noise indicator bands
+   - the long-term average spectrum (LTSA) is the same Welch spectrum as a
+     power spectral density, averaged into LTSA_BINS_PER_OCTAVE log-spaced
+     bins from LTSA_MIN_HZ, so two recordings at any rates overlay on one axis
+   - computeLevels() is levelSums() over the whole clip, then levelsFromSums();
+     the page takes the sums chunk by chunk in its analysis workers and adds
+     them up with addLevelSums() instead
+   - back.py: compute_levels()
+   - no DOM access; FFT and percentile helpers come from analysis-core.js
+*/
+
+const _levelsCore = typeof fftRealtoMag === 'function'
+  ? { fftRealtoMag, hannWindow, nextPowerOfTwo, percentile }
+  : require('./analysis-core.js');
+
+const LEVELS_INTERVAL_SECONDS = 1;
+const LEVELS_FLOOR_MS = 1e-20; // mean-square floor so silence reads -200 dB, not -Infinity
+const THIRD_OCTAVE_NOMINAL = [
+  10, 12.5, 16, 20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+  1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000,
+  25000, 31500, 40000, 50000, 63000, 80000, 100000
+];
+const SHIPPING_INDICATOR_BANDS = [63, 125];
+const LTSA_MIN_HZ = 10;
+const LTSA_BINS_PER_OCTAVE = 12;
+const UNIT_CALIBRATED = 'dB re 1 µPa';
+const UNIT_FULL_SCALE = 'dBFS';
+
+// [] when cal is usable, otherwise human-readable problems
+function validateCalibration(cal) {
+  if (!cal || typeof cal !== 'object') return ['calibration must be an object'];
+  const errors = [];
+  const num = v => typeof v === 'number' && isFinite(v);
+  if (!num(cal.sensitivityDb)) errors.push('sensitivityDb (dB re 1 V/µPa) must be a number');
+  else if (cal.sensitivityDb > -50 || cal.sensitivityDb < -250) errors.push('sensitivityDb looks wrong — hydrophones are typically -220 to -150 dB re 1 V/µPa');
+  if (!num(cal.gainDb)) errors.push('gainDb must be a number');
+  if (!num(cal.adcFullScaleV) || cal.adcFullScaleV <= 0) errors.push('adcFullScaleV must be a positive number of volts');
+  return errors;
+}
+
+function calibrationOffsetDb(cal) {
+  if (!cal) return 0;
+  return 20 * Math.log10(cal.adcFullScaleV) - cal.gainDb - cal.sensitivityDb;
+}
+
+const levelDb = (meanSquare, offsetDb) => 10 * Math.log10(Math.max(LEVELS_FLOOR_MS, meanSquare)) + offsetDb;
+const round2 = v => Number(v.toFixed(2));
+
+function meanSquare(x, from = 0, to = x.length) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += x[i] * x[i];
+  return sum / Math.max(1, to - from);
+}
+
+// third-octave bands below Nyquist: { nominal, center, lower, upper }
+function thirdOctaveBands(sampleRate) {
+  const bands = [];
+  THIRD_OCTAVE_NOMINAL.forEach((nominal, i) => {
+    const center = 1000 * 10 ** ((i - 20) / 10);
+    const upper = center * 10 ** (1 / 20);
+    if (upper <= sampleRate / 2) bands.push({ nominal, center, lower: center * 10 ** (-1 / 20), upper });
+  });
+  return bands;
+}
+
+// Welch FFT size for a clip of `length` samples: at least a second (sub-1 Hz bins,
+// fine enough for the 10 Hz band) unless the clip is shorter
+function welchSize(sampleRate, length) {
+  let n = _levelsCore.nextPowerOfTwo(sampleRate);
+  while (n > 256 && n > length) n >>= 1;
+  return n;
+}
+
+/* Unscaled sums behind the levels of samples [from, to) of a clip `total` samples
+   long: { count, squares, peak, intervals: { index: sum of squares }, power, frames }.
+   x holds the clip from sample `offset` on and must reach welchSize() samples past
+   `to` (or the clip's end), for the Welch frames (Hann, 50% overlap) that start in
+   the range. Sums over ranges that tile the clip add up to the whole clip's. */
+function levelSums(x, sampleRate, total, from = 0, to = total, offset = 0) {
+  const { fftRealtoMag, hannWindow } = _levelsCore;
+  const step = Math.round(LEVELS_INTERVAL_SECONDS * sampleRate);
+  let squares = 0, peak = 0;
+  const intervals = {};
+  for (let b = Math.floor(from / step); b * step < to; b++) {
+    let sum = 0;
+    for (let i = Math.max(from, b * step), end = Math.min(to, (b + 1) * step); i < end; i++) {
+      const v = x[i - offset];
+      sum += v * v;
+      peak = Math.max(peak, Math.abs(v));
+    }
+    intervals[b] = sum;
+    squares += sum;
+  }
+
+  const n = welchSize(sampleRate, total);
+  const win = hannWindow(n);
+  const power = new Float64Array(n / 2);
+  const frame = new Float32Array(n);
+  let frames = 0;
+  for (let s = Math.ceil(from / (n / 2)) * (n / 2); s < to && (s === 0 || s + n <= total); s += n / 2) {
+    for (let i = 0; i < n; i++) frame[i] = s + i < total ? x[s + i - offset] * win[i] : 0;
+    const mags = fftRealtoMag(frame);
+    for (let k = 0; k < n / 2; k++) power[k] += mags[k] * mags[k];
+    frames++;
+  }
+  return { count: Math.max(0, to - from), squares, peak, intervals, power, frames };
+}
+
+// a + b for sums over neighbouring ranges; a is updated and returned
+function addLevelSums(a, b) {
+  a.count += b.count;
+  a.squares += b.squares;
+  a.peak = Math.max(a.peak, b.peak);
+  for (const k of Object.keys(b.intervals)) a.intervals[k] = (a.intervals[k] || 0) + b.intervals[k];
+  for (let k = 0; k < a.power.length; k++) a.power[k] += b.power[k];
+  a.frames += b.frames;
+  return a;
+}
+
+/* Welch estimate of the mean-square signal per FFT bin from levelSums(): summing
+   power over all bins gives the clip's mean square (less DC / Nyquist) */
+function scaleWelchPower(sums, sampleRate) {
+  const n = 2 * sums.power.length;
+  const win = _levelsCore.hannWindow(n);
+  let winPower = 0;
+  for (let i = 0; i < n; i++) winPower += win[i] * win[i];
+  const scale = 1 / (n * winPower * Math.max(1, sums.frames));
+  const power = sums.power.map((p, k) => p * (k === 0 ? 1 : 2) * scale);
+  return { power, binHz: sampleRate / n };
+}
+
+function welchPower(x, sampleRate) {
+  return scaleWelchPower(levelSums(x, sampleRate, x.length), sampleRate);
+}
+
+/* Welch power -> { binsPerOctave, freqs, levels }: the mean power spectral density
+   (dB re unit²/Hz) of the FFT bins within half a bin of each log-spaced centre;
+   centres no FFT bin falls near are left out */
+function longTermSpectrum(power, binHz, offsetDb) {
+  const freqs = [], levels = [];
+  const half = 2 ** (1 / (2 * LTSA_BINS_PER_OCTAVE));
+  const nyquist = power.length * binHz;
+  for (let i = 0; ; i++) {
+    const center = LTSA_MIN_HZ * 2 ** (i / LTSA_BINS_PER_OCTAVE);
+    if (center * half > nyquist) break;
+    const k0 = Math.ceil(center / half / binHz), k1 = Math.min(power.length, Math.ceil(center * half / binHz));
+    if (k1 <= k0) continue;
+    let sum = 0;
+    for (let k = k0; k < k1; k++) sum += power[k];
+    freqs.push(round2(center));
+    levels.push(round2(levelDb(sum / (k1 - k0) / binHz, offsetDb)));
+  }
+  return { binsPerOctave: LTSA_BINS_PER_OCTAVE, freqs, levels };
+}
+
+/* Levels for one channel of samples (full scale = 1). cal: { name?, sensitivityDb,
+   gainDb, adcFullScaleV } or null for dBFS. Returns
+   { unit, calibration, channel, spl, peak, sel, percentiles, thirdOctave, shippingBands, ltsa }. */
+function computeLevels(samples, sampleRate, cal = null) {
+  return levelsFromSums(levelSums(samples, sampleRate, samples.length), sampleRate, cal);
+}
+
+// computeLevels() from the levelSums() of a whole clip
+function levelsFromSums(sums, sampleRate, cal = null) {
+  const offsetDb = calibrationOffsetDb(cal);
+  const length = sums.count;
+  const duration = length / sampleRate;
+  const ms = sums.squares / Math.max(1, length);
+  const peak = sums.peak;
+
+  // short-term levels for the exceedance percentiles; a tail shorter than half an interval is dropped
+  const step = Math.round(LEVELS_INTERVAL_SECONDS * sampleRate);
+  const shortTerm = [];
+  for (let b = 0, s = 0; s < length; b++, s += step) {
+    const end = Math.min(length, s + step);
+    if (end - s >= step / 2 || s === 0) shortTerm.push(levelDb((sums.intervals[b] || 0) / (end - s), offsetDb));
+  }
+  shortTerm.sort((a, b) => a - b);
+  const { percentile } = _levelsCore;
+
+  const { power, binHz } = scaleWelchPower(sums, sampleRate);
+  const thirdOctave = [];
+  for (const band of thirdOctaveBands(sampleRate)) {
+    const k0 = Math.ceil(band.lower / binHz), k1 = Math.min(power.length, Math.ceil(band.upper / binHz));
+    if (k1 <= k0) continue; // no FFT bin inside the band
+    let sum = 0;
+    for (let k = k0; k < k1; k++) sum += power[k];
+    thirdOctave.push({
+      nominal: band.nominal,
+      center: round2(band.center),
+      lower: round2(band.lower),
+      upper: round2(band.upper),
+      level: round2(levelDb(sum, offsetDb))
+    });
+  }
+  const shippingBands = {};
+  for (const nominal of SHIPPING_INDICATOR_BANDS) {
+    const band = thirdOctave.find(b => b.nominal === nominal);
+    shippingBands[nominal] = band ? band.level : null;
+  }
+
+  return {
+    unit: cal ? UNIT_CALIBRATED : UNIT_FULL_SCALE,
+    calibration: cal ? {
+      name: cal.name || null,
+      sensitivityDb: cal.sensitivityDb,
+      gainDb: cal.gainDb,
+      adcFullScaleV: cal.adcFullScaleV,
+      offsetDb: round2(offsetDb)
+    } : null,
+    channel: 0,
+    spl: round2(levelDb(ms, offsetDb)),
+    peak: round2(levelDb(peak * peak, offsetDb)),
+    // exposure = mean square × duration, i.e. SPL + 10·log10(T / 1 s)
+    sel: round2(levelDb(ms * duration, offsetDb)),
+    percentiles: {
+      intervalSeconds: LEVELS_INTERVAL_SECONDS,
+      L5: round2(percentile(shortTerm, 95)),
+      L50: round2(percentile(shortTerm, 50)),
+      L95: round2(percentile(shortTerm, 5))
+    },
+    thirdOctave,
+    shippingBands,
+    ltsa: longTermSpectrum(power, binHz, offsetDb)
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    THIRD_OCTAVE_NOMINAL,
+    SHIPPING_INDICATOR_BANDS,
+    LTSA_BINS_PER_OCTAVE,
+    UNIT_CALIBRATED,
+    UNIT_FULL_SCALE,
+    validateCalibration,
+    calibrationOffsetDb,
+    levelDb,
+    meanSquare,
+    thirdOctaveBands,
+    welchSize,
+    levelSums,
+    addLevelSums,
+    welchPower,
+    longTermSpectrum,
+    computeLevels,
+    levelsFromSums
+  };
+}
@@ -0,0 +1,1268 @@
+/* analysis-core.js - DSP + scoring shared by the page, the analysis workers and Node
+   - no DOM access: loaded with <script> in index.html, importScripts() in
+     analysis-worker.js, or require() from Node
+   - scoring rules come from a profile object (profiles/*.json), always passed in
+   - back.py runs the same DSP for the server: this module, acoustic-levels.js,
+     recording-metadata.js, hydrophone-array.js and vessel-events.js each have a
+     Python twin there (section headers name the pairs); change both sides
+     together. tests/parity/ compares this module's window features and scores
+     with back.py; the other twins have no such check
+*/
+
+const ANALYSIS_WINDOW = 16384;
+const ANALYSIS_HOP = ANALYSIS_WINDOW / 2; // 50% overlap
+const FEATURE_KEYS = ['rms', 'lowRatio', 'midRatio', 'highRatio', 'centroid', 'flatness', 'lowPeakiness', 'clickConfidence', 'whistleConfidence',
+  'aci', 'adi', 'bi', 'ndsi', 'temporalEntropy', 'spectralEntropy'];
+// from the dolphin detectors; results saved before they existed lack these
+const DETECTOR_FEATURE_KEYS = ['clickConfidence', 'whistleConfidence'];
+// soundscape ecology indices; likewise missing from older results
+const SOUNDSCAPE_FEATURE_KEYS = ['aci', 'adi', 'bi', 'ndsi', 'temporalEntropy', 'spectralEntropy'];
+// every analysis runs at this rate, so a window always spans the same time and band
+const CANONICAL_SAMPLE_RATE = 48000;
+// spectral features stop here: below every common rate's Nyquist and the resampler's roll-off
+const ANALYSIS_MAX_HZ = 18000;
+
+/* ------------------------------
+   FFT + spectral helpers
+   ------------------------------ */
+// Bit-reversal and twiddle tables depend only on the FFT size, so build them once per size.
+const _fftPlans = {};
+function getFftPlan(n) {
+  let plan = _fftPlans[n];
+  if (!plan) {
+    const rev = new Uint32Array(n);
+    for (let i = 0, j = 0; i < n; i++) {
+      rev[i] = j;
+      let bit = n >> 1;
+      while (j & bit) { j ^= bit; bit >>= 1; }
+      j ^= bit;
+    }
+    const cos = new Float32Array(n/2);
+    const sin = new Float32Array(n/2);
+    for (let k = 0; k < n/2; k++) {
+      cos[k] = Math.cos(-2 * Math.PI * k / n);
+      sin[k] = Math.sin(-2 * Math.PI * k / n);
+    }
+    plan = _fftPlans[n] = { rev, cos, sin, re: new Float32Array(n), im: new Float32Array(n) };
+  }
+  return plan;
+}
+
+function fftRealtoMag(buffer) {
+  const n = buffer.length;
+  const { rev, cos, sin, re, im } = getFftPlan(n);
+  for (let i = 0; i < n; i++) {
+    re[i] = buffer[rev[i]] || 0.0;
+    im[i] = 0;
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const step = n / len; // stride into the size-n twiddle table
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < half; k++) {
+        const c = cos[k * step], s = sin[k * step];
+        const uR = re[i + k];
+        const uI = im[i + k];
+        const vR = re[i + k + half] * c - im[i + k + half] * s;
+        const vI = re[i + k + half] * s + im[i + k + half] * c;
+        re[i + k] = uR + vR;
+        im[i + k] = uI + vI;
+        re[i + k + half] = uR - vR;
+        im[i + k + half] = uI - vI;
+      }
+    }
+  }
+  const mags = new Float32Array(n/2);
+  for (let i = 0; i < n/2; i++) {
+    mags[i] = Math.hypot(re[i], im[i]);
+  }
+  return mags;
+}
+
+function nextPowerOfTwo(v){
+  let p = 1;
+  while(p < v) p <<= 1;
+  return p;
+}
+
+const _hannCache = {};
+function hannWindow(n) {
+  if (!_hannCache[n]) {
+    const w = new Float32Array(n);
+    if (n < 2) w.fill(1);
+    else for (let i = 0; i < n; i++) w[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1)));
+    _hannCache[n] = w;
+  }
+  return _hannCache[n];
+}
+
+// RMS of the mono mix, the same quantity analyzeWindowFeatures reports as `rms`
+function computeRMSFromBuffer(audioBuffer) {
+  const mono = mixDownToMono(audioBuffer, audioBuffer.length);
+  let sum = 0;
+  for (let i = 0; i < mono.length; i++) sum += mono[i] * mono[i];
+  return Math.sqrt(sum / Math.max(1, mono.length));
+}
+
+// mean of every channel, like back.py's np.mean(waveform, axis=1)
+function mixDownToMono(audioBuffer, targetLength, start = 0) {
+  const src = audioBuffer.getChannelData(0);
+  const len = Math.max(0, Math.min(src.length - start, targetLength));
+  const out = new Float32Array(len);
+  const n = audioBuffer.numberOfChannels;
+  for (let c = 0; c < n; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < len; i++) out[i] += data[start + i];
+  }
+  if (n > 1) for (let i = 0; i < len; i++) out[i] /= n;
+  return out;
+}
+
+function computeSpectralFlatness(mags) {
+  const eps = 1e-12;
+  let sum = 0;
+  let logSum = 0;
+  const n = mags.length;
+  for (let i = 0; i < n; i++) {
+    const v = Math.max(mags[i], eps);
+    sum += v;
+    logSum += Math.log(v);
+  }
+  const arithmetic = sum / Math.max(1, n);
+  const geometric = Math.exp(logSum / Math.max(1, n));
+  const flatness = geometric / (arithmetic + eps);
+  return Math.max(0, Math.min(1, flatness));
+}
+
+/* ------------------------------
+   Sample-rate normalization
+   - windowed-sinc resampling (Hann-tapered, RESAMPLE_ZEROS zero crossings each
+     side, cutoff at RESAMPLE_ROLLOFF of the lower Nyquist), polyphase over the
+     reduced ratio L/M; resample() in back.py is the same filter
+   ------------------------------ */
+const RESAMPLE_ZEROS = 16;
+const RESAMPLE_ROLLOFF = 0.95;
+const RESAMPLE_MAX_PHASES = 4096;
+const _resamplePlans = {};
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function resamplePlan(fromRate, toRate) {
+  const key = fromRate + ':' + toRate;
+  if (_resamplePlans[key]) return _resamplePlans[key];
+  const g = gcd(fromRate, toRate);
+  const L = toRate / g, M = fromRate / g;
+  const cutoff = RESAMPLE_ROLLOFF * Math.min(1, L / M); // relative to the input Nyquist
+  const half = Math.ceil(RESAMPLE_ZEROS / cutoff); // taps each side, in input samples
+  const kernel = (d) => {
+    if (Math.abs(d) >= half) return 0;
+    const x = Math.PI * cutoff * d;
+    const sinc = d === 0 ? 1 : Math.sin(x) / x;
+    return cutoff * sinc * (0.5 + 0.5 * Math.cos(Math.PI * d / half));
+  };
+  // one row of 2·half taps per output phase; very odd ratios are computed on the fly
+  let table = null;
+  if (L <= RESAMPLE_MAX_PHASES) {
+    table = new Float64Array(L * 2 * half);
+    for (let p = 0; p < L; p++) {
+      for (let j = 0; j < 2 * half; j++) table[p * 2 * half + j] = kernel(p / L + half - 1 - j);
+    }
+  }
+  return (_resamplePlans[key] = { L, M, half, kernel, table });
+}
+
+// samples at fromRate -> Float32Array at toRate (both integer Hz)
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const { L, M } = resamplePlan(fromRate, toRate);
+  return resampleSegment(samples, fromRate, toRate, 0, samples.length, 0, Math.ceil(samples.length * L / M));
+}
+
+/* output samples [from, to) of resample() over a whole clip of `total` input
+   samples, of which `samples` holds the ones from `offset` on — at least
+   resampleInputRange(from, to) of them */
+function resampleSegment(samples, fromRate, toRate, offset, total, from, to) {
+  const { L, M, half, kernel, table } = resamplePlan(fromRate, toRate);
+  const out = new Float32Array(Math.max(0, to - from));
+  const taps = 2 * half;
+  for (let m = from; m < to; m++) {
+    const pos = m * M;
+    const k0 = Math.floor(pos / L), p = pos - k0 * L;
+    const first = k0 - half + 1;
+    let acc = 0;
+    for (let j = 0; j < taps; j++) {
+      const k = first + j;
+      if (k < 0 || k >= total) continue;
+      acc += samples[k - offset] * (table ? table[p * taps + j] : kernel(p / L + half - 1 - j));
+    }
+    out[m - from] = acc;
+  }
+  return out;
+}
+
+// input samples [start, end) that output samples [from, to) of a clip of `total` depend on
+function resampleInputRange(fromRate, toRate, total, from, to) {
+  if (fromRate === toRate) return { start: from, end: to };
+  const { L, M, half } = resamplePlan(fromRate, toRate);
+  return {
+    start: Math.max(0, Math.floor(from * M / L) - half + 1),
+    end: Math.min(total, Math.floor((to - 1) * M / L) + half + 1)
+  };
+}
+
+// audioBuffer (or anything shaped like one) at CANONICAL_SAMPLE_RATE
+function toCanonicalRate(audioBuffer) {
+  const sr = audioBuffer.sampleRate || 44100;
+  if (sr === CANONICAL_SAMPLE_RATE) return audioBuffer;
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(resample(audioBuffer.getChannelData(c), sr, CANONICAL_SAMPLE_RATE));
+  }
+  return channelView(channels, CANONICAL_SAMPLE_RATE);
+}
+
+// length in samples of a clip of `length` samples at sampleRate once at CANONICAL_SAMPLE_RATE
+function canonicalLength(length, sampleRate) {
+  if (sampleRate === CANONICAL_SAMPLE_RATE) return length;
+  const { L, M } = resamplePlan(sampleRate, CANONICAL_SAMPLE_RATE);
+  return Math.ceil(length * L / M);
+}
+
+/* canonical samples [from, to) of a clip, as a channelView, from the clip's
+   native `channels` starting at input sample `offset` (of `total`) — the same
+   samples toCanonicalRate() gives, but a chunk at a time, so a long clip is
+   converted piecemeal where it is analysed (the workers) */
+function canonicalSegment(channels, sampleRate, offset, total, from, to) {
+  const out = channels.map(ch => (sampleRate === CANONICAL_SAMPLE_RATE
+    ? ch.subarray(from - offset, to - offset)
+    : resampleSegment(ch, sampleRate, CANONICAL_SAMPLE_RATE, offset, total, from, to)));
+  return channelView(out, CANONICAL_SAMPLE_RATE);
+}
+
+// native samples covering one canonical analysis window (live / streamed audio)
+function canonicalWindowSamples(sampleRate) {
+  return Math.round(ANALYSIS_WINDOW * sampleRate / CANONICAL_SAMPLE_RATE);
+}
+
+/* ------------------------------
+   Dolphin detectors (high-frequency band)
+   - run on one window's mono mix at CANONICAL_SAMPLE_RATE; times are seconds
+     from the first sample passed in
+   - detectClickTrains(): broadband transients in CLICK_BAND, frame by frame
+     (CLICK_FRAME-sample STFT): band energy far above the window's median and
+     above the frames CLICK_SPREAD hops either side; runs of clicks closer than
+     CLICK_ICI_MAX are a train. Confidence grows with the click count, the
+     regularity of the inter-click intervals (snapping shrimp and other random
+     impulses are irregular) and the SNR
+   - trackWhistles(): the strongest peak in WHISTLE_BAND of every WHISTLE_FRAME
+     STFT frame, linked across frames into contours; a contour is a whistle when
+     it lasts WHISTLE_MIN_SECONDS and sweeps WHISTLE_MIN_SWEEP_HZ (steady tonals
+     are machinery or echo sounders)
+   - a detection is { kind: 'clicks' | 'whistle', start, end, lowHz, highHz,
+     confidence (0..1), ... }; a window's best confidence of each kind is its
+     clickConfidence / whistleConfidence feature, which profiles score
+   - back.py: detect_click_trains() / track_whistles()
+   ------------------------------ */
+const CLICK_FRAME = 32; // 0.7 ms at 48 kHz: short, so a tonal background adds little to a click's frame
+const CLICK_HOP = CLICK_FRAME / 2;
+const CLICK_BAND = [5000, ANALYSIS_MAX_HZ];
+const CLICK_SNR_DB = 6; // over the window's median frame (the SNR reported is over the surroundings)
+const CLICK_PROMINENCE = 4; // over the frames CLICK_SPREAD hops either side
+const CLICK_SPREAD = 3;
+const CLICK_ICI_MAX = 0.25; // s; a longer gap ends the train
+const CLICK_MIN_COUNT = 4;
+const CLICK_FULL_COUNT = 10;
+const CLICK_FULL_SNR_DB = 15;
+const WHISTLE_FRAME = 512; // 10.7 ms, 94 Hz bins at 48 kHz
+const WHISTLE_HOP = WHISTLE_FRAME / 2;
+const WHISTLE_BAND = [3000, ANALYSIS_MAX_HZ];
+const WHISTLE_SNR_DB = 10; // peak bin over the frame's median bin in the band
+const WHISTLE_MAX_STEP_HZ = 250; // per hop, about 47 kHz/s
+const WHISTLE_MAX_GAP = 2; // frames a contour may skip
+const WHISTLE_MIN_SECONDS = 0.05;
+const WHISTLE_FULL_SECONDS = 0.2;
+const WHISTLE_MIN_SWEEP_HZ = 300;
+const WHISTLE_FULL_SNR_DB = 25;
+const DETECTION_MIN_CONFIDENCE = 0.25; // weaker detections are not reported
+
+function median(values) {
+  const s = Array.from(values).sort((a, b) => a - b);
+  if (!s.length) return 0;
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// power spectra (bins 0 .. size/2 - 1) of the Hann-windowed frames of x
+function stftPower(x, size, hop) {
+  const hann = hannWindow(size);
+  const buf = new Float32Array(size);
+  const frames = [];
+  for (let at = 0; at + size <= x.length; at += hop) {
+    for (let i = 0; i < size; i++) buf[i] = x[at + i] * hann[i];
+    const p = fftRealtoMag(buf);
+    for (let k = 0; k < p.length; k++) p[k] *= p[k];
+    frames.push(p);
+  }
+  return frames;
+}
+
+function bandBins(size, sampleRate, band) {
+  const binHz = sampleRate / size;
+  return [Math.ceil(band[0] / binHz), Math.min(size / 2 - 1, Math.floor(band[1] / binHz))];
+}
+
+const toMs = s => Number((s * 1000).toFixed(1));
+
+// count, inter-click intervals (ms) and regularity (1 - mean |ΔICI| / mean ICI) of a train
+function clickTrainStats(times) {
+  const icis = times.slice(1).map((t, i) => t - times[i]);
+  const mean = icis.reduce((a, b) => a + b, 0) / icis.length;
+  let jitter = 0;
+  for (let i = 1; i < icis.length; i++) jitter += Math.abs(icis[i] - icis[i - 1]);
+  jitter /= Math.max(1, icis.length - 1) * mean;
+  return {
+    count: times.length,
+    ici: { median: toMs(median(icis)), min: toMs(Math.min(...icis)), max: toMs(Math.max(...icis)) },
+    regularity: Number(Math.max(0, 1 - jitter).toFixed(2))
+  };
+}
+
+function detectClickTrains(x, sampleRate) {
+  const frames = stftPower(x, CLICK_FRAME, CLICK_HOP);
+  const [k0, k1] = bandBins(CLICK_FRAME, sampleRate, CLICK_BAND);
+  if (frames.length < 3 || k1 < k0) return [];
+  const energy = frames.map(p => {
+    let e = 0;
+    for (let k = k0; k <= k1; k++) e += p[k];
+    return e;
+  });
+  const floor = median(energy) + 1e-20;
+  const minEnergy = 10 ** (CLICK_SNR_DB / 10) * floor;
+  const last = energy.length - 1;
+  const surround = f => Math.max(energy[Math.max(0, f - CLICK_SPREAD)], energy[Math.min(last, f + CLICK_SPREAD)]);
+  const clicks = [];
+  for (let f = 1; f < last; f++) {
+    const e = energy[f];
+    if (e < minEnergy || !(e > energy[f - 1] && e >= energy[f + 1]) || e < CLICK_PROMINENCE * surround(f)) continue;
+    clicks.push(f);
+  }
+
+  const trains = [];
+  let run = [];
+  for (const f of clicks) {
+    if (run.length && (f - run[run.length - 1]) * CLICK_HOP / sampleRate > CLICK_ICI_MAX) {
+      trains.push(run);
+      run = [];
+    }
+    run.push(f);
+  }
+  trains.push(run);
+
+  const binHz = sampleRate / CLICK_FRAME;
+  return trains.filter(t => t.length >= CLICK_MIN_COUNT).map(t => {
+    const times = t.map(f => (f * CLICK_HOP + CLICK_FRAME / 2) / sampleRate);
+    const stats = clickTrainStats(times);
+    // band of the clicks' spectrum over their surroundings, within 10 dB of its peak
+    const spectrum = [];
+    for (let k = k0; k <= k1; k++) {
+      spectrum.push(t.reduce((s, f) => s + Math.max(0, frames[f][k] - (frames[Math.max(0, f - CLICK_SPREAD)][k] + frames[Math.min(last, f + CLICK_SPREAD)][k]) / 2), 0));
+    }
+    const top = Math.max(...spectrum);
+    const strong = spectrum.map((v, i) => (v >= top / 10 ? k0 + i : -1)).filter(k => k >= 0);
+    const snrDb = median(t.map(f => 10 * Math.log10(energy[f] / (surround(f) + 1e-20))));
+    const confidence = Math.min(1, (t.length - 1) / (CLICK_FULL_COUNT - 1)) * stats.regularity * Math.min(1, snrDb / CLICK_FULL_SNR_DB);
+    return {
+      kind: 'clicks',
+      start: Number(times[0].toFixed(4)),
+      end: Number(times[times.length - 1].toFixed(4)),
+      lowHz: Math.round(strong[0] * binHz),
+      highHz: Math.round(strong[strong.length - 1] * binHz),
+      confidence: Number(confidence.toFixed(2)),
+      ...stats,
+      clickTimes: times.map(v => Number(v.toFixed(4)))
+    };
+  });
+}
+
+// frames: the WHISTLE_FRAME STFT of x, when the caller already has it
+function trackWhistles(x, sampleRate, frames = stftPower(x, WHISTLE_FRAME, WHISTLE_HOP)) {
+  const [k0, k1] = bandBins(WHISTLE_FRAME, sampleRate, WHISTLE_BAND);
+  if (k1 <= k0) return [];
+  const binHz = sampleRate / WHISTLE_FRAME;
+  const minSnr = 10 ** (WHISTLE_SNR_DB / 10);
+  const maxStep = WHISTLE_MAX_STEP_HZ / binHz; // bins per hop
+  const open = [], closed = [];
+  frames.forEach((p, f) => {
+    for (let i = open.length - 1; i >= 0; i--) {
+      if (f - open[i].lastFrame > WHISTLE_MAX_GAP + 1) closed.push(...open.splice(i, 1));
+    }
+    let peak = k0;
+    for (let k = k0 + 1; k <= k1; k++) if (p[k] > p[peak]) peak = k;
+    const floor = median(p.subarray(k0, k1 + 1)) + 1e-20;
+    if (p[peak] < minSnr * floor) return;
+    // the open contour closest in frequency that could have moved here
+    let best = null;
+    for (const c of open) {
+      const step = Math.abs(peak - c.lastBin);
+      if (step <= maxStep * (f - c.lastFrame) && (!best || step < Math.abs(peak - best.lastBin))) best = c;
+    }
+    const point = { frame: f, bin: peak, snrDb: 10 * Math.log10(p[peak] / floor) };
+    if (best) {
+      best.points.push(point);
+      best.lastFrame = f;
+      best.lastBin = peak;
+    } else {
+      open.push({ points: [point], lastFrame: f, lastBin: peak });
+    }
+  });
+  closed.push(...open);
+
+  const time = f => (f * WHISTLE_HOP + WHISTLE_FRAME / 2) / sampleRate;
+  const whistles = [];
+  for (const { points } of closed) {
+    const first = points[0].frame, lastFrame = points[points.length - 1].frame;
+    const seconds = (lastFrame - first) * WHISTLE_HOP / sampleRate;
+    const bins = points.map(pt => pt.bin);
+    const low = Math.min(...bins), high = Math.max(...bins);
+    if (seconds < WHISTLE_MIN_SECONDS || (high - low) * binHz < WHISTLE_MIN_SWEEP_HZ) continue;
+    const continuity = points.length / (lastFrame - first + 1);
+    const snrDb = points.reduce((s, pt) => s + pt.snrDb, 0) / points.length;
+    const confidence = Math.min(1, seconds / WHISTLE_FULL_SECONDS) * continuity * Math.min(1, snrDb / WHISTLE_FULL_SNR_DB);
+    whistles.push({
+      kind: 'whistle',
+      start: Number(time(first).toFixed(4)),
+      end: Number(time(lastFrame).toFixed(4)),
+      lowHz: Math.round(low * binHz),
+      highHz: Math.round(high * binHz),
+      confidence: Number(confidence.toFixed(2)),
+      contour: points.map(pt => [Number(time(pt.frame).toFixed(4)), Math.round(pt.bin * binHz)])
+    });
+  }
+  return whistles.sort((a, b) => a.start - b.start);
+}
+
+// click trains and whistles in one window's mono samples, by start time
+function detectDolphins(mono, sampleRate, whistleFrames) {
+  return [...detectClickTrains(mono, sampleRate), ...trackWhistles(mono, sampleRate, whistleFrames)]
+    .filter(d => d.confidence >= DETECTION_MIN_CONFIDENCE)
+    .sort((a, b) => a.start - b.start);
+}
+
+// the best confidence of each kind, as window features
+function detectionFeatures(detections) {
+  const best = kind => detections.reduce((m, d) => (d.kind === kind && d.confidence > m ? d.confidence : m), 0);
+  return { clickConfidence: best('clicks'), whistleConfidence: best('whistle') };
+}
+
+// a window's detections moved `seconds` later (window-relative -> clip time)
+function shiftDetection(d, seconds) {
+  const at = t => Number((t + seconds).toFixed(4));
+  const out = { ...d, start: at(d.start), end: at(d.end) };
+  if (d.clickTimes) out.clickTimes = d.clickTimes.map(at);
+  if (d.contour) out.contour = d.contour.map(([t, hz]) => [at(t), hz]);
+  return out;
+}
+
+/* One list for the clip. Overlapping windows see the same train or whistle, so
+   detections of one kind that overlap in band and follow on in time (within
+   CLICK_ICI_MAX / WHISTLE_MAX_GAP hops) are joined: click times and contour
+   points are pooled, the train statistics recomputed, the best confidence kept. */
+function mergeDetections(windows) {
+  const all = [];
+  windows.forEach(w => (w.detections || []).forEach(d => all.push(d)));
+  all.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const d of all) {
+    const slack = d.kind === 'clicks' ? CLICK_ICI_MAX : (WHISTLE_MAX_GAP + 1) * WHISTLE_HOP / CANONICAL_SAMPLE_RATE;
+    let into = null;
+    for (let i = merged.length - 1; i >= 0 && !into; i--) {
+      const m = merged[i];
+      if (m.kind === d.kind && d.start <= m.end + slack && d.lowHz <= m.highHz && d.highHz >= m.lowHz) into = m;
+    }
+    if (!into) {
+      merged.push({ ...d });
+      continue;
+    }
+    into.lowHz = Math.min(into.lowHz, d.lowHz);
+    into.highHz = Math.max(into.highHz, d.highHz);
+    into.confidence = Math.max(into.confidence, d.confidence);
+    if (d.kind === 'clicks') {
+      const apart = CLICK_HOP / CANONICAL_SAMPLE_RATE; // the same click seen by two windows
+      const times = [...into.clickTimes, ...d.clickTimes].sort((a, b) => a - b)
+        .filter((t, i, s) => i === 0 || t - s[i - 1] > apart);
+      Object.assign(into, clickTrainStats(times), { clickTimes: times, start: times[0], end: times[times.length - 1] });
+    } else {
+      const apart = WHISTLE_HOP / 2 / CANONICAL_SAMPLE_RATE;
+      const contour = [...into.contour, ...d.contour].sort((a, b) => a[0] - b[0])
+        .filter((pt, i, s) => i === 0 || pt[0] - s[i - 1][0] > apart);
+      Object.assign(into, { contour, start: contour[0][0], end: contour[contour.length - 1][0] });
+    }
+  }
+  return merged;
+}
+
+/* ------------------------------
+   Soundscape ecology indices
+   - per window, from the spectra the other features use: the WHISTLE_FRAME STFT
+     (time x frequency, up to ANALYSIS_MAX_HZ) and the window's own spectrum
+       aci              Acoustic Complexity Index (Pieretti et al. 2011): per bin, the
+                        summed frame-to-frame amplitude change over the summed
+                        amplitude, summed over bins
+       adi              Acoustic Diversity Index (Villanueva-Rivera et al. 2011): Shannon
+                        entropy of the share of STFT cells above ADI_THRESHOLD_DB (from
+                        the window's loudest cell) in each ADI_BAND_HZ band
+       bi               Bioacoustic Index (Boelman et al. 2007): area of the mean dB
+                        spectrum above its minimum across the biophony band, dB x kHz
+       ndsi             Normalized Difference Soundscape Index (Kasten et al. 2012):
+                        (biophony - anthrophony) / (biophony + anthrophony) band power,
+                        -1 (all machinery) .. 1 (all biology)
+       temporalEntropy  Shannon entropy of the frame amplitude envelope, 0..1
+       spectralEntropy  Shannon entropy of the window spectrum, 0..1
+   - STFT cells more than SOUNDSCAPE_FLOOR_DB below the window's loudest are
+     raised to that floor, so bins of numerical noise (digital silence, pure
+     synthetic tones) add nothing instead of noise-on-noise change
+   - the anthrophony / biophony bands come from the profile's `soundscape` block;
+     SOUNDSCAPE_BANDS suits hydrophones: shipping noise sits below 1 kHz, snapping
+     shrimp, dolphins and most fish choruses above it
+   - back.py: soundscape_indices()
+   ------------------------------ */
+const SOUNDSCAPE_BANDS = { anthrophony: [20, 1000], biophony: [1000, ANALYSIS_MAX_HZ] };
+const ADI_BAND_HZ = 1000;
+const ADI_THRESHOLD_DB = -50;
+const SOUNDSCAPE_FLOOR_DB = -90;
+
+// the profile's anthrophony / biophony bands, or the defaults
+function soundscapeBands(profile) {
+  return { ...SOUNDSCAPE_BANDS, ...((profile && profile.soundscape) || {}) };
+}
+
+// normalised Shannon entropy (0..1) of non-negative values
+function normalizedEntropy(values) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  if (!(sum > 0) || values.length < 2) return 0;
+  let h = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > 0) {
+      const p = values[i] / sum;
+      h -= p * Math.log(p);
+    }
+  }
+  return h / Math.log(values.length);
+}
+
+/* frames: STFT power spectra (stftPower, WHISTLE_FRAME); mags: the window's
+   magnitude spectrum with binHz = sampleRate / fftSize; bands: soundscapeBands() */
+function soundscapeIndices(frames, mags, sampleRate, fftSize, bands = SOUNDSCAPE_BANDS) {
+  const eps = 1e-12;
+  const binHz = sampleRate / WHISTLE_FRAME;
+  const top = Math.min(WHISTLE_FRAME / 2 - 1, Math.floor(ANALYSIS_MAX_HZ / binHz));
+  const nf = frames.length;
+
+  let loudest = 0;
+  frames.forEach(p => { for (let k = 1; k <= top; k++) if (p[k] > loudest) loudest = p[k]; });
+  let aci = 0, adi = 0, bi = 0, temporalEntropy = 0;
+  if (loudest > eps) { // silence (or a window shorter than a frame) has no soundscape
+    const floor = Math.max(loudest * 10 ** (SOUNDSCAPE_FLOOR_DB / 10), eps);
+    const power = (f, k) => Math.max(frames[f][k], floor);
+
+    const meanPower = new Float64Array(top + 1);
+    const envelope = new Float64Array(nf);
+    for (let f = 0; f < nf; f++) {
+      for (let k = 1; k <= top; k++) {
+        meanPower[k] += power(f, k) / nf;
+        envelope[f] += power(f, k);
+      }
+      envelope[f] = Math.sqrt(envelope[f]);
+    }
+
+    for (let k = 1; k <= top; k++) {
+      let change = 0, total = Math.sqrt(power(0, k));
+      for (let f = 1; f < nf; f++) {
+        const a = Math.sqrt(power(f, k));
+        change += Math.abs(a - Math.sqrt(power(f - 1, k)));
+        total += a;
+      }
+      aci += change / total;
+    }
+
+    const threshold = loudest * 10 ** (ADI_THRESHOLD_DB / 10);
+    const occupied = new Array(Math.ceil(ANALYSIS_MAX_HZ / ADI_BAND_HZ)).fill(0);
+    const cells = occupied.slice();
+    for (let k = 1; k <= top; k++) {
+      const b = Math.min(occupied.length - 1, Math.floor(k * binHz / ADI_BAND_HZ));
+      cells[b] += nf;
+      for (let f = 0; f < nf; f++) if (frames[f][k] > threshold) occupied[b]++;
+    }
+    const shares = occupied.map((o, b) => (cells[b] ? o / cells[b] : 0));
+    const shareSum = shares.reduce((a, v) => a + v, 0);
+    shares.forEach(v => { if (v > 0) adi -= (v / shareSum) * Math.log(v / shareSum); });
+
+    const [b0, b1] = bands.biophony;
+    let minDb = Infinity;
+    const db = [];
+    for (let k = 1; k <= top; k++) {
+      if (k * binHz < b0 || k * binHz >= b1) continue;
+      db.push(10 * Math.log10(meanPower[k]));
+      minDb = Math.min(minDb, db[db.length - 1]);
+    }
+    bi = db.reduce((a, v) => a + (v - minDb), 0) * binHz / 1000;
+
+    temporalEntropy = normalizedEntropy(envelope);
+  }
+
+  const specHz = sampleRate / fftSize;
+  let anthro = 0, bio = 0;
+  for (let k = 0; k < mags.length; k++) {
+    const f = k * specHz, e = mags[k] * mags[k];
+    if (f >= bands.anthrophony[0] && f < bands.anthrophony[1]) anthro += e;
+    if (f >= bands.biophony[0] && f < bands.biophony[1]) bio += e;
+  }
+  const ndsi = anthro + bio > eps ? (bio - anthro) / (bio + anthro) : 0;
+
+  return {
+    aci: Number(aci.toFixed(1)),
+    adi: Number(adi.toFixed(3)),
+    bi: Number(bi.toFixed(1)),
+    ndsi: Number(ndsi.toFixed(3)),
+    temporalEntropy: Number(temporalEntropy.toFixed(3)),
+    spectralEntropy: Number(normalizedEntropy(mags.subarray(1)).toFixed(3))
+  };
+}
+
+/* ------------------------------
+   Per-window feature extraction
+   - takes anything shaped like an AudioBuffer (sampleRate, length,
+     numberOfChannels, getChannelData)
+   ------------------------------ */
+function channelView(channels, sampleRate) {
+  return {
+    sampleRate,
+    length: channels[0] ? channels[0].length : 0,
+    numberOfChannels: channels.length,
+    getChannelData: (c) => channels[c]
+  };
+}
+
+// { features, detections } for one window; detection times are seconds from `start`;
+// bands: the soundscape index bands (soundscapeBands(profile))
+function analyzeWindow(audioBuffer, start, length, bands = SOUNDSCAPE_BANDS) {
+  const sr = audioBuffer.sampleRate || 44100;
+  const take = Math.min(audioBuffer.length - start, length);
+  const mono = (audioBuffer.numberOfChannels > 1) ? mixDownToMono(audioBuffer, take, start) : audioBuffer.getChannelData(0).slice(start, start + take);
+
+  // RMS of the mono mix, as back.py computes it
+  let sum = 0;
+  for (let i = 0; i < mono.length; i++) sum += mono[i] * mono[i];
+  const rms = Math.sqrt(sum / Math.max(1, mono.length));
+
+  const fftSize = nextPowerOfTwo(mono.length);
+  const padded = new Float32Array(fftSize);
+  padded.set(mono);
+  const hann = hannWindow(mono.length);
+  for (let i = 0; i < mono.length; i++) padded[i] *= hann[i];
+
+  const binSize = sr / fftSize;
+  const mags = fftRealtoMag(padded).subarray(0, Math.min(fftSize / 2, Math.floor(ANALYSIS_MAX_HZ / binSize) + 1));
+
+  let totalEnergy = 0, low = 0, mid = 0, high = 0;
+  let lowBins = 0, lowSum = 0, lowMax = 0;
+  for (let i = 0; i < mags.length; i++) {
+    const f = i * binSize;
+    const e = mags[i] * mags[i];
+    totalEnergy += e;
+    if (f < 300) {
+      low += e;
+      lowBins++;
+      lowSum += mags[i];
+      if (mags[i]> lowMax) lowMax = mags[i];
+    } else if (f < 3000) mid += e;
+    else high += e;
+  }
+  totalEnergy = Math.max(totalEnergy, 1e-12);
+  const lowRatio = low / totalEnergy;
+  const midRatio = mid / totalEnergy;
+  const highRatio = high / totalEnergy;
+
+  let centroidNum = 0;
+  let magSum = 0;
+  for (let i = 0; i < mags.length; i++) {
+    centroidNum += (i * binSize) * mags[i];
+    magSum += mags[i];
+  }
+  const centroid = centroidNum / (magSum + 1e-12);
+
+  const flatness = computeSpectralFlatness(mags);
+  const eps = 1e-12;
+  const lowMeanMag = (lowSum / Math.max(1, lowBins)) || eps;
+  const lowPeakiness = lowMax / (lowMeanMag + eps);
+
+  const frames = stftPower(mono, WHISTLE_FRAME, WHISTLE_HOP);
+  const detections = detectDolphins(mono, sr, frames);
+  const features = {
+    rms: Number(rms.toFixed(4)),
+    lowRatio: Number(lowRatio.toFixed(3)),
+    midRatio: Number(midRatio.toFixed(3)),
+    highRatio: Number(highRatio.toFixed(3)),
+    centroid: Math.round(centroid),
+    flatness: Number(flatness.toFixed(3)),
+    lowPeakiness: Number(lowPeakiness.toFixed(2)),
+    ...detectionFeatures(detections),
+    ...soundscapeIndices(frames, mags, sr, fftSize, bands)
+  };
+  return { features, detections };
+}
+
+function analyzeWindowFeatures(audioBuffer, start, length, bands = SOUNDSCAPE_BANDS) {
+  return analyzeWindow(audioBuffer, start, length, bands).features;
+}
+
+// Score windows [from, to) of a clip; shared by the main-thread path and the workers.
+// `offset` is the sample index of audioBuffer[0] within the whole recording.
+function analyzeWindowRange(audioBuffer, starts, from, to, profile, offset = 0) {
+  const sr = audioBuffer.sampleRate || 44100;
+  const total = offset + audioBuffer.length;
+  const bands = soundscapeBands(profile);
+  const windows = [];
+  for (let i = from; i < to; i++) {
+    const start = starts[i];
+    const len = Math.min(ANALYSIS_WINDOW, total - start);
+    const { features, detections } = analyzeWindow(audioBuffer, start - offset, len, bands);
+    const scoring = computeEnvironmentalScore(features, { profile });
+    const w = {
+      start: Number((start / sr).toFixed(3)),
+      end: Number(((start + len) / sr).toFixed(3)),
+      features,
+      score: scoring.score,
+      note: scoring.note,
+      isBoat: scoring.isBoat
+    };
+    // only windows that heard something carry a list (mergeDetections pools them)
+    if (detections.length) w.detections = detections.map(d => shiftDetection(d, start / sr));
+    windows.push(w);
+  }
+  return windows;
+}
+
+/* ------------------------------
+   Sliding-window timeline helpers
+   ------------------------------ */
+function timelineWindowStarts(length, win = ANALYSIS_WINDOW, hop = ANALYSIS_HOP) {
+  if (length <= win) return [0];
+  const starts = [];
+  for (let s = 0; s + win <= length; s += hop) starts.push(s);
+  // make sure the tail of the clip is covered too
+  const last = length - win;
+  if (starts[starts.length - 1] < last) starts.push(last);
+  return starts;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function summarizeTimeline(windows) {
+  const scores = windows.map(w => w.score).sort((a, b) => a - b);
+  const n = Math.max(1, scores.length);
+  const mean = scores.reduce((a, b) => a + b, 0) / n;
+  const meanFeatures = {};
+  for (const k of FEATURE_KEYS) {
+    meanFeatures[k] = windows.reduce((a, w) => a + w.features[k], 0) / n;
+  }
+  return {
+    windowCount: windows.length,
+    mean: Number(mean.toFixed(1)),
+    min: scores[0] || 0,
+    max: scores[scores.length - 1] || 0,
+    p10: Number(percentile(scores, 10).toFixed(1)),
+    p25: Number(percentile(scores, 25).toFixed(1)),
+    p50: Number(percentile(scores, 50).toFixed(1)),
+    p75: Number(percentile(scores, 75).toFixed(1)),
+    p90: Number(percentile(scores, 90).toFixed(1)),
+    boatFraction: Number((windows.filter(w => w.isBoat).length / n).toFixed(3)),
+    meanFeatures
+  };
+}
+
+// the window whose score is closest to the clip score; its trace stands in for the clip
+function representativeWindowIndex(windows, score) {
+  let best = 0;
+  windows.forEach((w, i) => {
+    if (Math.abs(w.score - score) < Math.abs(windows[best].score - score)) best = i;
+  });
+  return best;
+}
+
+/* ------------------------------
+   Mathematical Formula-based Scoring
+   - a profile has signatures (animal rule sets, best one wins), an optional
+     dolphin rule set over the detector features (added on top, and able to
+     veto boat detection), boat detection + penalties, caps and note bands;
+     see profiles/default.json
+   ------------------------------ */
+function profileNoteForScore(score, profile) {
+  const bands = (profile && profile.notes) || [];
+  const band = bands.find(b => score >= b.min);
+  return band ? band.text : '';
+}
+
+function conditionMatches(cond, features) {
+  const v = features[cond.feature];
+  if (typeof v !== 'number' || Number.isNaN(v)) return false;
+  if (cond.gt != null && !(v > cond.gt)) return false;
+  if (cond.gte != null && !(v >= cond.gte)) return false;
+  if (cond.lt != null && !(v < cond.lt)) return false;
+  if (cond.lte != null && !(v <= cond.lte)) return false;
+  return true;
+}
+
+function describeCondition(cond) {
+  const lower = cond.gt != null ? `${cond.gt} < ` : cond.gte != null ? `${cond.gte} ≤ ` : '';
+  const upper = cond.lt != null ? ` < ${cond.lt}` : cond.lte != null ? ` ≤ ${cond.lte}` : '';
+  if (lower && upper) return lower + cond.feature + upper;
+  if (lower) return `${cond.feature} ${cond.gt != null ? '>' : '≥'} ${cond.gt != null ? cond.gt : cond.gte}`;
+  return cond.feature + upper;
+}
+
+function traceRule(rule, features, matched, applied) {
+  const t = { feature: rule.feature, value: features[rule.feature], test: describeCondition(rule), matched };
+  if (rule.points != null) {
+    t.points = rule.points;
+    t.applied = applied;
+  }
+  return t;
+}
+
+// plain rules add their points when they match; `firstOf` groups act like an if / else-if chain.
+// Pass a `trace` array to get one entry per rule evaluated.
+function evaluateRules(rules, features, trace = null) {
+  let points = 0;
+  for (const rule of rules || []) {
+    if (rule.firstOf) {
+      let hit = null;
+      const tiers = [];
+      for (const r of rule.firstOf) {
+        const matched = conditionMatches(r, features);
+        const applied = matched && !hit;
+        if (applied) hit = r;
+        if (trace) tiers.push(traceRule(r, features, matched, applied));
+        else if (hit) break;
+      }
+      if (hit) points += hit.points;
+      if (trace) trace.push({ firstOf: tiers });
+    } else {
+      const matched = conditionMatches(rule, features);
+      if (matched) points += rule.points;
+      if (trace) trace.push(traceRule(rule, features, matched, matched));
+    }
+  }
+  return points;
+}
+
+function computeEnvironmentalScore(features, { profile, trace: withTrace = false } = {}) {
+  if (!profile) throw new Error('No scoring profile loaded');
+  
+  let score = profile.baseScore;
+  
+  // Animal signatures — the best-matching one counts
+  const signatureScores = {};
+  const signatureTrace = [];
+  let animalScore = 0, bestSignature = null;
+  for (const sig of profile.signatures) {
+    const rules = withTrace ? [] : null;
+    signatureScores[sig.id] = evaluateRules(sig.rules, features, rules);
+    if (signatureScores[sig.id] > animalScore) {
+      animalScore = signatureScores[sig.id];
+      bestSignature = sig.id;
+    }
+    if (withTrace) signatureTrace.push({ id: sig.id, label: sig.label || sig.id, points: signatureScores[sig.id], rules });
+  }
+  
+  // Dolphins: click-train / whistle detector evidence, counted on top of the best signature
+  const dolphin = profile.dolphin || null;
+  const dolphinTrace = withTrace ? [] : null;
+  const dolphinScore = dolphin ? evaluateRules(dolphin.rules, features, dolphinTrace) : 0;
+  const dolphinEvidence = Math.max(features.clickConfidence || 0, features.whistleConfidence || 0);
+  // clicks and whistles fill the >3 kHz band; when the detectors are this sure, that is not an engine
+  const boatVetoed = !!dolphin && dolphin.boatVeto != null && dolphinEvidence >= dolphin.boatVeto;
+  
+  // Boat/engine: penalties only apply once a detection condition fires
+  const detectTrace = withTrace ? profile.boat.detect.anyOf.map(group => {
+    const conditions = group.allOf.map(c => traceRule(c, features, conditionMatches(c, features)));
+    return { matched: conditions.every(c => c.matched), conditions };
+  }) : null;
+  const boatIndicated = detectTrace
+    ? detectTrace.some(g => g.matched)
+    : profile.boat.detect.anyOf.some(group => group.allOf.every(c => conditionMatches(c, features)));
+  const isBoat = boatIndicated && !boatVetoed;
+  const penaltyTrace = withTrace ? [] : null;
+  const boatScore = isBoat ? evaluateRules(profile.boat.penalties, features, penaltyTrace) : 0;
+  if (withTrace && !isBoat) {
+    // penalties don't count without a detection; trace them anyway so the thresholds are visible
+    evaluateRules(profile.boat.penalties, features, penaltyTrace);
+    penaltyTrace.forEach(markUnapplied);
+  }
+  
+  score += animalScore + dolphinScore + boatScore;
+  const raw = score;
+  
+  // If boat indicators are strong, cap the max score
+  const boatCapApplied = isBoat && score > profile.caps.boatMax;
+  if (boatCapApplied) score = profile.caps.boatMax;
+  
+  // Cap marine animal scores (keeps them short of 100)
+  const animalCapApplied = !isBoat && score > profile.caps.animalMax;
+  if (animalCapApplied) score = profile.caps.animalMax;
+  
+  // Clamp to 0-100
+  score = Math.max(0, Math.min(100, Math.round(score)));
+  
+  const result = {
+    score,
+    note: profileNoteForScore(score, profile),
+    isBoat,
+    signatureScores,
+    dolphinPoints: dolphinScore,
+    boatPenalty: boatScore,
+    profile: profile.name
+  };
+  if (withTrace) {
+    result.trace = {
+      profile: profile.name,
+      features: { ...features },
+      baseScore: profile.baseScore,
+      signatures: signatureTrace.map(s => ({ ...s, chosen: s.id === bestSignature })),
+      animalPoints: animalScore,
+      dolphin: dolphin ? {
+        label: dolphin.label || 'Dolphins',
+        points: dolphinScore,
+        rules: dolphinTrace,
+        evidence: dolphinEvidence,
+        boatVeto: dolphin.boatVeto != null ? dolphin.boatVeto : null
+      } : null,
+      boat: {
+        detected: isBoat,
+        vetoed: boatIndicated && boatVetoed,
+        detect: detectTrace,
+        penalties: penaltyTrace,
+        points: boatScore
+      },
+      caps: [
+        { name: 'boatMax', limit: profile.caps.boatMax, when: 'boat detected', applied: boatCapApplied },
+        { name: 'animalMax', limit: profile.caps.animalMax, when: 'no boat detected', applied: animalCapApplied }
+      ],
+      raw,
+      final: score
+    };
+  }
+  return result;
+}
+
+function markUnapplied(entry) {
+  if (entry.firstOf) entry.firstOf.forEach(markUnapplied);
+  else entry.applied = false;
+}
+
+// signature ids and labels, and the dolphin label, are shown in the score trace: plain text only
+const PROFILE_LABEL_MAX = 60;
+const isPlainLabel = s => typeof s === 'string' && s.length > 0 && s.length <= PROFILE_LABEL_MAX && !/[<>&"'`\u0000-\u001f\u007f]/.test(s);
+
+function validateScoringProfile(p) {
+  const errors = [];
+  const labelError = where => `${where} must be plain text of 1-${PROFILE_LABEL_MAX} characters (no <>&"'\` or control characters)`;
+  const checkCond = (c, where, needPoints) => {
+    if (!c || typeof c !== 'object') return errors.push(`${where}: rule must be an object`);
+    if (!FEATURE_KEYS.includes(c.feature)) errors.push(`${where}: unknown feature "${c.feature}"`);
+    if (!['gt', 'gte', 'lt', 'lte'].some(k => typeof c[k] === 'number')) errors.push(`${where}: needs a gt/gte/lt/lte threshold`);
+    if (needPoints && typeof c.points !== 'number') errors.push(`${where}: points must be a number`);
+  };
+  const checkRules = (rules, where) => {
+    if (!Array.isArray(rules)) return errors.push(`${where}: must be a list`);
+    rules.forEach((r, i) => {
+      if (r && Array.isArray(r.firstOf)) r.firstOf.forEach((c, j) => checkCond(c, `${where}[${i}].firstOf[${j}]`, true));
+      else checkCond(r, `${where}[${i}]`, true);
+    });
+  };
+
+  if (!p || typeof p !== 'object') return ['profile must be a JSON object'];
+  if (typeof p.name !== 'string' || !/^[\w-]+$/.test(p.name)) errors.push('name must be letters, digits, "-" or "_"');
+  if (typeof p.baseScore !== 'number') errors.push('baseScore must be a number');
+  if (!Array.isArray(p.signatures)) errors.push('signatures must be a list');
+  else p.signatures.forEach((s, i) => {
+    if (!s || typeof s.id !== 'string') return errors.push(`signatures[${i}]: id is required`);
+    if (!isPlainLabel(s.id)) return errors.push(labelError(`signatures[${i}].id`));
+    if (s.label != null && !isPlainLabel(s.label)) errors.push(labelError(`signatures.${s.id}.label`));
+    checkRules(s.rules, `signatures.${s.id}.rules`);
+  });
+  if (p.dolphin != null) {
+    if (typeof p.dolphin !== 'object') errors.push('dolphin must be an object');
+    else {
+      if (p.dolphin.label != null && !isPlainLabel(p.dolphin.label)) errors.push(labelError('dolphin.label'));
+      checkRules(p.dolphin.rules, 'dolphin.rules');
+      const veto = p.dolphin.boatVeto;
+      if (veto != null && !(typeof veto === 'number' && veto >= 0 && veto <= 1)) errors.push('dolphin.boatVeto must be a confidence from 0 to 1');
+    }
+  }
+  if (p.soundscape != null) {
+    if (typeof p.soundscape !== 'object') errors.push('soundscape must be an object');
+    else {
+      const ok = band => Array.isArray(band) && band.length === 2 && band.every(v => typeof v === 'number')
+        && band[0] >= 0 && band[0] < band[1] && band[1] <= ANALYSIS_MAX_HZ;
+      ['anthrophony', 'biophony'].forEach(k => {
+        if (p.soundscape[k] != null && !ok(p.soundscape[k])) errors.push(`soundscape.${k} must be [lowHz, highHz] within 0..${ANALYSIS_MAX_HZ}`);
+      });
+      const { anthrophony, biophony } = soundscapeBands(p);
+      if (ok(anthrophony) && ok(biophony) && anthrophony[0] < biophony[1] && biophony[0] < anthrophony[1]) {
+        errors.push('soundscape.anthrophony and soundscape.biophony must not overlap');
+      }
+    }
+  }
+  const detect = p.boat && p.boat.detect && p.boat.detect.anyOf;
+  if (!Array.isArray(detect)) errors.push('boat.detect.anyOf must be a list');
+  else detect.forEach((g, i) => {
+    if (!g || !Array.isArray(g.allOf)) errors.push(`boat.detect.anyOf[${i}]: allOf must be a list`);
+    else g.allOf.forEach((c, j) => checkCond(c, `boat.detect.anyOf[${i}].allOf[${j}]`, false));
+  });
+  checkRules(p.boat && p.boat.penalties, 'boat.penalties');
+  if (!p.caps || typeof p.caps.boatMax !== 'number' || typeof p.caps.animalMax !== 'number') {
+    errors.push('caps.boatMax and caps.animalMax must be numbers');
+  }
+  if (!Array.isArray(p.notes) || !p.notes.length) errors.push('notes must be a non-empty list');
+  else p.notes.forEach((n, i) => {
+    if (!n || typeof n.min !== 'number' || typeof n.text !== 'string') errors.push(`notes[${i}]: needs min and text`);
+  });
+  return errors;
+}
+
+/* ------------------------------
+   Analysis result contract
+   - one versioned shape for local results, back.py /analyze (build_analysis_result)
+     and saved history entries
+   - readers refuse any other schema/version instead of guessing at fields;
+     bump ANALYSIS_RESULT_VERSION (here and in back.py) on breaking changes
+   - when the recording's metadata gives its start time every window also
+     carries `utc`, the absolute time of its start
+   ------------------------------ */
+const ANALYSIS_RESULT_SCHEMA = 'mam-analysis-result';
+const ANALYSIS_RESULT_VERSION = 1;
+
+// animal vs boat points of the traced window (what the old animalScore/noiseScore tried to show)
+function resultBreakdown(trace) {
+  const chosen = trace.signatures.find(s => s.chosen);
+  return {
+    animalPoints: trace.animalPoints,
+    dolphinPoints: trace.dolphin ? trace.dolphin.points : 0,
+    boatPoints: trace.boat.points,
+    signature: chosen ? chosen.id : null
+  };
+}
+
+// ISO 8601 UTC time `seconds` after startTime (ISO), to the millisecond
+function absoluteTime(startTime, seconds) {
+  return new Date(Date.parse(startTime) + Math.round(seconds * 1000)).toISOString();
+}
+
+function buildAnalysisResult(timeline, profile, source) {
+  const { summary } = timeline;
+  const recording = timeline.recording || null;
+  // per-window detections are pooled into one clip-level list below
+  const windows = timeline.windows.map(({ detections, ...w }) =>
+    (recording && recording.startTime ? { ...w, utc: absoluteTime(recording.startTime, w.start) } : w));
+  const score = Math.round(summary.mean);
+  const traceWindow = representativeWindowIndex(windows, score);
+  const trace = computeEnvironmentalScore(windows[traceWindow].features, { profile, trace: true }).trace;
+  return {
+    schema: ANALYSIS_RESULT_SCHEMA,
+    version: ANALYSIS_RESULT_VERSION,
+    source,
+    profile: timeline.profile,
+    duration: timeline.duration,
+    windowSeconds: timeline.windowSeconds,
+    hopSeconds: timeline.hopSeconds,
+    score,
+    note: profileNoteForScore(score, profile),
+    isBoat: summary.boatFraction > 0.5,
+    features: summary.meanFeatures,
+    breakdown: resultBreakdown(trace),
+    summary,
+    windows,
+    trace,
+    traceWindow,
+    conditioning: timeline.conditioning || null,
+    levels: timeline.levels || null,
+    recording,
+    array: timeline.array || null,
+    detections: mergeDetections(timeline.windows),
+    vessels: timeline.vessels || null
+  };
+}
+
+/* the trace's strings end up in the page, and a shared result (history bundle,
+   comparison report) may come from anyone: only the plain text the scorer
+   itself writes is accepted */
+const TRACE_TEST_RE = /^[\w.+\- <>≤≥]+$/;
+
+function traceTextProblems(trace) {
+  const problems = [];
+  const check = (ok, v, where) => { if (!(typeof v === 'string' && ok(v))) problems.push(`trace.${where} must be plain text`); };
+  const rule = (t, where) => {
+    if (!t || typeof t !== 'object') return problems.push(`trace.${where} must be a rule`);
+    check(v => TRACE_TEST_RE.test(v), t.test, `${where}.test`);
+    check(v => /^\w+$/.test(v), t.feature, `${where}.feature`);
+  };
+  const rules = (list, where) => {
+    if (!Array.isArray(list)) return problems.push(`trace.${where} must be a list`);
+    list.forEach((r, i) => (r && Array.isArray(r.firstOf)
+      ? r.firstOf.forEach((t, j) => rule(t, `${where}[${i}].firstOf[${j}]`))
+      : rule(r, `${where}[${i}]`)));
+  };
+  check(v => /^[\w-]+$/.test(v), trace.profile, 'profile');
+  trace.signatures.forEach((s, i) => {
+    if (!s || typeof s !== 'object') return problems.push(`trace.signatures[${i}] must be an object`);
+    check(isPlainLabel, s.id, `signatures[${i}].id`);
+    check(isPlainLabel, s.label, `signatures[${i}].label`);
+    rules(s.rules, `signatures[${i}].rules`);
+  });
+  if (trace.dolphin != null) {
+    check(isPlainLabel, trace.dolphin.label, 'dolphin.label');
+    rules(trace.dolphin.rules, 'dolphin.rules');
+  }
+  const boat = trace.boat || {};
+  if (!Array.isArray(boat.detect)) problems.push('trace.boat.detect must be a list');
+  else boat.detect.forEach((g, i) => rules(g && g.conditions, `boat.detect[${i}].conditions`));
+  rules(boat.penalties, 'boat.penalties');
+  if (!Array.isArray(trace.caps)) problems.push('trace.caps must be a list');
+  else trace.caps.forEach((c, i) => {
+    check(isPlainLabel, c && c.name, `caps[${i}].name`);
+    check(isPlainLabel, c && c.when, `caps[${i}].when`);
+  });
+  return problems;
+}
+
+// [] when r is a usable result of this version, otherwise human-readable problems
+function validateAnalysisResult(r) {
+  if (!r || typeof r !== 'object') return ['result must be a JSON object'];
+  if (r.schema !== ANALYSIS_RESULT_SCHEMA) return [`unknown result schema "${r.schema}" (expected "${ANALYSIS_RESULT_SCHEMA}")`];
+  if (r.version !== ANALYSIS_RESULT_VERSION) {
+    return [`result version ${r.version} is not supported (this page reads version ${ANALYSIS_RESULT_VERSION})`];
+  }
+  const errors = [];
+  const num = v => typeof v === 'number' && isFinite(v);
+  if (!['local', 'server'].includes(r.source)) errors.push(`source must be "local" or "server", got "${r.source}"`);
+  if (typeof r.profile !== 'string') errors.push('profile must be a string');
+  ['duration', 'windowSeconds', 'hopSeconds'].forEach(k => { if (!num(r[k])) errors.push(`${k} must be a number`); });
+  if (!Number.isInteger(r.score) || r.score < 0 || r.score > 100) errors.push('score must be an integer 0-100');
+  if (typeof r.note !== 'string') errors.push('note must be a string');
+  if (typeof r.isBoat !== 'boolean') errors.push('isBoat must be true/false');
+  FEATURE_KEYS.forEach(k => {
+    if (!r.features || (r.features[k] == null && (DETECTOR_FEATURE_KEYS.includes(k) || SOUNDSCAPE_FEATURE_KEYS.includes(k)))) return;
+    if (!num(r.features[k])) errors.push(`features.${k} must be a number`);
+  });
+  if (!r.breakdown || !num(r.breakdown.animalPoints) || !num(r.breakdown.boatPoints)) {
+    errors.push('breakdown.animalPoints and breakdown.boatPoints must be numbers');
+  }
+  const s = r.summary;
+  if (!s || typeof s !== 'object') errors.push('summary is required');
+  else ['windowCount', 'mean', 'min', 'max', 'p10', 'p25', 'p50', 'p75', 'p90', 'boatFraction']
+    .forEach(k => { if (!num(s[k])) errors.push(`summary.${k} must be a number`); });
+  if (!Array.isArray(r.windows) || !r.windows.length) errors.push('windows must be a non-empty list');
+  else {
+    const bad = r.windows.findIndex(w => !w || !num(w.start) || !num(w.end) || !num(w.score) || !w.features);
+    if (bad >= 0) errors.push(`windows[${bad}] needs start, end, score and features`);
+    if (!Number.isInteger(r.traceWindow) || r.traceWindow < 0 || r.traceWindow >= r.windows.length) {
+      errors.push('traceWindow must index into windows');
+    }
+  }
+  if (!r.trace || !num(r.trace.final) || !Array.isArray(r.trace.signatures)) errors.push('trace must be a score trace');
+  else errors.push(...traceTextProblems(r.trace));
+  // optional: results saved before conditioning / levels / detections / vessels existed have no such fields
+  if (r.conditioning != null && (typeof r.conditioning !== 'object' || !Array.isArray(r.conditioning.stages))) {
+    errors.push('conditioning must be null or a chain with a stages list');
+  }
+  if (r.levels != null) {
+    const l = r.levels;
+    if (typeof l !== 'object' || !['spl', 'peak', 'sel'].every(k => num(l[k])) || !Array.isArray(l.thirdOctave) || !l.percentiles) {
+      errors.push('levels must be null or carry spl, peak, sel, percentiles and thirdOctave');
+    }
+  }
+  if (r.array != null && (typeof r.array !== 'object' || !Array.isArray(r.array.channels) || !r.array.disagreement)) {
+    errors.push('array must be null or per-channel results with a disagreement summary');
+  }
+  if (r.detections != null && (!Array.isArray(r.detections) || r.detections.some(d => !d || !num(d.start) || !num(d.end) || !num(d.confidence)))) {
+    errors.push('detections must be null or a list of detections with start, end and confidence');
+  }
+  if (r.vessels != null && (typeof r.vessels !== 'object' || !Array.isArray(r.vessels.passages) ||
+      r.vessels.passages.some(v => !v || !['onset', 'peak', 'offset', 'cpa', 'peakLevel'].every(k => num(v[k]))))) {
+    errors.push('vessels must be null or passages with onset, peak, offset, cpa and peakLevel');
+  }
+  if (r.recording != null) {
+    if (typeof r.recording !== 'object' || !Array.isArray(r.recording.warnings)) {
+      errors.push('recording must be null or metadata with a warnings list');
+    } else if (r.recording.startTime != null && isNaN(Date.parse(r.recording.startTime))) {
+      errors.push('recording.startTime must be an ISO 8601 time');
+    }
+  }
+  return errors;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANALYSIS_WINDOW,
+    ANALYSIS_HOP,
+    FEATURE_KEYS,
+    DETECTOR_FEATURE_KEYS,
+    SOUNDSCAPE_FEATURE_KEYS,
+    CANONICAL_SAMPLE_RATE,
+    ANALYSIS_MAX_HZ,
+    getFftPlan,
+    fftRealtoMag,
+    nextPowerOfTwo,
+    hannWindow,
+    computeRMSFromBuffer,
+    mixDownToMono,
+    computeSpectralFlatness,
+    channelView,
+    resample,
+    resampleSegment,
+    resampleInputRange,
+    toCanonicalRate,
+    canonicalLength,
+    canonicalSegment,
+    canonicalWindowSamples,
+    detectClickTrains,
+    trackWhistles,
+    detectDolphins,
+    detectionFeatures,
+    mergeDetections,
+    SOUNDSCAPE_BANDS,
+    soundscapeBands,
+    soundscapeIndices,
+    analyzeWindow,
+    analyzeWindowFeatures,
+    analyzeWindowRange,
+    timelineWindowStarts,
+    percentile,
+    summarizeTimeline,
+    representativeWindowIndex,
+    profileNoteForScore,
+    conditionMatches,
+    describeCondition,
+    traceRule,
+    evaluateRules,
+    computeEnvironmentalScore,
+    markUnapplied,
+    validateScoringProfile,
+    ANALYSIS_RESULT_SCHEMA,
+    ANALYSIS_RESULT_VERSION,
+    resultBreakdown,
+    absoluteTime,
+    buildAnalysisResult,
+    validateAnalysisResult
+  };
+}
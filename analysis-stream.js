@@ -0,0 +1,134 @@
+/* analysis-stream.js - WebSocket client for back.py /stream (protocol "mam-stream" v1)
+   - text frames are JSON: our "hello" declares sample rate, channels and profile,
+     the server answers "ready", then one "result" per scored window and an "ack"
+     per audio frame
+   - binary frames: float64 LE start sample, then interleaved float32 LE PCM
+   - backpressure: at most maxInFlight unacknowledged frames (from "ready"); blocks
+     that can't be sent are refused so the caller can score them locally
+   - reconnects with exponential backoff; the start sample in every frame keeps the
+     server's clock in step across drops and reconnects
+   - no DOM access: in Node pass a WebSocket implementation (e.g. require('ws')) as
+     WebSocketImpl; tests/stream/stream.js runs it against a local back.py
+*/
+
+const STREAM_PROTOCOL = 'mam-stream';
+const STREAM_PROTOCOL_VERSION = 1;
+const STREAM_RETRY_BASE_MS = 500;
+const STREAM_RETRY_MAX_MS = 30000;
+const STREAM_MAX_BUFFERED_BYTES = 1 << 20;
+
+// ws:// or wss:// endpoint next to the configured /analyze URL
+function streamUrlFor(analyzeUrl) {
+  const url = new URL('stream', analyzeUrl);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.href;
+}
+
+/* options: { url, sampleRate, channels = 1, profile, profileJson, WebSocketImpl,
+              onWindow(window), onStatus(status, detail) }
+   status is 'connecting' | 'open' | 'reconnecting' | 'error' | 'closed'.
+   Returns { send(block, startSample) -> bool, isOpen(), close() }. */
+function createAnalysisStream(options) {
+  const { url, sampleRate, channels = 1, profile, profileJson, onWindow, onStatus } = options;
+  const WS = options.WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+  const state = { ws: null, ready: false, inFlight: 0, maxInFlight: 1, retries: 0, timer: null, closed: false };
+
+  const status = (s, detail) => { if (onStatus) onStatus(s, detail); };
+
+  function scheduleReconnect(reason) {
+    if (state.closed) return;
+    const delay = Math.min(STREAM_RETRY_MAX_MS, STREAM_RETRY_BASE_MS * 2 ** state.retries++);
+    status('reconnecting', `${reason}; retrying in ${Math.ceil(delay / 1000)} s`);
+    state.timer = setTimeout(connect, delay);
+  }
+
+  function handleMessage(msg) {
+    if (msg.type === 'ready') {
+      state.ready = true;
+      state.retries = 0;
+      state.maxInFlight = msg.maxInFlight || 1;
+      status('open', msg);
+    } else if (msg.type === 'ack') {
+      state.inFlight = Math.max(0, state.inFlight - 1);
+    } else if (msg.type === 'result') {
+      if (onWindow) onWindow(msg.window);
+    } else if (msg.type === 'error') {
+      // the server closes after an error; onclose schedules the retry
+      status('error', msg.message);
+    }
+  }
+
+  function connect() {
+    if (state.closed) return;
+    if (!WS) return status('error', 'WebSocket not available');
+    status('connecting');
+    let ws;
+    try {
+      ws = new WS(url);
+    } catch (err) {
+      return scheduleReconnect(err.message);
+    }
+    ws.binaryType = 'arraybuffer';
+    state.ws = ws;
+    state.ready = false;
+    state.inFlight = 0;
+    ws.onopen = () => {
+      const hello = { type: 'hello', protocol: STREAM_PROTOCOL, version: STREAM_PROTOCOL_VERSION, sampleRate, channels };
+      if (profileJson) hello.profileJson = profileJson;
+      else hello.profile = profile || 'default';
+      ws.send(JSON.stringify(hello));
+    };
+    ws.onmessage = (e) => {
+      if (typeof e.data !== 'string') return;
+      try {
+        handleMessage(JSON.parse(e.data));
+      } catch (err) {
+        console.warn('Bad stream message:', err && err.message);
+      }
+    };
+    ws.onerror = () => {}; // onclose always follows
+    ws.onclose = (e) => {
+      if (state.ws !== ws) return;
+      state.ws = null;
+      state.ready = false;
+      scheduleReconnect(e.reason || `connection closed (${e.code})`);
+    };
+  }
+
+  // block: interleaved Float32Array; startSample: its position in the stream (per channel)
+  function send(block, startSample) {
+    const ws = state.ws;
+    if (!ws || !state.ready || state.inFlight >= state.maxInFlight) return false;
+    if (ws.bufferedAmount > STREAM_MAX_BUFFERED_BYTES) return false;
+    const frame = new ArrayBuffer(8 + block.length * 4);
+    const view = new DataView(frame);
+    view.setFloat64(0, startSample, true);
+    for (let i = 0; i < block.length; i++) view.setFloat32(8 + i * 4, block[i], true);
+    ws.send(frame);
+    state.inFlight++;
+    return true;
+  }
+
+  function close() {
+    state.closed = true;
+    clearTimeout(state.timer);
+    if (state.ws) {
+      const ws = state.ws;
+      state.ws = null;
+      ws.close(1000, 'client closed');
+    }
+    status('closed');
+  }
+
+  connect();
+  return { send, isOpen: () => state.ready, close };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STREAM_PROTOCOL,
+    STREAM_PROTOCOL_VERSION,
+    streamUrlFor,
+    createAnalysisStream
+  };
+}
@@ -0,0 +1,55 @@
+/* analysis-worker.js - per-clip DSP off the main thread
+   - started by the worker pool in front.js, one task message at a time; `task`
+     picks the job:
+     - 'windows': scores a chunk of sliding windows. The chunk arrives at the
+       recording's own rate, with the resampler's edge samples, and is brought to
+       CANONICAL_SAMPLE_RATE here; given a `levels` range it also returns the
+       level sums of channel 0 over it (acoustic-levels.js levelSums)
+     - 'condition': runs the signal-conditioning chain over a whole clip (its DC
+       removal and noise estimate need all of it) and hands the copies back
+     - 'bearings': hydrophone-array.js trackBearings() over the clip's channels
+     - 'vessels': vessel-events.js detectVesselPassages() over channel 0
+   - all DSP + scoring comes from analysis-core.js and the modules after it, same
+     code as the main-thread fallback
+*/
+importScripts('analysis-core.js', 'signal-conditioning.js', 'acoustic-levels.js', 'hydrophone-array.js', 'vessel-events.js');
+
+const PROGRESS_STEP = 32;
+
+function scoreChunk({ id, channels, sampleRate, inputOffset, inputLength, offset, end: chunkEnd, starts, profile, levels }) {
+  const view = canonicalSegment(channels, sampleRate, inputOffset, inputLength, offset, chunkEnd);
+  const windows = [];
+  for (let i = 0; i < starts.length; i += PROGRESS_STEP) {
+    const end = Math.min(starts.length, i + PROGRESS_STEP);
+    windows.push(...analyzeWindowRange(view, starts, i, end, profile, offset));
+    self.postMessage({ id, type: 'progress', done: end });
+  }
+  const sums = levels ? levelSums(channels[0], sampleRate, inputLength, levels.from, levels.to, inputOffset) : null;
+  return { value: { windows, levels: sums } };
+}
+
+function conditionClip({ channels, sampleRate, settings }) {
+  const conditioned = conditionChannels(channels, sampleRate, settings);
+  return { value: conditioned, transfer: conditioned.channels.map(ch => ch.buffer) };
+}
+
+function bearingsFor({ channels, sampleRate, windows, geometry }) {
+  return { value: trackBearings(channels, sampleRate, windows, geometry) };
+}
+
+function vesselsFor({ samples, sampleRate, windows, calibration }) {
+  return { value: detectVesselPassages(samples, sampleRate, windows, calibration) };
+}
+
+const TASKS = { windows: scoreChunk, condition: conditionClip, bearings: bearingsFor, vessels: vesselsFor };
+
+self.onmessage = (e) => {
+  const { id, task } = e.data;
+  try {
+    if (!TASKS[task]) throw new Error(`unknown task "${task}"`);
+    const { value, transfer = [] } = TASKS[task](e.data);
+    self.postMessage({ id, type: 'result', value }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+};
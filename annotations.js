@@ -0,0 +1,187 @@
+/* annotations.js - analyst annotations: time / frequency boxes with a label and notes
+   - an annotation is { id, start, end, lowHz, highHz, label, notes } with times in
+     seconds from the clip start; ids are Raven's Selection numbers
+   - Raven Pro selection tables (tab-separated, one row per selection) are read by
+     parseRavenSelectionTable() and written by annotationsToRaven(); Raven's duplicate
+     Waveform / Spectrogram rows of one selection are read once, and the label comes
+     from the first of RAVEN_LABEL_COLUMNS present
+   - evaluateAnnotations() treats the annotations as ground truth and scores the
+     analyzer's per-window verdicts against them, per verdict class:
+       vessel   the window is flagged isBoat
+       whale    any animal signature of the profile scores points
+       dolphin  the profile's click / whistle rules score points
+     a window is a true instance of a class when an annotation of that class covers
+     at least ANNOTATION_MIN_COVER of it (or of the annotation, for calls shorter than
+     a window); unannotated time counts as absent, so annotate the whole clip.
+     Frequency bounds are kept for Raven but not used: verdicts are full-band
+   - no DOM access; the scorer comes from analysis-core.js
+*/
+
+const _annotationCore = typeof computeEnvironmentalScore === 'function'
+  ? { computeEnvironmentalScore }
+  : require('./analysis-core.js');
+
+const ANNOTATION_MIN_COVER = 0.5;
+const RAVEN_LABEL_COLUMNS = ['annotation', 'label', 'species', 'class', 'call type', 'tags'];
+const RAVEN_NOTES_COLUMNS = ['notes', 'comments', 'comment'];
+// annotation labels (YAMNet class names and plain words, case-insensitive) per verdict class
+const VERDICT_LABELS = {
+  vessel: ['motorboat, speedboat', 'boat, water vehicle', 'ship', 'engine', 'boat', 'vessel'],
+  whale: ['whale vocalization', 'whale call', 'whale'],
+  dolphin: ['dolphin', 'dolphins']
+};
+const VERDICT_CLASSES = Object.keys(VERDICT_LABELS);
+
+// [] when a is a usable annotation, otherwise problems
+function validateAnnotation(a) {
+  if (!a || typeof a !== 'object') return ['annotation must be an object'];
+  const errors = [];
+  const num = v => typeof v === 'number' && isFinite(v);
+  if (!num(a.start) || !num(a.end) || a.start < 0 || a.end <= a.start) errors.push('start and end must be seconds with end after start');
+  if (!num(a.lowHz) || !num(a.highHz) || a.lowHz < 0 || a.highHz <= a.lowHz) errors.push('lowHz and highHz must be Hz with highHz above lowHz');
+  if (typeof a.label !== 'string' || !a.label.trim()) errors.push('label must be a non-empty string');
+  if (a.notes != null && typeof a.notes !== 'string') errors.push('notes must be a string');
+  return errors;
+}
+
+const ravenCell = v => String(v == null ? '' : v).replace(/[\t\r\n]+/g, ' ');
+
+function annotationsToRaven(annotations) {
+  const lines = [['Selection', 'View', 'Channel', 'Begin Time (s)', 'End Time (s)', 'Low Freq (Hz)', 'High Freq (Hz)', 'Annotation', 'Notes'].join('\t')];
+  annotations.forEach(a => lines.push([
+    a.id, 'Spectrogram 1', 1,
+    Number(a.start.toFixed(6)), Number(a.end.toFixed(6)),
+    Number(a.lowHz.toFixed(1)), Number(a.highHz.toFixed(1)),
+    ravenCell(a.label), ravenCell(a.notes)
+  ].join('\t')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/* text: a Raven selection table. options.maxHz stands in for a missing High Freq
+   column; options.fileName keeps only the rows of that file when the table lists
+   several (Begin File column), timed by their File Offset. Returns { annotations, warnings }. */
+function parseRavenSelectionTable(text, { maxHz = null, fileName = null } = {}) {
+  const rows = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim()).map(line => line.split('\t'));
+  if (!rows.length) return { annotations: [], warnings: ['the selection table is empty'] };
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  const col = name => head.indexOf(name);
+  const firstCol = names => names.map(col).find(i => i >= 0);
+  const c = {
+    selection: col('selection'),
+    begin: col('begin time (s)'),
+    end: col('end time (s)'),
+    low: col('low freq (hz)'),
+    high: col('high freq (hz)'),
+    file: col('begin file'),
+    offset: col('file offset (s)'),
+    label: firstCol(RAVEN_LABEL_COLUMNS),
+    notes: firstCol(RAVEN_NOTES_COLUMNS)
+  };
+  if (c.begin < 0 || c.end < 0) {
+    return { annotations: [], warnings: ['not a Raven selection table — "Begin Time (s)" and "End Time (s)" columns are required'] };
+  }
+  const warnings = [];
+  if (c.label == null) warnings.push(`no label column (${RAVEN_LABEL_COLUMNS.join(', ')}) — selections imported as "unlabelled"`);
+  if (c.high < 0 && maxHz == null) warnings.push('no "High Freq (Hz)" column — selections span the full band');
+
+  const annotations = [], seen = new Set();
+  let otherFiles = 0, bad = 0;
+  rows.slice(1).forEach((cells, i) => {
+    const cell = k => (c[k] != null && c[k] >= 0 ? (cells[c[k]] || '').trim() : '');
+    const id = cell('selection') ? Number(cell('selection')) : i + 1;
+    if (seen.has(id)) return; // the same selection in another view
+    if (fileName && c.file >= 0 && cell('file') && cell('file').split(/[\\/]/).pop() !== fileName) { otherFiles++; return; }
+    let start = Number(cell('begin')), end = Number(cell('end'));
+    if (c.file >= 0 && c.offset >= 0 && cell('offset') !== '') {
+      end = Number(cell('offset')) + (end - start);
+      start = Number(cell('offset'));
+    }
+    const a = {
+      id,
+      start,
+      end,
+      lowHz: cell('low') !== '' ? Number(cell('low')) : 0,
+      highHz: cell('high') !== '' ? Number(cell('high')) : (maxHz != null ? maxHz : 1e6),
+      label: cell('label') || 'unlabelled',
+      notes: cell('notes')
+    };
+    if (validateAnnotation(a).length) { bad++; return; }
+    seen.add(id);
+    annotations.push(a);
+  });
+  if (otherFiles) warnings.push(`${otherFiles} selection(s) belong to other files and were skipped`);
+  if (bad) warnings.push(`${bad} row(s) had unreadable times or frequencies and were skipped`);
+  return { annotations, warnings };
+}
+
+// verdict class an annotation label stands for, or null; the profile's own signature and dolphin labels count too
+function verdictClassFor(label, profile = null) {
+  const l = String(label).trim().toLowerCase();
+  const hit = VERDICT_CLASSES.find(k => VERDICT_LABELS[k].includes(l));
+  if (hit) return hit;
+  if (profile) {
+    if (profile.signatures.some(s => s.id.toLowerCase() === l || (s.label || '').toLowerCase() === l)) return 'whale';
+    if (profile.dolphin && (profile.dolphin.label || '').toLowerCase() === l) return 'dolphin';
+  }
+  return null;
+}
+
+// the analyzer's verdict classes for one scored window
+function windowVerdicts(w, profile) {
+  const r = _annotationCore.computeEnvironmentalScore(w.features, { profile });
+  const out = new Set();
+  if (w.isBoat) out.add('vessel');
+  if (Object.values(r.signatureScores).some(p => p > 0)) out.add('whale');
+  if (r.dolphinPoints > 0) out.add('dolphin');
+  return out;
+}
+
+/* annotations: ground truth; windows: the clip timeline scored with profile.
+   Returns { windowCount, classes: [{ class, truthWindows, predictedWindows,
+   truePositives, precision, recall }], unmapped: [{ label, count }] };
+   precision / recall are null when nothing was predicted / annotated. */
+function evaluateAnnotations(annotations, windows, profile) {
+  const truth = annotations.map(a => ({ a, cls: verdictClassFor(a.label, profile) }));
+  const unmapped = {};
+  truth.filter(t => !t.cls).forEach(t => { unmapped[t.a.label] = (unmapped[t.a.label] || 0) + 1; });
+
+  const counts = Object.fromEntries(VERDICT_CLASSES.map(k => [k, { truthWindows: 0, predictedWindows: 0, truePositives: 0 }]));
+  for (const w of windows) {
+    const predicted = windowVerdicts(w, profile);
+    const actual = new Set();
+    for (const { a, cls } of truth) {
+      if (!cls) continue;
+      const overlap = Math.min(w.end, a.end) - Math.max(w.start, a.start);
+      if (overlap > 0 && (overlap >= ANNOTATION_MIN_COVER * (w.end - w.start) || overlap >= ANNOTATION_MIN_COVER * (a.end - a.start))) actual.add(cls);
+    }
+    for (const k of VERDICT_CLASSES) {
+      if (actual.has(k)) counts[k].truthWindows++;
+      if (predicted.has(k)) counts[k].predictedWindows++;
+      if (actual.has(k) && predicted.has(k)) counts[k].truePositives++;
+    }
+  }
+  const ratio = (a, b) => (b ? Number((a / b).toFixed(3)) : null);
+  return {
+    windowCount: windows.length,
+    classes: VERDICT_CLASSES.map(k => ({
+      class: k,
+      ...counts[k],
+      precision: ratio(counts[k].truePositives, counts[k].predictedWindows),
+      recall: ratio(counts[k].truePositives, counts[k].truthWindows)
+    })),
+    unmapped: Object.entries(unmapped).map(([label, count]) => ({ label, count }))
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANNOTATION_MIN_COVER,
+    VERDICT_LABELS,
+    validateAnnotation,
+    annotationsToRaven,
+    parseRavenSelectionTable,
+    verdictClassFor,
+    windowVerdicts,
+    evaluateAnnotations
+  };
+}
@@ -1,12 +1,24 @@
 from flask import Flask, request, jsonify
 from flask_cors import CORS
+from flask_sock import Sock
 import numpy as np
 import io
+import json
+import math
+import os
+import re
+import struct
+import threading
+import time
+import uuid
+from datetime import datetime, timedelta
+from concurrent.futures import ThreadPoolExecutor
 import soundfile as sf
 import librosa
 
 app = Flask(__name__)
 CORS(app)
+sock = Sock(app)
 
 
 def compute_spectral_flatness(mags):
@@ -19,16 +31,383 @@ def compute_spectral_flatness(mags):
     return np.clip(flatness, 0, 1)
 
 
-def analyze_audio_features(waveform, sr):
-    """Extract audio features for environmental scoring"""
-    
-    # Convert to mono if stereo
-    if waveform.ndim > 1:
-        waveform = np.mean(waveform, axis=1)
-    
-    # Take first ~16k samples for analysis
-    SAMPLE_COUNT = 16384
-    waveform = waveform[:SAMPLE_COUNT]
+ANALYSIS_WINDOW = 16384
+ANALYSIS_HOP = ANALYSIS_WINDOW // 2  # 50% overlap
+FEATURE_KEYS = ['rms', 'lowRatio', 'midRatio', 'highRatio', 'centroid', 'flatness', 'lowPeakiness', 'clickConfidence', 'whistleConfidence',
+                'aci', 'adi', 'bi', 'ndsi', 'temporalEntropy', 'spectralEntropy']
+SOUNDSCAPE_FEATURE_KEYS = ['aci', 'adi', 'bi', 'ndsi', 'temporalEntropy', 'spectralEntropy']
+# every analysis runs at this rate, so a window always spans the same time and band
+CANONICAL_SAMPLE_RATE = 48000
+# spectral features stop here: below every common rate's Nyquist and the resampler's roll-off
+ANALYSIS_MAX_HZ = 18000
+
+
+# ------------------------------
+# Sample-rate normalization (analysis-core.js resample()). Windowed-sinc
+# (Hann-tapered, RESAMPLE_ZEROS zero crossings each side, cutoff at
+# RESAMPLE_ROLLOFF of the lower Nyquist), polyphase over L/M.
+# ------------------------------
+RESAMPLE_ZEROS = 16
+RESAMPLE_ROLLOFF = 0.95
+RESAMPLE_MAX_PHASES = 4096
+RESAMPLE_CHUNK = 16384  # output samples per vectorized step
+_resample_plans = {}
+
+
+def resample_plan(from_rate, to_rate):
+    key = (from_rate, to_rate)
+    if key not in _resample_plans:
+        g = math.gcd(from_rate, to_rate)
+        L, M = to_rate // g, from_rate // g
+        cutoff = RESAMPLE_ROLLOFF * min(1, L / M)  # relative to the input Nyquist
+        half = int(math.ceil(RESAMPLE_ZEROS / cutoff))  # taps each side, in input samples
+
+        def kernel(d):
+            taper = 0.5 + 0.5 * np.cos(np.pi * d / half)
+            return np.where(np.abs(d) < half, cutoff * np.sinc(cutoff * d) * taper, 0.0)
+
+        taps = np.arange(2 * half)
+        # one row of taps per output phase; very odd ratios are computed on the fly
+        table = kernel(np.arange(L)[:, None] / L + half - 1 - taps[None, :]) if L <= RESAMPLE_MAX_PHASES else None
+        _resample_plans[key] = (L, M, half, kernel, table)
+    return _resample_plans[key]
+
+
+def resample(samples, from_rate, to_rate):
+    """Mono samples at from_rate -> float32 at to_rate (both integer Hz)"""
+    from_rate, to_rate = int(from_rate), int(to_rate)
+    if from_rate == to_rate:
+        return samples
+    L, M, half, kernel, table = resample_plan(from_rate, to_rate)
+    n = len(samples)
+    n_out = -(-n * L // M)
+    taps = np.arange(2 * half)
+    padded = np.concatenate([np.zeros(half), np.asarray(samples, dtype=np.float64), np.zeros(half)])
+    out = np.empty(n_out, dtype=np.float32)
+    for m0 in range(0, n_out, RESAMPLE_CHUNK):
+        m = np.arange(m0, min(n_out, m0 + RESAMPLE_CHUNK), dtype=np.int64)
+        pos = m * M
+        k0 = pos // L
+        p = pos - k0 * L
+        h = table[p] if table is not None else kernel(p[:, None] / L + half - 1 - taps[None, :])
+        out[m0:m0 + len(m)] = np.sum(padded[(k0 + 1)[:, None] + taps[None, :]] * h, axis=1)
+    return out
+
+
+def canonical_window_samples(sr):
+    """Native samples covering one canonical analysis window (streamed audio)"""
+    return int(round(ANALYSIS_WINDOW * sr / CANONICAL_SAMPLE_RATE))
+
+
+# ------------------------------
+# Dolphin detectors (analysis-core.js detectClickTrains, trackWhistles,
+# mergeDetections). Click trains are broadband transients in CLICK_BAND grouped
+# by inter-click interval; whistles are the strongest WHISTLE_BAND peak of each
+# STFT frame linked into contours that last and sweep. A window's best
+# confidence of each kind becomes its clickConfidence / whistleConfidence
+# feature.
+# ------------------------------
+CLICK_FRAME = 32  # 0.7 ms at 48 kHz: short, so a tonal background adds little to a click's frame
+CLICK_HOP = CLICK_FRAME // 2
+CLICK_BAND = (5000, ANALYSIS_MAX_HZ)
+CLICK_SNR_DB = 6  # over the window's median frame (the SNR reported is over the surroundings)
+CLICK_PROMINENCE = 4  # over the frames CLICK_SPREAD hops either side
+CLICK_SPREAD = 3
+CLICK_ICI_MAX = 0.25  # s; a longer gap ends the train
+CLICK_MIN_COUNT = 4
+CLICK_FULL_COUNT = 10
+CLICK_FULL_SNR_DB = 15
+WHISTLE_FRAME = 512  # 10.7 ms, 94 Hz bins at 48 kHz
+WHISTLE_HOP = WHISTLE_FRAME // 2
+WHISTLE_BAND = (3000, ANALYSIS_MAX_HZ)
+WHISTLE_SNR_DB = 10  # peak bin over the frame's median bin in the band
+WHISTLE_MAX_STEP_HZ = 250  # per hop, about 47 kHz/s
+WHISTLE_MAX_GAP = 2  # frames a contour may skip
+WHISTLE_MIN_SECONDS = 0.05
+WHISTLE_FULL_SECONDS = 0.2
+WHISTLE_MIN_SWEEP_HZ = 300
+WHISTLE_FULL_SNR_DB = 25
+DETECTION_MIN_CONFIDENCE = 0.25  # weaker detections are not reported
+
+
+def stft_power(x, size, hop):
+    """Power spectra (bins 0 .. size/2 - 1) of the Hann-windowed frames of x"""
+    if len(x) < size:
+        return np.zeros((0, size // 2))
+    frames = np.lib.stride_tricks.sliding_window_view(np.asarray(x, dtype=float), size)[::hop] * np.hanning(size)
+    return np.abs(np.fft.rfft(frames, axis=1)[:, :size // 2]) ** 2
+
+
+def band_bins(size, sr, band):
+    bin_hz = sr / size
+    return int(math.ceil(band[0] / bin_hz)), min(size // 2 - 1, int(math.floor(band[1] / bin_hz)))
+
+
+def to_ms(seconds):
+    return round(seconds * 1000, 1)
+
+
+def click_train_stats(times):
+    """Count, inter-click intervals (ms) and regularity (1 - mean |dICI| / mean ICI)"""
+    icis = np.diff(times)
+    jitter = float(np.sum(np.abs(np.diff(icis)))) / (max(1, len(icis) - 1) * float(np.mean(icis)))
+    return {
+        'count': len(times),
+        'ici': {'median': to_ms(float(np.median(icis))), 'min': to_ms(float(np.min(icis))), 'max': to_ms(float(np.max(icis)))},
+        'regularity': round(max(0.0, 1 - jitter), 2)
+    }
+
+
+def detect_click_trains(x, sr):
+    frames = stft_power(x, CLICK_FRAME, CLICK_HOP)
+    k0, k1 = band_bins(CLICK_FRAME, sr, CLICK_BAND)
+    if len(frames) < 3 or k1 < k0:
+        return []
+    energy = frames[:, k0:k1 + 1].sum(axis=1)
+    floor = float(np.median(energy)) + 1e-20
+    min_energy = 10 ** (CLICK_SNR_DB / 10) * floor
+    last = len(energy) - 1
+    idx = np.arange(len(energy))
+    surround = np.maximum(energy[np.maximum(0, idx - CLICK_SPREAD)], energy[np.minimum(last, idx + CLICK_SPREAD)])
+    e = energy[1:last]
+    is_click = (e >= min_energy) & (e > energy[:last - 1]) & (e >= energy[2:]) & (e >= CLICK_PROMINENCE * surround[1:last])
+    clicks = (np.nonzero(is_click)[0] + 1).tolist()
+
+    trains, run = [], []
+    for f in clicks:
+        if run and (f - run[-1]) * CLICK_HOP / sr > CLICK_ICI_MAX:
+            trains.append(run)
+            run = []
+        run.append(f)
+    trains.append(run)
+
+    bin_hz = sr / CLICK_FRAME
+    out = []
+    for t in trains:
+        if len(t) < CLICK_MIN_COUNT:
+            continue
+        times = [(f * CLICK_HOP + CLICK_FRAME / 2) / sr for f in t]
+        stats = click_train_stats(times)
+        tf = np.array(t)
+        # band of the clicks' spectrum over their surroundings, within 10 dB of its peak
+        around = (frames[np.maximum(0, tf - CLICK_SPREAD), k0:k1 + 1] + frames[np.minimum(last, tf + CLICK_SPREAD), k0:k1 + 1]) / 2
+        spectrum = np.maximum(0, frames[tf, k0:k1 + 1] - around).sum(axis=0)
+        strong = np.nonzero(spectrum >= spectrum.max() / 10)[0] + k0
+        snr_db = float(np.median(10 * np.log10(energy[tf] / (surround[tf] + 1e-20))))
+        confidence = min(1, (len(t) - 1) / (CLICK_FULL_COUNT - 1)) * stats['regularity'] * min(1, snr_db / CLICK_FULL_SNR_DB)
+        out.append({
+            'kind': 'clicks',
+            'start': round(times[0], 4),
+            'end': round(times[-1], 4),
+            'lowHz': int(round(strong[0] * bin_hz)),
+            'highHz': int(round(strong[-1] * bin_hz)),
+            'confidence': round(confidence, 2),
+            **stats,
+            'clickTimes': [round(v, 4) for v in times]
+        })
+    return out
+
+
+def track_whistles(x, sr, frames=None):
+    """frames: the WHISTLE_FRAME STFT of x, when the caller already has it"""
+    if frames is None:
+        frames = stft_power(x, WHISTLE_FRAME, WHISTLE_HOP)
+    k0, k1 = band_bins(WHISTLE_FRAME, sr, WHISTLE_BAND)
+    if k1 <= k0:
+        return []
+    bin_hz = sr / WHISTLE_FRAME
+    min_snr = 10 ** (WHISTLE_SNR_DB / 10)
+    max_step = WHISTLE_MAX_STEP_HZ / bin_hz  # bins per hop
+    band = frames[:, k0:k1 + 1]
+    peaks = np.argmax(band, axis=1) + k0 if len(band) else []
+    floors = np.median(band, axis=1) + 1e-20 if len(band) else []
+    open_contours, closed = [], []
+    for f, p in enumerate(frames):
+        for i in range(len(open_contours) - 1, -1, -1):
+            if f - open_contours[i]['lastFrame'] > WHISTLE_MAX_GAP + 1:
+                closed.append(open_contours.pop(i))
+        peak = int(peaks[f])
+        if p[peak] < min_snr * floors[f]:
+            continue
+        # the open contour closest in frequency that could have moved here
+        best = None
+        for c in open_contours:
+            step = abs(peak - c['lastBin'])
+            if step <= max_step * (f - c['lastFrame']) and (best is None or step < abs(peak - best['lastBin'])):
+                best = c
+        point = {'frame': f, 'bin': peak, 'snrDb': 10 * math.log10(p[peak] / floors[f])}
+        if best:
+            best['points'].append(point)
+            best['lastFrame'] = f
+            best['lastBin'] = peak
+        else:
+            open_contours.append({'points': [point], 'lastFrame': f, 'lastBin': peak})
+    closed.extend(open_contours)
+
+    def time(f):
+        return (f * WHISTLE_HOP + WHISTLE_FRAME / 2) / sr
+
+    whistles = []
+    for c in closed:
+        points = c['points']
+        first, last_frame = points[0]['frame'], points[-1]['frame']
+        seconds = (last_frame - first) * WHISTLE_HOP / sr
+        bins = [pt['bin'] for pt in points]
+        low, high = min(bins), max(bins)
+        if seconds < WHISTLE_MIN_SECONDS or (high - low) * bin_hz < WHISTLE_MIN_SWEEP_HZ:
+            continue
+        continuity = len(points) / (last_frame - first + 1)
+        snr_db = sum(pt['snrDb'] for pt in points) / len(points)
+        confidence = min(1, seconds / WHISTLE_FULL_SECONDS) * continuity * min(1, snr_db / WHISTLE_FULL_SNR_DB)
+        whistles.append({
+            'kind': 'whistle',
+            'start': round(time(first), 4),
+            'end': round(time(last_frame), 4),
+            'lowHz': int(round(low * bin_hz)),
+            'highHz': int(round(high * bin_hz)),
+            'confidence': round(confidence, 2),
+            'contour': [[round(time(pt['frame']), 4), int(round(pt['bin'] * bin_hz))] for pt in points]
+        })
+    return sorted(whistles, key=lambda d: d['start'])
+
+
+def detect_dolphins(mono, sr, whistle_frames=None):
+    """Click trains and whistles in one window's mono samples, by start time"""
+    found = detect_click_trains(mono, sr) + track_whistles(mono, sr, whistle_frames)
+    return sorted((d for d in found if d['confidence'] >= DETECTION_MIN_CONFIDENCE), key=lambda d: d['start'])
+
+
+def detection_features(detections):
+    """The best confidence of each kind, as window features"""
+    def best(kind):
+        return max([d['confidence'] for d in detections if d['kind'] == kind], default=0)
+    return {'clickConfidence': best('clicks'), 'whistleConfidence': best('whistle')}
+
+
+def shift_detection(d, seconds):
+    """A window's detection moved `seconds` later (window-relative -> clip time)"""
+    def at(t):
+        return round(t + seconds, 4)
+    out = dict(d, start=at(d['start']), end=at(d['end']))
+    if 'clickTimes' in d:
+        out['clickTimes'] = [at(t) for t in d['clickTimes']]
+    if 'contour' in d:
+        out['contour'] = [[at(t), hz] for t, hz in d['contour']]
+    return out
+
+
+def merge_detections(windows):
+    """One list for the clip: detections of one kind that overlap in band and
+    follow on in time are joined (overlapping windows see the same train or whistle)"""
+    found = sorted((d for w in windows for d in w.get('detections', [])), key=lambda d: d['start'])
+    merged = []
+    for d in found:
+        slack = CLICK_ICI_MAX if d['kind'] == 'clicks' else (WHISTLE_MAX_GAP + 1) * WHISTLE_HOP / CANONICAL_SAMPLE_RATE
+        into = next((m for m in reversed(merged) if m['kind'] == d['kind'] and d['start'] <= m['end'] + slack
+                     and d['lowHz'] <= m['highHz'] and d['highHz'] >= m['lowHz']), None)
+        if into is None:
+            merged.append(dict(d))
+            continue
+        into['lowHz'] = min(into['lowHz'], d['lowHz'])
+        into['highHz'] = max(into['highHz'], d['highHz'])
+        into['confidence'] = max(into['confidence'], d['confidence'])
+        if d['kind'] == 'clicks':
+            apart = CLICK_HOP / CANONICAL_SAMPLE_RATE  # the same click seen by two windows
+            s = sorted(into['clickTimes'] + d['clickTimes'])
+            times = [t for i, t in enumerate(s) if i == 0 or t - s[i - 1] > apart]
+            into.update(click_train_stats(times), clickTimes=times, start=times[0], end=times[-1])
+        else:
+            apart = WHISTLE_HOP / 2 / CANONICAL_SAMPLE_RATE
+            s = sorted(into['contour'] + d['contour'], key=lambda pt: pt[0])
+            contour = [pt for i, pt in enumerate(s) if i == 0 or pt[0] - s[i - 1][0] > apart]
+            into.update(contour=contour, start=contour[0][0], end=contour[-1][0])
+    return merged
+
+
+# ------------------------------
+# Soundscape ecology indices (analysis-core.js soundscapeIndices). ACI, ADI, BI
+# and temporal entropy come from the WHISTLE_FRAME STFT, NDSI and spectral
+# entropy from the window spectrum; the anthrophony / biophony bands come from
+# the profile's `soundscape` block.
+# ------------------------------
+SOUNDSCAPE_BANDS = {'anthrophony': (20, 1000), 'biophony': (1000, ANALYSIS_MAX_HZ)}
+ADI_BAND_HZ = 1000
+ADI_THRESHOLD_DB = -50
+SOUNDSCAPE_FLOOR_DB = -90
+
+
+def soundscape_bands(profile):
+    """The profile's anthrophony / biophony bands, or the defaults"""
+    return {**SOUNDSCAPE_BANDS, **((profile or {}).get('soundscape') or {})}
+
+
+def normalized_entropy(values):
+    """Normalised Shannon entropy (0..1) of non-negative values"""
+    values = np.asarray(values, dtype=float)
+    total = np.sum(values)
+    if not total > 0 or len(values) < 2:
+        return 0.0
+    p = values[values > 0] / total
+    return float(-np.sum(p * np.log(p)) / np.log(len(values)))
+
+
+def soundscape_indices(frames, mags, sr, fft_size, bands=None):
+    """aci, adi, bi, ndsi, temporalEntropy, spectralEntropy for one window;
+    frames: stft_power(x, WHISTLE_FRAME, WHISTLE_HOP), mags: the window spectrum"""
+    bands = bands or SOUNDSCAPE_BANDS
+    eps = 1e-12
+    bin_hz = sr / WHISTLE_FRAME
+    top = min(WHISTLE_FRAME // 2 - 1, int(math.floor(ANALYSIS_MAX_HZ / bin_hz)))
+    cells = frames[:, 1:top + 1]
+    loudest = float(np.max(cells)) if cells.size else 0.0
+    aci = adi = bi = temporal_entropy = 0.0
+    if loudest > eps:  # silence (or a window shorter than a frame) has no soundscape
+        power = np.maximum(cells, max(loudest * 10 ** (SOUNDSCAPE_FLOOR_DB / 10), eps))
+        amp = np.sqrt(power)
+        aci = float(np.sum(np.sum(np.abs(np.diff(amp, axis=0)), axis=0) / np.sum(amp, axis=0)))
+
+        freqs = np.arange(1, top + 1) * bin_hz
+        n_bands = int(math.ceil(ANALYSIS_MAX_HZ / ADI_BAND_HZ))
+        band_of = np.minimum(n_bands - 1, np.floor(freqs / ADI_BAND_HZ).astype(int))
+        above = np.sum(cells > loudest * 10 ** (ADI_THRESHOLD_DB / 10), axis=0)
+        shares = np.array([np.sum(above[band_of == b]) / (np.sum(band_of == b) * len(cells)) if np.any(band_of == b) else 0.0
+                           for b in range(n_bands)])
+        shares = shares[shares > 0]
+        if len(shares):
+            p = shares / np.sum(shares)
+            adi = float(-np.sum(p * np.log(p)))
+
+        b0, b1 = bands['biophony']
+        in_band = (freqs >= b0) & (freqs < b1)
+        if np.any(in_band):
+            db = 10 * np.log10(np.mean(power, axis=0)[in_band])
+            bi = float(np.sum(db - np.min(db)) * bin_hz / 1000)
+
+        temporal_entropy = normalized_entropy(np.sqrt(np.sum(power, axis=1)))
+
+    freqs = np.arange(len(mags)) * sr / fft_size
+    energy = np.asarray(mags, dtype=float) ** 2
+    a0, a1 = bands['anthrophony']
+    b0, b1 = bands['biophony']
+    anthro = float(np.sum(energy[(freqs >= a0) & (freqs < a1)]))
+    bio = float(np.sum(energy[(freqs >= b0) & (freqs < b1)]))
+    ndsi = (bio - anthro) / (bio + anthro) if anthro + bio > eps else 0.0
+
+    return {
+        'aci': round(aci, 1),
+        'adi': round(adi, 3),
+        'bi': round(bi, 1),
+        'ndsi': round(ndsi, 3),
+        'temporalEntropy': round(temporal_entropy, 3),
+        'spectralEntropy': round(normalized_entropy(mags[1:]), 3)
+    }
+
+
+def analyze_window(waveform, sr, soundscape=None):
+    """(features, detections) for one mono window: the features for environmental
+    scoring, with the same spectrum (no Nyquist bin, nothing above ANALYSIS_MAX_HZ)
+    and rounding as analyzeWindow in JS, plus the dolphin detections;
+    soundscape: the index bands (soundscape_bands(profile))"""
     
     # Compute RMS
     rms = np.sqrt(np.mean(waveform ** 2))
@@ -42,12 +421,13 @@ def analyze_audio_features(waveform, sr):
     padded = np.zeros(fft_size)
     padded[:len(windowed)] = windowed
     
-    # Compute FFT
-    fft = np.fft.rfft(padded)
+    # Compute FFT (bins 0 .. fft_size/2 - 1, like fftRealtoMag, up to ANALYSIS_MAX_HZ)
+    top = min(fft_size // 2, int(ANALYSIS_MAX_HZ // (sr / fft_size)) + 1)
+    fft = np.fft.rfft(padded)[:top]
     mags = np.abs(fft)
     
     # Frequency bins
-    freqs = np.fft.rfftfreq(fft_size, 1.0 / sr)
+    freqs = np.fft.rfftfreq(fft_size, 1.0 / sr)[:top]
     
     # Energy in frequency bands
     low_mask = freqs < 300
@@ -76,183 +456,1600 @@ def analyze_audio_features(waveform, sr):
     else:
         low_peakiness = 1.0
     
-    return {
-        'rms': float(rms),
-        'lowRatio': float(low_ratio),
-        'midRatio': float(mid_ratio),
-        'highRatio': float(high_ratio),
-        'centroid': float(centroid),
-        'flatness': float(flatness),
-        'lowPeakiness': float(low_peakiness)
+    frames = stft_power(waveform, WHISTLE_FRAME, WHISTLE_HOP)
+    detections = detect_dolphins(waveform, sr, frames)
+    features = {
+        'rms': round(float(rms), 4),
+        'lowRatio': round(float(low_ratio), 3),
+        'midRatio': round(float(mid_ratio), 3),
+        'highRatio': round(float(high_ratio), 3),
+        'centroid': int(round(float(centroid))),
+        'flatness': round(float(flatness), 3),
+        'lowPeakiness': round(float(low_peakiness), 2),
+        **detection_features(detections),
+        **soundscape_indices(frames, mags, sr, fft_size, soundscape)
     }
+    return features, detections
 
 
-def compute_environmental_score(features):
-    """Compute environmental score using pattern matching for marine sounds"""
-    
-    rms = features['rms']
-    lowRatio = features['lowRatio']
-    midRatio = features['midRatio']
-    highRatio = features['highRatio']
-    centroid = features['centroid']
-    flatness = features['flatness']
-    lowPeakiness = features['lowPeakiness']
-    
-    score = 50  # Start at neutral
-    
-    # HUMPBACK WHALE SIGNATURE (max ~35 points)
-    humpback_score = 0
-    if lowRatio > 0.6:
-        humpback_score += 10
-    if lowRatio > 0.5:
-        humpback_score += 6
-    if flatness < 0.2:
-        humpback_score += 12
-    elif flatness < 0.3:
-        humpback_score += 8
-    if lowPeakiness > 3.5:
-        humpback_score += 10
-    elif lowPeakiness > 2.5:
-        humpback_score += 6
-    if centroid < 1000:
-        humpback_score += 8
-    elif centroid < 1500:
-        humpback_score += 5
-    if midRatio < 0.3:
-        humpback_score += 5
+def analyze_audio_features(waveform, sr):
+    """Extract audio features for environmental scoring from one mono window"""
+    return analyze_window(waveform, sr)[0]
+
+
+PROFILE_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'profiles')
+PROFILE_NAME_RE = re.compile(r'^[\w-]+$')
+# signature ids and labels, and the dolphin label, are shown in the score trace: plain text only
+PROFILE_LABEL_MAX = 60
+PLAIN_LABEL_RE = re.compile(r'^[^<>&"\'`\x00-\x1f\x7f]{1,%d}$' % PROFILE_LABEL_MAX)
+
+
+def load_profile(name):
+    """Load a built-in scoring profile from profiles/<name>.json"""
+    if not PROFILE_NAME_RE.match(name or ''):
+        raise ValueError('invalid profile name')
+    path = os.path.join(PROFILE_DIR, name + '.json')
+    if not os.path.isfile(path):
+        raise ValueError('unknown profile: ' + name)
+    with open(path, encoding='utf-8') as fh:
+        return json.load(fh)
+
+
+def list_profiles():
+    """Names of the built-in scoring profiles"""
+    with open(os.path.join(PROFILE_DIR, 'index.json'), encoding='utf-8') as fh:
+        return json.load(fh)
+
+
+def validate_profile(p):
+    """Return a list of problems with a scoring profile (empty if valid)"""
+    errors = []
+
+    def check_label(label, where):
+        if not isinstance(label, str) or not PLAIN_LABEL_RE.match(label):
+            errors.append('%s must be plain text of 1-%d characters (no <>&"\'` or control characters)' % (where, PROFILE_LABEL_MAX))
+            return False
+        return True
+
+    def check_cond(c, where, need_points):
+        if not isinstance(c, dict):
+            errors.append(where + ': rule must be an object')
+            return
+        if c.get('feature') not in FEATURE_KEYS:
+            errors.append('%s: unknown feature "%s"' % (where, c.get('feature')))
+        if not any(isinstance(c.get(k), (int, float)) for k in ('gt', 'gte', 'lt', 'lte')):
+            errors.append(where + ': needs a gt/gte/lt/lte threshold')
+        if need_points and not isinstance(c.get('points'), (int, float)):
+            errors.append(where + ': points must be a number')
+
+    def check_rules(rules, where):
+        if not isinstance(rules, list):
+            errors.append(where + ': must be a list')
+            return
+        for i, r in enumerate(rules):
+            if isinstance(r, dict) and isinstance(r.get('firstOf'), list):
+                for j, c in enumerate(r['firstOf']):
+                    check_cond(c, '%s[%d].firstOf[%d]' % (where, i, j), True)
+            else:
+                check_cond(r, '%s[%d]' % (where, i), True)
+
+    if not isinstance(p, dict):
+        return ['profile must be a JSON object']
+    if not isinstance(p.get('name'), str) or not PROFILE_NAME_RE.match(p['name']):
+        errors.append('name must be letters, digits, "-" or "_"')
+    if not isinstance(p.get('baseScore'), (int, float)):
+        errors.append('baseScore must be a number')
+    if not isinstance(p.get('signatures'), list):
+        errors.append('signatures must be a list')
+    else:
+        for i, s in enumerate(p['signatures']):
+            if not isinstance(s, dict) or not isinstance(s.get('id'), str):
+                errors.append('signatures[%d]: id is required' % i)
+            elif check_label(s['id'], 'signatures[%d].id' % i):
+                if s.get('label') is not None:
+                    check_label(s['label'], 'signatures.%s.label' % s['id'])
+                check_rules(s.get('rules'), 'signatures.%s.rules' % s['id'])
+    dolphin = p.get('dolphin')
+    if dolphin is not None:
+        if not isinstance(dolphin, dict):
+            errors.append('dolphin must be an object')
+        else:
+            if dolphin.get('label') is not None:
+                check_label(dolphin['label'], 'dolphin.label')
+            check_rules(dolphin.get('rules'), 'dolphin.rules')
+            veto = dolphin.get('boatVeto')
+            if veto is not None and not (isinstance(veto, (int, float)) and 0 <= veto <= 1):
+                errors.append('dolphin.boatVeto must be a confidence from 0 to 1')
+    soundscape = p.get('soundscape')
+    if soundscape is not None:
+        if not isinstance(soundscape, dict):
+            errors.append('soundscape must be an object')
+        else:
+            def band_ok(band):
+                return (isinstance(band, list) and len(band) == 2 and all(isinstance(v, (int, float)) for v in band)
+                        and 0 <= band[0] < band[1] <= ANALYSIS_MAX_HZ)
+            for k in ('anthrophony', 'biophony'):
+                if soundscape.get(k) is not None and not band_ok(soundscape[k]):
+                    errors.append('soundscape.%s must be [lowHz, highHz] within 0..%d' % (k, ANALYSIS_MAX_HZ))
+            bands = soundscape_bands(p)
+            anthro, bio = list(bands['anthrophony']), list(bands['biophony'])
+            if band_ok(anthro) and band_ok(bio) and anthro[0] < bio[1] and bio[0] < anthro[1]:
+                errors.append('soundscape.anthrophony and soundscape.biophony must not overlap')
+    boat = p.get('boat') if isinstance(p.get('boat'), dict) else {}
+    detect = boat['detect'].get('anyOf') if isinstance(boat.get('detect'), dict) else None
+    if not isinstance(detect, list):
+        errors.append('boat.detect.anyOf must be a list')
+    else:
+        for i, g in enumerate(detect):
+            if not isinstance(g, dict) or not isinstance(g.get('allOf'), list):
+                errors.append('boat.detect.anyOf[%d]: allOf must be a list' % i)
+            else:
+                for j, c in enumerate(g['allOf']):
+                    check_cond(c, 'boat.detect.anyOf[%d].allOf[%d]' % (i, j), False)
+    check_rules(boat.get('penalties'), 'boat.penalties')
+    caps = p.get('caps') if isinstance(p.get('caps'), dict) else {}
+    if not isinstance(caps.get('boatMax'), (int, float)) or not isinstance(caps.get('animalMax'), (int, float)):
+        errors.append('caps.boatMax and caps.animalMax must be numbers')
+    notes = p.get('notes')
+    if not isinstance(notes, list) or not notes:
+        errors.append('notes must be a non-empty list')
+    else:
+        for i, n in enumerate(notes):
+            if not isinstance(n, dict) or not isinstance(n.get('min'), (int, float)) or not isinstance(n.get('text'), str):
+                errors.append('notes[%d]: needs min and text' % i)
+    return errors
+
+
+def note_for_score(score, profile):
+    """Note band for a 0-100 score"""
+    for band in profile['notes']:
+        if score >= band['min']:
+            return band['text']
+    return ''
+
+
+def condition_matches(cond, features):
+    """True when the feature satisfies every bound given on the condition"""
+    v = features.get(cond['feature'])
+    if v is None:
+        return False
+    if 'gt' in cond and not v > cond['gt']:
+        return False
+    if 'gte' in cond and not v >= cond['gte']:
+        return False
+    if 'lt' in cond and not v < cond['lt']:
+        return False
+    if 'lte' in cond and not v <= cond['lte']:
+        return False
+    return True
+
+
+def format_threshold(v):
+    """Print thresholds the way JavaScript does (2.0 -> '2')"""
+    return str(int(v)) if float(v).is_integer() else repr(v)
+
+
+def describe_condition(cond):
+    """Human-readable form of a rule condition, e.g. '0.15 < highRatio < 0.4'"""
+    f = cond['feature']
+    t = {k: format_threshold(cond[k]) for k in ('gt', 'gte', 'lt', 'lte') if k in cond}
+    lower = t['gt'] + ' < ' if 'gt' in t else (t['gte'] + ' ≤ ' if 'gte' in t else '')
+    upper = ' < ' + t['lt'] if 'lt' in t else (' ≤ ' + t['lte'] if 'lte' in t else '')
+    if lower and upper:
+        return lower + f + upper
+    if lower:
+        return '%s > %s' % (f, t['gt']) if 'gt' in t else '%s ≥ %s' % (f, t['gte'])
+    return f + upper
+
+
+def trace_rule(rule, features, matched, applied=None):
+    """One trace entry: feature value, threshold, points and whether they counted"""
+    t = {'feature': rule['feature'], 'value': features.get(rule['feature']),
+         'test': describe_condition(rule), 'matched': matched}
+    if 'points' in rule:
+        t['points'] = rule['points']
+        t['applied'] = bool(applied)
+    return t
+
+
+def evaluate_rules(rules, features, trace=None):
+    """Sum matching rule points; firstOf groups behave like if / elif chains.
+    Pass a trace list to get one entry per rule evaluated."""
+    points = 0
+    for rule in rules:
+        if 'firstOf' in rule:
+            hit = None
+            tiers = []
+            for r in rule['firstOf']:
+                matched = condition_matches(r, features)
+                applied = matched and hit is None
+                if applied:
+                    hit = r
+                if trace is not None:
+                    tiers.append(trace_rule(r, features, matched, applied))
+                elif hit:
+                    break
+            if hit:
+                points += hit['points']
+            if trace is not None:
+                trace.append({'firstOf': tiers})
+        else:
+            matched = condition_matches(rule, features)
+            if matched:
+                points += rule['points']
+            if trace is not None:
+                trace.append(trace_rule(rule, features, matched, matched))
+    return points
+
+
+def mark_unapplied(entry):
+    if 'firstOf' in entry:
+        for t in entry['firstOf']:
+            mark_unapplied(t)
+    else:
+        entry['applied'] = False
+
+
+def compute_environmental_score(features, profile, with_trace=False):
+    """Compute environmental score using the pattern-matching rules of a scoring profile"""
     
-    # ORCA/KILLER WHALE SIGNATURE (max ~35 points)
-    orca_score = 0
-    if 0.15 < highRatio < 0.4:
-        orca_score += 10
-    if 0.25 < flatness < 0.55:
-        orca_score += 8
-    if 0.25 < midRatio < 0.5:
-        orca_score += 8
-    if 0.2 < lowRatio < 0.6:
-        orca_score += 7
-    if 1000 < centroid < 3000:
-        orca_score += 8
-    if 1.5 < lowPeakiness < 4:
-        orca_score += 5
-    if 0.01 < rms < 0.08:
-        orca_score += 5
+    score = profile['baseScore']
     
-    # BOAT/ENGINE SIGNATURE (HEAVY PENALTIES)
-    boat_score = 0
+    # Animal signatures — the best-matching one counts
+    signature_scores = {}
+    signature_trace = []
+    animal_score, best_signature = 0, None
+    for sig in profile['signatures']:
+        rules = [] if with_trace else None
+        signature_scores[sig['id']] = evaluate_rules(sig['rules'], features, rules)
+        if signature_scores[sig['id']] > animal_score:
+            animal_score = signature_scores[sig['id']]
+            best_signature = sig['id']
+        if with_trace:
+            signature_trace.append({'id': sig['id'], 'label': sig.get('label', sig['id']),
+                                    'points': signature_scores[sig['id']], 'rules': rules})
     
-    # Critical boat indicators
-    is_boat = (
-        (flatness > 0.5) or
-        (centroid > 2000 and lowPeakiness < 2.5) or
-        (midRatio > 0.4 and flatness > 0.45) or
-        (rms > 0.08)
-    )
+    # Dolphins: click-train / whistle detector evidence, counted on top of the best signature
+    dolphin = profile.get('dolphin')
+    dolphin_trace = [] if with_trace else None
+    dolphin_score = evaluate_rules(dolphin['rules'], features, dolphin_trace) if dolphin else 0
+    dolphin_evidence = max(features.get('clickConfidence') or 0, features.get('whistleConfidence') or 0)
+    # clicks and whistles fill the >3 kHz band; when the detectors are this sure, that is not an engine
+    boat_vetoed = bool(dolphin) and dolphin.get('boatVeto') is not None and dolphin_evidence >= dolphin['boatVeto']
     
-    if is_boat:
-        # Heavy penalties for boat sounds
-        if flatness > 0.7:
-            boat_score -= 60
-        elif flatness > 0.6:
-            boat_score -= 50
-        elif flatness > 0.5:
-            boat_score -= 40
-        elif flatness > 0.4:
-            boat_score -= 30
-        
-        if centroid > 4000:
-            boat_score -= 40
-        elif centroid > 3000:
-            boat_score -= 35
-        elif centroid > 2500:
-            boat_score -= 30
-        elif centroid > 2000:
-            boat_score -= 20
-        
-        if lowPeakiness < 1.5:
-            boat_score -= 30
-        elif lowPeakiness < 2.0:
-            boat_score -= 25
-        elif lowPeakiness < 2.5:
-            boat_score -= 15
-        
-        if midRatio > 0.5:
-            boat_score -= 30
-        elif midRatio > 0.4:
-            boat_score -= 20
-        
-        if highRatio > 0.35:
-            boat_score -= 25
-        
-        if rms > 0.15:
-            boat_score -= 30
-        elif rms > 0.1:
-            boat_score -= 20
-        elif rms > 0.08:
-            boat_score -= 10
+    # Boat/engine: penalties only apply once a detection condition fires
+    detect_trace = []
+    for group in profile['boat']['detect']['anyOf']:
+        conditions = [trace_rule(c, features, condition_matches(c, features)) for c in group['allOf']]
+        detect_trace.append({'matched': all(c['matched'] for c in conditions), 'conditions': conditions})
+    boat_indicated = any(g['matched'] for g in detect_trace)
+    is_boat = boat_indicated and not boat_vetoed
+    penalty_trace = [] if with_trace else None
+    boat_score = evaluate_rules(profile['boat']['penalties'], features, penalty_trace) if is_boat else 0
+    if with_trace and not is_boat:
+        # penalties don't count without a detection; trace them anyway so the thresholds are visible
+        evaluate_rules(profile['boat']['penalties'], features, penalty_trace)
+        for t in penalty_trace:
+            mark_unapplied(t)
     
     # Combine scores
-    animal_score = max(humpback_score, orca_score)
-    score += animal_score + boat_score
+    score += animal_score + dolphin_score + boat_score
+    raw = score
     
-    # Cap score at 30 if boat detected
-    if is_boat and score > 30:
-        score = min(30, score)
+    # Cap score if boat detected
+    boat_cap_applied = is_boat and score > profile['caps']['boatMax']
+    if boat_cap_applied:
+        score = profile['caps']['boatMax']
     
-    # Cap marine animal scores to keep them in 80-95 range (not 100)
-    if not is_boat and score > 95:
-        score = 95
+    # Cap marine animal scores (keeps them short of 100)
+    animal_cap_applied = not is_boat and score > profile['caps']['animalMax']
+    if animal_cap_applied:
+        score = profile['caps']['animalMax']
     
     # Clamp to 0-100
-    score = int(np.clip(score, 0, 100))
+    score = int(np.clip(round(score), 0, 100))
     
-    # Determine note based on ranges
-    if score >= 80:
-        note = "High: Strong marine mammal vocalizations detected (healthy environment)."
-    elif score >= 40:
-        note = "Medium: Moderate marine activity or mixed signals with some noise."
-    else:
-        note = "Low: Significant pollution (boat/engine noise) or minimal biological activity."
+    result = {
+        'score': score,
+        'note': note_for_score(score, profile),
+        'signatureScores': signature_scores,
+        'dolphinPoints': dolphin_score,
+        'boatPenalty': boat_score,
+        'isBoat': is_boat,
+        'profile': profile['name']
+    }
+    if with_trace:
+        result['trace'] = {
+            'profile': profile['name'],
+            'features': dict(features),
+            'baseScore': profile['baseScore'],
+            'signatures': [dict(s, chosen=s['id'] == best_signature) for s in signature_trace],
+            'animalPoints': animal_score,
+            'dolphin': {
+                'label': dolphin.get('label', 'Dolphins'),
+                'points': dolphin_score,
+                'rules': dolphin_trace,
+                'evidence': dolphin_evidence,
+                'boatVeto': dolphin.get('boatVeto')
+            } if dolphin else None,
+            'boat': {
+                'detected': is_boat,
+                'vetoed': boat_indicated and boat_vetoed,
+                'detect': detect_trace,
+                'penalties': penalty_trace,
+                'points': boat_score
+            },
+            'caps': [
+                {'name': 'boatMax', 'limit': profile['caps']['boatMax'], 'when': 'boat detected',
+                 'applied': boat_cap_applied},
+                {'name': 'animalMax', 'limit': profile['caps']['animalMax'], 'when': 'no boat detected',
+                 'applied': animal_cap_applied}
+            ],
+            'raw': raw,
+            'final': score
+        }
+    return result
+
+
+def timeline_window_starts(length, win=ANALYSIS_WINDOW, hop=ANALYSIS_HOP):
+    """Window start offsets covering the whole clip, tail included"""
+    if length <= win:
+        return [0]
+    starts = list(range(0, length - win + 1, hop))
+    if starts[-1] < length - win:
+        starts.append(length - win)
+    return starts
+
+
+def summarize_timeline(windows):
+    """Clip-level statistics over the per-window scores"""
+    scores = np.array([w['score'] for w in windows], dtype=float)
+    mean_features = {k: float(np.mean([w['features'][k] for w in windows])) for k in FEATURE_KEYS}
+    return {
+        'windowCount': len(windows),
+        'mean': round(float(np.mean(scores)), 1),
+        'min': int(np.min(scores)),
+        'max': int(np.max(scores)),
+        'p10': round(float(np.percentile(scores, 10)), 1),
+        'p25': round(float(np.percentile(scores, 25)), 1),
+        'p50': round(float(np.percentile(scores, 50)), 1),
+        'p75': round(float(np.percentile(scores, 75)), 1),
+        'p90': round(float(np.percentile(scores, 90)), 1),
+        'boatFraction': round(sum(1 for w in windows if w['isBoat']) / len(windows), 3),
+        'meanFeatures': mean_features
+    }
+
+
+def score_window(chunk, start, sr, profile):
+    """Features + score for one mono window starting at sample `start`;
+    scored at CANONICAL_SAMPLE_RATE whatever sr is"""
+    features, detections = analyze_window(resample(chunk, sr, CANONICAL_SAMPLE_RATE), CANONICAL_SAMPLE_RATE,
+                                          soundscape_bands(profile))
+    result = compute_environmental_score(features, profile)
+    window = {
+        'start': round(start / sr, 3),
+        'end': round((start + len(chunk)) / sr, 3),
+        'features': features,
+        'score': result['score'],
+        'note': result['note'],
+        'isBoat': result['isBoat']
+    }
+    # only windows that heard something carry a list (merge_detections pools them)
+    if detections:
+        window['detections'] = [shift_detection(d, start / sr) for d in detections]
+    return window
+
+
+def analyze_timeline(waveform, sr, profile, on_window=None):
+    """Score overlapping windows across the whole recording.
+    on_window(windows_so_far, total) is called after every window (jobs use it
+    for progress and cancellation)."""
     
+    # Convert to mono if stereo
+    if waveform.ndim > 1:
+        waveform = np.mean(waveform, axis=1)
+    duration = round(len(waveform) / sr, 3)
+    # windows span the same time and band whatever the recording's rate
+    waveform = resample(waveform, sr, CANONICAL_SAMPLE_RATE)
+    
+    windows = []
+    starts = timeline_window_starts(len(waveform))
+    for start in starts:
+        windows.append(score_window(waveform[start:start + ANALYSIS_WINDOW], start, CANONICAL_SAMPLE_RATE, profile))
+        if on_window:
+            on_window(windows, len(starts))
+    
+    return {
+        'duration': duration,
+        'windowSeconds': round(ANALYSIS_WINDOW / CANONICAL_SAMPLE_RATE, 3),
+        'hopSeconds': round(ANALYSIS_HOP / CANONICAL_SAMPLE_RATE, 3),
+        'profile': profile['name'],
+        'windows': windows,
+        'summary': summarize_timeline(windows)
+    }
+
+
+# ------------------------------
+# Calibrated levels in dB re 1 uPa (acoustic-levels.js computeLevels). A
+# calibration (hydrophone sensitivity in dB re 1 V/uPa, gain in dB, ADC
+# full-scale volts) offsets every level by 20*log10(adcFullScaleV) - gainDb -
+# sensitivityDb; without one levels are dBFS. The long-term average spectrum is
+# the Welch spectrum as a density, averaged into LTSA_BINS_PER_OCTAVE log-spaced
+# bins from LTSA_MIN_HZ.
+# ------------------------------
+LEVELS_INTERVAL_SECONDS = 1
+LEVELS_FLOOR_MS = 1e-20
+THIRD_OCTAVE_NOMINAL = [
+    10, 12.5, 16, 20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+    1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000,
+    25000, 31500, 40000, 50000, 63000, 80000, 100000
+]
+SHIPPING_INDICATOR_BANDS = [63, 125]
+LTSA_MIN_HZ = 10
+LTSA_BINS_PER_OCTAVE = 12
+
+
+def validate_calibration(cal):
+    """[] when cal is usable, otherwise human-readable problems"""
+    if not isinstance(cal, dict):
+        return ['calibration must be an object']
+    errors = []
+
+    def num(v):
+        return isinstance(v, (int, float)) and not isinstance(v, bool) and np.isfinite(v)
+
+    if not num(cal.get('sensitivityDb')):
+        errors.append('sensitivityDb (dB re 1 V/uPa) must be a number')
+    elif cal['sensitivityDb'] > -50 or cal['sensitivityDb'] < -250:
+        errors.append('sensitivityDb looks wrong - hydrophones are typically -220 to -150 dB re 1 V/uPa')
+    if not num(cal.get('gainDb')):
+        errors.append('gainDb must be a number')
+    if not num(cal.get('adcFullScaleV')) or cal['adcFullScaleV'] <= 0:
+        errors.append('adcFullScaleV must be a positive number of volts')
+    return errors
+
+
+def calibration_offset_db(cal):
+    if not cal:
+        return 0.0
+    return 20 * np.log10(cal['adcFullScaleV']) - cal['gainDb'] - cal['sensitivityDb']
+
+
+def level_db(mean_square, offset_db):
+    return float(10 * np.log10(max(LEVELS_FLOOR_MS, mean_square)) + offset_db)
+
+
+def third_octave_bands(sr):
+    bands = []
+    for i, nominal in enumerate(THIRD_OCTAVE_NOMINAL):
+        center = 1000 * 10 ** ((i - 20) / 10)
+        upper = center * 10 ** (1 / 20)
+        if upper <= sr / 2:
+            bands.append({'nominal': nominal, 'center': center, 'lower': center * 10 ** (-1 / 20), 'upper': upper})
+    return bands
+
+
+def welch_power(x, sr):
+    """Mean-square signal per FFT bin (Hann, 50% overlap) and the bin width"""
+    n = 1 << int(np.ceil(np.log2(sr)))
+    while n > 256 and n > len(x):
+        n >>= 1
+    win = np.hanning(n)
+    win_power = float(np.sum(win ** 2))
+    power = np.zeros(n // 2)
+    frames = 0
+    s = 0
+    while s == 0 or s + n <= len(x):
+        seg = x[s:s + n]
+        frame = np.zeros(n)
+        frame[:len(seg)] = seg * win[:len(seg)]
+        power += np.abs(np.fft.rfft(frame)[:n // 2]) ** 2
+        frames += 1
+        s += n // 2
+    power *= 1 / (n * win_power * frames)
+    power[1:] *= 2
+    return power, sr / n
+
+
+def long_term_spectrum(power, bin_hz, offset):
+    """{binsPerOctave, freqs, levels}: mean power spectral density (dB re unit^2/Hz)
+    of the FFT bins within half a bin of each log-spaced centre"""
+    freqs, levels = [], []
+    half = 2 ** (1 / (2 * LTSA_BINS_PER_OCTAVE))
+    nyquist = len(power) * bin_hz
+    i = 0
+    while LTSA_MIN_HZ * 2 ** (i / LTSA_BINS_PER_OCTAVE) * half <= nyquist:
+        center = LTSA_MIN_HZ * 2 ** (i / LTSA_BINS_PER_OCTAVE)
+        i += 1
+        k0 = int(np.ceil(center / half / bin_hz))
+        k1 = min(len(power), int(np.ceil(center * half / bin_hz)))
+        if k1 <= k0:
+            continue
+        freqs.append(round(center, 2))
+        levels.append(round(level_db(float(np.mean(power[k0:k1])) / bin_hz, offset), 2))
+    return {'binsPerOctave': LTSA_BINS_PER_OCTAVE, 'freqs': freqs, 'levels': levels}
+
+
+def compute_levels(waveform, sr, cal=None):
+    """SPL, peak, SEL, L5/L50/L95, third-octave band levels and the LTSA of channel 0"""
+    x = (waveform[:, 0] if waveform.ndim > 1 else waveform).astype(np.float64)
+    offset = calibration_offset_db(cal)
+    duration = len(x) / sr
+    ms = float(np.mean(x ** 2)) if len(x) else 0.0
+    peak = float(np.max(np.abs(x))) if len(x) else 0.0
+
+    # short-term levels for the exceedance percentiles; a tail shorter than half an interval is dropped
+    step = int(round(LEVELS_INTERVAL_SECONDS * sr))
+    short_term = []
+    for s in range(0, len(x), step):
+        seg = x[s:s + step]
+        if len(seg) >= step / 2 or s == 0:
+            short_term.append(level_db(float(np.mean(seg ** 2)), offset))
+    short_term = np.sort(np.array(short_term))
+
+    power, bin_hz = welch_power(x, sr)
+    third_octave = []
+    for band in third_octave_bands(sr):
+        k0 = int(np.ceil(band['lower'] / bin_hz))
+        k1 = min(len(power), int(np.ceil(band['upper'] / bin_hz)))
+        if k1 <= k0:
+            continue  # no FFT bin inside the band
+        third_octave.append({
+            'nominal': band['nominal'],
+            'center': round(band['center'], 2),
+            'lower': round(band['lower'], 2),
+            'upper': round(band['upper'], 2),
+            'level': round(level_db(float(np.sum(power[k0:k1])), offset), 2)
+        })
+    shipping = {}
+    for nominal in SHIPPING_INDICATOR_BANDS:
+        band = next((b for b in third_octave if b['nominal'] == nominal), None)
+        shipping[str(nominal)] = band['level'] if band else None
+
+    return {
+        'unit': 'dB re 1 \u00b5Pa' if cal else 'dBFS',
+        'calibration': {
+            'name': cal.get('name') or None,
+            'sensitivityDb': cal['sensitivityDb'],
+            'gainDb': cal['gainDb'],
+            'adcFullScaleV': cal['adcFullScaleV'],
+            'offsetDb': round(float(offset), 2)
+        } if cal else None,
+        'channel': 0,
+        'spl': round(level_db(ms, offset), 2),
+        'peak': round(level_db(peak * peak, offset), 2),
+        'sel': round(level_db(ms * duration, offset), 2),
+        'percentiles': {
+            'intervalSeconds': LEVELS_INTERVAL_SECONDS,
+            'L5': round(float(np.percentile(short_term, 95)), 2),
+            'L50': round(float(np.percentile(short_term, 50)), 2),
+            'L95': round(float(np.percentile(short_term, 5)), 2)
+        },
+        'thirdOctave': third_octave,
+        'shippingBands': shipping,
+        'ltsa': long_term_spectrum(power, bin_hz, offset)
+    }
+
+
+# ------------------------------
+# Recording metadata: fmt / BWF bext / GUANO (recording-metadata.js
+# parseWavMetadata). startTime is the UTC instant of the first sample; times
+# without a UTC offset are assumed UTC and flagged.
+# ------------------------------
+HIGH_BAND_LOW_HZ = 3000
+HIGH_BAND_MIN_SAMPLE_RATE = 16000
+WAV_FORMATS = {1: 'PCM', 3: 'IEEE float', 6: 'A-law', 7: 'µ-law', 0xFFFE: 'extensible'}
+TIMESTAMP_RE = re.compile(r'^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$')
+
+
+def sample_rate_warnings(sr):
+    """Warnings when the sample rate leaves little or nothing of the >3 kHz highRatio band"""
+    if not sr or sr <= 0:
+        return []
+    nyquist = sr / 2
+    if nyquist <= HIGH_BAND_LOW_HZ:
+        return [f"sample rate {sr} Hz has no content above {HIGH_BAND_LOW_HZ // 1000} kHz — highRatio is always 0 "
+                "and scores lean on the low and mid bands only"]
+    if sr < HIGH_BAND_MIN_SAMPLE_RATE:
+        return [f"sample rate {sr} Hz only reaches {nyquist / 1000:.1f} kHz — highRatio covers a narrow band "
+                "and is not comparable with full-band recordings"]
+    return []
+
+
+def iso_utc(dt):
+    """ISO 8601 UTC with milliseconds, as JavaScript's toISOString() writes it"""
+    return dt.strftime('%Y-%m-%dT%H:%M:%S.') + f"{dt.microsecond // 1000:03d}Z"
+
+
+def absolute_time(start_time, seconds):
+    start = datetime.strptime(start_time, '%Y-%m-%dT%H:%M:%S.%fZ')
+    return iso_utc(start + timedelta(milliseconds=round(seconds * 1000)))
+
+
+def parse_timestamp(text):
+    """(iso, has_zone) for an ISO 8601 time, or None"""
+    m = TIMESTAMP_RE.match(text.strip())
+    if not m:
+        return None
+    y, mo, d, h, mi, s, frac, zone = m.groups()
+    try:
+        dt = datetime(int(y), int(mo), int(d), int(h), int(mi), int(s or 0)) \
+            + timedelta(milliseconds=round(float('0' + (frac or '')) * 1000))
+    except ValueError:
+        return None
+    if zone and zone != 'Z':
+        sign = -1 if zone[0] == '-' else 1
+        digits = zone[1:].replace(':', '')
+        dt -= sign * timedelta(minutes=int(digits[:2]) * 60 + int(digits[2:]))
+    return iso_utc(dt), bool(zone)
+
+
+def chunk_text(raw):
+    return raw.split(b'\0', 1)[0].decode('utf-8', 'replace').strip()
+
+
+def parse_bext(body, sr):
+    if len(body) < 346:
+        return None
+    lo, hi = struct.unpack_from('<II', body, 338)
+    bext = {
+        'description': chunk_text(body[0:256]),
+        'originator': chunk_text(body[256:288]),
+        'originatorReference': chunk_text(body[288:320]),
+        'originationDate': chunk_text(body[320:330]),
+        'originationTime': chunk_text(body[330:338]),
+        # samples since midnight of the origination date
+        'timeReference': lo + hi * 2 ** 32,
+        'startTime': None
+    }
+    date = re.match(r'^(\d{4})[-:/.](\d{2})[-:/.](\d{2})$', bext['originationDate'])
+    if date:
+        try:
+            midnight = datetime(int(date[1]), int(date[2]), int(date[3]))
+        except ValueError:
+            return bext
+        start = None
+        if bext['timeReference'] > 0 and sr > 0:
+            start = midnight + timedelta(milliseconds=bext['timeReference'] / sr * 1000)
+        else:
+            t = re.match(r'^(\d{2})[-:/.](\d{2})[-:/.](\d{2})$', bext['originationTime'])
+            if t:
+                start = midnight + timedelta(hours=int(t[1]), minutes=int(t[2]), seconds=int(t[3]))
+        if start is not None:
+            bext['startTime'] = iso_utc(start)
+    return bext
+
+
+def guano_number(v):
+    try:
+        return float(v) if v not in (None, '') else None
+    except ValueError:
+        return None
+
+
+def parse_guano(text):
+    fields = {}
+    for line in text.splitlines():
+        key, sep, value = line.partition(':')
+        if sep and key.strip():
+            fields[key.strip()] = value.strip()
+    ts = parse_timestamp(fields['Timestamp']) if fields.get('Timestamp') else None
+    gps = None
+    pos = [guano_number(v) for v in re.split(r'[\s,]+', fields.get('Loc Position', '')) if v]
+    if len(pos) >= 2 and pos[0] is not None and pos[1] is not None:
+        gps = {'lat': pos[0], 'lon': pos[1], 'elevation': guano_number(fields.get('Loc Elevation'))}
+    device = {key: fields[field] for key, field in
+              (('make', 'Make'), ('model', 'Model'), ('serial', 'Serial'), ('firmware', 'Firmware Version'))
+              if fields.get(field)}
+    temperature = guano_number(fields.get('Temperature Ext'))
+    if temperature is None:
+        temperature = guano_number(fields.get('Temperature Int'))
     return {
+        'version': fields.get('GUANO|Version'),
+        'timestamp': ts[0] if ts else None,
+        'timestampHasZone': ts[1] if ts else False,
+        'gps': gps,
+        'device': device or None,
+        'temperature': temperature,
+        'fields': fields
+    }
+
+
+def parse_wav_metadata(data):
+    """fmt / bext / GUANO metadata of a WAV file's bytes, or None if it is not RIFF/WAVE"""
+    if len(data) < 12 or data[0:4] != b'RIFF' or data[8:12] != b'WAVE':
+        return None
+    meta = {'container': 'wav', 'format': None, 'bext': None, 'guano': None,
+            'startTime': None, 'startTimeSource': None, 'warnings': []}
+    data_bytes, bext_body = None, None
+    at = 12
+    while at + 8 <= len(data):
+        cid = data[at:at + 4]
+        size = struct.unpack_from('<I', data, at + 4)[0]
+        body = data[at + 8:at + 8 + size]
+        if cid == b'fmt ' and len(body) >= 16:
+            format_tag, channels, sr, _, block_align, bits = struct.unpack_from('<HHIIHH', body, 0)
+            meta['format'] = {
+                'formatTag': format_tag,
+                'encoding': WAV_FORMATS.get(format_tag, f"format 0x{format_tag:x}"),
+                'channels': channels,
+                'sampleRate': sr,
+                'bitsPerSample': bits,
+                'blockAlign': block_align,
+                'dataBytes': None,
+                'duration': None
+            }
+        elif cid == b'data':
+            data_bytes = len(body)  # 0xFFFFFFFF from streaming recorders, or a truncated file: what is there
+        elif cid == b'bext':
+            bext_body = body  # parsed once the sample rate is known
+        elif cid == b'guan':
+            meta['guano'] = parse_guano(body.decode('utf-8', 'replace'))
+        at += 8 + size + (size & 1)  # chunks are word aligned
+
+    f = meta['format']
+    if not f:
+        meta['warnings'].append('no fmt chunk — not a readable WAV file')
+        return meta
+    if data_bytes is not None:
+        f['dataBytes'] = data_bytes
+        if f['blockAlign'] > 0:
+            f['duration'] = round(data_bytes / f['blockAlign'] / f['sampleRate'], 3)
+    if bext_body is not None:
+        meta['bext'] = parse_bext(bext_body, f['sampleRate'])
+
+    if meta['guano'] and meta['guano']['timestamp']:
+        meta['startTime'] = meta['guano']['timestamp']
+        meta['startTimeSource'] = 'guano'
+        if not meta['guano']['timestampHasZone']:
+            meta['warnings'].append('GUANO timestamp has no UTC offset — assumed to be UTC')
+    elif meta['bext'] and meta['bext']['startTime']:
+        meta['startTime'] = meta['bext']['startTime']
+        meta['startTimeSource'] = 'bext'
+        # timeReference counts from midnight of OriginationDate, which has no zone either
+        meta['warnings'].append('BWF origination time carries no time zone — assumed to be UTC')
+    meta['warnings'].extend(sample_rate_warnings(f['sampleRate']))
+    return meta
+
+
+# ------------------------------
+# Hydrophone arrays (hydrophone-array.js). Each channel is scored on its own;
+# compare_channels() flags windows where the channels disagree, track_bearings()
+# turns GCC-PHAT time differences of arrival into a bearing (clockwise from +y;
+# angle from the axis for a line array).
+# ------------------------------
+SOUND_SPEED_WATER = 1500
+CHANNEL_DISAGREEMENT_POINTS = 25
+CHANNEL_OUTLIER_POINTS = 15
+TONAL_FLATNESS_MAX = 0.25
+BEARING_FRAME = 4096
+BEARING_BANDS = {'vessel': (20, 1500), 'call': (200, 8000)}
+MIN_BEARING_CONFIDENCE = 0.05
+
+
+def validate_array_geometry(geometry, channel_count):
+    """[] when geometry is usable for channel_count channels, otherwise problems"""
+    if not isinstance(geometry, dict):
+        return ['array geometry must be an object']
+    errors = []
+    num = lambda v: isinstance(v, (int, float)) and not isinstance(v, bool) and np.isfinite(v)
+    if geometry.get('positions') is not None:
+        p = geometry['positions']
+        if not isinstance(p, list) or any(not isinstance(xy, list) or len(xy) < 2 or not all(num(v) for v in xy) for xy in p):
+            errors.append('positions must be a list of [x, y] pairs in metres')
+        elif len(p) != channel_count:
+            errors.append(f"positions lists {len(p)} elements but the recording has {channel_count} channels")
+    elif not (num(geometry.get('spacingM')) and geometry['spacingM'] > 0):
+        errors.append('spacingM must be a positive number of metres (or give positions)')
+    if geometry.get('soundSpeed') is not None and not (num(geometry['soundSpeed']) and geometry['soundSpeed'] > 0):
+        errors.append('soundSpeed must be a positive number of m/s')
+    return errors
+
+
+def element_positions(geometry, channel_count):
+    if geometry.get('positions'):
+        return np.array([[xy[0], xy[1]] for xy in geometry['positions']], dtype=np.float64)
+    return np.array([[i * geometry['spacingM'], 0.0] for i in range(channel_count)])
+
+
+def compare_channels(channel_timelines):
+    """Per-channel summaries plus the windows where the channels disagree"""
+    means = [t['summary']['mean'] for t in channel_timelines]
+    median = float(np.median(means))
+    channels = [{
+        'channel': c,
+        'score': int(round(t['summary']['mean'])),
+        'min': t['summary']['min'],
+        'p50': t['summary']['p50'],
+        'boatFraction': t['summary']['boatFraction'],
+        'isBoat': t['summary']['boatFraction'] > 0.5,
+        'deviation': round(t['summary']['mean'] - median, 1),
+        'outlier': len(channel_timelines) > 2 and abs(t['summary']['mean'] - median) >= CHANNEL_OUTLIER_POINTS,
+        'windows': [{'start': w['start'], 'end': w['end'], 'score': w['score'], 'isBoat': w['isBoat']} for w in t['windows']]
+    } for c, t in enumerate(channel_timelines)]
+
+    count = min(len(t['windows']) for t in channel_timelines)
+    flagged = []
+    for i in range(count):
+        scores = [t['windows'][i]['score'] for t in channel_timelines]
+        boats = [t['windows'][i]['isBoat'] for t in channel_timelines]
+        spread = max(scores) - min(scores)
+        boat_split = any(boats) and not all(boats)
+        if spread >= CHANNEL_DISAGREEMENT_POINTS or boat_split:
+            w = channel_timelines[0]['windows'][i]
+            flagged.append({'start': w['start'], 'end': w['end'], 'spread': spread, 'scores': scores, 'boatSplit': boat_split})
+    return {
+        'channels': channels,
+        'disagreement': {
+            'thresholdPoints': CHANNEL_DISAGREEMENT_POINTS,
+            'fraction': round(len(flagged) / count, 3) if count else 0,
+            'windows': flagged
+        }
+    }
+
+
+def detection_kind(w):
+    if w['isBoat']:
+        return 'vessel'
+    if w.get('features') and w['features']['flatness'] < TONAL_FLATNESS_MAX:
+        return 'call'
+    return None
+
+
+def gcc_phat(a_spec, b_spec, max_lag, k0, k1):
+    """(lag of b behind a in samples, 0..1 peak height) by GCC-PHAT within +-max_lag"""
+    size = len(a_spec)
+    cross = np.zeros(size, dtype=np.complex128)
+    band = np.conj(a_spec[k0:k1 + 1]) * b_spec[k0:k1 + 1]
+    mag = np.abs(band)
+    keep = mag >= 1e-20
+    band[keep] /= mag[keep]
+    band[~keep] = 0
+    cross[k0:k1 + 1] = band
+    cross[size - k1:size - k0 + 1] = np.conj(band[::-1])  # Hermitian, so the inverse is real
+    bins = 2 * int(np.count_nonzero(keep))
+    r = np.real(np.fft.ifft(cross))
+    at = lambda lag: r[(lag + size) % size]
+    best = 0
+    for lag in range(-max_lag, max_lag + 1):
+        if at(lag) > at(best):
+            best = lag
+    offset = 0.0
+    if abs(best) < max_lag:
+        y0, y1, y2 = at(best - 1), at(best), at(best + 1)
+        denom = y0 - 2 * y1 + y2
+        if denom < 0:
+            offset = 0.5 * (y0 - y2) / denom
+    return best + offset, (at(best) * size / bins if bins else 0.0)
+
+
+def estimate_bearing(channels, sr, geometry, start, band):
+    """Bearing from one BEARING_FRAME of every channel, or None"""
+    c = geometry.get('soundSpeed') or SOUND_SPEED_WATER
+    pos = element_positions(geometry, len(channels))
+    n = min(BEARING_FRAME, len(channels[0]) - start)
+    if n < 64:
+        return None
+    size = 2 * BEARING_FRAME
+    bin_hz = sr / size
+    k0 = max(1, int(np.ceil(band[0] / bin_hz)))
+    k1 = min(size // 2 - 1, int(np.floor(band[1] / bin_hz)))
+    if k1 <= k0:
+        return None
+    win = 0.5 - 0.5 * np.cos(2 * np.pi * np.arange(n) / n)
+    spectra = [np.fft.fft(np.asarray(x[start:start + n], dtype=np.float64) * win, size) for x in channels]
+
+    rows = []
+    for i in range(len(channels)):
+        for j in range(i + 1, len(channels)):
+            d = pos[j] - pos[i]
+            max_lag = min(n - 1, int(np.ceil(np.hypot(d[0], d[1]) / c * sr)) + 1)
+            lag, peak = gcc_phat(spectra[i], spectra[j], max_lag, k0, k1)
+            rows.append({'pair': [i, j], 'd': d, 'seconds': lag / sr, 'peak': peak})
+    confidence = sum(r['peak'] for r in rows) / len(rows)
+    tdoas = [{'pair': r['pair'], 'seconds': round(r['seconds'], 7), 'peak': round(float(r['peak']), 3)} for r in rows]
+
+    # plane wave from unit direction u: t_j - t_i = -(p_j - p_i).u / c, least squares over all pairs
+    A = np.array([r['d'] for r in rows])
+    b = np.array([-c * r['seconds'] for r in rows])
+    M = A.T @ A
+    det = np.linalg.det(M)
+    if det > 1e-6 * np.trace(M) ** 2:
+        ux, uy = np.linalg.solve(M, A.T @ b)
+        bearing = (np.degrees(np.arctan2(ux, uy)) + 360) % 360
+        return {'bearing': round(float(bearing), 1), 'ambiguous': False, 'confidence': round(float(confidence), 3), 'tdoas': tdoas}
+    # collinear elements: only the angle from the array axis is observable
+    axis = pos[-1] - pos[0]
+    axis = axis / (np.hypot(axis[0], axis[1]) or 1)
+    s = A @ axis
+    den = float(np.sum(s * s))
+    cos = float(np.clip(np.sum(s * b) / den if den else 0.0, -1, 1))
+    return {'bearing': round(float(np.degrees(np.arccos(cos))), 1), 'ambiguous': True,
+            'confidence': round(float(confidence), 3), 'tdoas': tdoas}
+
+
+def track_bearings(channels, sr, windows, geometry):
+    """Bearing per vessel / tonal-call window, skipping frames below MIN_BEARING_CONFIDENCE"""
+    out = []
+    for w in windows:
+        kind = detection_kind(w)
+        if not kind:
+            continue
+        centre = int(round((w['start'] + w['end']) / 2 * sr))
+        start = max(0, min(len(channels[0]) - BEARING_FRAME, centre - BEARING_FRAME // 2))
+        band = (BEARING_BANDS[kind][0], min(BEARING_BANDS[kind][1], sr / 2))
+        est = estimate_bearing(channels, sr, geometry, start, band)
+        if not est or est['confidence'] < MIN_BEARING_CONFIDENCE:
+            continue
+        out.append({'start': w['start'], 'end': w['end'], 'kind': kind, **est})
+    return out
+
+
+def analyze_array(waveform, sr, profile, windows, geometry=None):
+    """Per-channel scores, disagreement and (with a geometry) bearings; None for mono"""
+    if waveform.ndim < 2 or waveform.shape[1] < 2:
+        return None
+    channels = [waveform[:, c] for c in range(waveform.shape[1])]
+    array = compare_channels([analyze_timeline(ch, sr, profile) for ch in channels])
+    array['channelCount'] = len(channels)
+    array['geometry'] = geometry
+    array['bearings'] = track_bearings(channels, sr, windows, geometry) if geometry else None
+    return array
+
+
+# ------------------------------
+# Vessel passages (vessel-events.js). Runs of boat windows (gaps up to
+# PASSAGE_MERGE_GAP s bridged) become passages with onset / peak / offset, the
+# closest point of approach (middle of the span within CPA_DROP_DB of the
+# smoothed maximum) and a DEMON envelope spectrum around CPA for the propeller
+# shaft and blade rates.
+# ------------------------------
+PASSAGE_MERGE_GAP = 10
+PASSAGE_MIN_SECONDS = 2
+CPA_SMOOTH_SECONDS = 3
+CPA_DROP_DB = 3
+DEMON_SECONDS = 10
+DEMON_MIN_SECONDS = 2
+DEMON_BAND = (1000, 10000)
+DEMON_RATE = 200
+DEMON_SHAFT_HZ = (0.5, 25)
+DEMON_HARMONICS = 8
+DEMON_SUBHARMONIC_RATIO = 0.8
+DEMON_MIN_SALIENCE = 4
+
+
+def demon_envelope(x, sr, start, end, low_hz, high_hz):
+    """Envelope of x[start:end] band-passed to [low_hz, high_hz], averaged down to about DEMON_RATE"""
+    n = end - start
+    size = 1 << int(np.ceil(np.log2(n)))
+    spec = np.fft.fft(np.asarray(x[start:end], dtype=np.float64), size)
+    k = np.arange(size)
+    k0, k1 = math.ceil(low_hz * size / sr), math.floor(high_hz * size / sr)
+    # analytic band-pass: double the positive band, drop everything else
+    spec = np.where((k >= k0) & (k <= k1), 2 * spec, 0)
+    analytic = np.fft.ifft(spec)[:n]
+    step = max(1, int(sr // DEMON_RATE))
+    m = n // step
+    env = np.abs(analytic[:m * step]).reshape(m, step).mean(axis=1)
+    return env - env.mean(), sr / step
+
+
+def demon_analysis(x, sr, start, end):
+    """Shaft and blade rate from x[start:end], or None without a clear harmonic series"""
+    band = (DEMON_BAND[0], min(DEMON_BAND[1], 0.45 * sr))
+    if end - start < DEMON_MIN_SECONDS * sr or band[1] < 1.5 * band[0]:
+        return None
+    env, rate = demon_envelope(x, sr, start, end, band[0], band[1])
+
+    # zero-padded twice over for a finer line grid
+    size = 2 << int(np.ceil(np.log2(len(env))))
+    win = np.hanning(len(env)) if len(env) > 1 else np.ones(len(env))
+    half = size // 2
+    spec = np.abs(np.fft.fft(env * win, size))[:half]
+    bin_hz = rate / size
+
+    k_min = max(2, math.ceil(DEMON_SHAFT_HZ[0] / bin_hz))
+    k_max = min(math.floor(DEMON_SHAFT_HZ[1] / bin_hz), (half - 2) // 2)
+    if k_max <= k_min:
+        return None
+    floor = float(np.median(spec[k_min:min(half, k_max * DEMON_HARMONICS)])) or 1e-20
+
+    def line(b):
+        k = int(math.floor(b + 0.5))  # Math.round
+        return float(max(spec[k - 1], spec[k], spec[k + 1])) / floor if k + 1 < half else 0.0
+
+    def harmonic_score(k):
+        return sum(line(h * k) for h in range(1, DEMON_HARMONICS + 1)) / DEMON_HARMONICS
+
+    # a fundamental needs a line of its own, or any divisor of a strong line would win
+    best, best_score = 0, -1.0
+    for k in range(k_min, k_max + 1):
+        if line(k) < DEMON_MIN_SALIENCE:
+            continue
+        s = harmonic_score(k)
+        if s > best_score:
+            best, best_score = k, s
+    if not best:
+        return None
+    # a blade-rate line carries the shaft-rate series too: prefer the lowest divisor that fits as well
+    f0 = best
+    for m in range(DEMON_HARMONICS, 1, -1):
+        k = best / m
+        if k >= k_min and line(k) >= DEMON_MIN_SALIENCE and harmonic_score(k) >= DEMON_SUBHARMONIC_RATIO * best_score:
+            f0 = k
+            break
+
+    blades, strongest = 1, 0.0
+    for h in range(1, DEMON_HARMONICS + 1):
+        if line(h * f0) > strongest:
+            strongest, blades = line(h * f0), h
+    if strongest < DEMON_MIN_SALIENCE:
+        return None
+    # parabolic peak of the blade line for a rate finer than the bin grid
+    k = int(math.floor(blades * f0 + 0.5))
+    if spec[k - 1] > spec[k]:
+        k -= 1
+    if spec[k + 1] > spec[k]:
+        k += 1
+    y0, y1, y2 = spec[k - 1], spec[k], spec[k + 1]
+    denom = y0 - 2 * y1 + y2
+    blade_rate = float((k + (0.5 * (y0 - y2) / denom if denom < 0 else 0)) * bin_hz)
+    shaft_rate = blade_rate / blades
+    return {
+        'shaftRateHz': round(shaft_rate, 2),
+        'shaftRpm': int(round(shaft_rate * 60)),
+        'bladeRateHz': round(blade_rate, 2),
+        'blades': blades if blades > 1 else None,
+        'salience': round(strongest, 1),
+        'band': [int(round(b)) for b in band]
+    }
+
+
+def group_passages(windows):
+    """[first, last] indices of each run of boat windows, runs closer than PASSAGE_MERGE_GAP joined"""
+    runs = []
+    for i, w in enumerate(windows):
+        if not w['isBoat']:
+            continue
+        if runs and w['start'] - windows[runs[-1][1]]['end'] <= PASSAGE_MERGE_GAP:
+            runs[-1][1] = i
+        else:
+            runs.append([i, i])
+    return [r for r in runs if windows[r[1]]['end'] - windows[r[0]]['start'] >= PASSAGE_MIN_SECONDS]
+
+
+def detect_vessel_passages(waveform, sr, windows, cal=None):
+    """Vessel passages on channel 0: {unit, passages: [{id, onset, peak, offset, duration, cpa, peakLevel, windows, demon}]}"""
+    x = (waveform[:, 0] if waveform.ndim > 1 else waveform).astype(np.float64)
+    offset_db = calibration_offset_db(cal)
+    hop = windows[1]['start'] - windows[0]['start'] if len(windows) > 1 else 1
+    reach = max(0, int(round(CPA_SMOOTH_SECONDS / 2 / hop)))
+
+    def centre(w):
+        return (w['start'] + w['end']) / 2
+
+    def at(t):
+        return max(0, min(len(x), int(round(t * sr))))
+
+    passages = []
+    for p, (first, last) in enumerate(group_passages(windows)):
+        ms = np.array([float(np.mean(x[at(windows[i]['start']):at(windows[i]['end'])] ** 2))
+                       for i in range(first, last + 1)])
+        peak = int(np.argmax(ms))
+
+        # smoothed in power, then the span within CPA_DROP_DB of its maximum
+        smooth = [level_db(float(np.mean(ms[max(0, i - reach):i + reach + 1])), 0) for i in range(len(ms))]
+        top = int(np.argmax(smooth))
+        lo = hi = top
+        while lo > 0 and smooth[lo - 1] >= smooth[top] - CPA_DROP_DB:
+            lo -= 1
+        while hi < len(smooth) - 1 and smooth[hi + 1] >= smooth[top] - CPA_DROP_DB:
+            hi += 1
+        cpa = (centre(windows[first + lo]) + centre(windows[first + hi])) / 2
+
+        onset, offset = windows[first]['start'], windows[last]['end']
+        start = max(onset, min(cpa - DEMON_SECONDS / 2, offset - DEMON_SECONDS))
+        passages.append({
+            'id': p + 1,
+            'onset': round(onset, 3),
+            'peak': round(centre(windows[first + peak]), 3),
+            'offset': round(offset, 3),
+            'duration': round(offset - onset, 3),
+            'cpa': round(cpa, 3),
+            'peakLevel': round(level_db(float(ms[peak]), offset_db), 2),
+            'windows': last - first + 1,
+            'demon': demon_analysis(x, sr, at(start), at(min(offset, start + DEMON_SECONDS)))
+        })
+    return {'unit': 'dB re 1 \u00b5Pa' if cal else 'dBFS', 'passages': passages}
+
+
+# Result contract shared with front.js (analysis-core.js buildAnalysisResult /
+# validateAnalysisResult). Bump the version on both sides for breaking changes.
+ANALYSIS_RESULT_SCHEMA = 'mam-analysis-result'
+ANALYSIS_RESULT_VERSION = 1
+
+
+def result_breakdown(trace):
+    """Animal vs boat points of the traced window"""
+    chosen = next((s for s in trace['signatures'] if s['chosen']), None)
+    return {
+        'animalPoints': trace['animalPoints'],
+        'dolphinPoints': trace['dolphin']['points'] if trace.get('dolphin') else 0,
+        'boatPoints': trace['boat']['points'],
+        'signature': chosen['id'] if chosen else None
+    }
+
+
+def build_analysis_result(timeline, profile, source='server'):
+    """Versioned analysis result; the trace is for the window closest to the clip score"""
+    summary = timeline['summary']
+    recording = timeline.get('recording')
+    # per-window detections are pooled into one clip-level list below
+    windows = [{k: v for k, v in w.items() if k != 'detections'} for w in timeline['windows']]
+    if recording and recording.get('startTime'):
+        windows = [dict(w, utc=absolute_time(recording['startTime'], w['start'])) for w in windows]
+    score = int(round(summary['mean']))
+    rep = min(range(len(windows)), key=lambda i: abs(windows[i]['score'] - score))
+    trace = compute_environmental_score(windows[rep]['features'], profile, with_trace=True)['trace']
+    return {
+        'schema': ANALYSIS_RESULT_SCHEMA,
+        'version': ANALYSIS_RESULT_VERSION,
+        'source': source,
+        'profile': timeline['profile'],
+        'duration': timeline['duration'],
+        'windowSeconds': timeline['windowSeconds'],
+        'hopSeconds': timeline['hopSeconds'],
         'score': score,
-        'note': note,
-        'humpbackScore': humpback_score,
-        'orcaScore': orca_score,
-        'boatPenalty': boat_score,
-        'isBoat': is_boat
+        'note': note_for_score(score, profile),
+        'isBoat': summary['boatFraction'] > 0.5,
+        'features': summary['meanFeatures'],
+        'breakdown': result_breakdown(trace),
+        'summary': summary,
+        'windows': windows,
+        'trace': trace,
+        'traceWindow': rep,
+        'conditioning': timeline.get('conditioning'),
+        'levels': timeline.get('levels'),
+        'recording': recording,
+        'array': timeline.get('array'),
+        'detections': merge_detections(timeline['windows']),
+        'vessels': timeline.get('vessels')
     }
 
 
-@app.route("/analyze", methods=["POST"])
-def analyze():
+@app.route("/profiles", methods=["GET"])
+def profiles():
+    return jsonify({name: load_profile(name) for name in list_profiles()})
+
+
+def profile_from_request():
+    """Scoring profile for this request: an uploaded profileJson, a named built-in, or default"""
+    if request.form.get("profileJson"):
+        profile = json.loads(request.form["profileJson"])
+        errors = validate_profile(profile)
+        if errors:
+            raise ValueError("; ".join(errors))
+        return profile
+    return load_profile(request.form.get("profile") or "default")
+
+
+def conditioning_from_request():
+    """Signal conditioning chain the client applied before upload (recorded, not re-run), or None"""
+    raw = request.form.get("conditioning")
+    if not raw:
+        return None
+    chain = json.loads(raw)
+    if not isinstance(chain, dict) or not isinstance(chain.get('stages'), list) \
+            or not all(isinstance(st, dict) and isinstance(st.get('type'), str) for st in chain['stages']):
+        raise ValueError("conditioning must be an object with a list of typed stages")
+    return chain
+
+
+def calibration_from_request():
+    """Hydrophone calibration for calibrated levels, or None for dBFS"""
+    raw = request.form.get("calibration")
+    if not raw:
+        return None
+    cal = json.loads(raw)
+    errors = validate_calibration(cal)
+    if errors:
+        raise ValueError("; ".join(errors))
+    return cal
+
+
+def recording_from_request(data):
+    """Recording metadata: sent by the client (read from the original file before it was
+    conditioned and re-encoded), else parsed from the uploaded bytes; None if there is none"""
+    raw = request.form.get("recording")
+    if not raw:
+        return parse_wav_metadata(data)
+    meta = json.loads(raw)
+    if not isinstance(meta, dict) or not isinstance(meta.get('warnings'), list):
+        raise ValueError("recording must be an object with a warnings list")
+    if meta.get('startTime') is not None:
+        try:
+            datetime.strptime(meta['startTime'], '%Y-%m-%dT%H:%M:%S.%fZ')
+        except (TypeError, ValueError):
+            raise ValueError("recording.startTime must be an ISO 8601 UTC time")
+    return meta
+
+
+def array_geometry_from_request(channel_count):
+    """Hydrophone array geometry for bearings, or None (also for mono recordings)"""
+    raw = request.form.get("array")
+    if not raw or channel_count < 2:
+        return None
+    geometry = json.loads(raw)
+    errors = validate_array_geometry(geometry, channel_count)
+    if errors:
+        raise ValueError("; ".join(errors))
+    return geometry
+
+
+class BadAnalysisRequest(Exception):
+    def __init__(self, error, detail=None):
+        super().__init__(error)
+        self.error = error
+        self.detail = detail
+
+    def response(self):
+        body = {"error": self.error}
+        if self.detail:
+            body["detail"] = self.detail
+        return jsonify(body), 400
+
+
+def read_analysis_request():
+    """(waveform, sr, profile, filename, extras) from a multipart upload, or BadAnalysisRequest;
+    extras holds the optional conditioning chain, calibration, recording metadata, array geometry
+    and whether the recording comes from an array (the arrayRecording flag or a geometry)"""
     if "file" not in request.files:
-        return jsonify({"error": "no file"}), 400
+        raise BadAnalysisRequest("no file")
+
+    try:
+        profile = profile_from_request()
+    except ValueError as e:
+        raise BadAnalysisRequest("bad profile", str(e))
+
+    try:
+        conditioning = conditioning_from_request()
+    except ValueError as e:
+        raise BadAnalysisRequest("bad conditioning", str(e))
+
+    try:
+        calibration = calibration_from_request()
+    except ValueError as e:
+        raise BadAnalysisRequest("bad calibration", str(e))
 
     f = request.files["file"]
     data = f.read()
 
+    try:
+        recording = recording_from_request(data)
+    except ValueError as e:
+        raise BadAnalysisRequest("bad recording metadata", str(e))
+
     try:
         arr, sr = sf.read(io.BytesIO(data), dtype='float32')
     except Exception as e:
-        return jsonify({"error": "cannot decode audio", "detail": str(e)}), 400
+        raise BadAnalysisRequest("cannot decode audio", str(e))
 
     if arr.size == 0:
-        return jsonify({"error": "empty audio"}), 400
+        raise BadAnalysisRequest("empty audio")
 
-    # Extract features
-    features = analyze_audio_features(arr, sr)
-    
-    # Compute score
-    result = compute_environmental_score(features)
-    
-    # Combine features and score
-    response = {
-        **result,
-        **features
+    try:
+        geometry = array_geometry_from_request(arr.shape[1] if arr.ndim > 1 else 1)
+    except ValueError as e:
+        raise BadAnalysisRequest("bad array geometry", str(e))
+
+    return arr, sr, profile, f.filename or "audio", \
+        {'conditioning': conditioning, 'calibration': calibration, 'recording': recording, 'geometry': geometry,
+         'arrayRecording': geometry is not None or request.form.get("arrayRecording") == "true"}
+
+
+@app.route("/analyze", methods=["POST"])
+def analyze():
+    try:
+        arr, sr, profile, _, extras = read_analysis_request()
+    except BadAnalysisRequest as e:
+        return e.response()
+
+    # Score the whole clip window by window
+    timeline = analyze_timeline(arr, sr, profile)
+    timeline['conditioning'] = extras['conditioning']
+    timeline['levels'] = compute_levels(arr, sr, extras['calibration'])
+    timeline['recording'] = extras['recording']
+    timeline['array'] = analyze_array(arr, sr, profile, timeline['windows'], extras['geometry']) if extras['arrayRecording'] else None
+    timeline['vessels'] = detect_vessel_passages(arr, sr, timeline['windows'], extras['calibration'])
+    return jsonify(build_analysis_result(timeline, profile))
+
+
+# ------------------------------
+# Analysis jobs: POST /jobs returns at once with a job id; the clip is scored
+# in a background thread and the client polls GET /jobs/<id> for progress,
+# GET /jobs/<id>/result for the partial or final result, DELETE to cancel.
+# Jobs live in memory only and are dropped JOB_TTL_SECONDS after they finish.
+# ------------------------------
+JOB_WORKERS = 2
+JOB_TTL_SECONDS = 3600
+JOB_FINISHED = ('done', 'failed', 'cancelled')
+
+jobs = {}
+jobs_lock = threading.Lock()
+job_executor = ThreadPoolExecutor(max_workers=JOB_WORKERS)
+
+
+class JobCancelled(Exception):
+    pass
+
+
+def job_status(job):
+    """Public view of a job (no windows / result)"""
+    total = job['windowsTotal']
+    return {
+        'jobId': job['id'],
+        'status': job['status'],
+        'fileName': job['fileName'],
+        'profile': job['profile']['name'],
+        'createdAt': job['createdAt'],
+        'windowsDone': job['windowsDone'],
+        'windowsTotal': total,
+        'progress': round(job['windowsDone'] / total, 4) if total else 0.0,
+        'error': job['error']
     }
-    
-    return jsonify(response)
+
+
+def run_job(job, waveform, sr):
+    def on_window(windows, total):
+        if job['cancel'].is_set():
+            raise JobCancelled()
+        with jobs_lock:
+            job['windows'] = list(windows)
+            job['windowsDone'] = len(windows)
+            job['windowsTotal'] = total
+
+    with jobs_lock:
+        if job['cancel'].is_set():
+            return
+        job['status'] = 'running'
+    try:
+        timeline = analyze_timeline(waveform, sr, job['profile'], on_window=on_window)
+        timeline['conditioning'] = job['conditioning']
+        timeline['levels'] = compute_levels(waveform, sr, job['calibration'])
+        timeline['recording'] = job['recording']
+        timeline['array'] = analyze_array(waveform, sr, job['profile'], timeline['windows'], job['geometry']) if job['arrayRecording'] else None
+        timeline['vessels'] = detect_vessel_passages(waveform, sr, timeline['windows'], job['calibration'])
+        result = build_analysis_result(timeline, job['profile'])
+        with jobs_lock:
+            job['result'] = result
+            job['status'] = 'done'
+    except JobCancelled:
+        with jobs_lock:
+            job['status'] = 'cancelled'
+    except Exception as e:
+        with jobs_lock:
+            job['status'] = 'failed'
+            job['error'] = str(e)
+    finally:
+        with jobs_lock:
+            job['finishedAt'] = time.time()
+
+
+def expire_jobs():
+    cutoff = time.time() - JOB_TTL_SECONDS
+    with jobs_lock:
+        for job_id in [j['id'] for j in jobs.values() if j['finishedAt'] and j['finishedAt'] < cutoff]:
+            del jobs[job_id]
+
+
+def get_job_or_404(job_id):
+    with jobs_lock:
+        job = jobs.get(job_id)
+    if job is None:
+        return None, (jsonify({"error": "unknown job", "jobId": job_id}), 404)
+    return job, None
+
+
+@app.route("/jobs", methods=["POST"])
+def create_job():
+    expire_jobs()
+    try:
+        arr, sr, profile, filename, extras = read_analysis_request()
+    except BadAnalysisRequest as e:
+        return e.response()
+
+    job = {
+        'id': uuid.uuid4().hex,
+        'status': 'queued',
+        'fileName': filename,
+        'profile': profile,
+        'conditioning': extras['conditioning'],
+        'calibration': extras['calibration'],
+        'recording': extras['recording'],
+        'geometry': extras['geometry'],
+        'arrayRecording': extras['arrayRecording'],
+        'createdAt': time.strftime('%Y-%m-%dT%H:%M:%SZ', time.gmtime()),
+        'windowsDone': 0,
+        # windows are cut after resampling to the canonical rate
+        'windowsTotal': len(timeline_window_starts(-(-len(arr) * CANONICAL_SAMPLE_RATE // sr))),
+        'windows': [],
+        'result': None,
+        'error': None,
+        'finishedAt': None,
+        'cancel': threading.Event()
+    }
+    with jobs_lock:
+        jobs[job['id']] = job
+    job_executor.submit(run_job, job, arr, sr)
+    return jsonify(job_status(job)), 202, {"Location": f"/jobs/{job['id']}"}
+
+
+@app.route("/jobs/<job_id>", methods=["GET"])
+def get_job(job_id):
+    job, error = get_job_or_404(job_id)
+    if error:
+        return error
+    with jobs_lock:
+        return jsonify(job_status(job))
+
+
+@app.route("/jobs/<job_id>/result", methods=["GET"])
+def get_job_result(job_id):
+    """Final result when done; while running, a partial result over the windows scored so far;
+    a failed job gives its error instead"""
+    job, error = get_job_or_404(job_id)
+    if error:
+        return error
+    with jobs_lock:
+        status = job_status(job)
+        result = job['result']
+        windows = list(job['windows'])
+    if result is not None:
+        return jsonify(result)
+    if status['status'] == 'failed':
+        return jsonify({**status, 'error': status['error'] or 'analysis failed'}), 500
+    if not windows:
+        return jsonify({"error": "no result yet", **status}), 409 if status['status'] in JOB_FINISHED else 202
+    timeline = {
+        'duration': windows[-1]['end'],
+        'windowSeconds': round(ANALYSIS_WINDOW / CANONICAL_SAMPLE_RATE, 3),
+        'hopSeconds': round(ANALYSIS_HOP / CANONICAL_SAMPLE_RATE, 3),
+        'profile': job['profile']['name'],
+        'windows': windows,
+        'summary': summarize_timeline(windows),
+        'conditioning': job['conditioning'],
+        'recording': job['recording']
+    }
+    partial = build_analysis_result(timeline, job['profile'])
+    partial['partial'] = True
+    partial['windowsTotal'] = status['windowsTotal']
+    return jsonify(partial), 206
+
+
+@app.route("/jobs/<job_id>", methods=["DELETE"])
+def cancel_job(job_id):
+    job, error = get_job_or_404(job_id)
+    if error:
+        return error
+    job['cancel'].set()
+    with jobs_lock:
+        if job['status'] == 'queued':
+            job['status'] = 'cancelled'
+            job['finishedAt'] = time.time()
+        return jsonify(job_status(job))
+
+
+# ------------------------------
+# Streaming analysis over WebSocket: /stream, protocol "mam-stream" v1
+# (client: analysis-stream.js). Text frames are JSON, binary frames are audio.
+#   client -> {"type": "hello", "protocol": "mam-stream", "version": 1,
+#              "sampleRate": 48000, "channels": 1, "profile": "default"}
+#             (or "profileJson": {...} instead of "profile")
+#   server -> {"type": "ready", "windowSamples", "hopSamples", "maxInFlight"}
+#   client -> binary: float64 LE start sample, then interleaved float32 LE PCM
+#   server -> {"type": "result", "window": {...}} for every window completed,
+#             then {"type": "ack", "samples": <end sample>} for the frame
+#   server -> {"type": "error", "message"} and close on protocol errors
+# The client sends at most maxInFlight frames without an ack (backpressure).
+# A frame that doesn't start where the previous one ended means the client
+# dropped audio; windowing restarts at the new position.
+# ------------------------------
+STREAM_PROTOCOL = 'mam-stream'
+STREAM_PROTOCOL_VERSION = 1
+STREAM_MAX_IN_FLIGHT = 8
+STREAM_MAX_CHANNELS = 8
+
+
+class StreamProtocolError(Exception):
+    pass
+
+
+def read_stream_hello(raw):
+    """(sample rate, channels, profile) from the client's hello frame"""
+    try:
+        hello = json.loads(raw) if isinstance(raw, str) else None
+    except ValueError:
+        hello = None
+    if not isinstance(hello, dict) or hello.get('type') != 'hello' or hello.get('protocol') != STREAM_PROTOCOL:
+        raise StreamProtocolError(f'first frame must be a "{STREAM_PROTOCOL}" hello')
+    if hello.get('version') != STREAM_PROTOCOL_VERSION:
+        raise StreamProtocolError(f"protocol version {hello.get('version')} not supported "
+                                  f"(server speaks {STREAM_PROTOCOL_VERSION})")
+    sr = hello.get('sampleRate')
+    channels = hello.get('channels', 1)
+    if not isinstance(sr, int) or not 8000 <= sr <= 384000:
+        raise StreamProtocolError('sampleRate must be an integer between 8000 and 384000')
+    if not isinstance(channels, int) or not 1 <= channels <= STREAM_MAX_CHANNELS:
+        raise StreamProtocolError(f'channels must be 1-{STREAM_MAX_CHANNELS}')
+    if hello.get('profileJson') is not None:
+        profile = hello['profileJson']
+        errors = validate_profile(profile)
+        if errors:
+            raise StreamProtocolError('bad profile: ' + '; '.join(errors))
+    else:
+        try:
+            profile = load_profile(hello.get('profile') or 'default')
+        except ValueError as e:
+            raise StreamProtocolError(str(e))
+    return sr, channels, profile
+
+
+class StreamWindower:
+    """Cuts a stream of sample blocks into windows of one canonical analysis window
+    (canonical_window_samples at the stream's rate), every half window"""
+
+    def __init__(self, sr):
+        self.window = canonical_window_samples(sr)
+        self.hop = self.window // 2
+        self.buffer = np.zeros(0, dtype=np.float32)
+        self.origin = None  # stream position of buffer[0]
+
+    def push(self, start, mono):
+        """Append a block starting at stream sample `start`; returns [(window start, samples)]"""
+        if self.origin is None or start != self.origin + len(self.buffer):
+            self.buffer = mono.copy()
+            self.origin = start
+        else:
+            self.buffer = np.concatenate([self.buffer, mono])
+        out = []
+        while len(self.buffer) >= self.window:
+            out.append((self.origin, self.buffer[:self.window]))
+            self.buffer = self.buffer[self.hop:]
+            self.origin += self.hop
+        return out
+
+
+@sock.route("/stream")
+def stream(ws):
+    try:
+        sr, channels, profile = read_stream_hello(ws.receive())
+    except StreamProtocolError as e:
+        ws.send(json.dumps({'type': 'error', 'message': str(e)}))
+        return
+
+    windower = StreamWindower(sr)
+    ws.send(json.dumps({
+        'type': 'ready',
+        'protocol': STREAM_PROTOCOL,
+        'version': STREAM_PROTOCOL_VERSION,
+        'profile': profile['name'],
+        'windowSamples': windower.window,
+        'hopSamples': windower.hop,
+        'maxInFlight': STREAM_MAX_IN_FLIGHT
+    }))
+
+    while True:
+        msg = ws.receive()
+        if isinstance(msg, str):
+            continue  # no client control messages in v1; closing the socket ends the stream
+        if len(msg) < 8 or (len(msg) - 8) % (4 * channels):
+            ws.send(json.dumps({'type': 'error', 'message': 'binary frame must be a float64 start + whole float32 sample frames'}))
+            return
+        start = int(struct.unpack_from('<d', msg)[0])
+        pcm = np.frombuffer(msg, dtype='<f4', offset=8).reshape(-1, channels).mean(axis=1)
+        for origin, chunk in windower.push(start, pcm):
+            ws.send(json.dumps({'type': 'result', 'window': score_window(chunk, origin, sr, profile)}))
+        ws.send(json.dumps({'type': 'ack', 'samples': start + len(pcm)}))
 
 
 if __name__ == "__main__":
@@ -152,6 +152,7 @@ soundPlayer.addEventListener('error', (ev) => {
 });
 
 function stopSound(){
+  stopSynthPlayback();
   if(!soundPlayer) return;
   try{
     soundPlayer.pause();
@@ -188,8 +189,8 @@ async function resourceExists(url, timeout = 3000) {
   });
 }
 
-async function playMP3(file){
-  const ok = await resourceExists(file, 3500);
+async function playMP3(file, { verified = false } = {}){
+  const ok = verified || await resourceExists(file, 3500);
   if (!ok) {
     console.warn('Audio file not available:', file);
     showTemporaryAlert('Audio file missing or blocked: ' + file, 'rgba(200,30,30,0.95)');
@@ -206,9 +207,97 @@ async function playMP3(file){
   }
 }
 
-function playWhale(){ playMP3("sounds/humpback-whale-megaptera-novaeangliae.mp3"); }
-function playDolphin(){ playMP3("sounds/killer-whale-orcinus-orca.mp3"); }
-function playBoat(){ playMP3("sounds/boat_inside-77528.mp3"); }
+/* ------------------------------
+   Sample sounds — real recordings from sounds/ when they exist, otherwise a
+   seeded in-browser render from synth-sounds.js
+   ------------------------------ */
+const SAMPLE_FILES = {
+  whale: 'sounds/humpback-whale-megaptera-novaeangliae.mp3',
+  dolphin: 'sounds/killer-whale-orcinus-orca.mp3',
+  boat: 'sounds/boat_inside-77528.mp3'
+};
+const SYNTH_LABELS = { whale: 'humpback', dolphin: 'orca', boat: 'boat' };
+
+let synthPlayback = null; // AudioBufferSourceNode while a render plays
+
+function stopSynthPlayback() {
+  if (!synthPlayback) return;
+  try { synthPlayback.stop(); } catch (err) { /* already ended */ }
+  synthPlayback = null;
+}
+
+function synthSeedValue() {
+  const el = document.getElementById('synthSeed');
+  const v = el ? Math.floor(Number(el.value)) : 1;
+  return Number.isFinite(v) && v > 0 ? v : 1;
+}
+
+// plays a rendered AudioBuffer from offset seconds; Stop (stopSound) ends it like any sample
+async function playAudioBuffer(buffer, offset = 0) {
+  const ac = getSharedAudioContext();
+  if (!ac) throw new Error('AudioContext not available in this browser.');
+  stopSound();
+  await ac.resume();
+  const src = ac.createBufferSource();
+  src.buffer = buffer;
+  src.connect(ac.destination);
+  src.onended = () => { if (synthPlayback === src) synthPlayback = null; };
+  src.start(0, offset);
+  synthPlayback = src;
+  return src;
+}
+
+async function playSynthSound(kind) {
+  const seed = synthSeedValue();
+  try {
+    const { buffer } = await renderSynthSound(kind, { seed });
+    await playAudioBuffer(buffer);
+    showTemporaryAlert(`Playing synthesized ${SYNTH_LABELS[kind]} (seed ${seed})`, 'rgba(0,120,200,0.95)');
+  } catch (err) {
+    console.error('synth error', err);
+    showTemporaryAlert('Could not synthesize this sound: ' + err.message, 'rgba(200,30,30,0.95)');
+  }
+}
+
+async function playSample(kind) {
+  const file = SAMPLE_FILES[kind];
+  if (await resourceExists(file, 3500)) return playMP3(file, { verified: true });
+  playSynthSound(kind);
+}
+
+function playWhale(){ playSample('whale'); }
+function playDolphin(){ playSample('dolphin'); }
+function playBoat(){ playSample('boat'); }
+
+// puts a File into #audioUpload as if the user had picked it (player, spectrogram, Analyze all follow)
+function useFileAsUpload(file) {
+  if (!audioUploadEl || typeof DataTransfer === 'undefined') return false;
+  try {
+    const dt = new DataTransfer();
+    dt.items.add(file);
+    audioUploadEl.files = dt.files;
+    audioUploadEl.dispatchEvent(new Event('change'));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function synthSoundFile(kind, seed = synthSeedValue()) {
+  const { buffer } = await renderSynthSound(kind, { seed });
+  return new File([encodeWav(buffer)], `synth-${SYNTH_LABELS[kind]}-seed${seed}.wav`, { type: 'audio/wav' });
+}
+
+async function analyzeSynthSound(kind) {
+  try {
+    const file = await synthSoundFile(kind);
+    useFileAsUpload(file);
+    return analyzeUploadedAudioAndShow(file);
+  } catch (err) {
+    console.error('synth error', err);
+    showTemporaryAlert('Could not synthesize this sound: ' + err.message, 'rgba(200,30,30,0.95)');
+  }
+}
 
 document.addEventListener('click', (e)=>{
   const s = e.target.dataset && e.target.dataset.sound;
@@ -216,9 +305,11 @@ document.addEventListener('click', (e)=>{
   if(s==='dolphin') playDolphin();
   if(s==='boat') playBoat();
   if(s==='stop') stopSound();
+  const synth = e.target.dataset && e.target.dataset.synthAnalyze;
+  if(synth) analyzeSynthSound(synth);
 });
 
-const stopBtn = document.getElementById('stop-sound');
+const stopBtn = document.getElementById('stop-sound') || document.getElementById('stopSoundBtn');
 if(stopBtn) stopBtn.addEventListener('click', ()=> stopSound());
 
 /* ------------------------------
@@ -293,490 +384,3904 @@ async function decodeFileToAudioBuffer(fileOrUrl) {
   return decodeAudioDataPromise(ac, arr);
 }
 
-/* FFT + analyzer */
-function fftRealtoMag(buffer) {
-  const n = buffer.length;
-  const cos = new Float32Array(n/2);
-  const sin = new Float32Array(n/2);
-  const rev = new Uint32Array(n);
-  for (let i = 0, j = 0; i < n; i++) {
-    rev[i] = j;
-    let bit = n >> 1;
-    while (j & bit) { j ^= bit; bit >>= 1; }
-    j ^= bit;
-  }
-  const re = new Float32Array(n);
-  const im = new Float32Array(n);
-  for (let i = 0; i < n; i++) re[i] = buffer[rev[i]] || 0.0;
-  for (let len = 2; len <= n; len <<= 1) {
-    const half = len >> 1;
-    const theta = -2 * Math.PI / len;
-    for (let k = 0; k < half; k++) {
-      cos[k] = Math.cos(theta * k);
-      sin[k] = Math.sin(theta * k);
-    }
-    for (let i = 0; i < n; i += len) {
-      for (let k = 0; k < half; k++) {
-        const uR = re[i + k];
-        const uI = im[i + k];
-        const vR = re[i + k + half] * cos[k] - im[i + k + half] * sin[k];
-        const vI = re[i + k + half] * sin[k] + im[i + k + half] * cos[k];
-        re[i + k] = uR + vR;
-        im[i + k] = uI + vI;
-        re[i + k + half] = uR - vR;
-        im[i + k + half] = uI - vI;
-      }
-    }
-  }
-  const mags = new Float32Array(n/2);
-  for (let i = 0; i < n/2; i++) {
-    mags[i] = Math.hypot(re[i], im[i]);
+// WAV metadata (recording-metadata.js) of the original file, or null for other formats
+async function readRecordingMetadata(fileOrUrl) {
+  try {
+    const arr = typeof fileOrUrl === 'string'
+      ? await (await fetch(fileOrUrl)).arrayBuffer()
+      : await fileOrUrl.arrayBuffer();
+    return parseWavMetadata(arr);
+  } catch (err) {
+    console.warn('Could not read recording metadata:', err && err.message);
+    return null;
   }
-  return mags;
 }
 
-function nextPowerOfTwo(v){
-  let p = 1;
-  while(p < v) p <<= 1;
-  return p;
+/* ------------------------------
+   Scoring — the scorer itself lives in analysis-core.js; rule tables
+   live in profiles/*.json (shared with back.py)
+   ------------------------------ */
+let activeScoringProfile = null;
+
+function noteForScore(score, profile = activeScoringProfile) {
+  return profileNoteForScore(score, profile);
 }
 
-function computeRMSFromBuffer(audioBuffer) {
-  let sum = 0, cnt = 0;
-  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
-    const data = audioBuffer.getChannelData(ch);
-    for (let i = 0; i < data.length; i++) {
-      const v = data[i];
-      sum += v * v;
-      cnt++;
-    }
+/* ------------------------------
+   Scoring profiles — built-ins from profiles/, custom ones in localStorage
+   ------------------------------ */
+const PROFILE_INDEX_URL = 'profiles/index.json';
+const PROFILE_STORAGE_KEY = 'mam.scoringProfiles.custom';
+const ACTIVE_PROFILE_KEY = 'mam.scoringProfile.active';
+const builtInProfiles = {};
+let _profilesPromise = null;
+
+function customProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || '{}');
+  } catch (e) {
+    return {};
   }
-  return Math.sqrt(sum / Math.max(1, cnt));
 }
 
-function mixDownToMono(audioBuffer, targetLength) {
-  const src = audioBuffer.getChannelData(0);
-  const len = Math.min(src.length, targetLength);
-  const out = new Float32Array(len);
-  if (audioBuffer.numberOfChannels > 1) {
-    const ch1 = audioBuffer.getChannelData(0);
-    const ch2 = audioBuffer.getChannelData(1);
-    for (let i = 0; i < len; i++) out[i] = (ch1[i] + ch2[i]) * 0.5;
-  } else {
-    for (let i = 0; i < len; i++) out[i] = src[i];
+function saveCustomProfile(profile) {
+  const all = customProfiles();
+  all[profile.name] = profile;
+  localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(all));
+}
+
+function deleteCustomProfile(name) {
+  const all = customProfiles();
+  delete all[name];
+  localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(all));
+}
+
+function findScoringProfile(name) {
+  const custom = customProfiles();
+  if (custom[name]) return { profile: custom[name], custom: true };
+  if (builtInProfiles[name]) return { profile: builtInProfiles[name], custom: false };
+  return null;
+}
+
+function isCustomProfile(profile) {
+  return !!profile && !builtInProfiles[profile.name];
+}
+
+function setActiveScoringProfile(name) {
+  const found = findScoringProfile(name);
+  if (!found) return false;
+  activeScoringProfile = found.profile;
+  try { localStorage.setItem(ACTIVE_PROFILE_KEY, name); } catch (e) { /* ignore */ }
+  return true;
+}
+
+function loadScoringProfiles() {
+  if (!_profilesPromise) {
+    _profilesPromise = (async () => {
+      const names = await fetch(PROFILE_INDEX_URL).then(r => {
+        if (!r.ok) throw new Error('profile index HTTP ' + r.status);
+        return r.json();
+      });
+      await Promise.all(names.map(async (name) => {
+        const resp = await fetch(`profiles/${name}.json`);
+        if (!resp.ok) throw new Error(`profile ${name} HTTP ${resp.status}`);
+        builtInProfiles[name] = await resp.json();
+      }));
+    })().catch((err) => {
+      console.warn('Could not load built-in scoring profiles:', err && (err.message || err));
+      _profilesPromise = null;
+    });
   }
-  return out;
+  return _profilesPromise;
 }
 
-function computeSpectralFlatness(mags) {
-  const eps = 1e-12;
-  let sum = 0;
-  let logSum = 0;
-  const n = mags.length;
-  for (let i = 0; i < n; i++) {
-    const v = Math.max(mags[i], eps);
-    sum += v;
-    logSum += Math.log(v);
-  }
-  const arithmetic = sum / Math.max(1, n);
-  const geometric = Math.exp(logSum / Math.max(1, n));
-  const flatness = geometric / (arithmetic + eps);
-  return Math.max(0, Math.min(1, flatness));
-}
-
-/* ------------------------------
-   Mathematical Formula-based Scoring
-   ------------------------------ */
-
-function computeEnvironmentalScore(features) {
-  const { rms, lowRatio, midRatio, highRatio, centroid, flatness, lowPeakiness } = features;
-  
-  // Debug logging to see actual values
-  console.log('=== AUDIO FEATURES ===');
-  console.log('RMS:', rms);
-  console.log('Low Ratio (<300Hz):', lowRatio);
-  console.log('Mid Ratio (300-3kHz):', midRatio);
-  console.log('High Ratio (>3kHz):', highRatio);
-  console.log('Centroid:', centroid, 'Hz');
-  console.log('Flatness:', flatness);
-  console.log('Low Peakiness:', lowPeakiness);
-  console.log('=====================');
-  
-  let score = 50; // Start at neutral
-  
-  // === PATTERN MATCHING FOR SPECIFIC SOUNDS ===
-  
-  // HUMPBACK WHALE SIGNATURE (max ~35 points)
-  let humpbackScore = 0;
-  if (lowRatio > 0.6) humpbackScore += 10;
-  if (lowRatio > 0.5) humpbackScore += 6;
-  if (flatness < 0.2) humpbackScore += 12;
-  else if (flatness < 0.3) humpbackScore += 8;
-  if (lowPeakiness > 3.5) humpbackScore += 10;
-  else if (lowPeakiness > 2.5) humpbackScore += 6;
-  if (centroid < 1000) humpbackScore += 8;
-  else if (centroid < 1500) humpbackScore += 5;
-  if (midRatio < 0.3) humpbackScore += 5;
-  
-  // ORCA/KILLER WHALE SIGNATURE (max ~35 points)
-  let orcaScore = 0;
-  if (highRatio > 0.15 && highRatio < 0.4) orcaScore += 10;
-  if (flatness > 0.25 && flatness < 0.55) orcaScore += 8;
-  if (midRatio > 0.25 && midRatio < 0.5) orcaScore += 8;
-  if (lowRatio > 0.2 && lowRatio < 0.6) orcaScore += 7;
-  if (centroid > 1000 && centroid < 3000) orcaScore += 8;
-  if (lowPeakiness > 1.5 && lowPeakiness < 4) orcaScore += 5;
-  if (rms > 0.01 && rms < 0.08) orcaScore += 5;
-  
-  // BOAT/ENGINE SIGNATURE (HEAVY PENALTIES)
-  let boatScore = 0;
-  
-  // Critical boat indicators - if ANY of these match strongly, force low score
-  const isBoat = (
-    (flatness > 0.5) ||  // Noise-like
-    (centroid > 2000 && lowPeakiness < 2.5) ||  // High centroid + low peaks
-    (midRatio > 0.4 && flatness > 0.45) ||  // Broadband mid
-    (rms > 0.08)  // Very loud
-  );
-  
-  if (isBoat) {
-    // If it's clearly a boat, heavily penalize
-    if (flatness > 0.7) boatScore -= 60;
-    else if (flatness > 0.6) boatScore -= 50;
-    else if (flatness > 0.5) boatScore -= 40;
-    else if (flatness > 0.4) boatScore -= 30;
-    
-    if (centroid > 4000) boatScore -= 40;
-    else if (centroid > 3000) boatScore -= 35;
-    else if (centroid > 2500) boatScore -= 30;
-    else if (centroid > 2000) boatScore -= 20;
-    
-    if (lowPeakiness < 1.5) boatScore -= 30;
-    else if (lowPeakiness < 2.0) boatScore -= 25;
-    else if (lowPeakiness < 2.5) boatScore -= 15;
-    
-    if (midRatio > 0.5) boatScore -= 30;
-    else if (midRatio > 0.4) boatScore -= 20;
-    
-    if (highRatio > 0.35) boatScore -= 25;
-    
-    if (rms > 0.15) boatScore -= 30;
-    else if (rms > 0.1) boatScore -= 20;
-    else if (rms > 0.08) boatScore -= 10;
-  }
-  
-  // Combine scores
-  const animalScore = Math.max(humpbackScore, orcaScore);
-  score += animalScore + boatScore;
-  
-  // If boat indicators are strong, cap the max score at 30
-  if (isBoat && score > 30) {
-    score = Math.min(30, score);
-  }
-  
-  // Cap marine animal scores to keep them in 80-95 range (not 100)
-  if (!isBoat && score > 95) {
-    score = 95;
-  }
-  
-  console.log('Humpback signature score:', humpbackScore);
-  console.log('Orca signature score:', orcaScore);
-  console.log('Boat penalty score:', boatScore);
-  console.log('Is Boat detected:', isBoat);
-  console.log('Total adjustment:', animalScore + boatScore);
-  
-  // Clamp to 0-100
-  score = Math.max(0, Math.min(100, Math.round(score)));
-  
-  console.log('Final score:', score);
-  
-  let note;
-  if (score >= 80) {
-    note = "High: Strong marine mammal vocalizations detected (healthy environment).";
-  } else if (score >= 40) {
-    note = "Medium: Moderate marine activity or mixed signals with some noise.";
-  } else {
-    note = "Low: Significant pollution (boat/engine noise) or minimal biological activity.";
+async function ensureScoringProfile() {
+  if (activeScoringProfile) return activeScoringProfile;
+  await loadScoringProfiles();
+  let saved = null;
+  try { saved = localStorage.getItem(ACTIVE_PROFILE_KEY); } catch (e) { /* ignore */ }
+  if (!(saved && setActiveScoringProfile(saved)) && !setActiveScoringProfile('default')) {
+    const anyCustom = Object.keys(customProfiles())[0];
+    if (!(anyCustom && setActiveScoringProfile(anyCustom))) {
+      throw new Error('No scoring profile available — could not load profiles/default.json');
+    }
   }
-  
-  return { score, note };
+  return activeScoringProfile;
 }
 
 /* ------------------------------
-   Audio feature analyzer
+   Analysis worker pool (analysis-worker.js)
+   - windows are scored in chunks; each chunk gets its own copy of the native
+     samples it needs, transferred (not cloned) to a worker, which resamples
+     them to CANONICAL_SAMPLE_RATE itself (canonicalSegment)
+   - the chunks also take the level sums of channel 0 (levelSums) over native
+     ranges that tile the clip, added up once all are back
+   - DSP that needs the whole clip at once (conditioning, bearings, vessel
+     passages) goes to one worker as a task of its own, through offMainThread()
+   - falls back to the main thread when workers can't start (e.g. file://)
    ------------------------------ */
+const ANALYSIS_CHUNK_WINDOWS = 256;
+
+let _analysisPool = null;
+
+function getAnalysisPool() {
+  if (_analysisPool !== null) return _analysisPool;
+  if (typeof Worker === 'undefined') return (_analysisPool = false);
+  try {
+    const size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    const pool = { workers: [], idle: [], queue: [], busy: new Map(), nextId: 1, broken: false };
+    for (let i = 0; i < size; i++) {
+      const w = new Worker('analysis-worker.js');
+      w.onmessage = (e) => onPoolMessage(pool, w, e.data);
+      w.onerror = (e) => onPoolError(pool, w, e);
+      pool.workers.push(w);
+      pool.idle.push(w);
+    }
+    _analysisPool = pool;
+  } catch (err) {
+    console.warn('Analysis workers unavailable:', err && err.message);
+    _analysisPool = false;
+  }
+  return _analysisPool;
+}
+
+function onPoolMessage(pool, worker, msg) {
+  const task = pool.busy.get(worker);
+  if (!task || msg.id !== task.id) return;
+  if (msg.type === 'progress') {
+    if (task.onProgress) task.onProgress(msg.done);
+    return;
+  }
+  pool.busy.delete(worker);
+  pool.idle.push(worker);
+  if (msg.type === 'result') task.resolve(msg.value);
+  else task.reject(new Error(msg.message || 'worker error'));
+  pumpAnalysisPool(pool);
+}
+
+function onPoolError(pool, worker, e) {
+  // a worker that fails to load its script can't be trusted for anything else either
+  console.warn('Analysis worker error:', e && (e.message || e));
+  pool.broken = true;
+  const err = new Error('analysis worker failed' + (e && e.message ? ': ' + e.message : ''));
+  const task = pool.busy.get(worker);
+  if (task) task.reject(err);
+  pool.queue.splice(0).forEach(t => t.reject(err));
+  pool.workers.forEach(w => w.terminate());
+  _analysisPool = false;
+}
+
+function pumpAnalysisPool(pool) {
+  while (pool.idle.length && pool.queue.length) {
+    const task = pool.queue.shift();
+    if (task.signal && task.signal.aborted) {
+      task.reject(new DOMException('Analysis cancelled', 'AbortError'));
+      continue;
+    }
+    const worker = pool.idle.pop();
+    // build the chunk only now, so a long file isn't copied all at once
+    const { message, transfer } = task.build();
+    pool.busy.set(worker, task);
+    worker.postMessage({ ...message, id: task.id }, transfer);
+  }
+}
+
+function runPoolTask(pool, build, onProgress, signal) {
+  return new Promise((resolve, reject) => {
+    const task = { id: pool.nextId++, build, onProgress, signal, resolve, reject };
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        const i = pool.queue.indexOf(task);
+        if (i >= 0) pool.queue.splice(i, 1);
+        reject(new DOMException('Analysis cancelled', 'AbortError'));
+      }, { once: true });
+    }
+    pool.queue.push(task);
+    pumpAnalysisPool(pool);
+  });
+}
+
+// build() run as one pool task when workers are up, fallback() here when they aren't (or fail)
+async function offMainThread(build, fallback, signal) {
+  const pool = getAnalysisPool();
+  if (pool) {
+    try {
+      return await runPoolTask(pool, build, undefined, signal);
+    } catch (err) {
+      if (err && err.name === 'AbortError') throw err;
+      console.warn('Worker task failed, running on the main thread:', err && err.message);
+    }
+  }
+  return fallback();
+}
+
+// native samples [from, to) whose level sums go with canonical windows [from, to) of starts
+function chunkLevelRange(audioBuffer, starts, from, to) {
+  const sr = audioBuffer.sampleRate || 44100;
+  const at = i => (i <= 0 ? 0 : i >= starts.length ? audioBuffer.length : Math.floor(starts[i] * sr / CANONICAL_SAMPLE_RATE));
+  return { from: at(from), to: at(to) };
+}
 
-function analyzeAudioBufferFeatures(audioBuffer) {
-  const SAMPLE_COUNT = 16384;
+// native samples (filter edges included) behind canonical windows [from, to) of starts;
+// with levels, also the chunk's level range and the Welch frames that start in it
+function chunkInput(audioBuffer, starts, from, to, levels = false) {
   const sr = audioBuffer.sampleRate || 44100;
-  const take = Math.min(audioBuffer.length, SAMPLE_COUNT);
-  const mono = (audioBuffer.numberOfChannels > 1) ? mixDownToMono(audioBuffer, take) : audioBuffer.getChannelData(0).slice(0, take);
-
-  let sum = 0, cnt = 0;
-  for (let c = 0; c < audioBuffer.numberOfChannels; c++){
-    const data = audioBuffer.getChannelData(c);
-    for (let i=0;i<Math.min(data.length, SAMPLE_COUNT); i++){
-      sum += data[i]*data[i];
-      cnt++;
-    }
-  }
-  const rms = Math.sqrt(sum / Math.max(1, cnt));
-
-  const fftSize = nextPowerOfTwo(mono.length);
-  const padded = new Float32Array(fftSize);
-  padded.set(mono);
-  for (let i = 0; i < mono.length; i++) {
-    const w = 0.5 * (1 - Math.cos(2 * Math.PI * i / (mono.length - 1)));
-    padded[i] *= w;
-  }
-
-  const mags = fftRealtoMag(padded);
-  const binSize = sr / fftSize;
-
-  let totalEnergy = 0, low = 0, mid = 0, high = 0;
-  let lowBins = 0, lowSum = 0, lowMax = 0;
-  for (let i = 0; i < mags.length; i++) {
-    const f = i * binSize;
-    const e = mags[i] * mags[i];
-    totalEnergy += e;
-    if (f < 300) {
-      low += e;
-      lowBins++;
-      lowSum += mags[i];
-      if (mags[i]> lowMax) lowMax = mags[i];
-    } else if (f < 3000) mid += e;
-    else high += e;
-  }
-  totalEnergy = Math.max(totalEnergy, 1e-12);
-  const lowRatio = low / totalEnergy;
-  const midRatio = mid / totalEnergy;
-  const highRatio = high / totalEnergy;
-
-  let centroidNum = 0;
-  let magSum = 0;
-  for (let i = 0; i < mags.length; i++) {
-    centroidNum += (i * binSize) * mags[i];
-    magSum += mags[i];
-  }
-  const centroid = centroidNum / (magSum + 1e-12);
-
-  const flatness = computeSpectralFlatness(mags);
-  const eps = 1e-12;
-  const lowMeanMag = (lowSum / Math.max(1, lowBins)) || eps;
-  const lowPeakiness = lowMax / (lowMeanMag + eps);
+  const s0 = starts[from];
+  const s1 = Math.min(canonicalLength(audioBuffer.length, sr), starts[to - 1] + ANALYSIS_WINDOW);
+  let { start, end } = resampleInputRange(sr, CANONICAL_SAMPLE_RATE, audioBuffer.length, s0, s1);
+  if (!levels) return { s0, s1, start, end, levels: null };
+  const range = chunkLevelRange(audioBuffer, starts, from, to);
+  start = Math.min(start, range.from);
+  end = Math.max(end, Math.min(audioBuffer.length, range.to + welchSize(sr, audioBuffer.length)));
+  return { s0, s1, start, end, levels: range };
+}
 
+// { windows, levels }: levels is the clip's levelSums() of channel 0, or null when not asked for
+async function analyzeTimelineInWorkers(pool, audioBuffer, starts, profile, onProgress, signal, levels) {
+  const sr = audioBuffer.sampleRate || 44100;
+  const done = [];
+  const report = () => {
+    if (onProgress) onProgress(done.reduce((a, b) => a + (b || 0), 0) / starts.length);
+  };
+  const tasks = [];
+  for (let from = 0, k = 0; from < starts.length; from += ANALYSIS_CHUNK_WINDOWS, k++) {
+    const to = Math.min(starts.length, from + ANALYSIS_CHUNK_WINDOWS);
+    const build = () => {
+      const { s0, s1, start, end, levels: levelRange } = chunkInput(audioBuffer, starts, from, to, levels);
+      const channels = [];
+      for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c).slice(start, end));
+      return {
+        message: {
+          task: 'windows', channels, sampleRate: sr, inputOffset: start, inputLength: audioBuffer.length,
+          offset: s0, end: s1, starts: starts.slice(from, to), profile, levels: levelRange
+        },
+        transfer: channels.map(ch => ch.buffer)
+      };
+    };
+    tasks.push(runPoolTask(pool, build, (n) => { done[k] = n; report(); }, signal));
+  }
+  const parts = await Promise.all(tasks);
   return {
-    rms: Number(rms.toFixed(4)),
-    lowRatio: Number(lowRatio.toFixed(3)),
-    midRatio: Number(midRatio.toFixed(3)),
-    highRatio: Number(highRatio.toFixed(3)),
-    centroid: Math.round(centroid),
-    flatness: Number(flatness.toFixed(3)),
-    lowPeakiness: Number(lowPeakiness.toFixed(2))
+    windows: [].concat(...parts.map(p => p.windows)),
+    levels: levels ? parts.map(p => p.levels).reduce(addLevelSums) : null
   };
 }
 
+function analyzeTimelineOnMainThread(audioBuffer, starts, profile, onProgress, signal, levels) {
+  return (async () => {
+    const windows = [];
+    let sums = null;
+    const sr = audioBuffer.sampleRate || 44100;
+    for (let from = 0; from < starts.length; from += 64) {
+      const to = Math.min(starts.length, from + 64);
+      const { s0, s1, start, end } = chunkInput(audioBuffer, starts, from, to);
+      const channels = [];
+      for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c).subarray(start, end));
+      const view = canonicalSegment(channels, sr, start, audioBuffer.length, s0, s1);
+      windows.push(...analyzeWindowRange(view, starts, from, to, profile, s0));
+      if (levels) {
+        const range = chunkLevelRange(audioBuffer, starts, from, to);
+        const part = levelSums(audioBuffer.getChannelData(0), sr, audioBuffer.length, range.from, range.to);
+        sums = sums ? addLevelSums(sums, part) : part;
+      }
+      if (onProgress) onProgress(to / starts.length);
+      // yield now and then so long recordings don't freeze the page
+      await new Promise(r => setTimeout(r, 0));
+      if (signal && signal.aborted) throw new DOMException('Analysis cancelled', 'AbortError');
+    }
+    return { windows, levels: sums };
+  })();
+}
+
 /* ------------------------------
-   Analyze uploaded audio and display
+   Sliding-window timeline over the whole clip
+   - windows are laid out and scored at CANONICAL_SAMPLE_RATE, so they span the
+     same time and features the same band whatever the recording's rate; each
+     chunk is resampled where it is scored, never the whole clip up front
+   - levels: also measure channel 0's sound levels (timeline.levels), chunk by
+     chunk alongside the windows, with the active calibration
    ------------------------------ */
-async function analyzeUploadedAudioAndShow() {
-  try {
-    let audioBuffer = null;
-    if (audioUploadEl && audioUploadEl.files && audioUploadEl.files[0]) {
-      audioBuffer = await decodeFileToAudioBuffer(audioUploadEl.files[0]);
-    } else if (uploadedAudio && uploadedAudio.src) {
-      audioBuffer = await decodeFileToAudioBuffer(uploadedAudio.src);
-    } else {
-      showTemporaryAlert('No uploaded audio found. Please upload or play a clip first.', 'rgba(200,30,30,0.95)');
-      return;
+async function analyzeAudioBufferTimeline(audioBuffer, onProgress, signal, { levels = false } = {}) {
+  const profile = await ensureScoringProfile();
+  const sr = audioBuffer.sampleRate || 44100;
+  const starts = timelineWindowStarts(canonicalLength(audioBuffer.length, sr));
+  let run = null;
+  const pool = getAnalysisPool();
+  if (pool) {
+    try {
+      run = await analyzeTimelineInWorkers(pool, audioBuffer, starts, profile, onProgress, signal, levels);
+    } catch (err) {
+      if (err && err.name === 'AbortError') throw err;
+      console.warn('Worker analysis failed, running on the main thread:', err && err.message);
     }
+  }
+  if (!run) run = await analyzeTimelineOnMainThread(audioBuffer, starts, profile, onProgress, signal, levels);
+  const timeline = {
+    duration: Number((audioBuffer.length / sr).toFixed(3)),
+    windowSeconds: Number((ANALYSIS_WINDOW / CANONICAL_SAMPLE_RATE).toFixed(3)),
+    hopSeconds: Number((ANALYSIS_HOP / CANONICAL_SAMPLE_RATE).toFixed(3)),
+    profile: profile.name,
+    windows: run.windows,
+    summary: summarizeTimeline(run.windows)
+  };
+  if (levels) timeline.levels = levelsFromSums(run.levels, sr, activeCalibration());
+  return timeline;
+}
 
-    showTemporaryAlert('Analyzing audio features...', 'rgba(0,120,200,0.95)');
+/* ------------------------------
+   Score-over-time strip chart
+   ------------------------------ */
+function formatSeconds(sec) {
+  const m = Math.floor(sec / 60);
+  const s = Math.floor(sec % 60);
+  return m + ':' + String(s).padStart(2, '0');
+}
 
-    const features = analyzeAudioBufferFeatures(audioBuffer);
-    const scoring = computeEnvironmentalScore(features);
-
-    const result = {
-      score: scoring.score,
-      rms: features.rms,
-      lowRatio: features.lowRatio,
-      midRatio: features.midRatio,
-      highRatio: features.highRatio,
-      centroid: features.centroid,
-      flatness: features.flatness,
-      lowPeakiness: features.lowPeakiness,
-      note: scoring.note
-    };
+// clip time as m:ss, or as UTC clock time when the recording's start time is known
+function formatClock(sec, startTime = null) {
+  return startTime ? absoluteTime(startTime, sec).slice(11, 19) : formatSeconds(sec);
+}
 
-    let resultEl = document.getElementById('analysis-result');
-    if (!resultEl) {
-      resultEl = document.createElement('div');
-      resultEl.id = 'analysis-result';
-      Object.assign(resultEl.style, {
-        marginTop: '12px',
-        padding: '12px 16px',
-        background: 'rgba(255,255,255,0.95)',
-        color: '#111',
-        borderRadius: '8px',
-        boxShadow: '0 6px 20px rgba(0,0,0,0.12)',
-        maxWidth: '520px'
-      });
-      const parent = audioUploadEl ? audioUploadEl.parentNode : document.body;
-      parent && parent.appendChild(resultEl);
-    }
-
-    resultEl.innerHTML = `<strong>Environmental score: ${result.score}/100</strong>
-      <div style="font-size:13px;margin-top:6px;">
-        <div>RMS (loudness): ${result.rms}</div>
-        <div>Low energy ratio (&lt;300Hz): ${result.lowRatio}</div>
-        <div>Mid energy ratio (300-3kHz): ${result.midRatio}</div>
-        <div>High energy ratio (&gt;3kHz): ${result.highRatio}</div>
-        <div>Spectral centroid: ${result.centroid} Hz</div>
-        <div>Spectral flatness: ${result.flatness}</div>
-        <div>Low peakiness: ${result.lowPeakiness}</div>
-        <div style="margin-top:6px;"><em>${result.note}</em></div>
-      </div>`;
+function drawScoreTimeline(canvas, windows, duration, t0 = 0, startTime = null, passages = []) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const plotH = H - 16; // bottom strip for axis labels
+  const x = t => ((t - t0) / Math.max(duration, 1e-6)) * W;
+  const y = s => plotH - (s / 100) * plotH;
 
-    showTemporaryAlert(`Analysis complete — score ${result.score}/100`, 'rgba(0,0,0,0.85)');
-    console.log('Audio analysis result:', result);
-  } catch (err) {
-    console.error('analyze error', err);
-    showTemporaryAlert('Analysis failed — check console for details.', 'rgba(220,140,20,0.95)');
+  ctx.clearRect(0, 0, W, H);
+  // note bands: low / medium / high
+  ctx.fillStyle = 'rgba(220,60,60,0.10)';  ctx.fillRect(0, y(40), W, y(0) - y(40));
+  ctx.fillStyle = 'rgba(230,170,30,0.10)'; ctx.fillRect(0, y(80), W, y(40) - y(80));
+  ctx.fillStyle = 'rgba(40,170,90,0.10)';  ctx.fillRect(0, y(100), W, y(80) - y(100));
+
+  // windows flagged as boat
+  ctx.fillStyle = 'rgba(200,30,30,0.55)';
+  for (const w of windows) {
+    if (w.isBoat) ctx.fillRect(x(w.start), plotH - 4, Math.max(1, x(w.end) - x(w.start)), 4);
+  }
+  drawPassageMarkers(ctx, passages, x, plotH);
+
+  ctx.strokeStyle = '#0066cc';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  windows.forEach((w, i) => {
+    const px = x((w.start + w.end) / 2), py = y(w.score);
+    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+  });
+  if (windows.length === 1) ctx.lineTo(W, y(windows[0].score));
+  ctx.stroke();
+
+  ctx.fillStyle = '#555';
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';  ctx.fillText(formatClock(t0, startTime), 2, H);
+  ctx.textAlign = 'right'; ctx.fillText(formatClock(t0 + duration, startTime) + (startTime ? ' UTC' : ''), W - 2, H);
+}
+
+function renderScoreTimeline(container, windows, duration, onSelect, startTime = null, passages = []) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 488;
+  canvas.height = 96;
+  Object.assign(canvas.style, { width: '100%', marginTop: '8px', background: '#fafcff', borderRadius: '4px' });
+  container.appendChild(canvas);
+  drawScoreTimeline(canvas, windows, duration, 0, startTime, passages);
+  canvas.addEventListener('mousemove', (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const t = (e.clientX - rect.left) / rect.width * duration;
+    const w = windows.find(w => t >= w.start && t < w.end) || windows[windows.length - 1];
+    const when = startTime ? `${formatClock(t, startTime)} UTC` : formatSeconds(t);
+    const passage = passages.find(v => t >= v.onset && t <= v.offset);
+    if (w) canvas.title = `${when} — score ${w.score}${w.isBoat ? ' (boat)' : ''}` +
+      (passage ? ` · vessel passage ${passage.id}, CPA ${formatClock(passage.cpa, startTime)}` : '');
+  });
+  if (onSelect) {
+    canvas.style.cursor = 'pointer';
+    canvas.addEventListener('click', (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const t = (e.clientX - rect.left) / rect.width * duration;
+      const w = windows.find(w => t >= w.start && t < w.end) || windows[windows.length - 1];
+      if (w) onSelect(w);
+    });
   }
+  return canvas;
+}
+
+function timelineSummaryHtml(summary) {
+  return `<div style="font-size:13px;margin-top:6px;">
+      <div>Windows analysed: ${summary.windowCount}</div>
+      <div>Min ${summary.min} · P10 ${summary.p10} · P25 ${summary.p25} · Median ${summary.p50} · P75 ${summary.p75} · P90 ${summary.p90} · Max ${summary.max}</div>
+      <div>Time flagged as boat: ${(summary.boatFraction * 100).toFixed(1)}%</div>
+    </div>`;
 }
 
 /* ------------------------------
-   Analyze button
+   "Why this score?" — renders the scorer's rule trace
    ------------------------------ */
-const ANALYZE_SERVER_URL = "http://localhost:5000/analyze";
+function formatTraceValue(v) {
+  if (typeof v !== 'number') return 'n/a';
+  return Math.abs(v) >= 100 ? String(Math.round(v)) : String(Number(v.toFixed(3)));
+}
 
-const analyzeBtn = document.getElementById('analyzeBtn');
-if (analyzeBtn) {
-  analyzeBtn.addEventListener('click', async () => {
-    const fileInput = document.getElementById('audioUpload');
-    if (!fileInput || !fileInput.files || !fileInput.files[0]) {
-      return showTemporaryAlert('Please choose an audio file to upload first.', 'rgba(200,30,30,0.95)');
+function traceRuleHtml(t, indent = false) {
+  const cls = t.applied ? 'matched' : t.matched ? 'superseded' : 'unmatched';
+  const mark = t.applied || (t.points == null && t.matched) ? '✓' : t.matched ? '•' : '✗';
+  const pts = t.points == null ? '' : `<span class="trace-pts">${t.applied ? (t.points > 0 ? '+' : '') + t.points : '0'}</span>`;
+  const why = cls === 'superseded' ? ' <span class="trace-hint">(earlier tier applied)</span>' : '';
+  return `<div class="trace-row ${cls}${indent ? ' tier' : ''}">
+      <span class="trace-mark">${mark}</span>
+      <span class="trace-test">${escapeHtml(t.test)}</span>
+      <span class="trace-val">${escapeHtml(t.feature)} = ${formatTraceValue(t.value)}${why}</span>
+      ${pts}
+    </div>`;
+}
+
+function traceRulesHtml(rules) {
+  return (rules || []).map(r => r.firstOf
+    ? `<div class="trace-group">${r.firstOf.map(t => traceRuleHtml(t, true)).join('')}</div>`
+    : traceRuleHtml(r)).join('');
+}
+
+function scoreTraceHtml(trace) {
+  const best = trace.signatures.find(s => s.chosen);
+  const cap = trace.caps.find(c => c.applied);
+  const dolphin = trace.dolphin;
+  const sum = `${trace.baseScore} base + ${trace.animalPoints} ${best ? '(' + escapeHtml(best.label) + ')' : 'animal'}${dolphin ? ` + ${dolphin.points} dolphin` : ''} ${trace.boat.points < 0 ? '− ' + Math.abs(trace.boat.points) : '+ 0'} boat = ${trace.raw}`
+    + (cap ? ` → capped at ${cap.limit} (${escapeHtml(cap.name)})` : '')
+    + (trace.final !== trace.raw && !cap ? ` → clamped to ${trace.final}` : '')
+    + ` → <strong>${trace.final}</strong>`;
+
+  const sigs = trace.signatures.map(s => `
+      <div class="trace-section${s.chosen ? ' chosen' : ''}">
+        <div class="trace-head">${escapeHtml(s.label)}: ${s.points} pts${s.chosen ? ' — best match, counted' : ' — not counted'}</div>
+        ${traceRulesHtml(s.rules)}
+      </div>`).join('');
+
+  const detect = trace.boat.detect.map((g, i) => `
+      <div class="trace-group">
+        <div class="trace-row ${g.matched ? 'matched' : 'unmatched'}"><span class="trace-mark">${g.matched ? '✓' : '✗'}</span><span class="trace-test">Indicator ${i + 1}: all of</span></div>
+        ${g.conditions.map(c => traceRuleHtml(c, true)).join('')}
+      </div>`).join('');
+
+  const dolphinSection = dolphin ? `
+    <div class="trace-section${dolphin.points ? ' chosen' : ''}">
+      <div class="trace-head">${escapeHtml(dolphin.label)}: ${dolphin.points} pts — counted on top of the best signature${dolphin.boatVeto != null
+        ? ` · detector confidence ${formatTraceValue(dolphin.evidence)} ${dolphin.evidence >= dolphin.boatVeto ? '≥' : '<'} ${dolphin.boatVeto} boat veto` : ''}</div>
+      ${traceRulesHtml(dolphin.rules)}
+    </div>` : '';
+
+  const caps = trace.caps.map(c => `
+      <div class="trace-row ${c.applied ? 'matched' : 'unmatched'}">
+        <span class="trace-mark">${c.applied ? '✓' : '✗'}</span>
+        <span class="trace-test">${escapeHtml(c.name)}: max ${c.limit} when ${escapeHtml(c.when)}</span>
+        <span class="trace-val">${c.applied ? 'applied' : 'not applied'}</span>
+      </div>`).join('');
+
+  const boatState = trace.boat.detected ? 'detected' : trace.boat.vetoed ? 'indicated, but vetoed by the dolphin detectors' : 'not detected';
+  return `<div class="trace-sum">${sum}</div>
+    ${sigs}
+    ${dolphinSection}
+    <div class="trace-section">
+      <div class="trace-head">Boat / engine detection: ${boatState}</div>
+      ${detect}
+    </div>
+    <div class="trace-section">
+      <div class="trace-head">Boat penalties: ${trace.boat.points} pts${trace.boat.detected ? '' : ' — only apply when a boat is detected'}</div>
+      ${traceRulesHtml(trace.boat.penalties)}
+    </div>
+    <div class="trace-section">
+      <div class="trace-head">Caps</div>
+      ${caps}
+    </div>`;
+}
+
+function renderScoreTrace(container, trace, caption) {
+  if (!container || !trace) return;
+  const wasOpen = container.querySelector('details') && container.querySelector('details').open;
+  container.innerHTML = `<details class="score-trace"${wasOpen ? ' open' : ''}>
+      <summary>Why this score? <span class="trace-hint">${escapeHtml(caption || '')} · profile ${escapeHtml(trace.profile)}</span></summary>
+      ${scoreTraceHtml(trace)}
+    </details>`;
+}
+
+// window whose score sits closest to the clip-level score
+function windowCaption(w) {
+  const utc = w.utc ? ` (${w.utc.slice(0, 19).replace('T', ' ')} UTC)` : '';
+  return `window ${formatSeconds(w.start)}–${formatSeconds(w.end)}${utc}, score ${w.score}`;
+}
+
+/* ------------------------------
+   Spectrogram viewer (STFT on fftRealtoMag) with synced playback
+   - wheel zooms time around the cursor, drag pans, click seeks
+     (with Annotate ticked, drag draws an annotation box instead)
+   - 300 Hz / 3 kHz scorer band edges drawn as overlays
+   ------------------------------ */
+const SCORER_BAND_EDGES = [300, 3000];
+
+const specCanvas = document.getElementById('specCanvas');
+const specOverlay = document.getElementById('specOverlay');
+const specState = {
+  buffer: null,
+  mono: null,
+  sr: 44100,
+  duration: 0,
+  fftSize: 2048,
+  minDb: -100,
+  maxDb: -20,
+  maxFreq: 4000,
+  t0: 0,
+  t1: 0,
+  pending: false
+};
+
+// black -> deep blue -> cyan -> yellow -> white
+const SPEC_COLOR_STOPS = [[0, 0, 0], [10, 30, 120], [0, 170, 220], [250, 220, 40], [255, 255, 255]];
+function specColor(v) {
+  const x = Math.max(0, Math.min(1, v)) * (SPEC_COLOR_STOPS.length - 1);
+  const i = Math.min(SPEC_COLOR_STOPS.length - 2, Math.floor(x));
+  const f = x - i;
+  const a = SPEC_COLOR_STOPS[i], b = SPEC_COLOR_STOPS[i + 1];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+}
+
+function stftColumn(mono, center, fftSize) {
+  const win = hannWindow(fftSize);
+  const frame = new Float32Array(fftSize);
+  const start = center - (fftSize >> 1);
+  for (let i = 0; i < fftSize; i++) {
+    const j = start + i;
+    if (j >= 0 && j < mono.length) frame[i] = mono[j] * win[i];
+  }
+  return fftRealtoMag(frame);
+}
+
+function specFreqLimit() {
+  const nyquist = specState.sr / 2;
+  return specState.maxFreq > 0 ? Math.min(specState.maxFreq, nyquist) : nyquist;
+}
+
+// view: { fftSize, minDb, maxDb, fMax, t0, t1 } — also used for the Guess the Sound reveal
+function drawSpectrogramImage(canvas, mono, sr, view) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const { fftSize, minDb, maxDb, fMax, t0, t1 } = view;
+  const img = ctx.createImageData(W, H);
+  const binHz = sr / fftSize;
+  const norm = fftSize / 4; // Hann-windowed full-scale sine peaks near N/4
+  const range = Math.max(1, maxDb - minDb);
+
+  for (let x = 0; x < W; x++) {
+    const t = t0 + (x + 0.5) / W * (t1 - t0);
+    const mags = stftColumn(mono, Math.round(t * sr), fftSize);
+    for (let y = 0; y < H; y++) {
+      const f = (1 - (y + 0.5) / H) * fMax;
+      const bin = Math.min(mags.length - 1, Math.round(f / binHz));
+      const db = 20 * Math.log10(mags[bin] / norm + 1e-12);
+      const [r, g, b] = specColor((db - minDb) / range);
+      const o = (y * W + x) * 4;
+      img.data[o] = r; img.data[o + 1] = g; img.data[o + 2] = b; img.data[o + 3] = 255;
     }
-    const file = fileInput.files[0];
+  }
+  ctx.putImageData(img, 0, 0);
+}
 
-    // Try server first
-    showTemporaryAlert('Uploading to server for YAMNet analysis...', 'rgba(0,120,200,0.95)');
+function renderSpectrogram() {
+  specState.pending = false;
+  if (!specCanvas || !specState.mono) return;
+  drawSpectrogramImage(specCanvas, specState.mono, specState.sr, { ...specState, fMax: specFreqLimit() });
+  drawSpectrogramOverlay();
+}
 
-    try {
-      const fd = new FormData();
-      fd.append('file', file);
-
-      const controller = new AbortController();
-      const timeoutMs = 15000; // 15 second timeout
-      const to = setTimeout(() => controller.abort(), timeoutMs);
-
-      const resp = await fetch(ANALYZE_SERVER_URL, { 
-        method: 'POST', 
-        body: fd, 
-        signal: controller.signal, 
-        mode: 'cors' 
-      });
-      clearTimeout(to);
+function scheduleSpectrogramRender() {
+  if (specState.pending) return;
+  specState.pending = true;
+  requestAnimationFrame(renderSpectrogram);
+}
 
-      if (!resp.ok) {
-        console.warn('Server returned non-ok for analysis:', resp.status);
-        showTemporaryAlert('Server analysis failed — falling back to local analysis.', 'rgba(220,140,20,0.95)');
-        return analyzeUploadedAudioAndShow();
-      }
+function drawSpectrogramOverlay() {
+  if (!specOverlay || !specState.mono) return;
+  const ctx = specOverlay.getContext('2d');
+  const W = specOverlay.width, H = specOverlay.height;
+  const fMax = specFreqLimit();
+  ctx.clearRect(0, 0, W, H);
 
-      const json = await resp.json();
-      
-      // Check if server returned an error
-      if (json.error) {
-        console.warn('Server error:', json.error, json.detail || '');
-        showTemporaryAlert('Server error — falling back to local analysis.', 'rgba(220,140,20,0.95)');
-        return analyzeUploadedAudioAndShow();
-      }
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'bottom';
+  ctx.setLineDash([6, 4]);
+  ctx.lineWidth = 1;
+  for (const f of SCORER_BAND_EDGES) {
+    if (f >= fMax) continue;
+    const y = H - (f / fMax) * H;
+    ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+    ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke();
+    ctx.fillStyle = '#fff';
+    ctx.fillText(f >= 1000 ? (f / 1000) + ' kHz' : f + ' Hz', 4, y - 2);
+  }
+  ctx.setLineDash([]);
 
-      // Display server results
-      let resultEl = document.getElementById('analysis-result');
-      if (!resultEl) {
-        resultEl = document.createElement('div');
-        resultEl.id = 'analysis-result';
-        Object.assign(resultEl.style, {
-          marginTop: '12px',
-          padding: '12px 16px',
-          background: 'rgba(255,255,255,0.95)',
-          color: '#111',
-          borderRadius: '8px',
-          boxShadow: '0 6px 20px rgba(0,0,0,0.12)',
-          maxWidth: '520px'
-        });
-        const parent = fileInput.parentNode || document.body;
-        parent.appendChild(resultEl);
-      }
-      
-      resultEl.innerHTML = `<strong style="color: #0066cc;">🔬 YAMNet Analysis (Server)</strong>
-        <div style="font-size:16px;margin:10px 0;padding:8px;background:#f0f8ff;border-radius:4px;">
-          <strong>Environmental Score: ${json.score}/100</strong>
-        </div>
-        <div style="font-size:13px;margin-top:6px;">
-          <div><strong>Animal Score:</strong> ${json.animalScore?.toFixed(4) || 'N/A'}</div>
-          <div><strong>Noise Score:</strong> ${json.noiseScore?.toFixed(4) || 'N/A'}</div>
-          <div style="margin-top:8px;padding:8px;background:#f9f9f9;border-left:3px solid #0066cc;">
-            <em>${json.note || ''}</em>
-          </div>
-        </div>
-        <div style="font-size:11px;color:#666;margin-top:8px;">
-          ✓ Analyzed using YAMNet deep learning model
-        </div>`;
-      
-      showTemporaryAlert(`Server analysis complete — score ${json.score}/100`, 'rgba(0,180,0,0.95)');
-      console.log('Server YAMNet analysis result:', json);
-      
+  // time axis labels
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  ctx.textAlign = 'left';  ctx.fillText(formatSeconds(specState.t0), 4, H - 2);
+  ctx.textAlign = 'right'; ctx.fillText(formatSeconds(specState.t1), W - 4, H - 2);
+  ctx.fillText((fMax / 1000).toFixed(1) + ' kHz', W - 4, 14);
+  ctx.textAlign = 'left';
+
+  drawAnnotationBoxes(ctx, W, H, fMax);
+
+  // playhead
+  if (uploadedAudio && uploadedAudio.src) {
+    const t = uploadedAudio.currentTime;
+    if (t >= specState.t0 && t <= specState.t1) {
+      const x = (t - specState.t0) / (specState.t1 - specState.t0) * W;
+      ctx.strokeStyle = '#ff3b3b';
+      ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke();
+    }
+  }
+}
+
+function setSpectrogramView(t0, t1) {
+  const dur = specState.duration;
+  const minSpan = Math.min(dur, (specState.fftSize * 4) / specState.sr);
+  let span = Math.max(minSpan, Math.min(dur, t1 - t0));
+  t0 = Math.max(0, Math.min(dur - span, t0));
+  specState.t0 = t0;
+  specState.t1 = t0 + span;
+  scheduleSpectrogramRender();
+}
+
+function loadSpectrogram(audioBuffer) {
+  specState.buffer = audioBuffer;
+  specState.sr = audioBuffer.sampleRate || 44100;
+  specState.mono = audioBuffer.numberOfChannels > 1 ? mixDownToMono(audioBuffer, audioBuffer.length) : audioBuffer.getChannelData(0);
+  specState.duration = audioBuffer.length / specState.sr;
+  const box = document.getElementById('spectrogram-box');
+  if (box) box.style.display = '';
+  setSpectrogramView(0, specState.duration);
+}
+
+function specTimeAt(clientX) {
+  const rect = specOverlay.getBoundingClientRect();
+  return specState.t0 + (clientX - rect.left) / rect.width * (specState.t1 - specState.t0);
+}
+
+if (specOverlay) {
+  specOverlay.addEventListener('wheel', (e) => {
+    if (!specState.mono) return;
+    e.preventDefault();
+    const t = specTimeAt(e.clientX);
+    const factor = e.deltaY > 0 ? 1.25 : 0.8;
+    const t0 = t - (t - specState.t0) * factor;
+    const t1 = t + (specState.t1 - t) * factor;
+    setSpectrogramView(t0, t1);
+  }, { passive: false });
+
+  let drag = null;
+  specOverlay.addEventListener('mousedown', (e) => {
+    if (!specState.mono) return;
+    drag = { x: e.clientX, y: e.clientY, t0: specState.t0, t1: specState.t1, moved: false, box: annotState.mode };
+  });
+  window.addEventListener('mousemove', (e) => {
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    if (Math.abs(dx) > 3 || (drag.box && Math.abs(e.clientY - drag.y) > 3)) drag.moved = true;
+    if (!drag.moved) return;
+    if (drag.box) {
+      const ta = specTimeAt(drag.x), tb = specTimeAt(e.clientX);
+      const fa = specFreqAt(drag.y), fb = specFreqAt(e.clientY);
+      annotState.draft = { start: Math.max(0, Math.min(ta, tb)), end: Math.min(specState.duration, Math.max(ta, tb)), lowHz: Math.min(fa, fb), highHz: Math.max(fa, fb) };
+      drawSpectrogramOverlay();
+      return;
+    }
+    const rect = specOverlay.getBoundingClientRect();
+    const dt = dx / rect.width * (drag.t1 - drag.t0);
+    setSpectrogramView(drag.t0 - dt, drag.t1 - dt);
+  });
+  window.addEventListener('mouseup', (e) => {
+    if (!drag) return;
+    const wasClick = !drag.moved;
+    const { box, x, y } = drag;
+    drag = null;
+    if (box && annotState.draft) {
+      const draft = annotState.draft;
+      annotState.draft = null;
+      if (Math.abs(e.clientX - x) >= ANNOTATION_MIN_PIXELS && Math.abs(e.clientY - y) >= ANNOTATION_MIN_PIXELS) addAnnotation(draft);
+      else drawSpectrogramOverlay();
+      return;
+    }
+    const hit = wasClick && box ? annotationAt(e.clientX, e.clientY) : null;
+    if (hit) {
+      selectAnnotation(hit.id);
+      return;
+    }
+    if (wasClick && uploadedAudio && uploadedAudio.src) {
+      uploadedAudio.currentTime = Math.max(0, Math.min(specState.duration, specTimeAt(e.clientX)));
+      drawSpectrogramOverlay();
+    }
+  });
+}
+
+(function wireSpectrogramControls(){
+  const bind = (id, key, parse) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener('input', () => {
+      specState[key] = parse(el.value);
+      if (specState.minDb >= specState.maxDb) specState.minDb = specState.maxDb - 10;
+      scheduleSpectrogramRender();
+    });
+  };
+  bind('specFftSize', 'fftSize', v => parseInt(v, 10));
+  bind('specMinDb', 'minDb', Number);
+  bind('specMaxDb', 'maxDb', Number);
+  bind('specMaxFreq', 'maxFreq', Number);
+  const resetBtn = document.getElementById('specZoomReset');
+  if (resetBtn) resetBtn.addEventListener('click', () => setSpectrogramView(0, specState.duration));
+})();
+
+if (uploadedAudio) {
+  const followPlayhead = () => {
+    if (!specState.mono) return;
+    const t = uploadedAudio.currentTime;
+    const span = specState.t1 - specState.t0;
+    // page the view along when the playhead runs off the visible range
+    if (t > specState.t1 || t < specState.t0) setSpectrogramView(t - span * 0.1, t + span * 0.9);
+    else drawSpectrogramOverlay();
+    if (!uploadedAudio.paused) requestAnimationFrame(followPlayhead);
+  };
+  uploadedAudio.addEventListener('play', () => requestAnimationFrame(followPlayhead));
+  uploadedAudio.addEventListener('seeked', () => drawSpectrogramOverlay());
+}
+
+if (audioUploadEl) {
+  audioUploadEl.addEventListener('change', async () => {
+    const file = audioUploadEl.files && audioUploadEl.files[0];
+    if (!file) return;
+    if (uploadedAudio) {
+      if (uploadedAudio.src && uploadedAudio.src.startsWith('blob:')) URL.revokeObjectURL(uploadedAudio.src);
+      uploadedAudio.src = URL.createObjectURL(file);
+      uploadedAudio.style.display = 'block';
+    }
+    loadAnnotationsFor(file);
+    try {
+      loadSpectrogram(await decodeFileToAudioBuffer(file));
     } catch (err) {
-      console.warn('Server connection error:', err && (err.message || err));
-      showTemporaryAlert('Cannot reach server — running local pattern-matching analysis.', 'rgba(220,140,20,0.95)');
-      analyzeUploadedAudioAndShow();
+      console.error('spectrogram decode error', err);
+      showTemporaryAlert('Could not decode this file for the spectrogram.', 'rgba(220,140,20,0.95)');
     }
   });
 }
 
 /* ------------------------------
-   Guess the Sound game
+   Annotations on the spectrogram (annotations.js)
+   - with "Annotate" ticked, dragging on the spectrogram draws a time / frequency
+     box instead of panning; click a box to select it, then label it (Yamnet
+     target list or any text) and add notes
+   - kept per clip (file name + size) in localStorage; exported and imported as
+     Raven selection tables
+   - "Compare" scores the clip with the active profile and reports the analyzer's
+     per-window precision / recall against the annotations, per class
    ------------------------------ */
+const ANNOTATIONS_KEY = 'mam.annotations'; // { "name|size": [annotation, ...] }
+const ANNOTATION_MIN_PIXELS = 4;
 
-const gsChoices = Array.from(document.querySelectorAll('.gs-choice'));
-let gsRound = 0, gsScore = 0, gsCorrect = null;
-const gsRoundEl = document.getElementById('gs-round');
-const gsScoreEl = document.getElementById('gs-score');
-const gsFeedback = document.getElementById('gs-feedback');
+const annotState = { key: null, fileName: null, list: [], selected: null, draft: null, mode: false };
+const annotModeEl = document.getElementById('annotMode');
+const annotTableEl = document.getElementById('annotTable');
+const annotEditorEl = document.getElementById('annotEditor');
+const annotLabelEl = document.getElementById('annotLabel');
+const annotNotesEl = document.getElementById('annotNotes');
+const annotEvalEl = document.getElementById('annotEval');
+
+function saveAnnotations() {
+  if (!annotState.key) return;
+  const all = loadStoredJson(ANNOTATIONS_KEY, {});
+  if (annotState.list.length) all[annotState.key] = annotState.list;
+  else delete all[annotState.key];
+  try {
+    localStorage.setItem(ANNOTATIONS_KEY, JSON.stringify(all));
+  } catch (err) {
+    console.warn('Could not save annotations:', err && err.message);
+  }
+}
 
-function gsNext(){
-  gsRound++;
-  if(gsRoundEl) gsRoundEl.textContent = gsRound;
-  if(gsFeedback) gsFeedback.textContent = '';
-  const pool = ['whale','dolphin','boat'];
-  gsCorrect = pool[Math.floor(Math.random()*pool.length)];
-  if(gsCorrect==='whale') playWhale();
-  if(gsCorrect==='dolphin') playDolphin();
-  if(gsCorrect==='boat') playBoat();
+function loadAnnotationsFor(file) {
+  annotState.key = `${file.name}|${file.size}`;
+  annotState.fileName = file.name;
+  const stored = loadStoredJson(ANNOTATIONS_KEY, {})[annotState.key];
+  annotState.list = Array.isArray(stored) ? stored.filter(a => !validateAnnotation(a).length) : [];
+  annotState.selected = null;
+  if (annotEvalEl) annotEvalEl.innerHTML = '';
+  renderAnnotationList();
 }
 
-const gsPlayBtn = document.getElementById('gs-play');
-if(gsPlayBtn) {
-  gsPlayBtn.addEventListener('click', ()=> {
-    if(!gsCorrect) gsNext();
-    else {
-      if(gsCorrect==='whale') playWhale();
-      if(gsCorrect==='dolphin') playDolphin();
-      if(gsCorrect==='boat') playBoat();
+const selectedAnnotation = () => annotState.list.find(a => a.id === annotState.selected) || null;
+
+function specFreqAt(clientY) {
+  const rect = specOverlay.getBoundingClientRect();
+  return Math.max(0, Math.min(1, 1 - (clientY - rect.top) / rect.height)) * specFreqLimit();
+}
+
+function drawAnnotationBoxes(ctx, W, H, fMax) {
+  const x = t => (t - specState.t0) / (specState.t1 - specState.t0) * W;
+  const y = hz => H - Math.min(hz, fMax) / fMax * H;
+  const boxes = annotState.draft ? [...annotState.list, annotState.draft] : annotState.list;
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  for (const a of boxes) {
+    if (a.end < specState.t0 || a.start > specState.t1 || a.lowHz >= fMax) continue;
+    const selected = a === annotState.draft || a.id === annotState.selected;
+    ctx.strokeStyle = selected ? '#ffd400' : 'rgba(120,255,160,0.9)';
+    ctx.lineWidth = selected ? 2 : 1;
+    ctx.strokeRect(x(a.start), y(a.highHz), x(a.end) - x(a.start), y(a.lowHz) - y(a.highHz));
+    if (a.label) {
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fillText(`${a.id} ${a.label}`, x(a.start) + 3, y(a.highHz) + 2);
     }
+  }
+  ctx.lineWidth = 1;
+}
+
+function annotationAt(clientX, clientY) {
+  const t = specTimeAt(clientX), hz = specFreqAt(clientY);
+  // the smallest box under the cursor, so nested boxes stay reachable
+  return annotState.list
+    .filter(a => t >= a.start && t <= a.end && hz >= a.lowHz && hz <= a.highHz)
+    .sort((a, b) => (a.end - a.start) * (a.highHz - a.lowHz) - (b.end - b.start) * (b.highHz - b.lowHz))[0] || null;
+}
+
+function selectAnnotation(id) {
+  annotState.selected = id;
+  const a = selectedAnnotation();
+  if (annotEditorEl) annotEditorEl.style.display = a ? '' : 'none';
+  if (a) {
+    annotLabelEl.value = a.label;
+    annotNotesEl.value = a.notes || '';
+  }
+  renderAnnotationList();
+  drawSpectrogramOverlay();
+}
+
+function addAnnotation(box) {
+  const last = annotState.list[annotState.list.length - 1];
+  const a = {
+    id: annotState.list.reduce((m, x) => Math.max(m, x.id), 0) + 1,
+    start: Number(box.start.toFixed(4)),
+    end: Number(box.end.toFixed(4)),
+    lowHz: Math.round(box.lowHz),
+    highHz: Math.round(box.highHz),
+    label: last ? last.label : 'unlabelled',
+    notes: ''
+  };
+  if (validateAnnotation(a).length) return;
+  annotState.list.push(a);
+  saveAnnotations();
+  selectAnnotation(a.id);
+  if (annotLabelEl) annotLabelEl.focus();
+}
+
+function renderAnnotationList() {
+  if (!annotTableEl) return;
+  if (!annotState.list.length) {
+    annotTableEl.innerHTML = '<tr><td style="color:#666;">No annotations yet — tick Annotate and drag on the spectrogram, or import a Raven table.</td></tr>';
+    return;
+  }
+  annotTableEl.innerHTML = '<tr><th>#</th><th>Begin</th><th>End</th><th>Band</th><th>Label</th><th>Notes</th></tr>' +
+    annotState.list.map(a => `<tr data-id="${a.id}"${a.id === annotState.selected ? ' class="selected"' : ''}>
+      <td>${a.id}</td><td>${a.start.toFixed(2)} s</td><td>${a.end.toFixed(2)} s</td>
+      <td>${Math.round(a.lowHz)}–${Math.round(a.highHz)} Hz</td><td>${escapeHtml(a.label)}</td><td>${escapeHtml(a.notes || '')}</td></tr>`).join('');
+}
+
+function renderAnnotationEvaluation(evaluation, profileName) {
+  if (!annotEvalEl) return;
+  const pct = v => (v == null ? '—' : `${Math.round(v * 100)}%`);
+  const rows = evaluation.classes.map(c => `<tr><td style="text-align:left;">${c.class}</td>
+      <td>${c.truthWindows}</td><td>${c.predictedWindows}</td><td>${c.truePositives}</td>
+      <td>${pct(c.precision)}</td><td>${pct(c.recall)}</td></tr>`).join('');
+  const unmapped = evaluation.unmapped.length
+    ? `<div style="color:#a35a00;">Not compared (no analyzer class): ${evaluation.unmapped.map(u => `${escapeHtml(u.label)} ×${u.count}`).join(', ')}</div>`
+    : '';
+  annotEvalEl.innerHTML = `<div><strong>Analyzer vs annotations</strong> <span style="color:#666;">(${evaluation.windowCount} windows, profile ${escapeHtml(profileName)}; unannotated time counts as absent)</span></div>
+    <table><tr><th style="text-align:left;">Class</th><th>Annotated</th><th>Flagged</th><th>Both</th><th>Precision</th><th>Recall</th></tr>${rows}</table>
+    ${unmapped}`;
+}
+
+async function compareAnnotations() {
+  if (!specState.buffer) return showTemporaryAlert('Upload a recording first.', 'rgba(200,30,30,0.95)');
+  if (!annotState.list.length) return showTemporaryAlert('Add or import some annotations first.', 'rgba(200,30,30,0.95)');
+  try {
+    showTemporaryAlert('Scoring the clip for comparison…', 'rgba(0,120,200,0.95)');
+    const conditioned = await conditionForAnalysis(specState.buffer);
+    const timeline = await analyzeAudioBufferTimeline(conditioned.buffer);
+    const found = findScoringProfile(timeline.profile);
+    const profile = found ? found.profile : activeScoringProfile;
+    renderAnnotationEvaluation(evaluateAnnotations(annotState.list, timeline.windows, profile), profile.name);
+  } catch (err) {
+    console.error('annotation compare error', err);
+    showTemporaryAlert('Comparison failed — check console for details.', 'rgba(220,140,20,0.95)');
+  }
+}
+
+async function importRavenTable(file) {
+  const { annotations, warnings } = parseRavenSelectionTable(await file.text(), {
+    maxHz: specState.sr / 2,
+    fileName: annotState.fileName
   });
+  warnings.forEach(w => console.warn('Raven import:', w));
+  if (!annotations.length) {
+    showTemporaryAlert(warnings[0] || 'No selections found in that table.', 'rgba(200,30,30,0.95)');
+    return;
+  }
+  if (annotState.list.length && !confirm(`Replace the ${annotState.list.length} annotation(s) on this clip with ${annotations.length} imported?`)) return;
+  annotState.list = annotations;
+  saveAnnotations();
+  selectAnnotation(null);
+  showTemporaryAlert(`Imported ${annotations.length} selection(s)` + (warnings.length ? ` — ${warnings.length} warning(s), see console` : ''), 'rgba(0,0,0,0.85)');
 }
 
-const gsNextBtn = document.getElementById('gs-next');
-if(gsNextBtn) gsNextBtn.addEventListener('click', ()=> gsNext());
+(function wireAnnotationControls(){
+  if (annotModeEl) annotModeEl.addEventListener('change', () => { annotState.mode = annotModeEl.checked; });
+  const list = document.getElementById('annotLabels');
+  if (list) {
+    fetch(YAMNET_TARGETS_URL).then(r => (r.ok ? r.json() : [])).then(names => {
+      list.innerHTML = names.map(n => `<option value="${escapeHtml(n)}">`).join('');
+    }).catch(() => {});
+  }
+  const edit = () => {
+    const a = selectedAnnotation();
+    if (!a) return;
+    a.label = annotLabelEl.value.trim() || 'unlabelled';
+    a.notes = annotNotesEl.value;
+    saveAnnotations();
+    renderAnnotationList();
+    drawSpectrogramOverlay();
+  };
+  if (annotLabelEl) annotLabelEl.addEventListener('change', edit);
+  if (annotNotesEl) annotNotesEl.addEventListener('change', edit);
+  const on = (id, fn) => { const el = document.getElementById(id); if (el) el.addEventListener('click', fn); };
+  on('annotDelete', () => {
+    annotState.list = annotState.list.filter(a => a.id !== annotState.selected);
+    saveAnnotations();
+    selectAnnotation(null);
+  });
+  on('annotExport', () => {
+    if (!annotState.list.length) return showTemporaryAlert('No annotations to export.', 'rgba(200,30,30,0.95)');
+    const base = (annotState.fileName || 'clip').replace(/\.[^.]+$/, '');
+    downloadBlob(annotationsToRaven(annotState.list), 'text/tab-separated-values', `${base}.Table.1.selections.txt`);
+  });
+  on('annotCompare', compareAnnotations);
+  const importEl = document.getElementById('annotImport');
+  if (importEl) importEl.addEventListener('change', () => {
+    if (importEl.files && importEl.files[0]) importRavenTable(importEl.files[0]);
+    importEl.value = '';
+  });
+  if (annotTableEl) annotTableEl.addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-id]');
+    if (!row) return;
+    const a = annotState.list.find(x => x.id === Number(row.dataset.id));
+    if (!a) return;
+    selectAnnotation(a.id);
+    // bring the box into view
+    if (a.end < specState.t0 || a.start > specState.t1) {
+      const span = specState.t1 - specState.t0;
+      setSpectrogramView((a.start + a.end) / 2 - span / 2, (a.start + a.end) / 2 + span / 2);
+    }
+  });
+  renderAnnotationList();
+})();
 
-const gsResetBtn = document.getElementById('gs-reset');
-if(gsResetBtn) gsResetBtn.addEventListener('click', ()=>{
-  gsRound=0; gsScore=0; gsCorrect=null;
-  if(gsRoundEl) gsRoundEl.textContent='0';
-  if(gsScoreEl) gsScoreEl.textContent='0';
+/* ------------------------------
+   Signal conditioning (signal-conditioning.js) — settings and A/B listening
+   - settings live in localStorage; when enabled, local, batch and server
+     analyses of uploaded files run on the conditioned audio, conditioned in a
+     pool worker when there is one
+   - A plays the spectrogram's clip as recorded, B through the chain as set up
+     (even before it is enabled); switching while playing keeps the position
+   ------------------------------ */
+const CONDITIONING_KEY = 'mam.conditioning';
 
-});
\ No newline at end of file
+function loadConditioningSettings() {
+  try {
+    return normalizeConditioning(JSON.parse(localStorage.getItem(CONDITIONING_KEY) || 'null'));
+  } catch (e) {
+    return normalizeConditioning();
+  }
+}
+
+let conditioningSettings = loadConditioningSettings();
+
+// { buffer, chain } — buffer is audioBuffer itself when conditioning is off
+async function conditionForAnalysis(audioBuffer, signal) {
+  const settings = conditioningSettings;
+  if (!settings.enabled) return { buffer: audioBuffer, chain: null };
+  const sr = audioBuffer.sampleRate;
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+  const build = () => {
+    const copies = channels.map(ch => ch.slice());
+    return { message: { task: 'condition', channels: copies, sampleRate: sr, settings }, transfer: copies.map(ch => ch.buffer) };
+  };
+  const { channels: out, chain } = await offMainThread(build, () => conditionChannels(channels, sr, settings), signal);
+  if (chain.warnings.length) console.warn('Signal conditioning:', chain.warnings.join('; '));
+  return { buffer: channelView(out, sr), chain };
+}
+
+// the file to upload to the server: the conditioned audio as WAV when conditioning is on
+async function conditionedUpload(file) {
+  if (!conditioningSettings.enabled) return { file, chain: null };
+  const { buffer, chain } = await conditionForAnalysis(await decodeFileToAudioBuffer(file));
+  const name = file.name.replace(/\.[^.]+$/, '') + '.conditioned.wav';
+  return { file: new File([encodeWav(buffer)], name, { type: 'audio/wav' }), chain };
+}
+
+const condFields = {
+  enabled: document.getElementById('condEnabled'),
+  dc: document.getElementById('condDc'),
+  hp: document.getElementById('condHp'),
+  hpHz: document.getElementById('condHpHz'),
+  bp: document.getElementById('condBp'),
+  bpLow: document.getElementById('condBpLow'),
+  bpHigh: document.getElementById('condBpHigh'),
+  notch: document.getElementById('condNotch'),
+  notchHz: document.getElementById('condNotchHz'),
+  notchHarmonics: document.getElementById('condNotchHarmonics'),
+  notchQ: document.getElementById('condNotchQ'),
+  nr: document.getElementById('condNr'),
+  nrStart: document.getElementById('condNrStart'),
+  nrEnd: document.getElementById('condNrEnd'),
+  nrStrength: document.getElementById('condNrStrength')
+};
+const condStatusEl = document.getElementById('condStatus');
+
+function fillConditioningForm(s) {
+  const f = condFields;
+  if (!f.enabled) return;
+  f.enabled.checked = s.enabled;
+  f.dc.checked = s.dcRemoval;
+  f.hp.checked = s.highpass.enabled;
+  f.hpHz.value = s.highpass.hz;
+  f.bp.checked = s.bandpass.enabled;
+  f.bpLow.value = s.bandpass.lowHz;
+  f.bpHigh.value = s.bandpass.highHz;
+  f.notch.checked = s.notch.enabled;
+  f.notchHz.value = String(s.notch.mainsHz);
+  f.notchHarmonics.value = s.notch.harmonics;
+  f.notchQ.value = s.notch.q;
+  f.nr.checked = s.noiseReduction.enabled;
+  f.nrStart.value = s.noiseReduction.start;
+  f.nrEnd.value = s.noiseReduction.end;
+  f.nrStrength.value = s.noiseReduction.overSubtraction;
+}
+
+function readConditioningForm() {
+  const f = condFields;
+  const num = (el, fallback) => { const v = Number(el.value); return Number.isFinite(v) ? v : fallback; };
+  const d = CONDITIONING_DEFAULTS;
+  return normalizeConditioning({
+    enabled: f.enabled.checked,
+    dcRemoval: f.dc.checked,
+    highpass: { enabled: f.hp.checked, hz: num(f.hpHz, d.highpass.hz) },
+    bandpass: { enabled: f.bp.checked, lowHz: num(f.bpLow, d.bandpass.lowHz), highHz: num(f.bpHigh, d.bandpass.highHz) },
+    notch: {
+      enabled: f.notch.checked,
+      mainsHz: num(f.notchHz, d.notch.mainsHz),
+      harmonics: Math.max(1, Math.round(num(f.notchHarmonics, d.notch.harmonics))),
+      q: num(f.notchQ, d.notch.q)
+    },
+    noiseReduction: {
+      ...conditioningSettings.noiseReduction,
+      enabled: f.nr.checked,
+      start: num(f.nrStart, 0),
+      end: num(f.nrEnd, 0),
+      overSubtraction: num(f.nrStrength, d.noiseReduction.overSubtraction)
+    }
+  });
+}
+
+function saveConditioningSettings(s) {
+  conditioningSettings = s;
+  try { localStorage.setItem(CONDITIONING_KEY, JSON.stringify(s)); } catch (e) { /* ignore */ }
+  updateConditioningStatus();
+}
+
+/* A/B listening */
+const abState = { source: null, key: null, conditioned: null, chain: null, which: null, src: null, startedAt: 0, offset: 0 };
+
+function audioBufferFromChannels(channels, sampleRate) {
+  const ac = getSharedAudioContext();
+  const buffer = ac.createBuffer(channels.length, channels[0].length, sampleRate);
+  channels.forEach((data, c) => buffer.getChannelData(c).set(data));
+  return buffer;
+}
+
+// B for the spectrogram's clip, re-rendered only when the clip or the settings change
+function conditionedPreview(original) {
+  const settings = { ...conditioningSettings, enabled: true };
+  const key = JSON.stringify(settings);
+  if (abState.source !== original || abState.key !== key) {
+    const channels = [];
+    for (let c = 0; c < original.numberOfChannels; c++) channels.push(original.getChannelData(c));
+    const { channels: out, chain } = conditionChannels(channels, original.sampleRate, settings);
+    Object.assign(abState, { source: original, key, conditioned: audioBufferFromChannels(out, original.sampleRate), chain });
+  }
+  return abState.conditioned;
+}
+
+function abPlaying() {
+  return abState.src && synthPlayback === abState.src;
+}
+
+function abPosition() {
+  if (!abPlaying()) return 0;
+  const elapsed = getSharedAudioContext().currentTime - abState.startedAt;
+  return (abState.offset + elapsed) % abState.source.duration;
+}
+
+async function playConditioningAB(which) {
+  const original = specState.buffer;
+  if (!original) return showTemporaryAlert('Upload a recording first — A/B plays the clip shown in the spectrogram.', 'rgba(200,30,30,0.95)');
+  try {
+    const position = abPosition();
+    const buffer = which === 'B' ? conditionedPreview(original) : original;
+    const src = await playAudioBuffer(buffer, position);
+    Object.assign(abState, { which, src, startedAt: getSharedAudioContext().currentTime, offset: position });
+    src.addEventListener('ended', () => updateConditioningStatus());
+  } catch (err) {
+    console.error('A/B playback error', err);
+    showTemporaryAlert('Could not play: ' + err.message, 'rgba(200,30,30,0.95)');
+  }
+  updateConditioningStatus();
+}
+
+function updateConditioningStatus() {
+  if (!condStatusEl) return;
+  const preview = normalizeConditioning({ ...conditioningSettings, enabled: true });
+  let text = conditioningSettings.enabled ? 'Analyses use the conditioned audio.' : 'Off — analyses use the audio as recorded.';
+  if (abPlaying()) {
+    text += abState.which === 'B' ? ` Playing B: ${describeConditioning(abState.chain)}.` : ' Playing A: original.';
+    if (abState.which === 'B' && abState.chain.warnings.length) text += ' ' + abState.chain.warnings.join('; ') + '.';
+  } else if (!preview.dcRemoval && !preview.highpass.enabled && !preview.bandpass.enabled && !preview.notch.enabled && !preview.noiseReduction.enabled) {
+    text += ' No stages selected.';
+  }
+  condStatusEl.textContent = text;
+}
+
+if (condFields.enabled) {
+  fillConditioningForm(conditioningSettings);
+  Object.values(condFields).forEach(el => el && el.addEventListener('change', () => {
+    saveConditioningSettings(readConditioningForm());
+    // keep B in step with the settings while it plays
+    if (abPlaying() && abState.which === 'B') playConditioningAB('B');
+  }));
+  updateConditioningStatus();
+}
+
+const condNrFromView = document.getElementById('condNrFromView');
+if (condNrFromView) {
+  condNrFromView.addEventListener('click', () => {
+    if (!specState.buffer) return showTemporaryAlert('Upload a recording first, then zoom the spectrogram to a noise-only stretch.', 'rgba(200,30,30,0.95)');
+    condFields.nrStart.value = specState.t0.toFixed(2);
+    condFields.nrEnd.value = specState.t1.toFixed(2);
+    condFields.nr.checked = true;
+    saveConditioningSettings(readConditioningForm());
+  });
+}
+
+const condPlayA = document.getElementById('condPlayA');
+if (condPlayA) condPlayA.addEventListener('click', () => playConditioningAB('A'));
+const condPlayB = document.getElementById('condPlayB');
+if (condPlayB) condPlayB.addEventListener('click', () => playConditioningAB('B'));
+const condSwitch = document.getElementById('condSwitch');
+if (condSwitch) condSwitch.addEventListener('click', () => playConditioningAB(abState.which === 'B' ? 'A' : 'B'));
+const condStop = document.getElementById('condStop');
+if (condStop) {
+  condStop.addEventListener('click', () => {
+    stopSound();
+    updateConditioningStatus();
+  });
+}
+
+/* ------------------------------
+   Calibration and sound levels (acoustic-levels.js)
+   - the current calibration and the per-device presets live in localStorage;
+     with no (or an invalid) calibration levels are reported in dBFS
+   - levels are measured on the audio that gets scored, i.e. after conditioning,
+     by the timeline's workers (analyzeAudioBufferTimeline with levels)
+   ------------------------------ */
+const CALIBRATION_KEY = 'mam.calibration';
+const CALIBRATION_PRESETS_KEY = 'mam.calibrationPresets'; // { device name: { sensitivityDb, gainDb, adcFullScaleV } }
+const CALIBRATION_DEFAULTS = { enabled: false, name: '', sensitivityDb: -170, gainDb: 0, adcFullScaleV: 1 };
+
+function loadStoredJson(key, fallback) {
+  try {
+    const v = JSON.parse(localStorage.getItem(key) || 'null');
+    return v && typeof v === 'object' ? v : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+let calibrationSettings = { ...CALIBRATION_DEFAULTS, ...loadStoredJson(CALIBRATION_KEY, {}) };
+
+function calibrationPresets() {
+  return loadStoredJson(CALIBRATION_PRESETS_KEY, {});
+}
+
+// the calibration to measure with, or null for dBFS
+function activeCalibration() {
+  if (!calibrationSettings.enabled) return null;
+  const { name, sensitivityDb, gainDb, adcFullScaleV } = calibrationSettings;
+  const cal = { name: name || null, sensitivityDb, gainDb, adcFullScaleV };
+  return validateCalibration(cal).length ? null : cal;
+}
+
+const calFields = {
+  enabled: document.getElementById('calEnabled'),
+  preset: document.getElementById('calPreset'),
+  sensitivity: document.getElementById('calSensitivity'),
+  gain: document.getElementById('calGain'),
+  fullScale: document.getElementById('calFullScale'),
+  name: document.getElementById('calPresetName')
+};
+const calStatusEl = document.getElementById('calStatus');
+
+function refreshCalibrationPresets() {
+  if (!calFields.preset) return;
+  const names = Object.keys(calibrationPresets()).sort();
+  calFields.preset.innerHTML = '<option value="">— custom —</option>' +
+    names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+  calFields.preset.value = names.includes(calibrationSettings.name) ? calibrationSettings.name : '';
+}
+
+function fillCalibrationForm() {
+  const s = calibrationSettings;
+  calFields.enabled.checked = s.enabled;
+  calFields.sensitivity.value = s.sensitivityDb;
+  calFields.gain.value = s.gainDb;
+  calFields.fullScale.value = s.adcFullScaleV;
+  calFields.name.value = s.name;
+  refreshCalibrationPresets();
+}
+
+function updateCalibrationStatus() {
+  if (!calStatusEl) return;
+  const { sensitivityDb, gainDb, adcFullScaleV } = calibrationSettings;
+  const problems = validateCalibration({ sensitivityDb, gainDb, adcFullScaleV });
+  if (!calibrationSettings.enabled) calStatusEl.textContent = 'Off — levels are reported in dBFS.';
+  else if (problems.length) calStatusEl.textContent = 'Not used: ' + problems.join('; ') + '.';
+  else {
+    const offset = calibrationOffsetDb(calibrationSettings);
+    calStatusEl.textContent = `Levels in dB re 1 µPa — full scale reads ${offset.toFixed(1)} dB` +
+      (calibrationSettings.name ? ` (${calibrationSettings.name})` : '') + '.';
+  }
+}
+
+function saveCalibrationSettings(patch) {
+  calibrationSettings = { ...calibrationSettings, ...patch };
+  try { localStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibrationSettings)); } catch (e) { /* ignore */ }
+  updateCalibrationStatus();
+}
+
+if (calFields.enabled) {
+  fillCalibrationForm();
+  updateCalibrationStatus();
+  const readNumbers = () => ({
+    sensitivityDb: Number(calFields.sensitivity.value),
+    gainDb: Number(calFields.gain.value),
+    adcFullScaleV: Number(calFields.fullScale.value)
+  });
+  calFields.enabled.addEventListener('change', () => saveCalibrationSettings({ enabled: calFields.enabled.checked }));
+  [calFields.sensitivity, calFields.gain, calFields.fullScale].forEach(el => el.addEventListener('change', () => {
+    // edited by hand: no longer exactly the selected preset
+    calFields.preset.value = '';
+    saveCalibrationSettings({ ...readNumbers(), name: calFields.name.value.trim() });
+  }));
+  calFields.preset.addEventListener('change', () => {
+    const name = calFields.preset.value;
+    const preset = calibrationPresets()[name];
+    if (!preset) return;
+    saveCalibrationSettings({ ...preset, name, enabled: true });
+    fillCalibrationForm();
+  });
+
+  const calSaveBtn = document.getElementById('calSaveBtn');
+  if (calSaveBtn) calSaveBtn.addEventListener('click', () => {
+    const name = calFields.name.value.trim();
+    if (!name) return showTemporaryAlert('Give the device a name to save its calibration.', 'rgba(200,30,30,0.95)');
+    const values = readNumbers();
+    const problems = validateCalibration(values);
+    if (problems.length) return showTemporaryAlert('Cannot save: ' + problems.join('; '), 'rgba(200,30,30,0.95)');
+    const presets = calibrationPresets();
+    presets[name] = values;
+    try { localStorage.setItem(CALIBRATION_PRESETS_KEY, JSON.stringify(presets)); } catch (e) { /* ignore */ }
+    saveCalibrationSettings({ ...values, name });
+    refreshCalibrationPresets();
+    showTemporaryAlert(`Saved calibration preset "${name}"`, 'rgba(0,120,200,0.95)');
+  });
+
+  const calDeleteBtn = document.getElementById('calDeleteBtn');
+  if (calDeleteBtn) calDeleteBtn.addEventListener('click', () => {
+    const name = calFields.preset.value;
+    if (!name) return showTemporaryAlert('Pick a saved preset to delete.', 'rgba(200,30,30,0.95)');
+    if (!confirm(`Delete the calibration preset "${name}"?`)) return;
+    const presets = calibrationPresets();
+    delete presets[name];
+    try { localStorage.setItem(CALIBRATION_PRESETS_KEY, JSON.stringify(presets)); } catch (e) { /* ignore */ }
+    refreshCalibrationPresets();
+  });
+}
+
+// third-octave bars; the shipping indicator bands are highlighted
+function drawThirdOctaveChart(canvas, levels) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const bands = levels.thirdOctave;
+  ctx.clearRect(0, 0, W, H);
+  if (!bands.length) return;
+  const plotH = H - 14;
+  const top = Math.max(...bands.map(b => b.level));
+  const bottom = Math.min(...bands.map(b => b.level), top - 10);
+  const barW = W / bands.length;
+  ctx.font = '9px sans-serif';
+  ctx.textAlign = 'center';
+  bands.forEach((b, i) => {
+    const h = (b.level - bottom) / Math.max(1e-6, top - bottom) * (plotH - 4) + 4;
+    ctx.fillStyle = SHIPPING_INDICATOR_BANDS.includes(b.nominal) ? '#d9534f' : '#0066cc';
+    ctx.fillRect(i * barW + 1, plotH - h, barW - 2, h);
+    if (i % 3 === 0 || SHIPPING_INDICATOR_BANDS.includes(b.nominal)) {
+      ctx.fillStyle = '#555';
+      ctx.fillText(b.nominal >= 1000 ? (b.nominal / 1000) + 'k' : String(b.nominal), i * barW + barW / 2, H - 2);
+    }
+  });
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#555';
+  ctx.fillText(`${top.toFixed(0)} ${levels.unit}`, 2, 9);
+}
+
+function renderLevels(slot, levels) {
+  if (!slot || !levels) return;
+  const p = levels.percentiles;
+  const band = nominal => levels.shippingBands[nominal] == null ? '—' : levels.shippingBands[nominal].toFixed(1);
+  const cal = levels.calibration;
+  slot.innerHTML = `<div style="font-size:13px;margin-top:8px;padding:8px;background:#f6f9fc;border-radius:4px;">
+      <div><strong>Sound levels</strong> <span style="color:#666;">(${escapeHtml(levels.unit)}${cal ? `, ${escapeHtml(cal.name || 'calibrated')}` : ', uncalibrated'} · channel ${levels.channel + 1})</span></div>
+      <div>SPL ${levels.spl.toFixed(1)} · peak ${levels.peak.toFixed(1)} · SEL ${levels.sel.toFixed(1)}</div>
+      <div>L5 ${p.L5.toFixed(1)} · L50 ${p.L50.toFixed(1)} · L95 ${p.L95.toFixed(1)} <span style="color:#666;">(${p.intervalSeconds} s levels)</span></div>
+      <div>Shipping bands: 63 Hz ${band(63)} · 125 Hz ${band(125)}</div>
+      <canvas width="480" height="90" style="width:100%;margin-top:6px;"></canvas>
+    </div>`;
+  drawThirdOctaveChart(slot.querySelector('canvas'), levels);
+}
+
+/* ------------------------------
+   Hydrophone arrays (hydrophone-array.js)
+   - multichannel recordings are also scored channel by channel, but only when
+     they are marked as array recordings or a geometry is set; other
+     multichannel files are scored as one mix
+   - with an element spacing or positions set, vessel / tonal-call windows get
+     a TDOA bearing, estimated in a pool worker; the settings live in localStorage
+   ------------------------------ */
+const ARRAY_KEY = 'mam.array'; // { recording, spacingM, positions (text, "x, y" per line), soundSpeed }
+
+let arraySettings = { recording: false, spacingM: '', positions: '', soundSpeed: SOUND_SPEED_WATER, ...loadStoredJson(ARRAY_KEY, {}) };
+
+// "x, y" per line -> [[x, y], ...]; null when empty
+function parseArrayPositions(text) {
+  const lines = String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  if (!lines.length) return null;
+  return lines.map(l => l.split(/[\s,;]+/).map(Number));
+}
+
+// the geometry to estimate bearings with, or null when none is set
+function arrayGeometry() {
+  const positions = parseArrayPositions(arraySettings.positions);
+  const spacingM = Number(arraySettings.spacingM);
+  if (!positions && !(spacingM > 0)) return null;
+  const geometry = positions ? { positions } : { spacingM };
+  if (Number(arraySettings.soundSpeed) > 0) geometry.soundSpeed = Number(arraySettings.soundSpeed);
+  return geometry;
+}
+
+// whether multichannel recordings get the per-channel analysis
+function isArrayRecording() {
+  return !!arraySettings.recording || !!arrayGeometry();
+}
+
+/* Per-channel scores, disagreement and bearings for a multichannel array recording;
+   null for mono and when isArrayRecording() is off.
+   windows: the clip timeline, whose vessel / call windows get bearings. */
+async function analyzeArray(audioBuffer, windows, onProgress, signal) {
+  const n = audioBuffer.numberOfChannels;
+  if (n < 2 || !isArrayRecording()) return null;
+  const sr = audioBuffer.sampleRate;
+  const channels = [];
+  for (let c = 0; c < n; c++) channels.push(audioBuffer.getChannelData(c));
+  const timelines = [];
+  for (let c = 0; c < n; c++) {
+    const progress = onProgress ? (p) => onProgress((c + p) / n) : undefined;
+    timelines.push(await analyzeAudioBufferTimeline(channelView([channels[c]], sr), progress, signal));
+  }
+  let geometry = arrayGeometry();
+  const problems = geometry ? validateArrayGeometry(geometry, n) : [];
+  if (problems.length) {
+    showTemporaryAlert('No bearings — ' + problems.join('; '), 'rgba(220,140,20,0.95)');
+    geometry = null;
+  }
+  let bearings = null;
+  if (geometry) {
+    const detected = windows.filter(w => detectionKind(w));
+    const build = () => {
+      const copies = channels.map(ch => ch.slice());
+      return {
+        message: { task: 'bearings', channels: copies, sampleRate: sr, windows: detected, geometry },
+        transfer: copies.map(ch => ch.buffer)
+      };
+    };
+    bearings = await offMainThread(build, () => trackBearings(channels, sr, detected, geometry), signal);
+  }
+  return {
+    ...compareChannels(timelines),
+    channelCount: n,
+    geometry,
+    bearings
+  };
+}
+
+const arrayFields = {
+  recording: document.getElementById('arrayRecording'),
+  spacing: document.getElementById('arraySpacing'),
+  positions: document.getElementById('arrayPositions'),
+  soundSpeed: document.getElementById('arraySoundSpeed')
+};
+const arrayStatusEl = document.getElementById('arrayStatus');
+
+function updateArrayStatus() {
+  if (!arrayStatusEl) return;
+  const geometry = arrayGeometry();
+  if (!geometry) {
+    arrayStatusEl.textContent = arraySettings.recording
+      ? 'No geometry — channels are compared but no bearings are estimated.'
+      : 'Off — multichannel recordings are scored as one mix.';
+    return;
+  }
+  const positions = geometry.positions;
+  const problems = positions ? validateArrayGeometry(geometry, positions.length) : validateArrayGeometry(geometry, 2);
+  arrayStatusEl.textContent = problems.length
+    ? 'Not used: ' + problems.join('; ') + '.'
+    : (positions ? `${positions.length} elements at the given positions` : `Line array, ${geometry.spacingM} m between elements`) +
+      ` · sound speed ${geometry.soundSpeed || SOUND_SPEED_WATER} m/s.`;
+}
+
+if (arrayFields.spacing) {
+  arrayFields.recording.checked = !!arraySettings.recording;
+  arrayFields.spacing.value = arraySettings.spacingM;
+  arrayFields.positions.value = arraySettings.positions;
+  arrayFields.soundSpeed.value = arraySettings.soundSpeed;
+  updateArrayStatus();
+  Object.values(arrayFields).forEach(el => el.addEventListener('change', () => {
+    arraySettings = {
+      recording: arrayFields.recording.checked,
+      spacingM: arrayFields.spacing.value,
+      positions: arrayFields.positions.value,
+      soundSpeed: arrayFields.soundSpeed.value
+    };
+    try { localStorage.setItem(ARRAY_KEY, JSON.stringify(arraySettings)); } catch (e) { /* ignore */ }
+    updateArrayStatus();
+  }));
+}
+
+const BEARING_COLORS = { vessel: '#d9534f', call: '#28a05a' };
+
+// bearing over time; one dot per window, fainter for weaker correlation peaks
+function drawBearingPlot(canvas, bearings, duration, startTime = null) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const plotH = H - 16, left = 28;
+  const span = bearings.some(b => b.ambiguous) ? 180 : 360;
+  const x = t => left + (t / Math.max(duration, 1e-6)) * (W - left);
+  const y = deg => plotH - (deg / span) * (plotH - 4) - 2;
+  ctx.clearRect(0, 0, W, H);
+  ctx.strokeStyle = '#e3e8ef';
+  ctx.fillStyle = '#555';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let deg = 0; deg <= span; deg += span / 4) {
+    ctx.beginPath(); ctx.moveTo(left, y(deg)); ctx.lineTo(W, y(deg)); ctx.stroke();
+    ctx.fillText(deg + '°', left - 3, y(deg));
+  }
+  for (const b of bearings) {
+    ctx.globalAlpha = Math.max(0.25, Math.min(1, b.confidence * 2));
+    ctx.fillStyle = BEARING_COLORS[b.kind];
+    ctx.beginPath();
+    ctx.arc(x((b.start + b.end) / 2), y(b.bearing), 3, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = '#555';
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';  ctx.fillText(formatClock(0, startTime), left, H);
+  ctx.textAlign = 'right'; ctx.fillText(formatClock(duration, startTime) + (startTime ? ' UTC' : ''), W - 2, H);
+}
+
+function renderArray(slot, array, duration, startTime = null) {
+  if (!slot || !array) return;
+  const d = array.disagreement;
+  const rows = array.channels.map(c => `<tr${c.outlier ? ' style="color:#a32020;"' : ''}>
+      <td>${c.channel + 1}</td><td>${c.score}</td><td>${c.min}</td><td>${c.p50}</td>
+      <td>${(c.boatFraction * 100).toFixed(0)}%</td><td>${c.deviation > 0 ? '+' : ''}${c.deviation}${c.outlier ? ' ⚠' : ''}</td></tr>`).join('');
+  const worst = [...d.windows].sort((a, b) => b.spread - a.spread).slice(0, 3).map(w =>
+    `<div>${formatClock(w.start, startTime)} — scores ${w.scores.join(' / ')}${w.boatSplit ? ' · boat on some channels only' : ''}</div>`).join('');
+  let bearing = '';
+  if (array.bearings) {
+    bearing = array.bearings.length
+      ? `<div style="margin-top:6px;">Bearing over time (<span style="color:${BEARING_COLORS.vessel};">●</span> vessel <span style="color:${BEARING_COLORS.call};">●</span> tonal call)${array.bearings.some(b => b.ambiguous) ? ' — line array: angle from the array axis, side unknown' : ' — degrees clockwise from +y'}</div>
+        <canvas width="488" height="120" style="width:100%;background:#fafcff;border-radius:4px;"></canvas>`
+      : '<div style="margin-top:6px;color:#666;">No vessel or tonal-call windows correlated well enough for a bearing.</div>';
+  }
+  slot.innerHTML = `<div class="array-panel">
+      <div><strong>Channels</strong> <span style="color:#666;">(${array.channelCount} scored separately)</span></div>
+      <table><tr><th>Ch</th><th>Score</th><th>Min</th><th>Median</th><th>Boat time</th><th>vs median</th></tr>${rows}</table>
+      <div style="margin-top:4px;">${d.windows.length
+        ? `<span style="color:#a35a00;">Channels disagree in ${(d.fraction * 100).toFixed(1)}% of windows</span> (spread ≥ ${d.thresholdPoints} points or a boat heard on some channels only)${worst}`
+        : 'The channels agree in every window.'}</div>
+      ${bearing}
+    </div>`;
+  const canvas = slot.querySelector('canvas');
+  if (canvas) drawBearingPlot(canvas, array.bearings, duration, startTime);
+}
+
+/* ------------------------------
+   Dolphin detections
+   - click trains and whistles found by the detectors in analysis-core.js,
+     pooled over the clip by mergeDetections (result.detections)
+   - a time / frequency chart: click trains as bands spanning their clicks,
+     whistles as their contours; and a table with the numbers
+   ------------------------------ */
+const DETECTION_COLORS = { clicks: '#8e44ad', whistle: '#1f8a70' };
+const DETECTION_CHART_MAX_HZ = ANALYSIS_MAX_HZ;
+
+function drawDetectionChart(canvas, detections, duration, startTime = null) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const plotH = H - 16, left = 34;
+  const x = t => left + (t / Math.max(duration, 1e-6)) * (W - left);
+  const y = hz => plotH - (hz / DETECTION_CHART_MAX_HZ) * (plotH - 4) - 2;
+  ctx.clearRect(0, 0, W, H);
+  ctx.strokeStyle = '#e3e8ef';
+  ctx.fillStyle = '#555';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let hz = 0; hz <= DETECTION_CHART_MAX_HZ; hz += 6000) {
+    ctx.beginPath(); ctx.moveTo(left, y(hz)); ctx.lineTo(W, y(hz)); ctx.stroke();
+    ctx.fillText(hz / 1000 + ' kHz', left - 3, y(hz));
+  }
+  for (const d of detections) {
+    ctx.globalAlpha = Math.max(0.3, d.confidence);
+    ctx.strokeStyle = ctx.fillStyle = DETECTION_COLORS[d.kind];
+    if (d.kind === 'clicks') {
+      ctx.fillRect(x(d.start), y(d.highHz), Math.max(2, x(d.end) - x(d.start)), Math.max(2, y(d.lowHz) - y(d.highHz)));
+    } else {
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      d.contour.forEach(([t, hz], i) => (i ? ctx.lineTo(x(t), y(hz)) : ctx.moveTo(x(t), y(hz))));
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+  }
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = '#555';
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';  ctx.fillText(formatClock(0, startTime), left, H);
+  ctx.textAlign = 'right'; ctx.fillText(formatClock(duration, startTime) + (startTime ? ' UTC' : ''), W - 2, H);
+}
+
+function detectionDetail(d) {
+  if (d.kind === 'clicks') return `${d.count} clicks · ICI ${d.ici.median} ms (${d.ici.min}–${d.ici.max}) · regularity ${d.regularity}`;
+  return `${d.contour.length} contour points`;
+}
+
+function renderDetections(slot, detections, duration, startTime = null) {
+  if (!slot || !detections) return;
+  if (!detections.length) {
+    slot.innerHTML = '<div class="detections-panel" style="color:#666;">No dolphin click trains or whistles detected.</div>';
+    return;
+  }
+  const trains = detections.filter(d => d.kind === 'clicks').length;
+  const rows = detections.map(d => `<tr>
+      <td style="text-align:left;color:${DETECTION_COLORS[d.kind]};">${d.kind === 'clicks' ? 'Click train' : 'Whistle'}</td>
+      <td>${formatClock(d.start, startTime)}</td><td>${(d.end - d.start).toFixed(2)} s</td>
+      <td>${(d.lowHz / 1000).toFixed(1)}–${(d.highHz / 1000).toFixed(1)} kHz</td>
+      <td>${Math.round(d.confidence * 100)}%</td>
+      <td style="text-align:left;">${detectionDetail(d)}</td></tr>`).join('');
+  slot.innerHTML = `<div class="detections-panel">
+      <div><strong>Dolphin detections</strong> <span style="color:#666;">(${trains} click train${trains === 1 ? '' : 's'}, ${detections.length - trains} whistle${detections.length - trains === 1 ? '' : 's'})</span></div>
+      <canvas width="488" height="120" style="width:100%;background:#fafcff;border-radius:4px;margin-top:4px;"></canvas>
+      <table><tr><th style="text-align:left;">Kind</th><th>Start</th><th>Length</th><th>Band</th><th>Confidence</th><th></th></tr>${rows}</table>
+    </div>`;
+  drawDetectionChart(slot.querySelector('canvas'), detections, duration, startTime);
+}
+
+/* ------------------------------
+   Vessel passages
+   - boat runs grouped into passages by detectVesselPassages (vessel-events.js),
+     with peak level, closest point of approach and DEMON shaft / blade rates
+   - passage levels and DEMON are worked out in a pool worker; clips without a
+     boat run skip it
+   - drawn on the score timeline (shaded span, CPA line, peak tick) and listed in
+     the result card with CSV / JSON export
+   ------------------------------ */
+const PASSAGE_COLOR = '#a32020';
+
+async function vesselsFor(audioBuffer, windows, signal) {
+  const samples = audioBuffer.getChannelData(0);
+  const sr = audioBuffer.sampleRate;
+  const cal = activeCalibration();
+  if (!groupPassages(windows).length) return detectVesselPassages(samples, sr, windows, cal);
+  const spans = windows.map(({ start, end, isBoat }) => ({ start, end, isBoat }));
+  const build = () => {
+    const copy = samples.slice();
+    return { message: { task: 'vessels', samples: copy, sampleRate: sr, windows: spans, calibration: cal }, transfer: [copy.buffer] };
+  };
+  return offMainThread(build, () => detectVesselPassages(samples, sr, windows, cal), signal);
+}
+
+function drawPassageMarkers(ctx, passages, x, plotH) {
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'center';
+  for (const v of passages) {
+    ctx.fillStyle = 'rgba(200,30,30,0.07)';
+    ctx.fillRect(x(v.onset), 0, Math.max(1, x(v.offset) - x(v.onset)), plotH);
+    ctx.strokeStyle = ctx.fillStyle = PASSAGE_COLOR;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath(); ctx.moveTo(x(v.cpa), 10); ctx.lineTo(x(v.cpa), plotH); ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillRect(x(v.peak) - 1, plotH - 10, 2, 6);
+    ctx.fillText('V' + v.id, x(v.cpa), 0);
+  }
+}
+
+function demonText(d) {
+  if (!d) return '<span style="color:#888;">no clear modulation</span>';
+  return `shaft ${d.shaftRateHz} Hz (${d.shaftRpm} rpm)` + (d.blades ? ` · blade ${d.bladeRateHz} Hz, ${d.blades} blades` : '');
+}
+
+function renderVessels(slot, vessels, startTime = null) {
+  if (!slot || !vessels) return;
+  const list = vessels.passages;
+  if (!list.length) {
+    slot.innerHTML = '<div class="vessels-panel" style="color:#666;">No vessel passages (boat noise lasting at least ' +
+      `${PASSAGE_MIN_SECONDS} s).</div>`;
+    return;
+  }
+  const rows = list.map(v => `<tr>
+      <td style="color:${PASSAGE_COLOR};">V${v.id}</td>
+      <td>${formatClock(v.onset, startTime)}</td><td>${formatClock(v.peak, startTime)}</td>
+      <td>${formatClock(v.cpa, startTime)}</td><td>${formatClock(v.offset, startTime)}</td>
+      <td>${formatSeconds(v.duration)}</td><td>${v.peakLevel}</td>
+      <td style="text-align:left;">${demonText(v.demon)}</td></tr>`).join('');
+  slot.innerHTML = `<div class="vessels-panel">
+      <div><strong>Vessel passages</strong> <span style="color:#666;">(${list.length}${startTime ? ', times UTC' : ''})</span>
+        <button class="vessels-export" data-format="csv">CSV</button> <button class="vessels-export" data-format="json">JSON</button></div>
+      <table><tr><th></th><th>Onset</th><th>Peak</th><th>CPA</th><th>Offset</th><th>Duration</th><th>Peak (${escapeHtml(vessels.unit)})</th><th style="text-align:left;">Propeller (DEMON)</th></tr>${rows}</table>
+    </div>`;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  slot.querySelectorAll('.vessels-export').forEach(btn => btn.addEventListener('click', () => {
+    if (btn.dataset.format === 'csv') downloadBlob(vesselEventsCsv(vessels, startTime), 'text/csv', `mam-vessels-${stamp}.csv`);
+    else downloadBlob(JSON.stringify(vesselEventRows(vessels, startTime), null, 2), 'application/json', `mam-vessels-${stamp}.json`);
+  }));
+}
+
+/* ------------------------------
+   In-browser YAMNet classifier (tfjs loaded in index.html)
+   - resample to 16 kHz mono with an OfflineAudioContext
+   - run the TF Hub YAMNet graph model chunk by chunk (0.96 s frames, 0.48 s hop)
+   - map the 521 AudioSet classes onto the target list in the `Yamnet` file by display name;
+     the class map (yamnet_class_map.csv from the YAMNet release) is served next to that
+     list, so the indices always match the pinned model version
+   ------------------------------ */
+const YAMNET_MODEL_URL = 'https://tfhub.dev/google/tfjs-model/yamnet/tfjs/1';
+const YAMNET_CLASS_MAP_URL = 'yamnet_class_map.csv';
+const YAMNET_TARGETS_URL = 'Yamnet';
+const YAMNET_SR = 16000;
+const YAMNET_HOP = 7680;            // 0.48 s
+const YAMNET_WINDOW = 15600;        // 0.975 s of audio per frame
+const YAMNET_FRAMES_PER_CHUNK = 60; // ~29 s of audio per model call
+
+let _yamnetPromise = null;
+
+function parseYamnetClassMap(csv) {
+  // index,mid,display_name — display names may be quoted and contain commas
+  const names = [];
+  csv.split(/\r?\n/).slice(1).forEach(line => {
+    const m = line.match(/^(\d+),[^,]*,(?:"(.*)"|(.*))$/);
+    if (m) names[Number(m[1])] = (m[2] != null ? m[2] : m[3]).replace(/""/g, '"');
+  });
+  return names;
+}
+
+function loadYamnet() {
+  if (!_yamnetPromise) {
+    _yamnetPromise = (async () => {
+      if (!window.tf || !tf.loadGraphModel) throw new Error('TensorFlow.js is not loaded');
+      const [model, classCsv, targets] = await Promise.all([
+        tf.loadGraphModel(YAMNET_MODEL_URL, { fromTFHub: true }),
+        fetch(YAMNET_CLASS_MAP_URL).then(r => { if (!r.ok) throw new Error(`YAMNet class map (${YAMNET_CLASS_MAP_URL}) HTTP ${r.status}`); return r.text(); }),
+        fetch(YAMNET_TARGETS_URL).then(r => { if (!r.ok) throw new Error('Yamnet target list HTTP ' + r.status); return r.json(); })
+      ]);
+      const classNames = parseYamnetClassMap(classCsv);
+      const lower = classNames.map(n => (n || '').toLowerCase());
+      const targetClasses = targets.map(name => ({ name, index: lower.indexOf(name.toLowerCase()) }));
+      return { model, classNames, targetClasses };
+    })();
+    _yamnetPromise.catch(() => { _yamnetPromise = null; }); // allow a retry after network errors
+  }
+  return _yamnetPromise;
+}
+
+async function resampleToMono(audioBuffer, targetRate) {
+  const OAC = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OAC) throw new Error('OfflineAudioContext not available in this browser');
+  const length = Math.max(1, Math.ceil(audioBuffer.duration * targetRate));
+  const off = new OAC(1, length, targetRate);
+  const src = off.createBufferSource();
+  src.buffer = audioBuffer;
+  src.connect(off.destination);
+  src.start();
+  const rendered = await off.startRendering();
+  return rendered.getChannelData(0);
+}
+
+async function classifyWithYamnet(audioBuffer, onProgress) {
+  const { model, targetClasses } = await loadYamnet();
+  const wave = await resampleToMono(audioBuffer, YAMNET_SR);
+  const chunkStep = YAMNET_FRAMES_PER_CHUNK * YAMNET_HOP;
+  const frameTimes = [];
+  const series = targetClasses.map(() => []);
+
+  for (let start = 0; start < wave.length; start += chunkStep) {
+    // frame i starts at i hops, so the chunk's last frame needs a full window past its start;
+    // the next chunk picks up exactly one hop after it
+    const chunk = wave.subarray(start, Math.min(wave.length, start + chunkStep - YAMNET_HOP + YAMNET_WINDOW));
+    const rows = tf.tidy(() => {
+      const out = model.predict(tf.tensor1d(chunk));
+      const scores = Array.isArray(out) ? out[0] : out;
+      return scores.arraySync();
+    });
+    const last = start + chunkStep >= wave.length;
+    const expected = Math.floor((chunk.length - YAMNET_WINDOW) / YAMNET_HOP) + 1;
+    if (!last && rows.length < YAMNET_FRAMES_PER_CHUNK) {
+      throw new Error(`YAMNet gave ${rows.length} frames for ${chunk.length} samples (expected ${expected}); heatmap times would drift`);
+    }
+    const keep = last ? rows.length : YAMNET_FRAMES_PER_CHUNK;
+    for (let i = 0; i < keep; i++) {
+      frameTimes.push(Number(((start + i * YAMNET_HOP) / YAMNET_SR).toFixed(2)));
+      targetClasses.forEach((c, k) => series[k].push(c.index >= 0 ? rows[i][c.index] : 0));
+    }
+    if (onProgress) onProgress(Math.min(1, (start + chunkStep) / wave.length));
+    await tf.nextFrame();
+  }
+
+  const classes = targetClasses.map((c, k) => {
+    const s = series[k];
+    const available = c.index >= 0;
+    return {
+      name: c.name,
+      available,
+      mean: available && s.length ? s.reduce((a, b) => a + b, 0) / s.length : null,
+      max: available && s.length ? Math.max(...s) : null,
+      series: available ? s : null
+    };
+  });
+  return { sampleRate: YAMNET_SR, frameTimes, classes };
+}
+
+function drawYamnetHeatmap(canvas, yam) {
+  const rows = yam.classes.filter(c => c.available);
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const labelW = 150;
+  const rowH = H / Math.max(1, rows.length);
+  const n = Math.max(1, yam.frameTimes.length);
+  ctx.clearRect(0, 0, W, H);
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'middle';
+  rows.forEach((c, r) => {
+    ctx.fillStyle = '#333';
+    ctx.fillText(c.name, 2, r * rowH + rowH / 2);
+    const colW = (W - labelW) / n;
+    c.series.forEach((p, i) => {
+      ctx.fillStyle = `rgba(0,102,204,${Math.min(1, p * 1.5).toFixed(3)})`;
+      ctx.fillRect(labelW + i * colW, r * rowH + 1, Math.ceil(colW), rowH - 2);
+    });
+  });
+}
+
+function yamnetSummaryHtml(yam) {
+  const bars = yam.classes.map(c => {
+    if (!c.available) {
+      return `<div style="color:#999;">${c.name}: not a YAMNet class</div>`;
+    }
+    const pct = (c.max * 100).toFixed(1);
+    return `<div style="display:flex;align-items:center;gap:6px;">
+        <span style="width:150px;">${c.name}</span>
+        <span style="flex:1;background:#eef3fa;height:8px;border-radius:4px;overflow:hidden;">
+          <span style="display:block;width:${pct}%;height:100%;background:#0066cc;"></span>
+        </span>
+        <span style="width:90px;text-align:right;">max ${pct}% · avg ${(c.mean * 100).toFixed(1)}%</span>
+      </div>`;
+  }).join('');
+  return `<div style="font-size:12px;">${bars}</div>`;
+}
+
+async function appendYamnetPanel(resultEl, audioBuffer) {
+  const panel = document.createElement('div');
+  panel.className = 'yamnet-panel';
+  Object.assign(panel.style, { marginTop: '10px', paddingTop: '8px', borderTop: '1px solid #e3e8ef' });
+  panel.innerHTML = '<strong style="font-size:13px;">YAMNet classes</strong><div style="font-size:12px;color:#666;">Running YAMNet model in the browser...</div>';
+  resultEl.appendChild(panel);
+
+  try {
+    const yam = await classifyWithYamnet(audioBuffer, (p) => {
+      const status = panel.querySelector('div');
+      if (status) status.textContent = `Running YAMNet model in the browser... ${Math.round(p * 100)}%`;
+    });
+    panel.innerHTML = `<strong style="font-size:13px;">YAMNet classes</strong>
+      <span style="font-size:11px;color:#666;"> (${yam.frameTimes.length} frames, max / mean probability)</span>
+      ${yamnetSummaryHtml(yam)}`;
+    const canvas = document.createElement('canvas');
+    canvas.width = 488;
+    canvas.height = Math.max(12, yam.classes.filter(c => c.available).length * 12);
+    Object.assign(canvas.style, { width: '100%', marginTop: '6px' });
+    panel.appendChild(canvas);
+    drawYamnetHeatmap(canvas, yam);
+    console.log('YAMNet classification:', yam);
+    return yam;
+  } catch (err) {
+    console.warn('YAMNet unavailable:', err && (err.message || err));
+    panel.innerHTML = `<strong style="font-size:13px;">YAMNet classes</strong>
+      <div style="font-size:12px;color:#a35a00;">YAMNet unavailable (${(err && err.message) || 'unknown error'}) — showing heuristic score only.</div>`;
+    return null;
+  }
+}
+
+/* ------------------------------
+   Analysis result card — one renderer for local, server and saved results,
+   all in the analysis-core.js result shape (see validateAnalysisResult)
+   ------------------------------ */
+function ensureAnalysisResultEl() {
+  let resultEl = document.getElementById('analysis-result');
+  if (!resultEl) {
+    resultEl = document.createElement('div');
+    resultEl.id = 'analysis-result';
+    Object.assign(resultEl.style, {
+      marginTop: '12px',
+      padding: '12px 16px',
+      background: 'rgba(255,255,255,0.95)',
+      color: '#111',
+      borderRadius: '8px',
+      boxShadow: '0 6px 20px rgba(0,0,0,0.12)',
+      maxWidth: '520px'
+    });
+    const parent = audioUploadEl ? audioUploadEl.parentNode : document.body;
+    parent && parent.appendChild(resultEl);
+  }
+  return resultEl;
+}
+
+const RESULT_HEADINGS = { local: '🎧 Local Analysis', server: '🔬 Server Analysis' };
+
+// the soundscape ecology indices of a feature set, one line
+function soundscapeIndicesText(f) {
+  return `ACI ${f.aci.toFixed(1)} · ADI ${f.adi.toFixed(2)} · BI ${f.bi.toFixed(1)} · NDSI ${f.ndsi.toFixed(2)}` +
+    ` · temporal / spectral entropy ${f.temporalEntropy.toFixed(3)} / ${f.spectralEntropy.toFixed(3)}`;
+}
+
+// which bands the NDSI / BI of a result were computed over, when its profile is known here
+function soundscapeBandsText(profileName) {
+  const found = findScoringProfile(profileName);
+  if (!found) return `profile ${profileName} is not loaded here`;
+  const { anthrophony, biophony } = soundscapeBands(found.profile);
+  return `anthrophony ${anthrophony[0]}–${anthrophony[1]} Hz · biophony ${biophony[0]}–${biophony[1]} Hz (profile ${profileName})`;
+}
+
+function recordingHtml(rec) {
+  if (!rec) return '';
+  const start = rec.startTime
+    ? `Started ${escapeHtml(rec.startTime.replace('T', ' ').replace(/\.\d+Z$/, ''))} UTC <span style="color:#888;">(${escapeHtml(rec.startTimeSource)})</span>`
+    : 'Start time unknown';
+  const described = describeRecording(rec);
+  return `<div style="font-size:12px;color:#555;">Recording: ${start}${described ? ' · ' + escapeHtml(described) : ''}</div>` +
+    rec.warnings.map(w => `<div style="font-size:12px;color:#a35a00;">⚠ ${escapeHtml(w)}</div>`).join('');
+}
+
+function renderAnalysisResult(resultEl, result, { savedEntry = null } = {}) {
+  voiceResultShown(result);
+  const f = result.features;
+  const b = result.breakdown;
+  const chosen = result.trace.signatures.find(s => s.chosen);
+  const heading = savedEntry ? `📂 Saved analysis — ${escapeHtml(savedEntry.fileName)}` : RESULT_HEADINGS[result.source];
+  const saved = savedEntry
+    ? `<div style="font-size:12px;color:#666;">${escapeHtml(formatHistoryDate(savedEntry.createdAt))} · ${result.source}${savedEntry.hash ? ' · sha256 ' + savedEntry.hash.slice(0, 12) + '…' : ''}</div>`
+    : '';
+  resultEl.innerHTML = `<strong style="color: #0066cc;">${heading}</strong>
+    ${saved}
+    ${recordingHtml(result.recording)}
+    ${result.conditioning ? `<div style="font-size:12px;color:#555;">Conditioning: ${escapeHtml(describeConditioning(result.conditioning))}</div>` : ''}
+    ${result.partial ? `<div style="font-size:12px;color:#a35a00;">Partial result — ${result.windows.length} of ${result.windowsTotal} windows scored so far</div>` : ''}
+    <div style="font-size:16px;margin:10px 0;padding:8px;background:#f0f8ff;border-radius:4px;">
+      <strong>Environmental Score: ${result.score}/100</strong>
+      <span style="font-size:12px;color:#666;"> (mean over ${formatSeconds(result.duration)} · profile ${escapeHtml(result.profile)})</span>
+    </div>
+    <div class="timeline-slot"></div>
+    ${timelineSummaryHtml(result.summary)}
+    <div style="font-size:13px;margin-top:6px;">
+      <div><strong>Animal points:</strong> +${b.animalPoints}${chosen ? ` (${escapeHtml(chosen.label || chosen.id)})` : ''}
+        ${b.dolphinPoints ? `· <strong>Dolphin points:</strong> +${b.dolphinPoints}` : ''}
+        · <strong>Boat penalty:</strong> ${b.boatPoints}
+        <span style="color:#666;">— traced window</span></div>
+      <div style="color:#666;margin-top:6px;">Mean features across windows:</div>
+      <div>RMS (loudness): ${f.rms.toFixed(4)}</div>
+      <div>Low energy ratio (&lt;300Hz): ${f.lowRatio.toFixed(3)}</div>
+      <div>Mid energy ratio (300-3kHz): ${f.midRatio.toFixed(3)}</div>
+      <div>High energy ratio (&gt;3kHz): ${f.highRatio.toFixed(3)}</div>
+      <div>Spectral centroid: ${Math.round(f.centroid)} Hz</div>
+      <div>Spectral flatness: ${f.flatness.toFixed(3)}</div>
+      <div>Low peakiness: ${f.lowPeakiness.toFixed(2)}</div>
+      ${f.clickConfidence != null ? `<div>Click-train / whistle confidence: ${f.clickConfidence.toFixed(2)} / ${f.whistleConfidence.toFixed(2)}</div>` : ''}
+      ${f.ndsi != null ? `<div title="${escapeHtml(soundscapeBandsText(result.profile))}">Soundscape: ${escapeHtml(soundscapeIndicesText(f))}</div>` : ''}
+      <div style="margin-top:8px;padding:8px;background:#f9f9f9;border-left:3px solid #0066cc;">
+        <em>${escapeHtml(result.note)}</em>
+      </div>
+    </div>
+    <div class="detections-slot"></div>
+    <div class="vessels-slot"></div>
+    <div class="levels-slot"></div>
+    <div class="array-slot"></div>
+    <div class="trace-slot"></div>
+    <div style="font-size:11px;color:#666;margin-top:8px;">
+      ✓ Scored ${result.source === 'server' ? 'on the server' : 'in this browser'} · result schema v${result.version}
+    </div>`;
+
+  renderDetections(resultEl.querySelector('.detections-slot'), result.detections, result.duration, result.recording && result.recording.startTime);
+  renderVessels(resultEl.querySelector('.vessels-slot'), result.vessels, result.recording && result.recording.startTime);
+  renderLevels(resultEl.querySelector('.levels-slot'), result.levels);
+  renderArray(resultEl.querySelector('.array-slot'), result.array, result.duration, result.recording && result.recording.startTime);
+
+  // other windows can only be traced when we hold the profile that scored them
+  const found = findScoringProfile(result.profile);
+  const traceSlot = resultEl.querySelector('.trace-slot');
+  const hint = found ? ' — click the chart to pick another window' : '';
+  renderScoreTrace(traceSlot, result.trace, windowCaption(result.windows[result.traceWindow]) + hint);
+  renderScoreTimeline(resultEl.querySelector('.timeline-slot'), result.windows, result.duration, found ? (w) =>
+    renderScoreTrace(traceSlot, computeEnvironmentalScore(w.features, { profile: found.profile, trace: true }).trace,
+      windowCaption(w) + hint) : undefined, result.recording && result.recording.startTime,
+    result.vessels ? result.vessels.passages : []);
+}
+
+/* ------------------------------
+   Analyze uploaded audio locally
+   ------------------------------ */
+// decode, condition and score one File / URL in this browser; { audioBuffer, result }
+async function analyzeSourceLocally(source) {
+  const audioBuffer = await decodeFileToAudioBuffer(source);
+  const conditioned = await conditionForAnalysis(audioBuffer);
+  const timeline = await analyzeAudioBufferTimeline(conditioned.buffer, undefined, undefined, { levels: true });
+  timeline.conditioning = conditioned.chain;
+  timeline.recording = await readRecordingMetadata(source);
+  timeline.array = await analyzeArray(conditioned.buffer, timeline.windows);
+  timeline.vessels = await vesselsFor(conditioned.buffer, timeline.windows);
+  const found = findScoringProfile(timeline.profile);
+  const result = buildAnalysisResult(timeline, found ? found.profile : activeScoringProfile, 'local');
+  const problems = validateAnalysisResult(result);
+  if (problems.length) throw new Error('local result failed validation: ' + problems.join('; '));
+  return { audioBuffer, result };
+}
+
+// source: optional File to analyse instead of whatever #audioUpload / the player holds
+async function analyzeUploadedAudioAndShow(source = null) {
+  try {
+    if (!source && audioUploadEl && audioUploadEl.files && audioUploadEl.files[0]) {
+      source = audioUploadEl.files[0];
+    } else if (!source && uploadedAudio && uploadedAudio.src) {
+      source = uploadedAudio.src;
+    }
+    if (!source) {
+      showTemporaryAlert('No uploaded audio found. Please upload or play a clip first.', 'rgba(200,30,30,0.95)');
+      return;
+    }
+
+    showTemporaryAlert('Analyzing audio features...', 'rgba(0,120,200,0.95)');
+
+    const { audioBuffer, result } = await analyzeSourceLocally(source);
+
+    const resultEl = ensureAnalysisResultEl();
+    renderAnalysisResult(resultEl, result);
+    appendYamnetPanel(resultEl, audioBuffer);
+    saveAnalysisToHistory(source, result).catch(err => console.warn('Could not save to history:', err && err.message));
+
+    showTemporaryAlert(`Analysis complete — score ${result.score}/100`, 'rgba(0,0,0,0.85)');
+    console.log('Audio analysis result:', result);
+    return result;
+  } catch (err) {
+    console.error('analyze error', err);
+    showTemporaryAlert('Analysis failed — check console for details.', 'rgba(220,140,20,0.95)');
+  }
+}
+
+/* ------------------------------
+   Scoring profile picker / editor
+   ------------------------------ */
+const profileSelect = document.getElementById('profileSelect');
+const profileEditor = document.getElementById('profileEditor');
+const profileJsonEl = document.getElementById('profileJson');
+
+function refreshProfileSelect() {
+  if (!profileSelect) return;
+  const custom = customProfiles();
+  const opt = (name, label) => `<option value="${name}">${label}</option>`;
+  profileSelect.innerHTML =
+    Object.keys(builtInProfiles).map(n => opt(n, n)).join('') +
+    Object.keys(custom).filter(n => !builtInProfiles[n]).map(n => opt(n, n + ' (custom)')).join('');
+  if (activeScoringProfile) profileSelect.value = activeScoringProfile.name;
+  const desc = document.getElementById('profileDescription');
+  if (desc) desc.textContent = (activeScoringProfile && activeScoringProfile.description) || '';
+}
+
+function acceptProfileJson(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (err) {
+    showTemporaryAlert('Profile is not valid JSON: ' + err.message, 'rgba(200,30,30,0.95)');
+    return false;
+  }
+  const errors = validateScoringProfile(profile);
+  if (errors.length) {
+    console.warn('Scoring profile errors:', errors);
+    showTemporaryAlert('Profile rejected: ' + errors[0] + (errors.length > 1 ? ` (+${errors.length - 1} more)` : ''), 'rgba(200,30,30,0.95)');
+    return false;
+  }
+  if (builtInProfiles[profile.name]) {
+    showTemporaryAlert(`"${profile.name}" is a built-in profile — give your copy a new name.`, 'rgba(220,140,20,0.95)');
+    return false;
+  }
+  saveCustomProfile(profile);
+  setActiveScoringProfile(profile.name);
+  refreshProfileSelect();
+  showTemporaryAlert(`Scoring profile "${profile.name}" saved and selected.`, 'rgba(0,120,200,0.95)');
+  return true;
+}
+
+if (profileSelect) {
+  ensureScoringProfile()
+    .then(() => refreshProfileSelect())
+    .catch(err => showTemporaryAlert(err.message, 'rgba(200,30,30,0.95)'));
+
+  profileSelect.addEventListener('change', () => {
+    setActiveScoringProfile(profileSelect.value);
+    refreshProfileSelect();
+    if (profileEditor && profileEditor.style.display !== 'none' && profileJsonEl) {
+      profileJsonEl.value = JSON.stringify(activeScoringProfile, null, 2);
+    }
+  });
+}
+
+const profileFeatureHint = document.getElementById('profileFeatureHint');
+if (profileFeatureHint) {
+  profileFeatureHint.textContent = `Rule features: ${FEATURE_KEYS.join(', ')}. ` +
+    `The soundscape indices (${SOUNDSCAPE_FEATURE_KEYS.join(', ')}) use the profile's optional "soundscape" block: ` +
+    `anthrophony and biophony bands as [lowHz, highHz], default ${JSON.stringify(SOUNDSCAPE_BANDS.anthrophony)} and ${JSON.stringify(SOUNDSCAPE_BANDS.biophony)}.`;
+}
+
+const profileEditBtn = document.getElementById('profileEditBtn');
+if (profileEditBtn && profileEditor && profileJsonEl) {
+  profileEditBtn.addEventListener('click', () => {
+    const open = profileEditor.style.display === 'none';
+    profileEditor.style.display = open ? 'block' : 'none';
+    if (open && activeScoringProfile) profileJsonEl.value = JSON.stringify(activeScoringProfile, null, 2);
+  });
+}
+
+const profileSaveBtn = document.getElementById('profileSaveBtn');
+if (profileSaveBtn && profileJsonEl) profileSaveBtn.addEventListener('click', () => acceptProfileJson(profileJsonEl.value));
+
+const profileDeleteBtn = document.getElementById('profileDeleteBtn');
+if (profileDeleteBtn) {
+  profileDeleteBtn.addEventListener('click', () => {
+    if (!activeScoringProfile || !isCustomProfile(activeScoringProfile)) {
+      return showTemporaryAlert('Built-in profiles cannot be deleted.', 'rgba(220,140,20,0.95)');
+    }
+    deleteCustomProfile(activeScoringProfile.name);
+    setActiveScoringProfile('default');
+    refreshProfileSelect();
+    if (profileJsonEl && activeScoringProfile) profileJsonEl.value = JSON.stringify(activeScoringProfile, null, 2);
+  });
+}
+
+const profileUpload = document.getElementById('profileUpload');
+if (profileUpload) {
+  profileUpload.addEventListener('change', async () => {
+    const f = profileUpload.files && profileUpload.files[0];
+    if (f) acceptProfileJson(await f.text());
+    profileUpload.value = '';
+  });
+}
+
+const profileDownloadBtn = document.getElementById('profileDownloadBtn');
+if (profileDownloadBtn) {
+  profileDownloadBtn.addEventListener('click', () => {
+    if (!activeScoringProfile) return;
+    downloadBlob(JSON.stringify(activeScoringProfile, null, 2), 'application/json', activeScoringProfile.name + '.json');
+  });
+}
+
+/* ------------------------------
+   Analyze button
+   - server URL: the #serverUrl field (saved in localStorage) wins, then
+     "analyzeServerUrl" in config.json, then the default below
+   - an empty URL means analyse in this browser only
+   ------------------------------ */
+const DEFAULT_ANALYZE_SERVER_URL = 'http://localhost:5000/analyze';
+const SERVER_URL_KEY = 'mam.analyzeServerUrl';
+let configuredServerUrl = DEFAULT_ANALYZE_SERVER_URL;
+
+async function loadAppConfig() {
+  try {
+    const resp = await fetch('config.json', { cache: 'no-store' });
+    if (!resp.ok) return;
+    const cfg = await resp.json();
+    if (typeof cfg.analyzeServerUrl === 'string') configuredServerUrl = cfg.analyzeServerUrl.trim();
+  } catch (err) {
+    console.warn('config.json not loaded, using defaults:', err && err.message);
+  }
+}
+const appConfigReady = loadAppConfig();
+
+function getAnalyzeServerUrl() {
+  const saved = localStorage.getItem(SERVER_URL_KEY);
+  return saved !== null ? saved : configuredServerUrl;
+}
+
+function isValidServerUrl(url) {
+  if (url === '') return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+(function wireServerUrl(){
+  const input = document.getElementById('serverUrl');
+  if (!input) return;
+  appConfigReady.then(() => { input.value = getAnalyzeServerUrl(); });
+  input.addEventListener('change', () => {
+    const url = input.value.trim();
+    if (!isValidServerUrl(url)) {
+      input.value = getAnalyzeServerUrl();
+      return showTemporaryAlert('Server URL must start with http:// or https:// (or be empty).', 'rgba(200,30,30,0.95)');
+    }
+    localStorage.setItem(SERVER_URL_KEY, url);
+    showTemporaryAlert(url ? `Analysis server set to ${url}` : 'Server disabled — analysing in this browser only.', 'rgba(0,120,200,0.95)');
+  });
+  const resetBtn = document.getElementById('serverUrlResetBtn');
+  if (resetBtn) resetBtn.addEventListener('click', () => {
+    localStorage.removeItem(SERVER_URL_KEY);
+    input.value = getAnalyzeServerUrl();
+  });
+})();
+
+/* ------------------------------
+   Server analysis jobs (back.py /jobs)
+   - the upload returns a job id straight away; we poll its progress, show the
+     partial result every few seconds and the final one when it's done
+   - the running job is kept in localStorage so a reload picks it back up
+   ------------------------------ */
+const JOB_KEY = 'mam.analyzeJob';
+const JOB_POLL_MS = 1000;
+const JOB_PARTIAL_MS = 5000;
+
+const jobState = {
+  job: null,     // { id, server, fileName, createdAt } — what we persist
+  file: null,    // the File, only while this page uploaded it (not after a reload)
+  timer: null,
+  lastPartial: 0
+};
+
+// job endpoints sit next to /analyze on the configured server
+function serverEndpoint(path, analyzeUrl = getAnalyzeServerUrl()) {
+  return new URL(path, analyzeUrl).href;
+}
+
+async function readServerJson(resp) {
+  const json = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    throw new Error(json.error ? json.error + (json.detail ? ': ' + json.detail : '') : `HTTP ${resp.status}`);
+  }
+  return json;
+}
+
+// conditioning: the chain already applied to file (back.py records it in the result);
+// calibration: for calibrated levels, null for dBFS;
+// recording: metadata of the original file (conditioning re-encodes it without);
+// array: hydrophone array geometry for bearings; arrayRecording: compare the channels even without one
+async function submitAnalysisJob(file, profile, serverUrl, { conditioning = null, calibration = null, recording = null, array = null, arrayRecording = false } = {}) {
+  const fd = new FormData();
+  fd.append('file', file);
+  if (isCustomProfile(profile)) fd.append('profileJson', JSON.stringify(profile));
+  else fd.append('profile', profile.name);
+  if (conditioning) fd.append('conditioning', JSON.stringify(conditioning));
+  if (calibration) fd.append('calibration', JSON.stringify(calibration));
+  if (recording) fd.append('recording', JSON.stringify(recording));
+  if (array) fd.append('array', JSON.stringify(array));
+  if (arrayRecording) fd.append('arrayRecording', 'true');
+  const resp = await fetch(serverEndpoint('jobs', serverUrl), { method: 'POST', body: fd, mode: 'cors' });
+  return readServerJson(resp);
+}
+
+function updateJobPanel(status, text) {
+  const panel = document.getElementById('jobPanel');
+  const bar = document.getElementById('jobProgress');
+  const label = document.getElementById('jobStatus');
+  if (panel) panel.style.display = jobState.job ? '' : 'none';
+  if (bar && status) bar.value = status.progress || 0;
+  if (!label) return;
+  if (text) label.textContent = text;
+  else if (status) {
+    const name = (jobState.job && jobState.job.fileName) || status.fileName;
+    label.textContent = status.status === 'queued'
+      ? `Queued on server — ${name}`
+      : `Server: ${status.windowsDone} / ${status.windowsTotal} windows (${Math.round((status.progress || 0) * 100)}%) — ${name}`;
+  }
+}
+
+function trackAnalysisJob(job, file) {
+  jobState.job = job;
+  jobState.file = file || null;
+  jobState.lastPartial = Date.now();
+  localStorage.setItem(JOB_KEY, JSON.stringify(job));
+  updateJobPanel({ progress: 0 }, `Uploaded ${job.fileName}, waiting for the server…`);
+  scheduleJobPoll(0);
+}
+
+function scheduleJobPoll(ms = JOB_POLL_MS) {
+  clearTimeout(jobState.timer);
+  jobState.timer = setTimeout(pollAnalysisJob, ms);
+}
+
+// stop tracking; with fallback, re-run locally if we still have the file
+function finishAnalysisJob(message, fallback = false) {
+  clearTimeout(jobState.timer);
+  localStorage.removeItem(JOB_KEY);
+  const file = jobState.file;
+  jobState.job = null;
+  jobState.file = null;
+  updateJobPanel(null);
+  if (message) showTemporaryAlert(message + (fallback && file ? ' Running local analysis instead.' : ''), 'rgba(220,140,20,0.95)');
+  if (fallback && file) analyzeUploadedAudioAndShow();
+}
+
+async function pollAnalysisJob() {
+  const job = jobState.job;
+  if (!job) return;
+  let status;
+  try {
+    const resp = await fetch(serverEndpoint(`jobs/${job.id}`, job.server), { mode: 'cors' });
+    if (resp.status === 404) return finishAnalysisJob(`The server no longer knows the job for ${job.fileName} (restarted?).`, true);
+    status = await readServerJson(resp);
+  } catch (err) {
+    // the job keeps running server-side; just try again a bit later
+    if (jobState.job === job) updateJobPanel(null, `Lost contact with the server, retrying… (${err.message})`);
+    return scheduleJobPoll(JOB_POLL_MS * 3);
+  }
+  if (jobState.job !== job) return; // cancelled while we were waiting
+  updateJobPanel(status);
+  if (status.status === 'done') return showAnalysisJobResult(job);
+  if (status.status === 'failed') return finishAnalysisJob(`Server analysis failed (${status.error || 'unknown error'}).`, true);
+  if (status.status === 'cancelled') return finishAnalysisJob('Server analysis cancelled.');
+  if (status.windowsDone && Date.now() - jobState.lastPartial >= JOB_PARTIAL_MS) {
+    jobState.lastPartial = Date.now();
+    showAnalysisJobPartial(job);
+  }
+  scheduleJobPoll();
+}
+
+async function fetchAnalysisJobResult(job) {
+  const resp = await fetch(serverEndpoint(`jobs/${job.id}/result`, job.server), { mode: 'cors' });
+  return readServerJson(resp);
+}
+
+async function showAnalysisJobPartial(job) {
+  try {
+    const json = await fetchAnalysisJobResult(job);
+    // a late partial must never overwrite the final card
+    if (jobState.job !== job || !json.partial || validateAnalysisResult(json).length) return;
+    renderAnalysisResult(ensureAnalysisResultEl(), json);
+  } catch (err) {
+    console.warn('Partial job result unavailable:', err && err.message);
+  }
+}
+
+async function showAnalysisJobResult(job) {
+  let json;
+  try {
+    json = await fetchAnalysisJobResult(job);
+  } catch (err) {
+    return finishAnalysisJob(`Could not fetch the server result (${err.message}).`, true);
+  }
+  // Only render results in the shape this page understands
+  const problems = validateAnalysisResult(json);
+  if (problems.length) {
+    console.warn('Server result rejected:', problems);
+    return finishAnalysisJob(`Server result not usable (${problems[0]}).`, true);
+  }
+  const file = jobState.file;
+  finishAnalysisJob();
+
+  const resultEl = ensureAnalysisResultEl();
+  renderAnalysisResult(resultEl, json);
+  if (file) {
+    decodeFileToAudioBuffer(file)
+      .then(buf => appendYamnetPanel(resultEl, buf))
+      .catch(err => console.warn('YAMNet decode error', err));
+  }
+  saveAnalysisToHistory(file || { name: job.fileName }, json)
+    .catch(err => console.warn('Could not save to history:', err && err.message));
+
+  showTemporaryAlert(`Server analysis complete — score ${json.score}/100`, 'rgba(0,180,0,0.95)');
+  console.log('Server analysis result:', json);
+}
+
+async function cancelAnalysisJob() {
+  const job = jobState.job;
+  if (!job) return;
+  finishAnalysisJob('Server analysis cancelled.');
+  try {
+    await fetch(serverEndpoint(`jobs/${job.id}`, job.server), { method: 'DELETE', mode: 'cors' });
+  } catch (err) {
+    console.warn('Could not cancel job on the server:', err && err.message);
+  }
+}
+
+(function resumeAnalysisJob(){
+  const cancelBtn = document.getElementById('jobCancelBtn');
+  if (cancelBtn) cancelBtn.addEventListener('click', () => cancelAnalysisJob());
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(JOB_KEY) || 'null');
+  } catch (err) {
+    localStorage.removeItem(JOB_KEY);
+  }
+  if (!saved || !saved.id || !saved.server) return;
+  jobState.job = saved;
+  updateJobPanel({ progress: 0 }, `Resuming server analysis of ${saved.fileName}…`);
+  scheduleJobPoll(0);
+})();
+
+// the Analyze button (and the voice "analyze" command): server job first, local fallback
+async function analyzeSelectedUpload() {
+  const fileInput = document.getElementById('audioUpload');
+  if (!fileInput || !fileInput.files || !fileInput.files[0]) {
+    return showTemporaryAlert('Please choose an audio file to upload first.', 'rgba(200,30,30,0.95)');
+  }
+  const file = fileInput.files[0];
+
+  await appConfigReady;
+  const serverUrl = getAnalyzeServerUrl();
+  if (!serverUrl) return analyzeUploadedAudioAndShow();
+  if (jobState.job) await cancelAnalysisJob(); // one server job at a time
+
+  // Try server first
+  showTemporaryAlert('Uploading to server for analysis...', 'rgba(0,120,200,0.95)');
+
+  try {
+    const profile = await ensureScoringProfile();
+    const upload = await conditionedUpload(file);
+    const status = await submitAnalysisJob(upload.file, profile, serverUrl, {
+      conditioning: upload.chain,
+      calibration: activeCalibration(),
+      recording: await readRecordingMetadata(file),
+      array: arrayGeometry(),
+      arrayRecording: isArrayRecording()
+    });
+    trackAnalysisJob({ id: status.jobId, server: serverUrl, fileName: file.name, createdAt: status.createdAt }, file);
+  } catch (err) {
+    console.warn('Server connection error:', err && (err.message || err));
+    showTemporaryAlert('Cannot reach server — running local pattern-matching analysis.', 'rgba(220,140,20,0.95)');
+    analyzeUploadedAudioAndShow();
+  }
+}
+
+const analyzeBtn = document.getElementById('analyzeBtn');
+if (analyzeBtn) analyzeBtn.addEventListener('click', () => analyzeSelectedUpload());
+
+/* ------------------------------
+   Batch analysis — many files / a whole folder, queued one at a time
+   ------------------------------ */
+const AUDIO_FILE_RE = /\.(wav|wave|mp3|flac|ogg|oga|opus|m4a|aac|aif|aiff|webm)$/i;
+
+const batchState = {
+  queue: [],
+  rows: [],
+  running: false,
+  controller: null,
+  done: 0,
+  total: 0,
+  sortKey: 'file',
+  sortDir: 1
+};
+
+const BATCH_COLUMNS = [
+  { key: 'file', label: 'File' },
+  { key: 'duration', label: 'Duration (s)' },
+  { key: 'score', label: 'Score' },
+  { key: 'min', label: 'Min' },
+  { key: 'p50', label: 'Median' },
+  { key: 'boatFraction', label: 'Boat time' },
+  { key: 'isBoat', label: 'isBoat' },
+  ...FEATURE_KEYS.map(k => ({ key: k, label: k })),
+  { key: 'note', label: 'Note' },
+  { key: 'profile', label: 'Profile' },
+  { key: 'spl', label: 'SPL' },
+  { key: 'peakLevel', label: 'Peak' },
+  { key: 'sel', label: 'SEL' },
+  { key: 'L5', label: 'L5' },
+  { key: 'L50', label: 'L50' },
+  { key: 'L95', label: 'L95' },
+  { key: 'band63', label: '63 Hz' },
+  { key: 'band125', label: '125 Hz' },
+  { key: 'levelUnit', label: 'Level unit' },
+  { key: 'startTime', label: 'Start (UTC)' },
+  { key: 'recording', label: 'Recording' },
+  { key: 'warnings', label: 'Warnings' },
+  { key: 'clickTrains', label: 'Click trains' },
+  { key: 'whistles', label: 'Whistles' },
+  { key: 'vesselPassages', label: 'Vessel passages' },
+  { key: 'channelScores', label: 'Channel scores' },
+  { key: 'channelDisagreement', label: 'Channel disagreement' },
+  { key: 'conditioning', label: 'Conditioning' },
+  { key: 'error', label: 'Error' }
+];
+
+function isAudioFile(file) {
+  return (file.type && file.type.startsWith('audio/')) || AUDIO_FILE_RE.test(file.name);
+}
+
+function batchFileLabel(file) {
+  return file.webkitRelativePath || file._relativePath || file.name;
+}
+
+// folders dropped onto the page arrive as FileSystemEntry trees
+async function filesFromEntry(entry, prefix = '') {
+  if (entry.isFile) {
+    const file = await new Promise((res, rej) => entry.file(res, rej));
+    file._relativePath = prefix + file.name;
+    return [file];
+  }
+  if (!entry.isDirectory) return [];
+  const reader = entry.createReader();
+  const out = [];
+  // readEntries hands back results in chunks until it returns an empty list
+  for (;;) {
+    const batch = await new Promise((res, rej) => reader.readEntries(res, rej));
+    if (!batch.length) break;
+    for (const child of batch) out.push(...await filesFromEntry(child, prefix + entry.name + '/'));
+  }
+  return out;
+}
+
+async function batchRowForFile(file, signal) {
+  const row = { file: batchFileLabel(file), size: file.size };
+  try {
+    const conditioned = await conditionForAnalysis(await decodeFileToAudioBuffer(file), signal);
+    const timeline = await analyzeAudioBufferTimeline(conditioned.buffer, (p) => updateBatchProgress(p), signal, { levels: true });
+    const { summary } = timeline;
+    const score = Math.round(summary.mean);
+    Object.assign(row, {
+      duration: timeline.duration,
+      score,
+      min: summary.min,
+      p50: summary.p50,
+      boatFraction: summary.boatFraction,
+      isBoat: summary.boatFraction > 0.5,
+      note: noteForScore(score),
+      profile: timeline.profile,
+      conditioning: conditioned.chain ? describeConditioning(conditioned.chain) : ''
+    });
+    const detections = mergeDetections(timeline.windows);
+    row.clickTrains = detections.filter(d => d.kind === 'clicks').length;
+    row.whistles = detections.length - row.clickTrains;
+    row.vesselPassages = (await vesselsFor(conditioned.buffer, timeline.windows, signal)).passages.length;
+    const { levels } = timeline;
+    Object.assign(row, {
+      levelUnit: levels.unit,
+      spl: levels.spl,
+      peakLevel: levels.peak,
+      sel: levels.sel,
+      L5: levels.percentiles.L5,
+      L50: levels.percentiles.L50,
+      L95: levels.percentiles.L95,
+      band63: levels.shippingBands[63],
+      band125: levels.shippingBands[125]
+    });
+    const array = await analyzeArray(conditioned.buffer, timeline.windows, undefined, signal);
+    if (array) {
+      row.channelScores = array.channels.map(c => c.score).join(' / ');
+      row.channelDisagreement = array.disagreement.fraction;
+    }
+    const recording = await readRecordingMetadata(file);
+    if (recording) {
+      Object.assign(row, {
+        startTime: recording.startTime || '',
+        recording: describeRecording(recording),
+        warnings: recording.warnings.join('; ')
+      });
+    }
+    FEATURE_KEYS.forEach(k => { row[k] = Number(summary.meanFeatures[k].toFixed(4)); });
+  } catch (err) {
+    if (err && err.name === 'AbortError') throw err;
+    row.error = (err && (err.message || err.name)) || 'decode failed';
+  }
+  return row;
+}
+
+function updateBatchProgress(fraction) {
+  const bar = document.getElementById('batchProgress');
+  const status = document.getElementById('batchStatus');
+  const { done, total, queue, running } = batchState;
+  if (bar) bar.value = total ? (done + (fraction || 0)) / total : 0;
+  if (status) {
+    const failed = batchState.rows.filter(r => r.error).length;
+    status.textContent = running
+      ? `Analysing ${done + 1} of ${total}${queue[0] ? ' — ' + batchFileLabel(queue[0]) : ''}${failed ? ` · ${failed} failed` : ''}`
+      : total ? `Done: ${done} of ${total} files${failed ? `, ${failed} failed` : ''}.` : 'No files queued.';
+  }
+}
+
+async function runBatchQueue() {
+  if (batchState.running) return;
+  await ensureScoringProfile();
+  batchState.running = true;
+  batchState.controller = new AbortController();
+  const cancelBtn = document.getElementById('batchCancelBtn');
+  if (cancelBtn) cancelBtn.disabled = false;
+  try {
+    while (batchState.queue.length) {
+      updateBatchProgress(0);
+      const file = batchState.queue[0];
+      const row = await batchRowForFile(file, batchState.controller.signal);
+      batchState.queue.shift();
+      batchState.rows.push(row);
+      batchState.done++;
+      renderBatchTable();
+    }
+  } catch (err) {
+    if (!(err && err.name === 'AbortError')) console.error('batch error', err);
+  } finally {
+    batchState.running = false;
+    batchState.controller = null;
+    if (cancelBtn) cancelBtn.disabled = true;
+    updateBatchProgress(0);
+  }
+}
+
+function enqueueBatchFiles(files) {
+  const audio = Array.from(files).filter(isAudioFile);
+  const skipped = files.length - audio.length;
+  if (!audio.length) {
+    return showTemporaryAlert('No audio files found in that selection.', 'rgba(200,30,30,0.95)');
+  }
+  batchState.queue.push(...audio);
+  batchState.total += audio.length;
+  showTemporaryAlert(`Queued ${audio.length} file(s)${skipped ? `, skipped ${skipped} non-audio` : ''}.`, 'rgba(0,120,200,0.95)');
+  runBatchQueue().catch(err => showTemporaryAlert(err.message, 'rgba(200,30,30,0.95)'));
+}
+
+function cancelBatch() {
+  batchState.total -= batchState.queue.length;
+  batchState.queue = [];
+  if (batchState.controller) batchState.controller.abort();
+  showTemporaryAlert('Batch cancelled.', 'rgba(220,140,20,0.95)');
+}
+
+function filteredBatchRows() {
+  const text = ((document.getElementById('batchFilter') || {}).value || '').toLowerCase();
+  const mode = (document.getElementById('batchFilterMode') || {}).value || 'all';
+  const { sortKey, sortDir } = batchState;
+  return batchState.rows
+    .filter(r => {
+      if (mode === 'boat' && !r.isBoat) return false;
+      if (mode === 'clear' && (r.isBoat || r.error)) return false;
+      if (mode === 'errors' && !r.error) return false;
+      return !text || `${r.file} ${r.note || ''} ${r.error || ''}`.toLowerCase().includes(text);
+    })
+    .sort((a, b) => {
+      const x = a[sortKey], y = b[sortKey];
+      if (x == null && y == null) return 0;
+      if (x == null) return 1;  // blanks (failed rows) always last
+      if (y == null) return -1;
+      return (typeof x === 'string' ? x.localeCompare(y) : (x > y) - (x < y)) * sortDir;
+    });
+}
+
+function batchCell(row, key) {
+  const v = row[key];
+  if (v == null) return '';
+  if (key === 'isBoat') return v ? 'yes' : 'no';
+  if (key === 'boatFraction') return (v * 100).toFixed(1) + '%';
+  return String(v);
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderBatchTable() {
+  const table = document.getElementById('batchTable');
+  if (!table) return;
+  const { sortKey, sortDir } = batchState;
+  const head = BATCH_COLUMNS.map(c =>
+    `<th data-key="${c.key}">${c.label}${c.key === sortKey ? (sortDir > 0 ? ' ▲' : ' ▼') : ''}</th>`).join('');
+  const body = filteredBatchRows().map(r =>
+    `<tr class="${r.error ? 'failed' : r.isBoat ? 'boat' : ''}">${BATCH_COLUMNS.map(c => `<td>${escapeHtml(batchCell(r, c.key))}</td>`).join('')}</tr>`).join('');
+  table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${body}</tbody>`;
+  const wrap = document.getElementById('batchResults');
+  if (wrap) wrap.style.display = batchState.rows.length ? '' : 'none';
+}
+
+function csvField(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function batchRowsToCsv(rows) {
+  const lines = [BATCH_COLUMNS.map(c => c.key).join(',')];
+  rows.forEach(r => lines.push(BATCH_COLUMNS.map(c => csvField(r[c.key])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function downloadBlob(content, type, filename) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+(function wireBatchControls(){
+  const filesInput = document.getElementById('batchFiles');
+  const folderInput = document.getElementById('batchFolder');
+  [filesInput, folderInput].forEach(el => {
+    if (!el) return;
+    el.addEventListener('change', () => {
+      if (el.files && el.files.length) enqueueBatchFiles(el.files);
+      el.value = '';
+    });
+  });
+
+  const drop = document.getElementById('batchDrop');
+  if (drop) {
+    ['dragenter', 'dragover'].forEach(t => drop.addEventListener(t, (e) => { e.preventDefault(); drop.classList.add('over'); }));
+    ['dragleave', 'drop'].forEach(t => drop.addEventListener(t, () => drop.classList.remove('over')));
+    drop.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      const items = Array.from(e.dataTransfer.items || []);
+      const entries = items.map(it => it.webkitGetAsEntry && it.webkitGetAsEntry()).filter(Boolean);
+      let files = [];
+      if (entries.length) {
+        for (const entry of entries) files.push(...await filesFromEntry(entry));
+      } else {
+        files = Array.from(e.dataTransfer.files || []);
+      }
+      enqueueBatchFiles(files);
+    });
+  }
+
+  const cancelBtn = document.getElementById('batchCancelBtn');
+  if (cancelBtn) cancelBtn.addEventListener('click', () => cancelBatch());
+
+  const clearBtn = document.getElementById('batchClearBtn');
+  if (clearBtn) clearBtn.addEventListener('click', () => {
+    if (batchState.running) cancelBatch();
+    batchState.rows = [];
+    batchState.done = batchState.total = 0;
+    renderBatchTable();
+    updateBatchProgress(0);
+  });
+
+  const table = document.getElementById('batchTable');
+  if (table) table.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-key]');
+    if (!th) return;
+    const key = th.dataset.key;
+    batchState.sortDir = batchState.sortKey === key ? -batchState.sortDir : 1;
+    batchState.sortKey = key;
+    renderBatchTable();
+  });
+
+  ['batchFilter', 'batchFilterMode'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('input', () => renderBatchTable());
+  });
+
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const csvBtn = document.getElementById('batchExportCsv');
+  if (csvBtn) csvBtn.addEventListener('click', () =>
+    downloadBlob(batchRowsToCsv(filteredBatchRows()), 'text/csv', `mam-batch-${stamp()}.csv`));
+  const jsonBtn = document.getElementById('batchExportJson');
+  if (jsonBtn) jsonBtn.addEventListener('click', () =>
+    downloadBlob(JSON.stringify(filteredBatchRows(), null, 2), 'application/json', `mam-batch-${stamp()}.json`));
+})();
+
+/* ------------------------------
+   Analysis history — every result shown in #analysis-result is saved to
+   IndexedDB (db "mam-history", store "analyses") so it survives reloads
+   - an entry is an analysis result (analysis-core.js contract) plus file
+     name, size, SHA-256 and the time it was saved
+   - the whole store can be exported / imported as one JSON bundle
+   ------------------------------ */
+const HISTORY_DB = 'mam-history';
+const HISTORY_STORE = 'analyses';
+const HISTORY_BUNDLE_FORMAT = 'mam-history-bundle';
+const HISTORY_BUNDLE_VERSION = 1;
+
+const historyState = {
+  entries: [],
+  selected: new Set()
+};
+
+let _historyDb = null;
+function openHistoryDb() {
+  if (_historyDb) return _historyDb;
+  _historyDb = new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(new Error('IndexedDB not available in this browser'));
+    const req = indexedDB.open(HISTORY_DB, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('createdAt', 'createdAt');
+      store.createIndex('hash', 'hash');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  _historyDb.catch(() => { _historyDb = null; });
+  return _historyDb;
+}
+
+// run fn(store) in one transaction; resolves with the result of the request fn returns (if any)
+async function historyTransaction(mode, fn) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const req = fn(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function sha256Hex(blob) {
+  if (!(window.crypto && crypto.subtle)) return null; // insecure context (e.g. plain http)
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// fileOrUrl is what was analysed: a File from #audioUpload or the <audio> src
+async function saveAnalysisToHistory(fileOrUrl, result) {
+  let blob = fileOrUrl instanceof Blob ? fileOrUrl : null; // plain { name } when the file is gone
+  let fileName = fileOrUrl && fileOrUrl.name;
+  if (typeof fileOrUrl === 'string') {
+    fileName = decodeURIComponent(fileOrUrl.split(/[?#]/)[0].split('/').pop() || 'audio');
+    blob = await fetch(fileOrUrl).then(r => r.blob()).catch(() => null);
+  }
+  const entry = {
+    fileName: fileName || 'audio',
+    fileSize: blob ? blob.size : null,
+    hash: blob ? await sha256Hex(blob).catch(() => null) : null,
+    createdAt: new Date().toISOString(),
+    ...result
+  };
+  entry.id = await historyTransaction('readwrite', store => store.add(entry));
+  historyState.entries.unshift(entry);
+  renderHistoryTable();
+  return entry;
+}
+
+async function loadHistory() {
+  try {
+    const all = await historyTransaction('readonly', store => store.getAll());
+    historyState.entries = (all || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (err) {
+    console.warn('History unavailable:', err && err.message);
+    historyState.entries = [];
+    const status = document.getElementById('historyStatus');
+    if (status) status.textContent = 'History is unavailable in this browser (' + ((err && err.message) || 'IndexedDB error') + ').';
+    return;
+  }
+  renderHistoryTable();
+}
+
+async function deleteHistoryEntry(id) {
+  await historyTransaction('readwrite', store => store.delete(id));
+  historyState.entries = historyState.entries.filter(e => e.id !== id);
+  historyState.selected.delete(id);
+  renderHistoryTable();
+}
+
+async function clearHistory() {
+  await historyTransaction('readwrite', store => store.clear());
+  historyState.entries = [];
+  historyState.selected.clear();
+  renderHistoryTable();
+  const cmp = document.getElementById('historyCompare');
+  if (cmp) cmp.style.display = 'none';
+}
+
+function historyBundle(entries = historyState.entries) {
+  return {
+    format: HISTORY_BUNDLE_FORMAT,
+    version: HISTORY_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ id, ...rest }) => rest)
+  };
+}
+
+// returns { added, skipped }; entries already present (same hash/file, source and timestamp) are skipped
+async function importHistoryBundle(bundle) {
+  if (!bundle || bundle.format !== HISTORY_BUNDLE_FORMAT || !Array.isArray(bundle.entries)) {
+    throw new Error('not a history bundle (expected format "' + HISTORY_BUNDLE_FORMAT + '")');
+  }
+  if (bundle.version > HISTORY_BUNDLE_VERSION) {
+    throw new Error(`bundle version ${bundle.version} is newer than this page supports (${HISTORY_BUNDLE_VERSION})`);
+  }
+  const key = e => [e.hash || e.fileName, e.source, e.createdAt].join('|');
+  const known = new Set(historyState.entries.map(key));
+  const fresh = [];
+  let skipped = 0;
+  bundle.entries.forEach((raw) => {
+    const ok = raw && typeof raw.fileName === 'string' && typeof raw.createdAt === 'string' && !validateAnalysisResult(raw).length;
+    if (!ok || known.has(key(raw))) { skipped++; return; }
+    const { id, ...entry } = raw;
+    known.add(key(entry));
+    fresh.push(entry);
+  });
+  if (fresh.length) await historyTransaction('readwrite', store => { fresh.forEach(e => store.add(e)); });
+  await loadHistory();
+  return { added: fresh.length, skipped };
+}
+
+function filteredHistoryEntries() {
+  const text = ((document.getElementById('historySearch') || {}).value || '').trim().toLowerCase();
+  if (!text) return historyState.entries;
+  return historyState.entries.filter(e =>
+    `${e.fileName} ${e.note || ''} ${e.profile || ''} ${e.source} ${e.hash || ''} ${e.createdAt}`.toLowerCase().includes(text));
+}
+
+// results saved before the soundscape indices existed lack them
+const hasSoundscape = e => !!e.features && e.features.ndsi != null;
+
+function formatHistoryDate(iso) {
+  const d = new Date(iso);
+  return isNaN(d) ? iso : d.toLocaleString();
+}
+
+function renderHistoryTable() {
+  const table = document.getElementById('historyTable');
+  const status = document.getElementById('historyStatus');
+  const rows = filteredHistoryEntries();
+  if (status) {
+    const n = historyState.entries.length;
+    status.textContent = !n ? 'No saved analyses yet.'
+      : rows.length === n ? `${n} saved analysis${n === 1 ? '' : 'es'}.` : `${rows.length} of ${n} saved analyses match.`;
+  }
+  const compareBtn = document.getElementById('historyCompareBtn');
+  if (compareBtn) compareBtn.disabled = historyState.selected.size !== 2;
+  if (!table) return;
+  if (!rows.length) { table.innerHTML = ''; return; }
+  const body = rows.map(e => `<tr class="${e.isBoat ? 'boat' : ''}" data-id="${e.id}">
+      <td><input type="checkbox" data-act="select" ${historyState.selected.has(e.id) ? 'checked' : ''}></td>
+      <td>${escapeHtml(formatHistoryDate(e.createdAt))}</td>
+      <td title="${escapeHtml(e.hash || '')}">${escapeHtml(e.fileName)}</td>
+      <td>${escapeHtml(e.source)}</td>
+      <td>${escapeHtml(e.profile || '')}</td>
+      <td>${e.duration != null ? formatSeconds(e.duration) : ''}</td>
+      <td><strong>${e.score}</strong></td>
+      <td>${e.isBoat ? 'yes' : 'no'}</td>
+      <td title="${hasSoundscape(e) ? escapeHtml(soundscapeIndicesText(e.features)) : ''}">${hasSoundscape(e) ? e.features.ndsi.toFixed(2) : ''}</td>
+      <td><button class="history-act" data-act="open">Open</button> <button class="history-act" data-act="delete">Delete</button></td>
+    </tr>`).join('');
+  table.innerHTML = `<thead><tr><th></th><th>Saved</th><th>File</th><th>Source</th><th>Profile</th><th>Duration</th><th>Score</th><th>Boat</th><th title="Normalized Difference Soundscape Index: -1 all machinery, 1 all biology">NDSI</th><th></th></tr></thead><tbody>${body}</tbody>`;
+}
+
+function openHistoryEntry(entry) {
+  const problems = validateAnalysisResult(entry);
+  if (problems.length) {
+    console.warn('Saved analysis rejected:', problems);
+    return showTemporaryAlert(`Can't open this saved analysis: ${problems[0]}`, 'rgba(200,30,30,0.95)');
+  }
+  renderAnalysisResult(ensureAnalysisResultEl(), entry, { savedEntry: entry });
+  scrollToSection('audio-demo');
+}
+
+function showHistoryCompare() {
+  const ids = Array.from(historyState.selected);
+  const picked = ids.map(id => historyState.entries.find(e => e.id === id)).filter(Boolean)
+    .sort((x, y) => x.createdAt.localeCompare(y.createdAt));
+  const el = document.getElementById('historyCompare');
+  if (!el || picked.length !== 2) return;
+  const [a, b] = picked.map(({ id, ...result }) => result);
+  renderComparison(el, buildComparisonReport(a, b, { labelA: a.fileName, labelB: b.fileName }));
+}
+
+(function wireHistoryControls(){
+  const table = document.getElementById('historyTable');
+  if (!table) return;
+
+  table.addEventListener('click', (e) => {
+    const act = e.target.dataset && e.target.dataset.act;
+    const tr = e.target.closest('tr[data-id]');
+    if (!act || !tr) return;
+    const id = Number(tr.dataset.id);
+    const entry = historyState.entries.find(x => x.id === id);
+    if (!entry) return;
+    if (act === 'select') {
+      if (e.target.checked) historyState.selected.add(id); else historyState.selected.delete(id);
+      renderHistoryTable();
+    } else if (act === 'open') {
+      openHistoryEntry(entry);
+    } else if (act === 'delete') {
+      if (!confirm(`Delete the saved analysis of "${entry.fileName}"?`)) return;
+      deleteHistoryEntry(id).catch(err => showTemporaryAlert('Delete failed: ' + err.message, 'rgba(200,30,30,0.95)'));
+    }
+  });
+
+  const search = document.getElementById('historySearch');
+  if (search) search.addEventListener('input', () => renderHistoryTable());
+
+  const compareBtn = document.getElementById('historyCompareBtn');
+  if (compareBtn) compareBtn.addEventListener('click', () => showHistoryCompare());
+
+  const exportBtn = document.getElementById('historyExportBtn');
+  if (exportBtn) exportBtn.addEventListener('click', () => {
+    if (!historyState.entries.length) return showTemporaryAlert('Nothing to export yet.', 'rgba(220,140,20,0.95)');
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadBlob(JSON.stringify(historyBundle(), null, 2), 'application/json', `mam-history-${stamp}.json`);
+  });
+
+  const importInput = document.getElementById('historyImport');
+  if (importInput) importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const { added, skipped } = await importHistoryBundle(JSON.parse(await file.text()));
+      showTemporaryAlert(`Imported ${added} analys${added === 1 ? 'is' : 'es'}${skipped ? `, skipped ${skipped} duplicate/invalid` : ''}.`, 'rgba(0,120,200,0.95)');
+    } catch (err) {
+      showTemporaryAlert('Import failed: ' + err.message, 'rgba(200,30,30,0.95)');
+    }
+  });
+
+  const clearBtn = document.getElementById('historyClearBtn');
+  if (clearBtn) clearBtn.addEventListener('click', () => {
+    if (!historyState.entries.length || !confirm('Delete every saved analysis in this browser?')) return;
+    clearHistory().catch(err => showTemporaryAlert('Clear failed: ' + err.message, 'rgba(200,30,30,0.95)'));
+  });
+
+  loadHistory();
+})();
+
+/* ------------------------------
+   A/B comparison (recording-compare.js)
+   - two recordings analysed one after the other with the current profile,
+     conditioning and calibration (or two history entries), shown side by side:
+     score and feature deltas, both LTSAs on one plot with the third-octave
+     bands that changed by COMPARE_BAND_DB or more shaded, the band table and
+     both rule traces
+   - "Save report" writes the comparison and both results as one JSON file;
+     "Open report" shows a saved one again
+   ------------------------------ */
+const COMPARE_COLORS = { a: '#0066cc', b: '#e07b00' };
+const COMPARE_LOUDER = 'rgba(217,83,79,0.18)'; // band louder in B
+const COMPARE_QUIETER = 'rgba(26,127,55,0.16)';
+
+function compareDeltaHtml(d, digits) {
+  if (typeof d !== 'number') return '—';
+  return `<span style="color:${d > 0 ? '#1a7f37' : d < 0 ? '#b42318' : '#666'}">${d > 0 ? '+' : ''}${d.toFixed(digits)}</span>`;
+}
+
+function compareRowsHtml(rows) {
+  const num = (v, d) => (typeof v === 'number' ? v.toFixed(d) : '—');
+  return `<table class="history-compare-table"><thead><tr><th></th><th>A</th><th>B</th><th>B − A</th></tr></thead><tbody>
+    ${rows.map(r => `<tr><td>${escapeHtml(r.label)}</td><td>${num(r.a, r.digits)}</td><td>${num(r.b, r.digits)}</td><td>${compareDeltaHtml(r.delta, r.digits)}</td></tr>`).join('')}
+    </tbody></table>`;
+}
+
+// both LTSAs on a log-frequency axis; bands = bandDifferences(), whose notable bands are shaded
+function drawLtsaOverlay(canvas, ltsa, bands) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height;
+  const padL = 34, padB = 14;
+  ctx.clearRect(0, 0, W, H);
+  if (!ltsa.freqs.length) return;
+  const f0 = Math.log10(ltsa.freqs[0]), f1 = Math.log10(ltsa.freqs[ltsa.freqs.length - 1]);
+  const top = Math.max(...ltsa.a, ...ltsa.b), bottom = Math.min(...ltsa.a, ...ltsa.b, top - 10);
+  const x = f => padL + (Math.log10(f) - f0) / Math.max(1e-6, f1 - f0) * (W - padL - 2);
+  const y = v => 2 + (top - v) / Math.max(1e-6, top - bottom) * (H - padB - 4);
+
+  if (bands) bands.bands.filter(b => b.notable).forEach(b => {
+    ctx.fillStyle = b.delta > 0 ? COMPARE_LOUDER : COMPARE_QUIETER;
+    const x0 = Math.max(padL, x(b.lower)), x1 = Math.min(W, x(b.upper));
+    if (x1 > x0) ctx.fillRect(x0, 0, x1 - x0, H - padB);
+  });
+
+  ctx.font = '9px sans-serif';
+  ctx.fillStyle = '#555';
+  ctx.textAlign = 'center';
+  for (let f = 10; f <= ltsa.freqs[ltsa.freqs.length - 1]; f *= 10) {
+    if (f < ltsa.freqs[0]) continue;
+    ctx.fillText(f >= 1000 ? (f / 1000) + 'k' : String(f), x(f), H - 2);
+  }
+  ctx.textAlign = 'right';
+  ctx.fillText(top.toFixed(0), padL - 3, 10);
+  ctx.fillText(bottom.toFixed(0), padL - 3, H - padB);
+
+  ['a', 'b'].forEach(side => {
+    ctx.strokeStyle = COMPARE_COLORS[side];
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ltsa[side].forEach((v, i) => (i ? ctx.lineTo(x(ltsa.freqs[i]), y(v)) : ctx.moveTo(x(ltsa.freqs[i]), y(v))));
+    ctx.stroke();
+  });
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#555';
+  ctx.fillText(ltsa.unit || 'units differ — shapes only', padL + 4, 10);
+}
+
+function compareBandsHtml(bands) {
+  if (!bands) return '<div style="color:#666;">No third-octave levels to compare (saved before levels were measured).</div>';
+  const notable = bands.bands.filter(b => b.notable);
+  const name = b => (b.nominal >= 1000 ? (b.nominal / 1000) + ' kHz' : b.nominal + ' Hz');
+  const changed = !bands.comparable ? 'A and B are levels in different units (one calibrated, one not) — no band differences.'
+    : notable.length ? `Bands that changed by ${bands.thresholdDb} dB or more: ` +
+      notable.map(b => `<span class="compare-band ${b.delta > 0 ? 'louder' : 'quieter'}">${name(b)} ${b.delta > 0 ? '+' : ''}${b.delta.toFixed(1)} dB</span>`).join(' ')
+    : `No band changed by ${bands.thresholdDb} dB or more.`;
+  const rows = bands.bands.map(b => `<tr class="${b.notable ? (b.delta > 0 ? 'louder' : 'quieter') : ''}"><td>${name(b)}</td>
+      <td>${b.a.toFixed(1)}</td><td>${b.b.toFixed(1)}</td><td>${compareDeltaHtml(b.delta, 1)}</td></tr>`).join('');
+  return `<div>${changed}</div>
+    <details><summary>All third-octave bands (${escapeHtml(bands.unit)})</summary>
+      <table class="history-compare-table compare-bands"><thead><tr><th>Band</th><th>A</th><th>B</th><th>B − A</th></tr></thead><tbody>${rows}</tbody></table>
+    </details>`;
+}
+
+function compareTracesHtml(report, traces) {
+  const { a, b } = report;
+  const sections = compareRowsHtml(traces.sections.map(s => ({ ...s, digits: 0 })));
+  const changed = !traces.sameProfile
+    ? `<div style="color:#666;">Scored with different profiles (${escapeHtml(traces.profileA)} / ${escapeHtml(traces.profileB)}) — rules are not matched up.</div>`
+    : traces.changedRules.length
+      ? `<div>Rules with a different outcome (A → B):</div>` + traces.changedRules.map(r => `<div class="trace-row">
+          <span class="trace-mark">${r.outcomeA ? '✓' : '✗'} → ${r.outcomeB ? '✓' : '✗'}</span>
+          <span class="trace-test">${escapeHtml(r.section)}: ${escapeHtml(r.test)}</span>
+          <span class="trace-val">${escapeHtml(r.feature)} ${formatTraceValue(r.a)} → ${formatTraceValue(r.b)}</span>
+        </div>`).join('')
+      : '<div style="color:#666;">Every rule has the same outcome in both traced windows.</div>';
+  const column = (side, r) => `<div><div class="trace-hint" style="color:${COMPARE_COLORS[side]};">${side.toUpperCase()} — ${escapeHtml(windowCaption(r.windows[r.traceWindow]))}</div>${scoreTraceHtml(r.trace)}</div>`;
+  return `${sections}${changed}
+    <details class="score-trace"><summary>Rule traces side by side</summary>
+      <div class="compare-traces">${column('a', a.result)}${column('b', b.result)}</div>
+    </details>`;
+}
+
+function renderComparison(el, report) {
+  const { a, b } = report;
+  const cmp = compareResults(a.result, b.result);
+  const who = (side, s) => `<span style="color:${COMPARE_COLORS[side]};font-weight:600;">${side.toUpperCase()}</span> = ${escapeHtml(s.label)}
+    <span style="color:#666;">(${escapeHtml(s.result.source)}, profile ${escapeHtml(s.result.profile)}, ${formatSeconds(s.result.duration)}${s.result.recording && s.result.recording.startTime ? ', ' + escapeHtml(s.result.recording.startTime.slice(0, 19).replace('T', ' ')) + ' UTC' : ''})</span>`;
+  const same = a.result.hash && a.result.hash === b.result.hash;
+  el.innerHTML = `<strong>A/B comparison</strong> <button class="history-act compare-save">Save report</button>
+    <div style="font-size:12px;">${who('a', a)}<br>${who('b', b)}${same ? ' · same audio file' : ''}</div>
+    ${compareRowsHtml(cmp.scores)}
+    <div class="compare-heading">Long-term average spectrum</div>
+    ${cmp.ltsa ? '<canvas class="compare-ltsa" width="560" height="150"></canvas>' : '<div style="color:#666;">No LTSA to overlay (a result saved before LTSAs were measured).</div>'}
+    ${compareBandsHtml(cmp.bands)}
+    <details><summary class="compare-heading">Mean features</summary>${compareRowsHtml(cmp.features)}</details>
+    <div class="compare-heading">Scoring (traced windows)</div>
+    ${compareTracesHtml(report, cmp.traces)}`;
+  if (cmp.ltsa) drawLtsaOverlay(el.querySelector('.compare-ltsa'), cmp.ltsa, cmp.bands);
+  el.querySelector('.compare-save').addEventListener('click', () => {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadBlob(JSON.stringify(report, null, 2), 'application/json', `mam-compare-${stamp}.json`);
+  });
+  el.style.display = '';
+}
+
+(function wireCompareControls(){
+  const fileA = document.getElementById('compareFileA');
+  const fileB = document.getElementById('compareFileB');
+  const runBtn = document.getElementById('compareRunBtn');
+  const status = document.getElementById('compareStatus');
+  const out = document.getElementById('compareResult');
+  if (!fileA || !fileB || !runBtn || !out) return;
+
+  const picked = () => [fileA, fileB].map(input => input.files && input.files[0]);
+  const showPicked = () => {
+    const [a, b] = picked();
+    runBtn.disabled = !a || !b;
+    status.textContent = `A: ${a ? a.name : '—'} · B: ${b ? b.name : '—'}`;
+  };
+  fileA.addEventListener('change', showPicked);
+  fileB.addEventListener('change', showPicked);
+
+  runBtn.addEventListener('click', async () => {
+    const [a, b] = picked();
+    if (!a || !b) return;
+    runBtn.disabled = true;
+    try {
+      status.textContent = `Analysing A (${a.name})…`;
+      const { result: resultA } = await analyzeSourceLocally(a);
+      status.textContent = `Analysing B (${b.name})…`;
+      const { result: resultB } = await analyzeSourceLocally(b);
+      renderComparison(out, buildComparisonReport(resultA, resultB, { labelA: a.name, labelB: b.name }));
+      status.textContent = `Compared ${a.name} (A) with ${b.name} (B).`;
+    } catch (err) {
+      console.error('compare error', err);
+      status.textContent = 'Comparison failed: ' + ((err && err.message) || err);
+    } finally {
+      runBtn.disabled = false;
+    }
+  });
+
+  const openInput = document.getElementById('compareOpen');
+  if (openInput) openInput.addEventListener('change', async () => {
+    const file = openInput.files && openInput.files[0];
+    openInput.value = '';
+    if (!file) return;
+    try {
+      const report = JSON.parse(await file.text());
+      const problems = validateComparisonReport(report);
+      if (problems.length) throw new Error(problems[0]);
+      renderComparison(out, report);
+      status.textContent = `Opened the report saved ${formatHistoryDate(report.createdAt)}.`;
+    } catch (err) {
+      showTemporaryAlert('Could not open the report: ' + err.message, 'rgba(200,30,30,0.95)');
+    }
+  });
+})();
+
+/* ------------------------------
+   Live hydrophone / microphone monitoring
+   - live-capture-worklet.js hands us hop-sized mono blocks off the audio thread
+   - we keep a rolling buffer of one canonical window (canonicalWindowSamples)
+     and score it, resampled to CANONICAL_SAMPLE_RATE, with the same
+     analyzeWindowFeatures + computeEnvironmentalScore as uploads
+   - with "Score on server" the blocks are also streamed to back.py /stream
+     (analysis-stream.js) and its windows are shown instead; whenever the socket
+     is down or a block couldn't be sent we keep scoring locally
+   ------------------------------ */
+const LIVE_HISTORY_SECONDS = 120;
+
+const liveState = {
+  running: false,
+  stream: null,
+  source: null,
+  node: null,
+  sink: null,
+  sr: 44100,
+  ring: null,
+  filled: 0,
+  samplesSeen: 0,
+  sinceLast: 0,
+  windows: [],
+  boatSince: null,
+  alerted: false,
+  server: null,      // createAnalysisStream() handle while streaming
+  localUntil: 0      // score locally until this sample (server not caught up yet)
+};
+
+const liveStartBtn = document.getElementById('liveStartBtn');
+const liveStopBtn = document.getElementById('liveStopBtn');
+const liveStatusEl = document.getElementById('liveStatus');
+const liveGauge = document.getElementById('liveGauge');
+const liveHistory = document.getElementById('liveHistory');
+const liveAlertBanner = document.getElementById('liveAlertBanner');
+const liveInputSel = document.getElementById('liveInput');
+
+function liveAlertSeconds() {
+  const el = document.getElementById('liveAlertSeconds');
+  const v = el ? Number(el.value) : 10;
+  return v > 0 ? v : 10;
+}
+
+function drawLiveGauge(score, isBoat) {
+  if (!liveGauge) return;
+  const ctx = liveGauge.getContext('2d');
+  const W = liveGauge.width, H = liveGauge.height;
+  const cx = W / 2, cy = H - 18, r = Math.min(W / 2, H) - 20;
+  ctx.clearRect(0, 0, W, H);
+  ctx.lineWidth = 16;
+  ctx.lineCap = 'butt';
+  ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+  ctx.beginPath(); ctx.arc(cx, cy, r, Math.PI, 2 * Math.PI); ctx.stroke();
+  if (score == null) return;
+  ctx.strokeStyle = score >= 80 ? '#2fbf71' : score >= 40 ? '#e6aa1e' : '#e04848';
+  ctx.beginPath(); ctx.arc(cx, cy, r, Math.PI, Math.PI + Math.PI * score / 100); ctx.stroke();
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.font = 'bold 28px sans-serif';
+  ctx.fillText(String(score), cx, cy - 6);
+  ctx.font = '12px sans-serif';
+  ctx.fillText(isBoat ? 'boat signature' : 'score / 100', cx, cy + 14);
+}
+
+function drawLiveHistory() {
+  if (!liveHistory) return;
+  const now = liveState.samplesSeen / liveState.sr;
+  const t0 = Math.max(0, now - LIVE_HISTORY_SECONDS);
+  const visible = liveState.windows.filter(w => w.end >= t0);
+  drawScoreTimeline(liveHistory, visible, Math.max(LIVE_HISTORY_SECONDS, 1), t0);
+}
+
+function playAlertTone() {
+  const ac = getSharedAudioContext();
+  if (!ac) return;
+  // three short descending beeps
+  [0, 0.3, 0.6].forEach((dt, i) => {
+    const osc = ac.createOscillator();
+    const gain = ac.createGain();
+    osc.frequency.value = 1200 - i * 250;
+    gain.gain.setValueAtTime(0.0001, ac.currentTime + dt);
+    gain.gain.exponentialRampToValueAtTime(0.3, ac.currentTime + dt + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, ac.currentTime + dt + 0.22);
+    osc.connect(gain).connect(ac.destination);
+    osc.start(ac.currentTime + dt);
+    osc.stop(ac.currentTime + dt + 0.25);
+  });
+}
+
+function updateBoatAlert(win) {
+  if (!win.isBoat) {
+    liveState.boatSince = null;
+    if (liveState.alerted && liveAlertBanner) liveAlertBanner.style.display = 'none';
+    liveState.alerted = false;
+    return;
+  }
+  if (liveState.boatSince == null) liveState.boatSince = win.start;
+  const persisted = win.end - liveState.boatSince;
+  if (!liveState.alerted && persisted >= liveAlertSeconds()) {
+    liveState.alerted = true;
+    const msg = `Vessel noise for ${Math.round(persisted)} s (since ${formatSeconds(liveState.boatSince)})`;
+    if (liveAlertBanner) {
+      liveAlertBanner.textContent = '⚠ ' + msg;
+      liveAlertBanner.style.display = 'block';
+    }
+    showTemporaryAlert(msg, 'rgba(200,30,30,0.95)');
+    const soundEl = document.getElementById('liveAlertSound');
+    if (!soundEl || soundEl.checked) playAlertTone();
+  } else if (liveState.alerted && liveAlertBanner) {
+    liveAlertBanner.textContent = `⚠ Vessel noise for ${Math.round(persisted)} s (since ${formatSeconds(liveState.boatSince)})`;
+  }
+}
+
+function analyzeLiveWindow() {
+  const ring = liveState.ring;
+  const view = toCanonicalRate(channelView([ring], liveState.sr));
+  const features = analyzeWindowFeatures(view, 0, view.length, soundscapeBands(activeScoringProfile));
+  const scoring = computeEnvironmentalScore(features, { profile: activeScoringProfile });
+  const end = liveState.samplesSeen / liveState.sr;
+  recordLiveWindow({
+    start: Number((end - ring.length / liveState.sr).toFixed(3)),
+    end: Number(end.toFixed(3)),
+    features,
+    score: scoring.score,
+    note: scoring.note,
+    isBoat: scoring.isBoat
+  }, 'local');
+}
+
+// via: 'local' or 'server'; windows arriving out of order (e.g. server catching up) are dropped
+function recordLiveWindow(win, via) {
+  const last = liveState.windows[liveState.windows.length - 1];
+  if (last && win.end <= last.end) return;
+  liveState.windows.push(win);
+  while (liveState.windows.length && liveState.windows[0].end < win.end - LIVE_HISTORY_SECONDS) liveState.windows.shift();
+
+  drawLiveGauge(win.score, win.isBoat);
+  drawLiveHistory();
+  updateBoatAlert(win);
+  const how = via === 'server' ? ' (server)' : liveState.server ? ' (local fallback)' : '';
+  if (liveStatusEl) liveStatusEl.textContent = `Listening — ${formatSeconds(win.end)} · ${win.note}${how}`;
+}
+
+function serverScoringLive() {
+  return !!(liveState.server && liveState.server.isOpen() && liveState.samplesSeen > liveState.localUntil);
+}
+
+function pushLiveBlock(block) {
+  if (!liveState.running) return;
+  if (liveState.server && !liveState.server.send(block, liveState.samplesSeen)) {
+    // the server has a gap now and needs a full window before it scores again
+    liveState.localUntil = liveState.samplesSeen + block.length + liveState.ring.length;
+  }
+  const ring = liveState.ring;
+  const n = Math.min(block.length, ring.length);
+  ring.copyWithin(0, n);
+  ring.set(block.subarray(block.length - n), ring.length - n);
+  liveState.filled = Math.min(ring.length, liveState.filled + n);
+  liveState.samplesSeen += block.length;
+  liveState.sinceLast += block.length;
+  if (liveState.filled === ring.length && liveState.sinceLast >= ring.length / 2) {
+    liveState.sinceLast = 0;
+    if (!serverScoringLive()) analyzeLiveWindow();
+  }
+}
+
+function updateLiveServerStatus(status, detail) {
+  const el = document.getElementById('liveServerStatus');
+  if (!el) return;
+  const text = {
+    connecting: 'Server: connecting…',
+    open: 'Server: streaming',
+    reconnecting: `Server: offline, scoring locally — ${detail}`,
+    error: `Server error: ${detail} — scoring locally`,
+    closed: ''
+  }[status];
+  el.textContent = text == null ? '' : text;
+}
+
+async function openLiveServerStream() {
+  await appConfigReady;
+  const serverUrl = getAnalyzeServerUrl();
+  if (!serverUrl) {
+    return showTemporaryAlert('No analysis server configured — scoring live audio in this browser.', 'rgba(220,140,20,0.95)');
+  }
+  const profile = activeScoringProfile;
+  liveState.localUntil = liveState.samplesSeen + liveState.ring.length;
+  liveState.server = createAnalysisStream({
+    url: streamUrlFor(serverUrl),
+    sampleRate: liveState.sr,
+    channels: 1,
+    profile: profile.name,
+    profileJson: isCustomProfile(profile) ? profile : null,
+    onWindow: (w) => { if (liveState.running) recordLiveWindow(w, 'server'); },
+    onStatus: (status, detail) => {
+      if (status === 'open') liveState.localUntil = liveState.samplesSeen + liveState.ring.length;
+      updateLiveServerStatus(status, detail);
+    }
+  });
+}
+
+function closeLiveServerStream() {
+  if (!liveState.server) return;
+  liveState.server.close();
+  liveState.server = null;
+}
+
+async function populateLiveInputs() {
+  if (!liveInputSel || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const current = liveInputSel.value;
+  liveInputSel.innerHTML = '<option value="">Default input</option>';
+  devices.filter(d => d.kind === 'audioinput').forEach((d, i) => {
+    const opt = document.createElement('option');
+    opt.value = d.deviceId;
+    opt.textContent = d.label || `Input ${i + 1}`;
+    liveInputSel.appendChild(opt);
+  });
+  liveInputSel.value = current;
+}
+
+async function startLiveMonitoring() {
+  if (liveState.running) return;
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return showTemporaryAlert('Live capture is not supported in this browser.', 'rgba(200,30,30,0.95)');
+  }
+  const ac = getSharedAudioContext();
+  if (!ac) return showTemporaryAlert('AudioContext not available in this browser.', 'rgba(200,30,30,0.95)');
+
+  try {
+    await ensureScoringProfile();
+  } catch (err) {
+    return showTemporaryAlert(err.message, 'rgba(200,30,30,0.95)');
+  }
+
+  try {
+    await ac.resume();
+    // hydrophones need the raw signal — no voice processing
+    const deviceId = liveInputSel && liveInputSel.value;
+    liveState.stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+      }
+    });
+  } catch (err) {
+    console.error('getUserMedia error', err);
+    return showTemporaryAlert('Microphone / hydrophone access was denied.', 'rgba(200,30,30,0.95)');
+  }
+
+  liveState.sr = ac.sampleRate;
+  liveState.ring = new Float32Array(canonicalWindowSamples(ac.sampleRate));
+  liveState.filled = 0;
+  liveState.samplesSeen = 0;
+  liveState.sinceLast = 0;
+  liveState.windows = [];
+  liveState.boatSince = null;
+  liveState.alerted = false;
+  liveState.source = ac.createMediaStreamSource(liveState.stream);
+  liveState.sink = ac.createGain();
+  liveState.sink.gain.value = 0; // keep the graph pulled without monitoring through speakers
+
+  try {
+    if (!ac.audioWorklet) throw new Error('AudioWorklet not supported');
+    await ac.audioWorklet.addModule('live-capture-worklet.js');
+    liveState.node = new AudioWorkletNode(ac, 'live-capture', { processorOptions: { blockSize: ANALYSIS_HOP } });
+    liveState.node.port.onmessage = (e) => pushLiveBlock(e.data);
+  } catch (err) {
+    console.warn('AudioWorklet unavailable, using ScriptProcessor fallback:', err && err.message);
+    liveState.node = ac.createScriptProcessor(4096, 1, 1);
+    liveState.node.onaudioprocess = (e) => pushLiveBlock(new Float32Array(e.inputBuffer.getChannelData(0)));
+  }
+  liveState.source.connect(liveState.node);
+  liveState.node.connect(liveState.sink);
+  liveState.sink.connect(ac.destination);
+  liveState.running = true;
+  const streamEl = document.getElementById('liveStream');
+  if (streamEl && streamEl.checked) openLiveServerStream();
+
+  if (liveStartBtn) liveStartBtn.disabled = true;
+  if (liveStopBtn) liveStopBtn.disabled = false;
+  if (liveStatusEl) liveStatusEl.textContent = 'Listening — filling first window...';
+  drawLiveGauge(null);
+  populateLiveInputs().catch(()=>{});
+}
+
+function stopLiveMonitoring() {
+  if (!liveState.running) return;
+  liveState.running = false;
+  try {
+    liveState.source && liveState.source.disconnect();
+    liveState.node && liveState.node.disconnect();
+    liveState.sink && liveState.sink.disconnect();
+    if (liveState.node && liveState.node.port) liveState.node.port.onmessage = null;
+  } catch (err) { /* ignore */ }
+  closeLiveServerStream();
+  if (liveState.stream) liveState.stream.getTracks().forEach(t => t.stop());
+  liveState.stream = liveState.source = liveState.node = liveState.sink = null;
+  if (liveAlertBanner) liveAlertBanner.style.display = 'none';
+  if (liveStartBtn) liveStartBtn.disabled = false;
+  if (liveStopBtn) liveStopBtn.disabled = true;
+  if (liveStatusEl) liveStatusEl.textContent = 'Stopped.';
+}
+
+if (liveStartBtn) liveStartBtn.addEventListener('click', () => startLiveMonitoring());
+if (liveStopBtn) liveStopBtn.addEventListener('click', () => stopLiveMonitoring());
+(function wireLiveStreamToggle(){
+  const el = document.getElementById('liveStream');
+  if (!el) return;
+  el.addEventListener('change', () => {
+    if (!liveState.running) return;
+    if (el.checked) openLiveServerStream();
+    else closeLiveServerStream();
+  });
+})();
+drawLiveGauge(null);
+
+/* ------------------------------
+   Guess the Sound trainer
+   - clips come from a labeled pool: seeded synth renders of single sources and
+     mixed scenes, plus the real recordings in sounds/ when they exist
+   - harder levels bury the clip in sea noise and offer more choices
+   - after each answer: the clip's spectrogram and what the analyzer scored
+   - a game is GS_ROUNDS clips; finished games go into a best-score list in
+     localStorage
+   ------------------------------ */
+const GS_ANSWERS = {
+  whale: 'Humpback whale',
+  dolphin: 'Orca / dolphin',
+  boat: 'Boat',
+  'whale+boat': 'Whale with a boat passing',
+  'dolphin+boat': 'Orca with a boat passing',
+  'whale+dolphin': 'Whale and orca together',
+  ambient: 'Only ambient sea noise'
+};
+const GS_SCENES = {
+  whale: [{ kind: 'whale' }],
+  dolphin: [{ kind: 'dolphin' }],
+  boat: [{ kind: 'boat' }],
+  'whale+boat': [{ kind: 'whale' }, { kind: 'boat', gain: 0.6 }],
+  'dolphin+boat': [{ kind: 'dolphin' }, { kind: 'boat', gain: 0.6 }],
+  'whale+dolphin': [{ kind: 'whale' }, { kind: 'dolphin', gain: 0.8 }],
+  ambient: []
+};
+const GS_SEEDS_PER_ANSWER = 8;
+const GS_CLIP_SECONDS = 8;
+const GS_ROUNDS = 10;
+const GS_DIFFICULTY = {
+  easy:   { label: 'Easy',   snrDb: null, choices: 3, points: 100 },
+  medium: { label: 'Medium', snrDb: 6,    choices: 4, points: 150 },
+  hard:   { label: 'Hard',   snrDb: 0,    choices: 5, points: 200 }
+};
+const GS_STREAK_BONUS = 20;       // per answer in a row after the first
+const GS_STREAK_BONUS_MAX = 100;
+const GS_BEST_KEY = 'mam.guessBest';
+const GS_BEST_KEEP = 10;
+
+const gsRoundEl = document.getElementById('gs-round');
+const gsScoreEl = document.getElementById('gs-score');
+const gsStreakEl = document.getElementById('gs-streak');
+const gsFeedback = document.getElementById('gs-feedback');
+const gsChoicesEl = document.getElementById('gs-choices');
+const gsRevealEl = document.getElementById('gs-reveal');
+const gsRevealText = document.getElementById('gs-reveal-text');
+const gsSpecCanvas = document.getElementById('gs-spec');
+const gsDifficultyEl = document.getElementById('gs-difficulty');
+const gsBestEl = document.getElementById('gs-best');
+
+const gsState = {
+  difficulty: 'easy',
+  round: 0,
+  score: 0,
+  streak: 0,
+  bestStreak: 0,
+  correct: 0,
+  used: new Set(),
+  current: null,   // { clip, buffer, choices, answered }
+  loading: false,
+  realClips: null  // sounds/ recordings found on this server, checked once
+};
+
+function gsShuffle(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+async function gsPool() {
+  if (!gsState.realClips) {
+    gsState.realClips = [];
+    for (const [answer, file] of Object.entries(SAMPLE_FILES)) {
+      if (await resourceExists(file, 3500)) gsState.realClips.push({ id: file, answer, file });
+    }
+  }
+  const pool = [];
+  for (const answer of Object.keys(GS_SCENES)) {
+    for (let seed = 1; seed <= GS_SEEDS_PER_ANSWER; seed++) pool.push({ id: `${answer}#${seed}`, answer, seed });
+  }
+  return pool.concat(gsState.realClips);
+}
+
+async function gsClipBuffer(clip, snrDb) {
+  if (clip.file) {
+    const decoded = await decodeFileToAudioBuffer(clip.file);
+    return snrDb == null ? decoded : withSeaNoise(decoded, snrDb, gsState.round + 1);
+  }
+  const scene = await renderSynthScene(GS_SCENES[clip.answer], { seconds: GS_CLIP_SECONDS, noiseSnrDb: snrDb, seed: clip.seed });
+  return scene.buffer;
+}
+
+function gsUpdateStats() {
+  if (gsRoundEl) gsRoundEl.textContent = `${gsState.round} / ${GS_ROUNDS}`;
+  if (gsScoreEl) gsScoreEl.textContent = gsState.score;
+  if (gsStreakEl) gsStreakEl.textContent = gsState.streak;
+}
+
+function gsSetFeedback(text, tone = '') {
+  if (!gsFeedback) return;
+  gsFeedback.textContent = text;
+  gsFeedback.className = 'gs-feedback' + (tone ? ' ' + tone : '');
+}
+
+function gsRenderChoices() {
+  if (!gsChoicesEl) return;
+  const cur = gsState.current;
+  gsChoicesEl.innerHTML = '';
+  if (!cur) return;
+  for (const answer of cur.choices) {
+    const btn = document.createElement('button');
+    btn.className = 'btn small gs-choice';
+    btn.dataset.answer = answer;
+    btn.textContent = GS_ANSWERS[answer];
+    gsChoicesEl.appendChild(btn);
+  }
+}
+
+function gsNewGame() {
+  Object.assign(gsState, { round: 0, score: 0, streak: 0, bestStreak: 0, correct: 0, current: null });
+  gsState.used.clear();
+  gsRenderChoices();
+  if (gsRevealEl) gsRevealEl.style.display = 'none';
+  gsUpdateStats();
+  gsSetFeedback(`${GS_DIFFICULTY[gsState.difficulty].label} game — press Play clip to start.`);
+}
+
+async function gsNext() {
+  if (gsState.loading) return;
+  const cur = gsState.current;
+  if (cur && !cur.answered) {
+    // skipping a clip counts as a miss
+    cur.answered = true;
+    gsState.streak = 0;
+    if (gsState.round >= GS_ROUNDS) gsFinishGame();
+  }
+  if (gsState.round >= GS_ROUNDS) gsNewGame();
+
+  const level = GS_DIFFICULTY[gsState.difficulty];
+  gsState.loading = true;
+  gsSetFeedback('Preparing the next clip…');
+  if (gsRevealEl) gsRevealEl.style.display = 'none';
+  try {
+    let pool = (await gsPool()).filter(c => !gsState.used.has(c.id));
+    if (!pool.length) {
+      gsState.used.clear();
+      pool = await gsPool();
+    }
+    const clip = pool[Math.floor(Math.random() * pool.length)];
+    gsState.used.add(clip.id);
+    const buffer = await gsClipBuffer(clip, level.snrDb);
+    const distractors = gsShuffle(Object.keys(GS_ANSWERS).filter(a => a !== clip.answer)).slice(0, level.choices - 1);
+    gsState.current = { clip, buffer, choices: gsShuffle([clip.answer, ...distractors]), answered: false };
+    gsState.round++;
+    gsRenderChoices();
+    gsUpdateStats();
+    gsSetFeedback('What do you hear?');
+    await playAudioBuffer(buffer);
+  } catch (err) {
+    console.error('Guess the Sound error', err);
+    gsSetFeedback('Could not prepare a clip: ' + err.message, 'wrong');
+  } finally {
+    gsState.loading = false;
+  }
+}
+
+function gsAnswer(answer) {
+  const cur = gsState.current;
+  if (!cur || cur.answered || gsState.loading) return;
+  cur.answered = true;
+  const level = GS_DIFFICULTY[gsState.difficulty];
+  const right = answer === cur.clip.answer;
+  if (right) {
+    gsState.streak++;
+    gsState.correct++;
+    gsState.bestStreak = Math.max(gsState.bestStreak, gsState.streak);
+    const points = level.points + Math.min(GS_STREAK_BONUS_MAX, GS_STREAK_BONUS * (gsState.streak - 1));
+    gsState.score += points;
+    gsSetFeedback(`Correct! +${points}` + (gsState.streak > 1 ? ` (${gsState.streak} in a row)` : ''), 'right');
+  } else {
+    gsState.streak = 0;
+    gsSetFeedback(`Not quite — it was: ${GS_ANSWERS[cur.clip.answer]}.`, 'wrong');
+  }
+  if (gsChoicesEl) {
+    gsChoicesEl.querySelectorAll('.gs-choice').forEach(btn => {
+      btn.disabled = true;
+      if (btn.dataset.answer === cur.clip.answer) btn.classList.add('right');
+      else if (btn.dataset.answer === answer) btn.classList.add('wrong');
+    });
+  }
+  gsUpdateStats();
+  gsReveal(cur);
+  if (gsState.round >= GS_ROUNDS) gsFinishGame();
+}
+
+async function gsReveal(cur) {
+  if (!gsRevealEl) return;
+  gsRevealEl.style.display = '';
+  const { clip, buffer } = cur;
+  if (gsSpecCanvas) {
+    const sr = buffer.sampleRate;
+    const mono = buffer.numberOfChannels > 1 ? mixDownToMono(buffer, buffer.length) : buffer.getChannelData(0);
+    drawSpectrogramImage(gsSpecCanvas, mono, sr, {
+      fftSize: 1024, minDb: -100, maxDb: -20, fMax: Math.min(8000, sr / 2), t0: 0, t1: buffer.length / sr
+    });
+  }
+  const snrDb = GS_DIFFICULTY[gsState.difficulty].snrDb;
+  const origin = clip.file ? `recording ${clip.file}` : `synthesized, seed ${clip.seed}`;
+  const noiseOnly = !clip.file && !GS_SCENES[clip.answer].length;
+  const noise = noiseOnly ? 'noise only' : snrDb == null ? 'no added noise' : `sea noise at ${snrDb} dB SNR`;
+  const about = `${GS_ANSWERS[clip.answer]} (${origin}, ${noise}).`;
+  if (gsRevealText) gsRevealText.textContent = about + ' Analyzer: scoring…';
+  try {
+    const timeline = await analyzeAudioBufferTimeline(buffer);
+    const found = findScoringProfile(timeline.profile);
+    const result = buildAnalysisResult(timeline, found ? found.profile : activeScoringProfile, 'local');
+    if (gsState.current !== cur || !gsRevealText) return;
+    gsRevealText.textContent = `${about} Analyzer (${result.profile} profile): ${result.score}/100 — ${result.note}` +
+      (result.isBoat ? ' — boat noise flagged.' : '');
+  } catch (err) {
+    if (gsState.current === cur && gsRevealText) gsRevealText.textContent = about + ' Analyzer failed: ' + err.message;
+  }
+}
+
+function loadGuessBest() {
+  try {
+    const list = JSON.parse(localStorage.getItem(GS_BEST_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function gsFinishGame() {
+  const entry = {
+    date: new Date().toISOString(),
+    difficulty: gsState.difficulty,
+    score: gsState.score,
+    correct: gsState.correct,
+    rounds: GS_ROUNDS,
+    bestStreak: gsState.bestStreak
+  };
+  const best = loadGuessBest().concat(entry).sort((a, b) => b.score - a.score).slice(0, GS_BEST_KEEP);
+  try { localStorage.setItem(GS_BEST_KEY, JSON.stringify(best)); } catch (e) { /* ignore */ }
+  const rank = best.indexOf(entry);
+  gsSetFeedback(`Game over — ${entry.correct}/${GS_ROUNDS} correct, ${entry.score} points` +
+    (rank === 0 ? ' — new best score!' : rank > 0 ? ` — #${rank + 1} on your list.` : '.') +
+    ' Press Next clip for a new game.', rank === 0 ? 'right' : '');
+  renderGuessBest(entry);
+}
+
+function renderGuessBest(highlight = null) {
+  if (!gsBestEl) return;
+  const best = loadGuessBest();
+  if (!best.length) {
+    gsBestEl.innerHTML = '<tr><td>No finished games yet.</td></tr>';
+    return;
+  }
+  const rows = best.map((e, i) => {
+    const level = GS_DIFFICULTY[e.difficulty];
+    const mark = highlight && e.date === highlight.date ? ' class="latest"' : '';
+    return `<tr${mark}><td>${i + 1}</td><td>${e.score}</td><td>${e.correct}/${e.rounds}</td>` +
+      `<td>${escapeHtml(level ? level.label : String(e.difficulty))}</td><td>${e.bestStreak}</td>` +
+      `<td>${escapeHtml(new Date(e.date).toLocaleString())}</td></tr>`;
+  });
+  gsBestEl.innerHTML = '<tr><th>#</th><th>Score</th><th>Correct</th><th>Level</th><th>Best streak</th><th>Date</th></tr>' + rows.join('');
+}
+
+const gsPlayBtn = document.getElementById('gs-play');
+if (gsPlayBtn) {
+  gsPlayBtn.addEventListener('click', () => {
+    if (!gsState.current) return gsNext();
+    playAudioBuffer(gsState.current.buffer).catch(err => gsSetFeedback(err.message, 'wrong'));
+  });
+}
+
+const gsNextBtn = document.getElementById('gs-next');
+if (gsNextBtn) gsNextBtn.addEventListener('click', () => gsNext());
+
+const gsResetBtn = document.getElementById('gs-reset');
+if (gsResetBtn) gsResetBtn.addEventListener('click', () => gsNewGame());
+
+if (gsDifficultyEl) {
+  gsDifficultyEl.addEventListener('change', () => {
+    gsState.difficulty = GS_DIFFICULTY[gsDifficultyEl.value] ? gsDifficultyEl.value : 'easy';
+    gsNewGame();
+  });
+}
+
+if (gsChoicesEl) {
+  gsChoicesEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.gs-choice');
+    if (btn) gsAnswer(btn.dataset.answer);
+  });
+}
+
+const gsBestClearBtn = document.getElementById('gs-best-clear');
+if (gsBestClearBtn) {
+  gsBestClearBtn.addEventListener('click', () => {
+    if (!confirm('Clear all best scores?')) return;
+    localStorage.removeItem(GS_BEST_KEY);
+    renderGuessBest();
+  });
+}
+
+gsUpdateStats();
+renderGuessBest();
+
+/* ------------------------------
+   Voice assistant (#voiceAssistantBtn) — grammar and recognition in voice-commands.js
+   - click to talk; where SpeechRecognition is missing (or the mic is refused)
+     the button opens a typed-command bar that runs the same commands
+   - answers are spoken with speechSynthesis and also shown as a toast
+   ------------------------------ */
+const voiceBtn = document.getElementById('voiceAssistantBtn');
+const voiceForm = document.getElementById('voiceCommandForm');
+const voiceInput = document.getElementById('voiceCommandInput');
+const VOICE_HELP = 'Try: analyze, play whale, play dolphin, play boat, stop, go to about, or read the score.';
+
+let lastShownResult = null;      // whatever the result card shows now
+let voiceAwaitingResult = false; // read the next final result aloud (after "analyze")
+
+function speak(text) {
+  showTemporaryAlert(text, 'rgba(0,90,160,0.95)');
+  if (typeof speechSynthesis === 'undefined' || typeof SpeechSynthesisUtterance === 'undefined') return;
+  speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = 'en-US';
+  speechSynthesis.speak(utterance);
+}
+
+// called by renderAnalysisResult for every result it shows
+function voiceResultShown(result) {
+  lastShownResult = result;
+  if (voiceAwaitingResult && !result.partial) {
+    voiceAwaitingResult = false;
+    speak(describeResultForSpeech(result));
+  }
+}
+
+function runVoiceCommand(command) {
+  voiceAwaitingResult = false;
+  switch (command.type) {
+    case 'analyze':
+      if (!audioUploadEl || !audioUploadEl.files || !audioUploadEl.files[0]) {
+        return speak('Upload a recording first, then say analyze.');
+      }
+      voiceAwaitingResult = true;
+      speak('Analyzing.');
+      analyzeSelectedUpload();
+      break;
+    case 'play':
+      ({ whale: playWhale, dolphin: playDolphin, boat: playBoat })[command.sound]();
+      break;
+    case 'stop':
+      stopSound();
+      if (typeof speechSynthesis !== 'undefined') speechSynthesis.cancel();
+      break;
+    case 'navigate':
+      if (!document.getElementById(command.section)) return speak('That section is not on this page.');
+      scrollToSection(command.section);
+      break;
+    case 'readScore':
+      speak(describeResultForSpeech(lastShownResult));
+      break;
+  }
+}
+
+function showVoiceForm(show = true) {
+  if (!voiceForm) return;
+  voiceForm.style.display = show ? '' : 'none';
+  if (show && voiceInput) voiceInput.focus();
+}
+
+const voiceAssistant = createVoiceAssistant({
+  onCommand: (command) => runVoiceCommand(command),
+  onUnrecognized: (transcript) => speak(`Sorry, "${transcript}" is not a command I know. ${VOICE_HELP}`),
+  onStatus: (status, detail) => {
+    if (voiceBtn) voiceBtn.classList.toggle('listening', status === 'listening');
+    if (status !== 'error' || detail === 'no-speech' || detail === 'aborted') return;
+    showTemporaryAlert('Voice recognition failed: ' + detail + ' — type the command instead.', 'rgba(200,30,30,0.95)');
+    showVoiceForm();
+  }
+});
+
+if (voiceBtn) {
+  voiceBtn.addEventListener('click', () => {
+    if (!voiceAssistant.supported) return showVoiceForm(!voiceForm || voiceForm.style.display === 'none');
+    if (voiceAssistant.isListening()) voiceAssistant.stop();
+    else voiceAssistant.start();
+  });
+}
+
+if (voiceForm && voiceInput) {
+  voiceForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = voiceInput.value;
+    if (!text.trim()) return;
+    const command = parseVoiceCommand(text);
+    if (!command) return speak(`Sorry, that is not a command I know. ${VOICE_HELP}`);
+    voiceInput.value = '';
+    runVoiceCommand(command);
+  });
+  voiceInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') showVoiceForm(false);
+  });
+}
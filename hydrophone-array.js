@@ -0,0 +1,219 @@
+/* hydrophone-array.js - multichannel recordings: per-channel comparison and bearings
+   - every channel is scored on its own (the caller runs one timeline per channel);
+     compareChannels() lines the channel timelines up and flags windows whose
+     scores spread by CHANNEL_DISAGREEMENT_POINTS or more, or where only some
+     channels hear a boat, plus channels whose mean score sits far from the rest
+     (a fouled or failing element)
+   - with known element positions, trackBearings() estimates time differences of
+     arrival by GCC-PHAT cross-correlation in windows flagged as vessel noise or
+     as tonal calls, and solves them for a bearing:
+       bearing  degrees clockwise from +y (0..360) for a 2-D array;
+                for a line array, the angle from the array axis (0..180) —
+                a line cannot tell which side the sound came from (ambiguous)
+   - geometry: { spacingM } for a uniform line along x, or { positions: [[x, y], ...] }
+     in metres, plus an optional soundSpeed (m/s)
+   - back.py: compare_channels() / track_bearings()
+   - no DOM access; the FFT comes from signal-conditioning.js
+*/
+
+const _arrayFft = typeof fftComplex === 'function' ? { fftComplex } : require('./signal-conditioning.js');
+
+const SOUND_SPEED_WATER = 1500; // m/s
+const CHANNEL_DISAGREEMENT_POINTS = 25;
+const CHANNEL_OUTLIER_POINTS = 15;
+const TONAL_FLATNESS_MAX = 0.25; // a non-boat window this tonal counts as a call
+const BEARING_FRAME = 4096; // samples correlated at the centre of each window
+const BEARING_BANDS = { vessel: [20, 1500], call: [200, 8000] };
+const MIN_BEARING_CONFIDENCE = 0.05;
+
+// [] when geometry is usable for channelCount channels, otherwise problems
+function validateArrayGeometry(geometry, channelCount) {
+  if (!geometry || typeof geometry !== 'object') return ['array geometry must be an object'];
+  const errors = [];
+  if (geometry.positions != null) {
+    const p = geometry.positions;
+    if (!Array.isArray(p) || p.some(xy => !Array.isArray(xy) || xy.length < 2 || !xy.every(v => typeof v === 'number' && isFinite(v)))) {
+      errors.push('positions must be a list of [x, y] pairs in metres');
+    } else if (p.length !== channelCount) {
+      errors.push(`positions lists ${p.length} elements but the recording has ${channelCount} channels`);
+    }
+  } else if (!(typeof geometry.spacingM === 'number' && geometry.spacingM > 0)) {
+    errors.push('spacingM must be a positive number of metres (or give positions)');
+  }
+  if (geometry.soundSpeed != null && !(geometry.soundSpeed > 0)) errors.push('soundSpeed must be a positive number of m/s');
+  return errors;
+}
+
+function elementPositions(geometry, channelCount) {
+  if (geometry.positions) return geometry.positions.map(([x, y]) => [x, y]);
+  return Array.from({ length: channelCount }, (_, i) => [i * geometry.spacingM, 0]);
+}
+
+/* channelTimelines: one { windows, summary } per channel, all over the same starts.
+   Returns { channels, disagreement: { thresholdPoints, fraction, windows } }. */
+function compareChannels(channelTimelines) {
+  const means = channelTimelines.map(t => t.summary.mean);
+  const sorted = [...means].sort((a, b) => a - b);
+  const median = sorted.length % 2 ? sorted[(sorted.length - 1) / 2] : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2;
+  const channels = channelTimelines.map((t, c) => ({
+    channel: c,
+    score: Math.round(t.summary.mean),
+    min: t.summary.min,
+    p50: t.summary.p50,
+    boatFraction: t.summary.boatFraction,
+    isBoat: t.summary.boatFraction > 0.5,
+    deviation: Number((t.summary.mean - median).toFixed(1)),
+    outlier: channelTimelines.length > 2 && Math.abs(t.summary.mean - median) >= CHANNEL_OUTLIER_POINTS,
+    windows: t.windows.map(w => ({ start: w.start, end: w.end, score: w.score, isBoat: w.isBoat }))
+  }));
+
+  const count = Math.min(...channelTimelines.map(t => t.windows.length));
+  const flagged = [];
+  for (let i = 0; i < count; i++) {
+    const scores = channelTimelines.map(t => t.windows[i].score);
+    const boats = channelTimelines.map(t => t.windows[i].isBoat);
+    const spread = Math.max(...scores) - Math.min(...scores);
+    const boatSplit = boats.some(b => b) && !boats.every(b => b);
+    if (spread >= CHANNEL_DISAGREEMENT_POINTS || boatSplit) {
+      const w = channelTimelines[0].windows[i];
+      flagged.push({ start: w.start, end: w.end, spread, scores, boatSplit });
+    }
+  }
+  return {
+    channels,
+    disagreement: {
+      thresholdPoints: CHANNEL_DISAGREEMENT_POINTS,
+      fraction: count ? Number((flagged.length / count).toFixed(3)) : 0,
+      windows: flagged
+    }
+  };
+}
+
+// 'vessel' | 'call' | null for a scored window
+function detectionKind(w) {
+  if (w.isBoat) return 'vessel';
+  if (w.features && w.features.flatness < TONAL_FLATNESS_MAX) return 'call';
+  return null;
+}
+
+function spectrumOf(x, from, n, size) {
+  const re = new Float64Array(size), im = new Float64Array(size);
+  for (let i = 0; i < n; i++) {
+    const v = x[from + i] || 0;
+    re[i] = v * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / n));
+  }
+  _arrayFft.fftComplex(re, im);
+  return { re, im };
+}
+
+/* GCC-PHAT between two spectra (same size): lag of b behind a in samples, parabolic
+   interpolated within ±maxLag, and the peak height as a 0..1 confidence */
+function gccPhat(A, B, maxLag, k0, k1) {
+  const size = A.re.length;
+  const re = new Float64Array(size), im = new Float64Array(size);
+  let bins = 0;
+  for (let k = k0; k <= k1; k++) {
+    const r = A.re[k] * B.re[k] + A.im[k] * B.im[k];
+    const i = A.re[k] * B.im[k] - A.im[k] * B.re[k];
+    const mag = Math.hypot(r, i);
+    if (mag < 1e-20) continue;
+    re[k] = r / mag; im[k] = i / mag;
+    re[size - k] = re[k]; im[size - k] = -im[k]; // Hermitian, so the inverse is real
+    bins += 2;
+  }
+  _arrayFft.fftComplex(re, im, true);
+  const at = lag => re[(lag + size) % size];
+  let best = 0;
+  for (let lag = -maxLag; lag <= maxLag; lag++) if (at(lag) > at(best)) best = lag;
+  let offset = 0;
+  if (Math.abs(best) < maxLag) {
+    const y0 = at(best - 1), y1 = at(best), y2 = at(best + 1);
+    const denom = y0 - 2 * y1 + y2;
+    if (denom < 0) offset = 0.5 * (y0 - y2) / denom;
+  }
+  return { lag: best + offset, peak: bins ? at(best) * size / bins : 0 };
+}
+
+/* Bearing from one frame of every channel. channels: sample arrays; from: first sample.
+   Returns { bearing, ambiguous, confidence, tdoas: [{ pair, seconds, peak }] } or null. */
+function estimateBearing(channels, sampleRate, geometry, from, band) {
+  const c = geometry.soundSpeed || SOUND_SPEED_WATER;
+  const pos = elementPositions(geometry, channels.length);
+  const n = Math.min(BEARING_FRAME, channels[0].length - from);
+  if (n < 64) return null;
+  const size = 2 * BEARING_FRAME;
+  const binHz = sampleRate / size;
+  const k0 = Math.max(1, Math.ceil(band[0] / binHz));
+  const k1 = Math.min(size / 2 - 1, Math.floor(band[1] / binHz));
+  if (k1 <= k0) return null;
+  const spectra = channels.map(x => spectrumOf(x, from, n, size));
+
+  const rows = [];
+  for (let i = 0; i < channels.length; i++) {
+    for (let j = i + 1; j < channels.length; j++) {
+      const d = [pos[j][0] - pos[i][0], pos[j][1] - pos[i][1]];
+      const maxLag = Math.min(n - 1, Math.ceil(Math.hypot(d[0], d[1]) / c * sampleRate) + 1);
+      const { lag, peak } = gccPhat(spectra[i], spectra[j], maxLag, k0, k1);
+      rows.push({ pair: [i, j], d, seconds: lag / sampleRate, peak });
+    }
+  }
+  const confidence = rows.reduce((s, r) => s + r.peak, 0) / rows.length;
+  const tdoas = rows.map(r => ({ pair: r.pair, seconds: Number(r.seconds.toFixed(7)), peak: Number(r.peak.toFixed(3)) }));
+
+  // plane wave from unit direction u: t_j - t_i = -(p_j - p_i)·u / c, least squares over all pairs
+  let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+  for (const r of rows) {
+    const rhs = -c * r.seconds;
+    a11 += r.d[0] * r.d[0]; a12 += r.d[0] * r.d[1]; a22 += r.d[1] * r.d[1];
+    b1 += r.d[0] * rhs; b2 += r.d[1] * rhs;
+  }
+  const det = a11 * a22 - a12 * a12;
+  if (det > 1e-6 * (a11 + a22) * (a11 + a22)) {
+    const ux = (a22 * b1 - a12 * b2) / det, uy = (a11 * b2 - a12 * b1) / det;
+    const bearing = (Math.atan2(ux, uy) * 180 / Math.PI + 360) % 360;
+    return { bearing: Number(bearing.toFixed(1)), ambiguous: false, confidence: Number(confidence.toFixed(3)), tdoas };
+  }
+  // collinear elements: only the angle from the array axis is observable
+  const last = pos[pos.length - 1];
+  const len = Math.hypot(last[0] - pos[0][0], last[1] - pos[0][1]) || 1;
+  const axis = [(last[0] - pos[0][0]) / len, (last[1] - pos[0][1]) / len];
+  let num = 0, den = 0;
+  for (const r of rows) {
+    const s = r.d[0] * axis[0] + r.d[1] * axis[1];
+    num += s * -c * r.seconds;
+    den += s * s;
+  }
+  const cos = Math.max(-1, Math.min(1, den ? num / den : 0));
+  return { bearing: Number((Math.acos(cos) * 180 / Math.PI).toFixed(1)), ambiguous: true, confidence: Number(confidence.toFixed(3)), tdoas };
+}
+
+/* Bearing per detection window. windows: the clip timeline (features, isBoat);
+   channels: full-length sample arrays. Returns [{ start, end, kind, bearing,
+   ambiguous, confidence, tdoas }], skipping frames below MIN_BEARING_CONFIDENCE. */
+function trackBearings(channels, sampleRate, windows, geometry) {
+  const out = [];
+  for (const w of windows) {
+    const kind = detectionKind(w);
+    if (!kind) continue;
+    const centre = Math.round((w.start + w.end) / 2 * sampleRate);
+    const from = Math.max(0, Math.min(channels[0].length - BEARING_FRAME, centre - BEARING_FRAME / 2));
+    const band = [BEARING_BANDS[kind][0], Math.min(BEARING_BANDS[kind][1], sampleRate / 2)];
+    const est = estimateBearing(channels, sampleRate, geometry, from, band);
+    if (!est || est.confidence < MIN_BEARING_CONFIDENCE) continue;
+    out.push({ start: w.start, end: w.end, kind, ...est });
+  }
+  return out;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SOUND_SPEED_WATER,
+    CHANNEL_DISAGREEMENT_POINTS,
+    validateArrayGeometry,
+    elementPositions,
+    compareChannels,
+    detectionKind,
+    estimateBearing,
+    trackBearings
+  };
+}
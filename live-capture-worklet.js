@@ -0,0 +1,33 @@
+/* live-capture-worklet.js - AudioWorklet processor for live monitoring
+   - mixes the input down to mono and posts fixed-size blocks to the main thread
+   - feature extraction stays on the main thread (analysis-core.js) so both paths share one analyzer
+*/
+class LiveCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = (options && options.processorOptions) || {};
+    this.blockSize = opts.blockSize || 8192;
+    this.buf = new Float32Array(this.blockSize);
+    this.fill = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || !input.length) return true;
+    const chs = input.length;
+    const n = input[0].length;
+    for (let i = 0; i < n; i++) {
+      let v = 0;
+      for (let c = 0; c < chs; c++) v += input[c][i];
+      this.buf[this.fill++] = v / chs;
+      if (this.fill === this.blockSize) {
+        this.port.postMessage(this.buf, [this.buf.buffer]);
+        this.buf = new Float32Array(this.blockSize);
+        this.fill = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('live-capture', LiveCaptureProcessor);
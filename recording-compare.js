@@ -0,0 +1,194 @@
+/* recording-compare.js - A/B comparison of two analysis results, e.g. one site
+   before and after a shipping lane moved
+   - compareResults(a, b) lines the two results up, every delta as B − A:
+       scores    clip score, score percentiles, boat time, sound levels and
+                 detection counts
+       features  the mean of every FEATURE_KEYS feature
+       bands     third-octave band levels; a band whose level changed by
+                 COMPARE_BAND_DB or more is flagged
+       ltsa      both long-term average spectra on their shared frequency axis
+       traces    the points of every scoring section of the two traced windows
+                 and, when both were scored with the same profile, the rules
+                 whose outcome differs
+     levels in different units (one calibrated, one not) are shown but get no delta
+   - a report (buildComparisonReport) carries both results whole, so the one
+     file reopens wherever the page runs; validateComparisonReport() checks it
+   - no DOM access; the result helpers come from analysis-core.js
+*/
+
+const _compareCore = typeof validateAnalysisResult === 'function'
+  ? { FEATURE_KEYS, validateAnalysisResult }
+  : require('./analysis-core.js');
+
+const COMPARISON_REPORT_SCHEMA = 'mam-comparison-report';
+const COMPARISON_REPORT_VERSION = 1;
+const COMPARE_BAND_DB = 3;
+
+const compareDelta = (a, b) => (typeof a === 'number' && typeof b === 'number' ? Number((b - a).toFixed(4)) : null);
+const compareRow = (key, label, a, b, digits, comparable = true) =>
+  ({ key, label, a: a == null ? null : a, b: b == null ? null : b, delta: comparable ? compareDelta(a, b) : null, digits });
+
+function compareScoreRows(a, b) {
+  const sa = a.summary, sb = b.summary;
+  const la = a.levels, lb = b.levels;
+  const sameUnit = !!la && !!lb && la.unit === lb.unit;
+  const unit = la ? la.unit : lb ? lb.unit : '';
+  const level = (l, get) => (l ? get(l) : null);
+  const count = (r, kind) => (r.detections ? r.detections.filter(d => d.kind === kind).length : null);
+  const passages = r => (r.vessels ? r.vessels.passages.length : null);
+  return [
+    compareRow('score', 'Score', a.score, b.score, 0),
+    compareRow('duration', 'Duration (s)', a.duration, b.duration, 1),
+    compareRow('min', 'Min', sa.min, sb.min, 0),
+    compareRow('p50', 'Median', sa.p50, sb.p50, 0),
+    compareRow('max', 'Max', sa.max, sb.max, 0),
+    compareRow('boatTime', 'Boat time (%)', sa.boatFraction * 100, sb.boatFraction * 100, 1),
+    compareRow('spl', `SPL (${unit})`, level(la, l => l.spl), level(lb, l => l.spl), 1, sameUnit),
+    compareRow('L50', `L50 (${unit})`, level(la, l => l.percentiles.L50), level(lb, l => l.percentiles.L50), 1, sameUnit),
+    compareRow('band63', `63 Hz band (${unit})`, level(la, l => l.shippingBands[63]), level(lb, l => l.shippingBands[63]), 1, sameUnit),
+    compareRow('band125', `125 Hz band (${unit})`, level(la, l => l.shippingBands[125]), level(lb, l => l.shippingBands[125]), 1, sameUnit),
+    compareRow('clickTrains', 'Click trains', count(a, 'clicks'), count(b, 'clicks'), 0),
+    compareRow('whistles', 'Whistles', count(a, 'whistle'), count(b, 'whistle'), 0),
+    compareRow('vesselPassages', 'Vessel passages', passages(a), passages(b), 0)
+  ];
+}
+
+function compareFeatureRows(a, b) {
+  return _compareCore.FEATURE_KEYS.map(k =>
+    compareRow(k, k, a.features[k], b.features[k], k === 'centroid' ? 0 : k === 'aci' || k === 'bi' ? 1 : 3));
+}
+
+// third-octave levels of both, band by band; null when either result has no levels
+function bandDifferences(la, lb) {
+  if (!la || !lb) return null;
+  const comparable = la.unit === lb.unit;
+  const byNominal = new Map(lb.thirdOctave.map(band => [band.nominal, band]));
+  const bands = la.thirdOctave.filter(band => byNominal.has(band.nominal)).map(band => {
+    const d = comparable ? compareDelta(band.level, byNominal.get(band.nominal).level) : null;
+    return {
+      nominal: band.nominal,
+      lower: band.lower,
+      upper: band.upper,
+      a: band.level,
+      b: byNominal.get(band.nominal).level,
+      delta: d,
+      notable: d != null && Math.abs(d) >= COMPARE_BAND_DB
+    };
+  });
+  return { unit: la.unit, comparable, thresholdDb: COMPARE_BAND_DB, bands };
+}
+
+// both LTSAs on the centres they share; null when either result has none
+function ltsaComparison(la, lb) {
+  if (!la || !lb || !la.ltsa || !lb.ltsa || la.ltsa.binsPerOctave !== lb.ltsa.binsPerOctave) return null;
+  const levelB = new Map(lb.ltsa.freqs.map((f, i) => [f, lb.ltsa.levels[i]]));
+  const freqs = la.ltsa.freqs.filter(f => levelB.has(f));
+  const a = freqs.map(f => la.ltsa.levels[la.ltsa.freqs.indexOf(f)]);
+  const b = freqs.map(f => levelB.get(f));
+  return {
+    unit: la.unit === lb.unit ? `${la.unit}/Hz` : null,
+    freqs,
+    a,
+    b,
+    delta: la.unit === lb.unit ? a.map((v, i) => compareDelta(v, b[i])) : null
+  };
+}
+
+// a trace's scoring sections, keyed so two traces of one profile line up
+function traceSections(trace) {
+  const sections = [{ key: 'base', label: 'Base score', points: trace.baseScore }];
+  trace.signatures.forEach(s => sections.push({ key: 'signature:' + s.id, label: s.label || s.id, points: s.points, counted: s.chosen }));
+  if (trace.dolphin) sections.push({ key: 'dolphin', label: trace.dolphin.label, points: trace.dolphin.points, counted: true });
+  sections.push({ key: 'boat', label: 'Boat penalty', points: trace.boat.points, counted: trace.boat.detected });
+  sections.push({ key: 'final', label: 'Final score', points: trace.final, counted: true });
+  return sections;
+}
+
+// every rule of a trace as [key, { section, test, feature, value, outcome }]
+function traceOutcomes(trace) {
+  const out = [];
+  const add = (key, section, t, outcome) => out.push([key, { section, test: t.test, feature: t.feature, value: t.value, outcome }]);
+  const rules = (list, section, prefix) => (list || []).forEach((r, i) => {
+    if (r.firstOf) r.firstOf.forEach((t, j) => add(`${prefix}/${i}/${j}`, section, t, t.applied));
+    else add(`${prefix}/${i}`, section, r, r.applied);
+  });
+  trace.signatures.forEach(s => rules(s.rules, s.label || s.id, 'signature:' + s.id));
+  if (trace.dolphin) rules(trace.dolphin.rules, trace.dolphin.label, 'dolphin');
+  trace.boat.detect.forEach((g, i) => g.conditions.forEach((t, j) => add(`detect/${i}/${j}`, `Boat indicator ${i + 1}`, t, t.matched)));
+  rules(trace.boat.penalties, 'Boat penalties', 'penalty');
+  return out;
+}
+
+function traceComparison(ta, tb) {
+  const sectionsB = new Map(traceSections(tb).map(s => [s.key, s]));
+  const sections = traceSections(ta).filter(s => sectionsB.has(s.key)).map(s => {
+    const other = sectionsB.get(s.key);
+    return { key: s.key, label: s.label, a: s.points, b: other.points, delta: compareDelta(s.points, other.points), countedA: s.counted, countedB: other.counted };
+  });
+  const sameProfile = ta.profile === tb.profile;
+  let changedRules = null;
+  if (sameProfile) {
+    const outcomesB = new Map(traceOutcomes(tb));
+    changedRules = traceOutcomes(ta)
+      .filter(([key, r]) => outcomesB.has(key) && !!outcomesB.get(key).outcome !== !!r.outcome)
+      .map(([key, r]) => {
+        const other = outcomesB.get(key);
+        return { section: r.section, test: r.test, feature: r.feature, a: r.value, b: other.value, outcomeA: !!r.outcome, outcomeB: !!other.outcome };
+      });
+  }
+  return { profileA: ta.profile, profileB: tb.profile, sameProfile, sections, changedRules };
+}
+
+/* a, b: analysis results (analysis-core.js shape). Returns
+   { scores, features, bands, ltsa, traces }; rows are { key, label, a, b, delta, digits } */
+function compareResults(a, b) {
+  return {
+    scores: compareScoreRows(a, b),
+    features: compareFeatureRows(a, b),
+    bands: bandDifferences(a.levels, b.levels),
+    ltsa: ltsaComparison(a.levels, b.levels),
+    traces: traceComparison(a.trace, b.trace)
+  };
+}
+
+// the shareable report: both results with their labels (file names) and the comparison
+function buildComparisonReport(a, b, { labelA = 'A', labelB = 'B' } = {}) {
+  return {
+    schema: COMPARISON_REPORT_SCHEMA,
+    version: COMPARISON_REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    a: { label: labelA, result: a },
+    b: { label: labelB, result: b },
+    comparison: compareResults(a, b)
+  };
+}
+
+// [] when r is a report this version can show, otherwise human-readable problems
+function validateComparisonReport(r) {
+  if (!r || typeof r !== 'object') return ['report must be a JSON object'];
+  if (r.schema !== COMPARISON_REPORT_SCHEMA) return [`unknown report schema "${r.schema}" (expected "${COMPARISON_REPORT_SCHEMA}")`];
+  if (r.version !== COMPARISON_REPORT_VERSION) {
+    return [`report version ${r.version} is not supported (this page reads version ${COMPARISON_REPORT_VERSION})`];
+  }
+  const errors = [];
+  ['a', 'b'].forEach(side => {
+    const s = r[side];
+    if (!s || typeof s !== 'object' || typeof s.label !== 'string') return errors.push(`${side} must carry a label and a result`);
+    _compareCore.validateAnalysisResult(s.result).forEach(p => errors.push(`${side}.result: ${p}`));
+  });
+  return errors;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COMPARISON_REPORT_SCHEMA,
+    COMPARISON_REPORT_VERSION,
+    COMPARE_BAND_DB,
+    bandDifferences,
+    ltsaComparison,
+    traceComparison,
+    compareResults,
+    buildComparisonReport,
+    validateComparisonReport
+  };
+}
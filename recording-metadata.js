@@ -0,0 +1,187 @@
+/* recording-metadata.js - metadata embedded in WAV recordings
+   - parseWavMetadata(bytes) walks the RIFF chunks of a WAV file and reads:
+       fmt   sample rate, bit depth, channels, encoding
+       bext  Broadcast WAV origination date / time and time reference
+       guan  GUANO text metadata: timestamp, GPS, device, temperature
+     and returns null for anything that is not RIFF/WAVE
+   - startTime is the UTC instant of the first sample (ISO 8601), taken from
+     GUANO when it carries a timestamp, otherwise from bext; times written
+     without a UTC offset are assumed to be UTC and say so in warnings
+   - sampleRateWarnings() flags rates too low for the scorer's >3 kHz band
+   - back.py: parse_wav_metadata()
+   - no DOM access
+*/
+
+const HIGH_BAND_LOW_HZ = 3000; // highRatio is the energy above this (analysis-core.js)
+const HIGH_BAND_MIN_SAMPLE_RATE = 16000; // below this the band is cut short by Nyquist
+const WAV_FORMATS = { 1: 'PCM', 3: 'IEEE float', 6: 'A-law', 7: 'µ-law', 0xFFFE: 'extensible' };
+
+function sampleRateWarnings(sampleRate) {
+  if (!(sampleRate > 0)) return [];
+  const nyquist = sampleRate / 2;
+  if (nyquist <= HIGH_BAND_LOW_HZ) {
+    return [`sample rate ${sampleRate} Hz has no content above ${HIGH_BAND_LOW_HZ / 1000} kHz — highRatio is always 0 and scores lean on the low and mid bands only`];
+  }
+  if (sampleRate < HIGH_BAND_MIN_SAMPLE_RATE) {
+    return [`sample rate ${sampleRate} Hz only reaches ${(nyquist / 1000).toFixed(1)} kHz — highRatio covers a narrow band and is not comparable with full-band recordings`];
+  }
+  return [];
+}
+
+function chunkText(bytes, from, length) {
+  let end = from;
+  while (end < from + length && bytes[end] !== 0) end++;
+  return new TextDecoder('utf-8').decode(bytes.subarray(from, end)).trim();
+}
+
+// ISO 8601 with a UTC offset; naive local times are read as UTC (flagged by the caller)
+function parseTimestamp(text) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(text.trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s = '0', frac = '', zone] = m;
+  let ms = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s) + Math.round(Number('0' + frac) * 1000);
+  if (zone && zone !== 'Z') {
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    ms -= sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000;
+  }
+  return isFinite(ms) ? { iso: new Date(ms).toISOString(), hasZone: !!zone } : null;
+}
+
+function parseBext(bytes, view, from, length, sampleRate) {
+  if (length < 346) return null;
+  const bext = {
+    description: chunkText(bytes, from, 256),
+    originator: chunkText(bytes, from + 256, 32),
+    originatorReference: chunkText(bytes, from + 288, 32),
+    originationDate: chunkText(bytes, from + 320, 10),
+    originationTime: chunkText(bytes, from + 330, 8),
+    // samples since midnight of the origination date
+    timeReference: view.getUint32(from + 338, true) + view.getUint32(from + 342, true) * 2 ** 32,
+    startTime: null
+  };
+  const date = /^(\d{4})[-:/.](\d{2})[-:/.](\d{2})$/.exec(bext.originationDate);
+  if (date) {
+    const midnight = Date.UTC(+date[1], +date[2] - 1, +date[3]);
+    let ms = null;
+    if (bext.timeReference > 0 && sampleRate > 0) {
+      ms = midnight + bext.timeReference / sampleRate * 1000;
+    } else {
+      const time = /^(\d{2})[-:/.](\d{2})[-:/.](\d{2})$/.exec(bext.originationTime);
+      if (time) ms = midnight + ((+time[1] * 60 + +time[2]) * 60 + +time[3]) * 1000;
+    }
+    if (ms != null && isFinite(ms)) bext.startTime = new Date(ms).toISOString();
+  }
+  return bext;
+}
+
+const guanoNumber = v => (v != null && v !== '' && isFinite(Number(v)) ? Number(v) : null);
+
+function parseGuano(text) {
+  const fields = {};
+  for (const line of text.split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    fields[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  const timestamp = fields.Timestamp ? parseTimestamp(fields.Timestamp) : null;
+  let gps = null;
+  const pos = (fields['Loc Position'] || '').split(/[\s,]+/).map(guanoNumber);
+  if (pos.length >= 2 && pos[0] != null && pos[1] != null) {
+    gps = { lat: pos[0], lon: pos[1], elevation: guanoNumber(fields['Loc Elevation']) };
+  }
+  const device = {};
+  [['make', 'Make'], ['model', 'Model'], ['serial', 'Serial'], ['firmware', 'Firmware Version']]
+    .forEach(([key, field]) => { if (fields[field]) device[key] = fields[field]; });
+  const temperature = guanoNumber(fields['Temperature Ext']) ?? guanoNumber(fields['Temperature Int']);
+  return {
+    version: fields['GUANO|Version'] || null,
+    timestamp: timestamp ? timestamp.iso : null,
+    timestampHasZone: timestamp ? timestamp.hasZone : false,
+    gps,
+    device: Object.keys(device).length ? device : null,
+    temperature,
+    fields
+  };
+}
+
+/* bytes: ArrayBuffer or Uint8Array holding the whole file. Returns
+   { container: 'wav', format, bext, guano, startTime, startTimeSource, warnings }
+   or null when bytes is not a RIFF/WAVE file. */
+function parseWavMetadata(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const tag = at => String.fromCharCode(u8[at], u8[at + 1], u8[at + 2], u8[at + 3]);
+  if (u8.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+
+  const meta = { container: 'wav', format: null, bext: null, guano: null, startTime: null, startTimeSource: null, warnings: [] };
+  let dataBytes = null, bextAt = null;
+  for (let at = 12; at + 8 <= u8.length;) {
+    const id = tag(at), size = view.getUint32(at + 4, true);
+    const body = at + 8, length = Math.min(size, u8.length - body);
+    if (id === 'fmt ' && length >= 16) {
+      const formatTag = view.getUint16(body, true);
+      meta.format = {
+        formatTag,
+        encoding: WAV_FORMATS[formatTag] || `format 0x${formatTag.toString(16)}`,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+        blockAlign: view.getUint16(body + 12, true),
+        dataBytes: null,
+        duration: null
+      };
+    } else if (id === 'data') {
+      dataBytes = length; // 0xFFFFFFFF from streaming recorders, or a truncated file: what is there
+    } else if (id === 'bext') {
+      bextAt = [body, length]; // parsed once the sample rate is known
+    } else if (id === 'guan') {
+      meta.guano = parseGuano(new TextDecoder('utf-8').decode(u8.subarray(body, body + length)));
+    }
+    at = body + size + (size & 1); // chunks are word aligned
+  }
+
+  if (!meta.format) {
+    meta.warnings.push('no fmt chunk — not a readable WAV file');
+    return meta;
+  }
+  const f = meta.format;
+  if (dataBytes != null) {
+    f.dataBytes = dataBytes;
+    if (f.blockAlign > 0) f.duration = Number((dataBytes / f.blockAlign / f.sampleRate).toFixed(3));
+  }
+  if (bextAt) meta.bext = parseBext(u8, view, bextAt[0], bextAt[1], f.sampleRate);
+
+  if (meta.guano && meta.guano.timestamp) {
+    meta.startTime = meta.guano.timestamp;
+    meta.startTimeSource = 'guano';
+    if (!meta.guano.timestampHasZone) meta.warnings.push('GUANO timestamp has no UTC offset — assumed to be UTC');
+  } else if (meta.bext && meta.bext.startTime) {
+    meta.startTime = meta.bext.startTime;
+    meta.startTimeSource = 'bext';
+    // timeReference counts from midnight of OriginationDate, which has no zone either
+    meta.warnings.push('BWF origination time carries no time zone — assumed to be UTC');
+  }
+  meta.warnings.push(...sampleRateWarnings(f.sampleRate));
+  return meta;
+}
+
+// one-line summary for the result card and batch rows
+function describeRecording(meta) {
+  if (!meta || !meta.format) return '';
+  const f = meta.format;
+  const parts = [`${(f.sampleRate / 1000).toFixed(f.sampleRate % 1000 ? 1 : 0)} kHz`, `${f.bitsPerSample}-bit ${f.encoding}`, `${f.channels} ch`];
+  const g = meta.guano;
+  if (g && g.device) parts.push([g.device.make, g.device.model, g.device.serial && '#' + g.device.serial].filter(Boolean).join(' '));
+  if (g && g.gps) parts.push(`${g.gps.lat.toFixed(5)}, ${g.gps.lon.toFixed(5)}`);
+  if (g && g.temperature != null) parts.push(`${g.temperature} °C`);
+  return parts.join(' · ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    sampleRateWarnings,
+    parseWavMetadata,
+    describeRecording
+  };
+}
@@ -0,0 +1,294 @@
+/* signal-conditioning.js - optional clean-up chain run before feature extraction
+   - stages, in order: DC removal, high-pass, band-pass, mains notch (+ harmonics),
+     spectral subtraction using a noise-only segment picked by the user
+   - filters are RBJ biquads (4th-order Butterworth = two sections); spectral
+     subtraction is STFT overlap-add with sqrt-Hann windows at 50% overlap
+   - conditionChannels() returns the processed copies and the chain that was
+     actually applied; that chain is stored with every result as `conditioning`
+   - no DOM access; the FFT tables come from analysis-core.js (loaded first in the
+     page, require()d in Node)
+*/
+
+const _condCore = typeof getFftPlan === 'function' ? { getFftPlan } : require('./analysis-core.js');
+
+const CONDITIONING_DEFAULTS = {
+  enabled: false,
+  dcRemoval: true,
+  highpass: { enabled: true, hz: 20 },
+  bandpass: { enabled: false, lowHz: 50, highHz: 8000 },
+  notch: { enabled: false, mainsHz: 50, harmonics: 5, q: 30 },
+  noiseReduction: { enabled: false, start: 0, end: 1, overSubtraction: 1.5, floor: 0.05 }
+};
+const CONDITIONING_FFT_SIZE = 2048;
+const DC_BLOCKER_HZ = 1;
+const BUTTERWORTH4_Q = [0.5412, 1.3066];
+
+// settings with every field present (missing ones from CONDITIONING_DEFAULTS)
+function normalizeConditioning(settings = {}) {
+  const d = CONDITIONING_DEFAULTS;
+  const s = settings || {};
+  return {
+    enabled: !!s.enabled,
+    dcRemoval: s.dcRemoval == null ? d.dcRemoval : !!s.dcRemoval,
+    highpass: { ...d.highpass, ...(s.highpass || {}) },
+    bandpass: { ...d.bandpass, ...(s.bandpass || {}) },
+    notch: { ...d.notch, ...(s.notch || {}) },
+    noiseReduction: { ...d.noiseReduction, ...(s.noiseReduction || {}) }
+  };
+}
+
+/* ------------------------------
+   Biquads (RBJ audio EQ cookbook), normalised so a0 = 1
+   ------------------------------ */
+function biquadCoefficients(type, hz, q, sampleRate) {
+  const w0 = 2 * Math.PI * hz / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  let b0, b1, b2;
+  if (type === 'highpass') { b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = b0; }
+  else if (type === 'lowpass') { b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = b0; }
+  else if (type === 'notch') { b0 = 1; b1 = -2 * cos; b2 = 1; }
+  else throw new Error(`unknown biquad type "${type}"`);
+  const a0 = 1 + alpha;
+  return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 };
+}
+
+// in place, transposed direct form II
+function applyBiquad(x, c) {
+  let z1 = 0, z2 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const xi = x[i];
+    const y = c.b0 * xi + z1;
+    z1 = c.b1 * xi - c.a1 * y + z2;
+    z2 = c.b2 * xi - c.a2 * y;
+    x[i] = y;
+  }
+  return x;
+}
+
+function applyButterworth4(x, type, hz, sampleRate) {
+  for (const q of BUTTERWORTH4_Q) applyBiquad(x, biquadCoefficients(type, hz, q, sampleRate));
+  return x;
+}
+
+// mean removal, then a one-pole DC blocker for slow drift
+function removeDc(x, sampleRate) {
+  let mean = 0;
+  for (let i = 0; i < x.length; i++) mean += x[i];
+  mean /= Math.max(1, x.length);
+  const r = Math.exp(-2 * Math.PI * DC_BLOCKER_HZ / sampleRate);
+  let prevX = 0, prevY = 0;
+  for (let i = 0; i < x.length; i++) {
+    const xi = x[i] - mean;
+    prevY = xi - prevX + r * prevY;
+    prevX = xi;
+    x[i] = prevY;
+  }
+  return x;
+}
+
+/* ------------------------------
+   Spectral subtraction
+   ------------------------------ */
+// complex in-place FFT on the shared plan tables; inverse via the conjugate trick
+function fftComplex(re, im, inverse = false) {
+  const n = re.length;
+  const { rev, cos, sin } = _condCore.getFftPlan(n);
+  if (inverse) for (let i = 0; i < n; i++) im[i] = -im[i];
+  for (let i = 0; i < n; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const step = n / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < half; k++) {
+        const c = cos[k * step], s = sin[k * step];
+        const vR = re[i + k + half] * c - im[i + k + half] * s;
+        const vI = re[i + k + half] * s + im[i + k + half] * c;
+        re[i + k + half] = re[i + k] - vR;
+        im[i + k + half] = im[i + k] - vI;
+        re[i + k] += vR;
+        im[i + k] += vI;
+      }
+    }
+  }
+  if (inverse) for (let i = 0; i < n; i++) { re[i] /= n; im[i] = -im[i] / n; }
+}
+
+const _sqrtHannCache = {};
+function sqrtHann(n) {
+  // periodic Hann sums to 1 at 50% overlap, so sqrt-Hann in and out reconstructs exactly
+  if (!_sqrtHannCache[n]) {
+    const w = new Float64Array(n);
+    for (let i = 0; i < n; i++) w[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / n));
+    _sqrtHannCache[n] = w;
+  }
+  return _sqrtHannCache[n];
+}
+
+// frame starts cover the whole signal; the first frame starts half a frame early
+function stftFrameStarts(length, n) {
+  const hop = n / 2;
+  const starts = [];
+  for (let s = -hop; s < length; s += hop) starts.push(s);
+  return starts;
+}
+
+function frameSpectrum(x, start, n, win, re, im) {
+  for (let i = 0; i < n; i++) {
+    const j = start + i;
+    re[i] = j >= 0 && j < x.length ? x[j] * win[i] : 0;
+    im[i] = 0;
+  }
+  fftComplex(re, im);
+}
+
+// mean magnitude per bin over the frames that lie wholly inside [from, to)
+function noiseMagnitudes(x, from, to, n) {
+  const win = sqrtHann(n);
+  const re = new Float64Array(n), im = new Float64Array(n);
+  const noise = new Float64Array(n);
+  let frames = 0;
+  for (let s = from; s + n <= to; s += n / 2) {
+    frameSpectrum(x, s, n, win, re, im);
+    for (let k = 0; k < n; k++) noise[k] += Math.hypot(re[k], im[k]);
+    frames++;
+  }
+  for (let k = 0; k < n; k++) noise[k] /= Math.max(1, frames);
+  return noise;
+}
+
+function spectralSubtract(x, noise, n, overSubtraction, floor) {
+  const win = sqrtHann(n);
+  const re = new Float64Array(n), im = new Float64Array(n);
+  const out = new Float64Array(x.length);
+  for (const s of stftFrameStarts(x.length, n)) {
+    frameSpectrum(x, s, n, win, re, im);
+    for (let k = 0; k < n; k++) {
+      const mag = Math.hypot(re[k], im[k]);
+      const gain = mag > 0 ? Math.max(floor, 1 - overSubtraction * noise[k] / mag) : floor;
+      re[k] *= gain;
+      im[k] *= gain;
+    }
+    fftComplex(re, im, true);
+    for (let i = 0; i < n; i++) {
+      const j = s + i;
+      if (j >= 0 && j < out.length) out[j] += re[i] * win[i];
+    }
+  }
+  for (let i = 0; i < x.length; i++) x[i] = out[i];
+  return x;
+}
+
+/* ------------------------------
+   The chain
+   ------------------------------ */
+/* channels: Float32Array per channel (left untouched). Returns
+   { channels, chain } where chain is null when conditioning is off, otherwise
+   { stages: [{ type, ...settings used }], warnings: [...] } — stages that could
+   not run on this clip (e.g. a noise segment past its end) are left out and
+   explained in warnings. */
+function conditionChannels(channels, sampleRate, settings) {
+  const s = normalizeConditioning(settings);
+  if (!s.enabled) return { channels, chain: null };
+  const nyquist = sampleRate / 2;
+  const length = channels[0] ? channels[0].length : 0;
+  const out = channels.map(c => Float32Array.from(c));
+  const stages = [];
+  const warnings = [];
+  const each = fn => out.forEach(fn);
+
+  if (s.dcRemoval) {
+    each(x => removeDc(x, sampleRate));
+    stages.push({ type: 'dcRemoval', blockerHz: DC_BLOCKER_HZ });
+  }
+  if (s.highpass.enabled) {
+    const hz = Number(s.highpass.hz);
+    if (hz > 0 && hz < nyquist) {
+      each(x => applyButterworth4(x, 'highpass', hz, sampleRate));
+      stages.push({ type: 'highpass', hz, order: 4 });
+    } else {
+      warnings.push(`high-pass skipped: ${hz} Hz is not between 0 and ${nyquist} Hz`);
+    }
+  }
+  if (s.bandpass.enabled) {
+    const lowHz = Number(s.bandpass.lowHz);
+    let highHz = Number(s.bandpass.highHz);
+    if (highHz >= nyquist) {
+      warnings.push(`band-pass upper edge lowered from ${highHz} Hz to ${Math.floor(nyquist * 0.95)} Hz (sample rate ${sampleRate} Hz)`);
+      highHz = Math.floor(nyquist * 0.95);
+    }
+    if (lowHz > 0 && lowHz < highHz) {
+      each(x => applyButterworth4(applyButterworth4(x, 'highpass', lowHz, sampleRate), 'lowpass', highHz, sampleRate));
+      stages.push({ type: 'bandpass', lowHz, highHz, order: 4 });
+    } else {
+      warnings.push(`band-pass skipped: ${lowHz}–${highHz} Hz is not a valid band`);
+    }
+  }
+  if (s.notch.enabled) {
+    const mains = Number(s.notch.mainsHz);
+    const q = Number(s.notch.q);
+    const hz = [];
+    for (let k = 1; k <= Math.max(1, Math.floor(s.notch.harmonics)) && k * mains < nyquist; k++) hz.push(k * mains);
+    if (mains > 0 && q > 0 && hz.length) {
+      each(x => hz.forEach(f => applyBiquad(x, biquadCoefficients('notch', f, q, sampleRate))));
+      stages.push({ type: 'notch', hz, q });
+    } else {
+      warnings.push(`notch skipped: mains ${mains} Hz / Q ${q} is not usable`);
+    }
+  }
+  if (s.noiseReduction.enabled) {
+    const n = CONDITIONING_FFT_SIZE;
+    const { start, end, overSubtraction, floor } = s.noiseReduction;
+    const from = Math.max(0, Math.round(start * sampleRate));
+    const to = Math.min(length, Math.round(end * sampleRate));
+    if (to - from >= n) {
+      // the noise estimate comes from the already-filtered signal, like the rest of the clip
+      each(x => spectralSubtract(x, noiseMagnitudes(x, from, to, n), n, overSubtraction, floor));
+      stages.push({
+        type: 'spectralSubtraction',
+        noiseStart: Number((from / sampleRate).toFixed(3)),
+        noiseEnd: Number((to / sampleRate).toFixed(3)),
+        overSubtraction,
+        floor,
+        fftSize: n
+      });
+    } else {
+      warnings.push(`noise reduction skipped: the noise segment ${start}–${end} s needs at least ${(n / sampleRate).toFixed(2)} s inside the clip`);
+    }
+  }
+  return { channels: out, chain: { stages, warnings } };
+}
+
+const STAGE_LABELS = {
+  dcRemoval: () => 'DC removal',
+  highpass: st => `high-pass ${st.hz} Hz`,
+  bandpass: st => `band-pass ${st.lowHz}–${st.highHz} Hz`,
+  notch: st => `notch ${st.hz[0]} Hz` + (st.hz.length > 1 ? ` + ${st.hz.length - 1} harmonics` : '') + ` (Q ${st.q})`,
+  spectralSubtraction: st => `noise reduction from ${st.noiseStart}–${st.noiseEnd} s (×${st.overSubtraction})`
+};
+
+// one line for result cards: "DC removal · high-pass 20 Hz · …"
+function describeConditioning(chain) {
+  if (!chain) return 'none';
+  if (!chain.stages || !chain.stages.length) return 'enabled, no stages applied';
+  return chain.stages.map(st => (STAGE_LABELS[st.type] ? STAGE_LABELS[st.type](st) : st.type)).join(' · ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONDITIONING_DEFAULTS,
+    normalizeConditioning,
+    biquadCoefficients,
+    applyBiquad,
+    removeDc,
+    fftComplex,
+    conditionChannels,
+    describeConditioning
+  };
+}
@@ -0,0 +1,355 @@
+/* synth-sounds.js - procedural demo sounds rendered with OfflineAudioContext
+   - 'whale': humpback-like low tonal units with slow sweeps
+   - 'dolphin': orca-like whistles and echolocation click trains
+   - 'boat': engine / propeller noise — blade-rate harmonics, machinery rumble and
+     cavitation noise modulated at the blade rate, during a slow pass-by
+   - scenes mix several renders and can bury them in sea noise at a given SNR
+     (the Guess the Sound trainer's mixed clips and difficulty levels)
+   - all randomness comes from a seeded PRNG: same kind + seed = same sound
+   - no DOM access; front.js plays the renders and feeds them to the analyzer
+*/
+
+const SYNTH_SAMPLE_RATE = 22050;
+const SYNTH_KINDS = ['whale', 'dolphin', 'boat'];
+const SYNTH_DEFAULT_SECONDS = { whale: 10, dolphin: 8, boat: 12 };
+const SYNTH_AMBIENT_RMS = 0.03; // level of a noise-only scene
+
+// mulberry32 — small, fast, good enough for audio jitter
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// different kinds with the same seed shouldn't share a random sequence
+function synthSeed(kind, seed) {
+  let h = Number(seed) >>> 0;
+  for (const ch of kind) h = Math.imul(h ^ ch.charCodeAt(0), 0x01000193) >>> 0;
+  return h;
+}
+
+const between = (rng, lo, hi) => lo + (hi - lo) * rng();
+
+function fillNoise(d, rng, color = 'white') {
+  let last = 0;
+  for (let i = 0; i < d.length; i++) {
+    const white = rng() * 2 - 1;
+    if (color === 'brown') {
+      // leaky integrator: -6 dB/octave, scaled back to roughly unit level
+      last = 0.98 * last + 0.02 * white;
+      d[i] = last * 6;
+    } else {
+      d[i] = white;
+    }
+  }
+  return d;
+}
+
+function noiseBuffer(ctx, rng, seconds, color = 'white') {
+  const buf = ctx.createBuffer(1, Math.ceil(seconds * ctx.sampleRate), ctx.sampleRate);
+  fillNoise(buf.getChannelData(0), rng, color);
+  return buf;
+}
+
+function playBuffer(ctx, buffer, dest, at = 0) {
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  src.connect(dest);
+  src.start(at);
+  return src;
+}
+
+// low sea-state background so no render is ever digital silence
+function addAmbientNoise(ctx, rng, seconds, level) {
+  const lp = ctx.createBiquadFilter();
+  lp.type = 'lowpass';
+  lp.frequency.value = 1500;
+  const g = ctx.createGain();
+  g.gain.value = level;
+  lp.connect(g).connect(ctx.destination);
+  playBuffer(ctx, noiseBuffer(ctx, rng, seconds, 'brown'), lp);
+}
+
+function synthHumpback(ctx, rng, seconds) {
+  addAmbientNoise(ctx, rng, seconds, 0.01);
+  // a few harmonics give the units their hollow, horn-like colour
+  const wave = ctx.createPeriodicWave(new Float32Array([0, 1, 0.5, 0.25, 0.12]), new Float32Array(5));
+  let t = between(rng, 0.2, 0.8);
+  while (t < seconds - 1) {
+    const len = Math.min(between(rng, 0.8, 3), seconds - t - 0.1);
+    const f0 = between(rng, 90, 400);
+    const f1 = Math.min(900, f0 * between(rng, 0.5, 2.1));
+    const amp = between(rng, 0.12, 0.3);
+
+    const osc = ctx.createOscillator();
+    osc.setPeriodicWave(wave);
+    osc.frequency.setValueAtTime(f0, t);
+    osc.frequency.exponentialRampToValueAtTime(f1, t + len);
+    const vib = ctx.createOscillator();
+    vib.frequency.value = between(rng, 2, 7);
+    const vibDepth = ctx.createGain();
+    vibDepth.gain.value = f0 * 0.015;
+    vib.connect(vibDepth).connect(osc.frequency);
+
+    const lp = ctx.createBiquadFilter();
+    lp.type = 'lowpass';
+    lp.frequency.value = 1200;
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0, t);
+    env.gain.linearRampToValueAtTime(amp, t + 0.15 * len);
+    env.gain.setValueAtTime(amp, t + 0.8 * len);
+    env.gain.linearRampToValueAtTime(0, t + len);
+    osc.connect(lp).connect(env).connect(ctx.destination);
+    [osc, vib].forEach(n => { n.start(t); n.stop(t + len); });
+
+    t += len + between(rng, 0.3, 1.8);
+  }
+  return {};
+}
+
+// clicks are written sample by sample: each one a ~0.3 ms decaying broadband burst
+function clickTrainBuffer(ctx, rng, seconds) {
+  const sr = ctx.sampleRate;
+  const buf = ctx.createBuffer(1, Math.ceil(seconds * sr), sr);
+  const d = buf.getChannelData(0);
+  const clickLen = Math.max(4, Math.round(0.0003 * sr));
+  let t = between(rng, 0.3, 1.5);
+  while (t < seconds - 0.5) {
+    const trainLen = Math.min(between(rng, 0.4, 2), seconds - t - 0.1);
+    // inter-click interval drifts as if closing in on a target
+    const ici0 = between(rng, 0.01, 0.05), ici1 = between(rng, 0.004, 0.03);
+    const amp = between(rng, 0.2, 0.5);
+    for (let ct = 0; ct < trainLen; ct += ici0 + (ici1 - ici0) * (ct / trainLen)) {
+      const at = Math.floor((t + ct) * sr);
+      for (let i = 0; i < clickLen && at + i < d.length; i++) {
+        d[at + i] += amp * (rng() * 2 - 1) * Math.exp(-4 * i / clickLen);
+      }
+    }
+    t += trainLen + between(rng, 0.5, 2);
+  }
+  return buf;
+}
+
+function synthOrca(ctx, rng, seconds) {
+  addAmbientNoise(ctx, rng, seconds, 0.008);
+  const nyq = ctx.sampleRate / 2;
+
+  let t = between(rng, 0.1, 0.6);
+  while (t < seconds - 0.6) {
+    const len = Math.min(between(rng, 0.4, 1.6), seconds - t - 0.1);
+    // smooth random-walk pitch contour
+    const points = 8;
+    const contour = new Float32Array(points);
+    let f = between(rng, 1500, Math.min(4000, nyq * 0.5));
+    for (let i = 0; i < points; i++) {
+      contour[i] = f;
+      f = Math.max(1200, Math.min(6000, nyq * 0.8, f * between(rng, 0.85, 1.2)));
+    }
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.setValueCurveAtTime(contour, t, len);
+    const env = ctx.createGain();
+    const amp = between(rng, 0.06, 0.12);
+    env.gain.setValueAtTime(0, t);
+    env.gain.linearRampToValueAtTime(amp, t + 0.05);
+    env.gain.setValueAtTime(amp, t + len - 0.05);
+    env.gain.linearRampToValueAtTime(0, t + len);
+    osc.connect(env).connect(ctx.destination);
+    osc.start(t);
+    osc.stop(t + len);
+    t += len + between(rng, 0.2, 1.2);
+  }
+
+  const hp = ctx.createBiquadFilter();
+  hp.type = 'highpass';
+  hp.frequency.value = 2000;
+  const clickGain = ctx.createGain();
+  clickGain.gain.value = 0.25;
+  hp.connect(clickGain).connect(ctx.destination);
+  playBuffer(ctx, clickTrainBuffer(ctx, rng, seconds), hp);
+  return {};
+}
+
+function synthBoat(ctx, rng, seconds) {
+  addAmbientNoise(ctx, rng, seconds, 0.01);
+  const shaftHz = between(rng, 300, 1100) / 60;
+  const blades = 3 + Math.floor(rng() * 3);
+  const bladeRate = shaftHz * blades;
+
+  // everything from the vessel goes through one pass-by envelope (closest approach mid-clip)
+  const pass = ctx.createGain();
+  const cpa = seconds * between(rng, 0.4, 0.6);
+  pass.gain.setValueAtTime(0.15, 0);
+  pass.gain.linearRampToValueAtTime(1, cpa);
+  pass.gain.linearRampToValueAtTime(0.15, seconds);
+  pass.connect(ctx.destination);
+
+  // propeller tonals: blade rate and its harmonics, falling off with order
+  for (let k = 1; k <= 10; k++) {
+    const osc = ctx.createOscillator();
+    osc.frequency.value = bladeRate * k;
+    const g = ctx.createGain();
+    g.gain.value = 0.06 / k;
+    osc.connect(g).connect(pass);
+    osc.start(0);
+    osc.stop(seconds);
+  }
+
+  // machinery rumble
+  const rumble = ctx.createBiquadFilter();
+  rumble.type = 'lowpass';
+  rumble.frequency.value = 800;
+  const rumbleGain = ctx.createGain();
+  rumbleGain.gain.value = 0.12;
+  rumble.connect(rumbleGain).connect(pass);
+  playBuffer(ctx, noiseBuffer(ctx, rng, seconds, 'brown'), rumble);
+
+  // cavitation: broadband hiss amplitude-modulated once per blade passage
+  const cav = ctx.createBiquadFilter();
+  cav.type = 'highpass';
+  cav.frequency.value = 1500;
+  const cavGain = ctx.createGain();
+  cavGain.gain.value = 0.06;
+  const lfo = ctx.createOscillator();
+  lfo.frequency.value = bladeRate;
+  const lfoDepth = ctx.createGain();
+  lfoDepth.gain.value = 0.05;
+  lfo.connect(lfoDepth).connect(cavGain.gain);
+  lfo.start(0);
+  lfo.stop(seconds);
+  cav.connect(cavGain).connect(pass);
+  playBuffer(ctx, noiseBuffer(ctx, rng, seconds), cav);
+
+  return {
+    shaftRateHz: Number(shaftHz.toFixed(3)),
+    blades,
+    bladeRateHz: Number(bladeRate.toFixed(3)),
+    cpaSeconds: Number(cpa.toFixed(3))
+  };
+}
+
+const SYNTH_BUILDERS = { whale: synthHumpback, dolphin: synthOrca, boat: synthBoat };
+
+function offlineContextClass() {
+  const OAC = typeof OfflineAudioContext !== 'undefined' ? OfflineAudioContext
+    : (typeof webkitOfflineAudioContext !== 'undefined' ? webkitOfflineAudioContext : null);
+  if (!OAC) throw new Error('OfflineAudioContext not available');
+  return OAC;
+}
+
+/* Render one demo sound. Resolves { kind, seed, buffer, meta } where buffer is a
+   mono AudioBuffer and meta holds generator facts (e.g. the boat's blade rate). */
+async function renderSynthSound(kind, { seed = 1, seconds, sampleRate = SYNTH_SAMPLE_RATE } = {}) {
+  const build = SYNTH_BUILDERS[kind];
+  if (!build) throw new Error(`unknown synth sound "${kind}" (expected ${SYNTH_KINDS.join(', ')})`);
+  const OAC = offlineContextClass();
+  const dur = seconds || SYNTH_DEFAULT_SECONDS[kind];
+  const ctx = new OAC(1, Math.ceil(dur * sampleRate), sampleRate);
+  const meta = build(ctx, createRng(synthSeed(kind, seed)), dur);
+  const buffer = await ctx.startRendering();
+  return { kind, seed, buffer, meta };
+}
+
+function monoBuffer(samples, sampleRate) {
+  const OAC = offlineContextClass();
+  const buffer = new OAC(1, samples.length, sampleRate).createBuffer(1, samples.length, sampleRate);
+  buffer.getChannelData(0).set(samples);
+  return buffer;
+}
+
+function rmsOf(d) {
+  let sum = 0;
+  for (let i = 0; i < d.length; i++) sum += d[i] * d[i];
+  return Math.sqrt(sum / Math.max(1, d.length));
+}
+
+// adds brown sea noise at the given RMS level, then keeps peaks below full scale
+function addSeaNoise(d, level, seed) {
+  const noise = fillNoise(new Float32Array(d.length), createRng(synthSeed('sea', seed)), 'brown');
+  const scale = level / Math.max(1e-12, rmsOf(noise));
+  let peak = 0;
+  for (let i = 0; i < d.length; i++) {
+    d[i] += noise[i] * scale;
+    peak = Math.max(peak, Math.abs(d[i]));
+  }
+  if (peak > 0.99) for (let i = 0; i < d.length; i++) d[i] *= 0.99 / peak;
+  return d;
+}
+
+/* Render a mixed scene. parts: [{ kind, seed, gain = 1 }], all rendered for the same
+   length and summed; noiseSnrDb (null = none) adds sea noise that far below the
+   mix's RMS. No parts gives sea noise alone. Resolves { parts, noiseSnrDb, buffer }. */
+async function renderSynthScene(parts, { seconds = 8, sampleRate = SYNTH_SAMPLE_RATE, noiseSnrDb = null, seed = 1 } = {}) {
+  const mix = new Float32Array(Math.ceil(seconds * sampleRate));
+  for (const part of parts) {
+    const { buffer } = await renderSynthSound(part.kind, { seed: part.seed == null ? seed : part.seed, seconds, sampleRate });
+    const d = buffer.getChannelData(0);
+    const gain = part.gain == null ? 1 : part.gain;
+    for (let i = 0; i < Math.min(mix.length, d.length); i++) mix[i] += gain * d[i];
+  }
+  if (!parts.length) addSeaNoise(mix, SYNTH_AMBIENT_RMS, seed);
+  else if (noiseSnrDb != null) addSeaNoise(mix, rmsOf(mix) / 10 ** (noiseSnrDb / 20), seed);
+  return { parts, noiseSnrDb, buffer: monoBuffer(mix, sampleRate) };
+}
+
+// mono copy of any AudioBuffer (e.g. a decoded real recording) with sea noise at snrDb
+function withSeaNoise(audioBuffer, snrDb, seed = 1) {
+  const mono = new Float32Array(audioBuffer.length);
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const d = audioBuffer.getChannelData(c);
+    for (let i = 0; i < mono.length; i++) mono[i] += d[i] / audioBuffer.numberOfChannels;
+  }
+  addSeaNoise(mono, rmsOf(mono) / 10 ** (snrDb / 20), seed);
+  return monoBuffer(mono, audioBuffer.sampleRate);
+}
+
+// 16-bit PCM WAV, so renders can stand in for uploaded files
+function encodeWav(audioBuffer) {
+  const channels = audioBuffer.numberOfChannels;
+  const sr = audioBuffer.sampleRate;
+  const frames = audioBuffer.length;
+  const dataBytes = frames * channels * 2;
+  const out = new DataView(new ArrayBuffer(44 + dataBytes));
+  const ascii = (at, s) => { for (let i = 0; i < s.length; i++) out.setUint8(at + i, s.charCodeAt(i)); };
+  ascii(0, 'RIFF');
+  out.setUint32(4, 36 + dataBytes, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  out.setUint32(16, 16, true);
+  out.setUint16(20, 1, true);
+  out.setUint16(22, channels, true);
+  out.setUint32(24, sr, true);
+  out.setUint32(28, sr * channels * 2, true);
+  out.setUint16(32, channels * 2, true);
+  out.setUint16(34, 16, true);
+  ascii(36, 'data');
+  out.setUint32(40, dataBytes, true);
+  const data = [];
+  for (let c = 0; c < channels; c++) data.push(audioBuffer.getChannelData(c));
+  let at = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const v = Math.max(-1, Math.min(1, data[c][i]));
+      out.setInt16(at, v < 0 ? v * 0x8000 : v * 0x7FFF, true);
+      at += 2;
+    }
+  }
+  return out.buffer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYNTH_SAMPLE_RATE,
+    SYNTH_KINDS,
+    createRng,
+    renderSynthSound,
+    renderSynthScene,
+    withSeaNoise,
+    encodeWav
+  };
+}
@@ -0,0 +1,138 @@
+/* annotations.js - checks for the analyst annotations (annotations.js)
+   - annotationsToRaven() output read back by parseRavenSelectionTable() gives the
+     same selections; tabs and line breaks in labels / notes become spaces
+   - Raven tables as Raven writes them: Waveform and Spectrogram rows of one
+     selection read once, multi-file tables narrowed to one file by Begin File and
+     timed by File Offset, missing label / frequency columns, unreadable rows
+   - evaluateAnnotations() on a hand-built timeline: vessel, whale and dolphin
+     windows against annotations of each, with known precision and recall, short
+     calls and partial cover, and labels that map to no verdict class
+   - usage, from the repository root:
+       node tests/annotations/annotations.js
+     exits 1 when any check fails
+*/
+
+const {
+  ANNOTATION_MIN_COVER, validateAnnotation, annotationsToRaven, parseRavenSelectionTable, verdictClassFor, evaluateAnnotations
+} = require('../../annotations.js');
+const profile = require('../../profiles/default.json');
+
+const RAVEN_HEAD = ['Selection', 'View', 'Channel', 'Begin Time (s)', 'End Time (s)', 'Low Freq (Hz)', 'High Freq (Hz)'];
+
+const table = (head, ...rows) => [head, ...rows].map(r => r.join('\t')).join('\r\n') + '\r\n';
+
+function checkRoundTrip(check) {
+  const annotations = [
+    { id: 1, start: 0.5, end: 2.25, lowHz: 50, highHz: 1200, label: 'Boat', notes: 'inbound ferry' },
+    { id: 2, start: 10.123456, end: 11, lowHz: 300, highHz: 4000.5, label: 'Humpback whale', notes: '' },
+    { id: 7, start: 30, end: 30.2, lowHz: 5000, highHz: 20000, label: 'dolphin\tclicks', notes: 'two animals,\r\nmaybe three' }
+  ];
+  check(annotations.every(a => validateAnnotation(a).length === 0), 'the fixtures are valid annotations');
+  const text = annotationsToRaven(annotations);
+  check(text.split('\r\n')[0].split('\t').slice(0, 7).join('\t') === RAVEN_HEAD.join('\t'), 'the export has Raven\'s column names');
+  const back = parseRavenSelectionTable(text);
+  check(back.warnings.length === 0, `the export reads back without warnings (got ${JSON.stringify(back.warnings)})`);
+  check(back.annotations.length === 3 && back.annotations.map(a => a.id).join() === '1,2,7', 'selection ids are kept');
+  const same = (a, b) => ['id', 'start', 'end', 'lowHz', 'highHz', 'label', 'notes'].every(k => a[k] === b[k]);
+  check(same(back.annotations[0], annotations[0]) && same(back.annotations[1], annotations[1]),
+    `times, bands, labels and notes survive the round trip (got ${JSON.stringify(back.annotations.slice(0, 2))})`);
+  check(back.annotations[2].label === 'dolphin clicks' && back.annotations[2].notes === 'two animals, maybe three',
+    'tabs and line breaks in a cell become spaces');
+  check(parseRavenSelectionTable('\uFEFF' + text).annotations.length === 3, 'a byte-order mark is ignored');
+  console.log(`raven     ${back.annotations.length} selections out and back`);
+}
+
+function checkRavenTables(check) {
+  // Raven writes one row per view; the selection is the same box in both
+  const views = parseRavenSelectionTable(table([...RAVEN_HEAD, 'Annotation'],
+    [1, 'Waveform 1', 1, 1, 2, 0, 8000, 'boat'],
+    [1, 'Spectrogram 1', 1, 1, 2, 100, 3000, 'boat'],
+    [2, 'Waveform 1', 1, 5, 6, 0, 8000, 'whale'],
+    [2, 'Spectrogram 1', 1, 5, 6, 200, 900, 'whale']));
+  check(views.annotations.length === 2 && views.annotations[0].highHz === 8000, 'each selection is read once, from its first view');
+
+  // a table over a deployment: Begin Time runs across the files, File Offset within each
+  const head = [...RAVEN_HEAD, 'Begin File', 'File Offset (s)', 'Species'];
+  const deployment = table(head,
+    [1, 'Spectrogram 1', 1, 12, 14, 100, 900, 'D:\\deploy\\site_0001.wav', 12, 'boat'],
+    [2, 'Spectrogram 1', 1, 610, 612.5, 100, 900, 'D:\\deploy\\site_0002.wav', 10, 'whale'],
+    [3, 'Spectrogram 1', 1, 640, 641, 100, 900, '/mnt/deploy/site_0002.wav', 40, 'dolphin']);
+  const one = parseRavenSelectionTable(deployment, { fileName: 'site_0002.wav' });
+  check(one.annotations.map(a => a.id).join() === '2,3', `only the named file's rows are kept (got ${one.annotations.map(a => a.id)})`);
+  check(one.annotations[0].start === 10 && one.annotations[0].end === 12.5 && one.annotations[1].start === 40,
+    `rows are timed by their File Offset (got ${one.annotations.map(a => `${a.start}-${a.end}`)})`);
+  check(one.warnings.includes('1 selection(s) belong to other files and were skipped'), 'rows of other files are counted in a warning');
+  check(one.annotations[1].label === 'dolphin', 'the Species column is a label column');
+  check(parseRavenSelectionTable(deployment).annotations.length === 3, 'without a file name every row is kept');
+
+  const unlabelled = parseRavenSelectionTable(table(['Selection', 'Begin Time (s)', 'End Time (s)', 'Low Freq (Hz)'], [1, 0, 1, 10]), { maxHz: 24000 });
+  const u = unlabelled.annotations[0];
+  check(u && u.label === 'unlabelled' && u.highHz === 24000, 'no label column gives "unlabelled", maxHz fills a missing High Freq');
+  check(unlabelled.warnings.length === 1 && /no label column/.test(unlabelled.warnings[0]), 'a missing label column is flagged');
+  check(/no "High Freq \(Hz\)" column/.test(parseRavenSelectionTable(table(['Begin Time (s)', 'End Time (s)'], [0, 1])).warnings[1]),
+    'a missing High Freq column without maxHz is flagged');
+
+  const bad = parseRavenSelectionTable(table([...RAVEN_HEAD, 'Annotation'],
+    [1, 'Spectrogram 1', 1, 'x', 2, 0, 100, 'boat'],
+    [2, 'Spectrogram 1', 1, 3, 2, 0, 100, 'boat'],
+    [3, 'Spectrogram 1', 1, 3, 4, 0, 100, 'boat']));
+  check(bad.annotations.length === 1 && bad.warnings.includes('2 row(s) had unreadable times or frequencies and were skipped'),
+    'unreadable rows are skipped and counted');
+  check(/not a Raven selection table/.test(parseRavenSelectionTable('start,end\n0,1\n').warnings[0]), 'a CSV is not a selection table');
+  check(parseRavenSelectionTable('\r\n').warnings[0] === 'the selection table is empty', 'an empty table says so');
+  console.log('tables    views, Begin File / File Offset, missing columns, bad rows');
+}
+
+function checkEvaluation(check) {
+  // 1 s windows, one per second; features only where a verdict should fire
+  const windows = Array.from({ length: 20 }, (_, t) => ({
+    start: t, end: t + 1, isBoat: t >= 4 && t < 10,
+    features: t === 10 || t === 11 ? { lowRatio: 0.7 } : t === 17 ? { clickConfidence: 0.7 } : {}
+  }));
+  const annotation = (start, end, label) => ({ start, end, lowHz: 0, highHz: 24000, label, notes: '' });
+  const annotations = [
+    annotation(2, 8, 'Boat'),
+    // a window 0.4 covered is not a whale window
+    annotation(10, 12.4, 'Humpback whale'),
+    // a call shorter than a window counts when it mostly lies in it
+    annotation(15.2, 15.5, 'dolphin'),
+    annotation(3, 4, 'fish'),
+    annotation(13, 14, 'fish')
+  ];
+  check(verdictClassFor('Humpback whale', profile) === 'whale' && verdictClassFor('Humpback whale') === null,
+    'a profile signature label stands for whale only with the profile');
+
+  const r = evaluateAnnotations(annotations, windows, profile);
+  const cls = Object.fromEntries(r.classes.map(c => [c.class, c]));
+  check(r.windowCount === 20 && r.classes.map(c => c.class).join() === 'vessel,whale,dolphin', 'one row per verdict class');
+  const v = cls.vessel;
+  check(v.truthWindows === 6 && v.predictedWindows === 6 && v.truePositives === 4 && v.precision === 0.667 && v.recall === 0.667,
+    `vessel: 4 of 6 flagged windows annotated, 4 of 6 annotated flagged (got ${JSON.stringify(v)})`);
+  const w = cls.whale;
+  check(w.truthWindows === 2 && w.truePositives === 2 && w.precision === 1 && w.recall === 1,
+    `whale: windows under ${ANNOTATION_MIN_COVER * 100}% cover don't count (got ${JSON.stringify(w)})`);
+  const d = cls.dolphin;
+  check(d.truthWindows === 1 && d.predictedWindows === 1 && d.truePositives === 0 && d.precision === 0 && d.recall === 0,
+    `dolphin: a short call marks its window, a click elsewhere misses (got ${JSON.stringify(d)})`);
+  check(JSON.stringify(r.unmapped) === '[{"label":"fish","count":2}]', `unmapped labels are listed (got ${JSON.stringify(r.unmapped)})`);
+
+  const none = evaluateAnnotations([], windows.map(x => ({ ...x, isBoat: false, features: {} })), profile);
+  check(none.classes.every(c => c.precision === null && c.recall === null), 'nothing predicted or annotated gives null precision and recall');
+  console.log(`evaluate  vessel P ${v.precision} R ${v.recall} · whale P ${w.precision} R ${w.recall} · dolphin P ${d.precision} R ${d.recall}`);
+}
+
+function main() {
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+  checkRoundTrip(check);
+  checkRavenTables(check);
+  checkEvaluation(check);
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall annotation checks passed');
+}
+
+main();
@@ -0,0 +1,125 @@
+/* array.js - checks for the hydrophone-array bearings (hydrophone-array.js)
+   - a plane wave of broadband noise (random sines, so a delay of any fraction of a
+     sample is exact) reaches every element at the time its position gives;
+     estimateBearing() must recover the direction it came from:
+       line array   the angle from the axis, flagged ambiguous
+       2-D array    the bearing clockwise from +y, all around the compass
+   - trackBearings() gives one bearing per vessel / tonal-call window and none for
+     the rest; validateArrayGeometry() refuses geometries that don't fit
+   - usage, from the repository root:
+       node tests/array/array.js
+     exits 1 when any check fails
+*/
+
+const {
+  SOUND_SPEED_WATER, validateArrayGeometry, elementPositions, estimateBearing, trackBearings
+} = require('../../hydrophone-array.js');
+const { createRng } = require('../parity/signals.js');
+
+const SAMPLE_RATE = 48000;
+const FRAME_SAMPLES = 8192;
+const NOISE_TONES = 300;
+const NOISE_BAND = [100, 8000];
+const BAND = [200, 8000];
+const TOLERANCE_DEG = 2;
+
+const LINE = { spacingM: 1.5 };
+const SQUARE = { positions: [[0, 0], [2, 0], [0, 2], [2, 2]] };
+
+// every element's samples for a plane wave arriving from `bearing` (degrees clockwise from +y)
+function planeWave(geometry, channelCount, bearing, seconds = FRAME_SAMPLES / SAMPLE_RATE, seed = 7) {
+  const rng = createRng(seed);
+  const tones = Array.from({ length: NOISE_TONES }, () => ({
+    hz: NOISE_BAND[0] + rng() * (NOISE_BAND[1] - NOISE_BAND[0]),
+    phase: 2 * Math.PI * rng()
+  }));
+  const c = geometry.soundSpeed || SOUND_SPEED_WATER;
+  const u = [Math.sin(bearing * Math.PI / 180), Math.cos(bearing * Math.PI / 180)];
+  const n = Math.round(seconds * SAMPLE_RATE);
+  return elementPositions(geometry, channelCount).map(([x, y]) => {
+    // elements further along u hear the wave first
+    const delay = -(x * u[0] + y * u[1]) / c;
+    const ch = new Float32Array(n);
+    for (const { hz, phase } of tones) {
+      const w = 2 * Math.PI * hz;
+      for (let i = 0; i < n; i++) ch[i] += Math.sin(w * (i / SAMPLE_RATE - delay) + phase) / NOISE_TONES;
+    }
+    return ch;
+  });
+}
+
+const angleError = (a, b, span = 360) => {
+  const d = Math.abs(a - b) % span;
+  return Math.min(d, span - d);
+};
+
+function checkLineArray(check) {
+  const worst = [];
+  for (const fromAxis of [30, 60, 90, 120, 150]) {
+    // a line along x: a source at `fromAxis` degrees from +x sits at bearing 90 - fromAxis
+    const est = estimateBearing(planeWave(LINE, 3, 90 - fromAxis), SAMPLE_RATE, LINE, 0, BAND);
+    check(est && est.ambiguous, `line array at ${fromAxis}°: the bearing is flagged ambiguous`);
+    check(est && angleError(est.bearing, fromAxis, 180) <= TOLERANCE_DEG, `line array: ${fromAxis}° from the axis (got ${est && est.bearing})`);
+    check(est && est.tdoas.length === 3 && est.confidence > 0.5, `line array at ${fromAxis}°: three pairs, a clear correlation peak (got ${est && est.confidence})`);
+    if (est) worst.push(angleError(est.bearing, fromAxis, 180));
+  }
+  const mirrored = estimateBearing(planeWave(LINE, 3, 180 - 30), SAMPLE_RATE, LINE, 0, BAND);
+  check(mirrored && angleError(mirrored.bearing, 60, 180) <= TOLERANCE_DEG, 'a line array cannot tell the two sides apart');
+  console.log(`line      5 angles, worst error ${Math.max(...worst).toFixed(1)}°`);
+}
+
+function checkPlanarArray(check) {
+  const worst = [];
+  for (const bearing of [0, 45, 110, 200, 315]) {
+    const est = estimateBearing(planeWave(SQUARE, 4, bearing), SAMPLE_RATE, SQUARE, 0, BAND);
+    check(est && !est.ambiguous, `square array at ${bearing}°: the bearing is not ambiguous`);
+    check(est && angleError(est.bearing, bearing) <= TOLERANCE_DEG, `square array: bearing ${bearing}° (got ${est && est.bearing})`);
+    check(est && est.tdoas.length === 6, 'square array: six element pairs');
+    if (est) worst.push(angleError(est.bearing, bearing));
+  }
+  const slow = { ...SQUARE, soundSpeed: 1450 };
+  const est = estimateBearing(planeWave(slow, 4, 250), SAMPLE_RATE, slow, 0, BAND);
+  check(est && angleError(est.bearing, 250) <= TOLERANCE_DEG, `the geometry's sound speed is used (got ${est && est.bearing})`);
+  console.log(`planar    5 bearings, worst error ${Math.max(...worst).toFixed(1)}°`);
+}
+
+function checkTracking(check) {
+  const channels = planeWave(SQUARE, 4, 45, 2);
+  const windows = [
+    { start: 0, end: 1, isBoat: true, features: { flatness: 0.6 } },
+    { start: 0.5, end: 1.5, isBoat: false, features: { flatness: 0.6 } },
+    { start: 1, end: 2, isBoat: false, features: { flatness: 0.1 } }
+  ];
+  const bearings = trackBearings(channels, SAMPLE_RATE, windows, SQUARE);
+  check(bearings.length === 2, `a bearing for the vessel and the tonal window, none for the other (got ${bearings.length})`);
+  check(bearings[0] && bearings[0].kind === 'vessel' && bearings[1] && bearings[1].kind === 'call', 'bearings are labelled vessel / call');
+  check(bearings.every(b => angleError(b.bearing, 45) <= TOLERANCE_DEG), `both point at 45° (got ${bearings.map(b => b.bearing).join(', ')})`);
+  console.log(`tracking  ${bearings.length} bearings from ${windows.length} windows`);
+}
+
+function checkGeometry(check) {
+  check(validateArrayGeometry(LINE, 4).length === 0 && validateArrayGeometry(SQUARE, 4).length === 0, 'usable geometries pass');
+  check(validateArrayGeometry(SQUARE, 2).length === 1, 'positions must match the channel count');
+  check(validateArrayGeometry({ spacingM: 0 }, 2).length === 1, 'a zero spacing is refused');
+  check(validateArrayGeometry({ positions: [[0, 0], [1, 'x']] }, 2).length === 1, 'non-numeric positions are refused');
+  check(validateArrayGeometry({ ...LINE, soundSpeed: -1 }, 2).length === 1, 'a negative sound speed is refused');
+  check(JSON.stringify(elementPositions(LINE, 3)) === '[[0,0],[1.5,0],[3,0]]', 'a line array lies along x in channel order');
+  console.log('geometry  validation and element positions');
+}
+
+function main() {
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+  checkLineArray(check);
+  checkPlanarArray(check);
+  checkTracking(check);
+  checkGeometry(check);
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall array checks passed');
+}
+
+main();
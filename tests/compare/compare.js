@@ -0,0 +1,135 @@
+/* compare.js - checks for the A/B recording comparison (recording-compare.js)
+   - two synthetic recordings analysed the way the page does it (windows, summary,
+     levels, buildAnalysisResult), the second with its 1 kHz tone 6 dB louder:
+     every delta is B − A, the 1 kHz third-octave band is flagged and the noise
+     bands the tone doesn't reach are not, the LTSAs line up on one frequency axis
+   - levels in different units get no deltas; a result without levels gets no
+     band or LTSA comparison; traces of different profiles list no rule changes
+   - buildComparisonReport() output passes validateComparisonReport(), also after
+     a JSON round trip, and broken reports are refused
+   - usage, from the repository root:
+       node tests/compare/compare.js
+     exits 1 when any check fails
+*/
+
+const core = require('../../analysis-core.js');
+const { computeLevels } = require('../../acoustic-levels.js');
+const {
+  COMPARISON_REPORT_SCHEMA, COMPARISON_REPORT_VERSION, COMPARE_BAND_DB, compareResults, buildComparisonReport, validateComparisonReport
+} = require('../../recording-compare.js');
+const { renderSignal } = require('../parity/signals.js');
+
+const SAMPLE_RATE = 48000;
+const SECONDS = 4;
+const TONE_HZ = 1000;
+const CAL = { sensitivityDb: -170, gainDb: 0, adcFullScaleV: 1 };
+
+const PROFILES = Object.fromEntries(['default', 'harbour'].map(name => [name, require(`../../profiles/${name}.json`)]));
+
+// a tone over quiet broadband noise, analysed with profile and levels measured through calibration
+function analyze(toneAmp, { profile = PROFILES.default, calibration = CAL, levels = true } = {}) {
+  const channels = renderSignal({
+    seconds: SECONDS,
+    channels: [[{ type: 'sine', freq: TONE_HZ, amp: toneAmp }, { type: 'noise', amp: 0.01, seed: 5 }]]
+  }, SAMPLE_RATE);
+  const view = core.toCanonicalRate(core.channelView(channels, SAMPLE_RATE));
+  const starts = core.timelineWindowStarts(view.length);
+  const windows = core.analyzeWindowRange(view, starts, 0, starts.length, profile);
+  const timeline = {
+    duration: SECONDS,
+    windowSeconds: Number((core.ANALYSIS_WINDOW / core.CANONICAL_SAMPLE_RATE).toFixed(3)),
+    hopSeconds: Number((core.ANALYSIS_HOP / core.CANONICAL_SAMPLE_RATE).toFixed(3)),
+    profile: profile.name,
+    windows,
+    summary: core.summarizeTimeline(windows)
+  };
+  if (levels) timeline.levels = computeLevels(channels[0], SAMPLE_RATE, calibration);
+  return core.buildAnalysisResult(timeline, profile, 'local');
+}
+
+function checkDeltas(check, a, b) {
+  const c = compareResults(a, b);
+  const rows = [...c.scores, ...c.features];
+  check(rows.every(r => r.delta === null || r.delta === Number((r.b - r.a).toFixed(4))), 'every delta is B − A');
+  check(c.features.map(r => r.key).join() === core.FEATURE_KEYS.join(), 'one feature row per FEATURE_KEYS entry');
+  const spl = c.scores.find(r => r.key === 'spl');
+  check(spl.a === a.levels.spl && spl.delta > 5.5 && spl.delta < 6.1, `SPL up about 6 dB (got ${spl.delta})`);
+  check(spl.label === `SPL (${a.levels.unit})`, `level rows carry the unit (got "${spl.label}")`);
+
+  const bands = c.bands;
+  const tone = bands.bands.find(band => band.nominal === TONE_HZ);
+  check(bands.comparable && bands.thresholdDb === COMPARE_BAND_DB && bands.bands.length === a.levels.thirdOctave.length, 'all bands line up');
+  check(tone && tone.notable && Math.abs(tone.delta - 6.02) <= 0.1, `the 1 kHz band is 6 dB up and flagged (got ${tone && tone.delta})`);
+  // above the noise's 16 kHz top only the tone's leakage is left, and it grows with the tone
+  const far = bands.bands.filter(band => band.nominal < 500 || (band.nominal > 2000 && band.upper <= 16000));
+  check(far.length && far.every(band => !band.notable), `bands away from the tone are not flagged (got ${far.filter(band => band.notable).map(band => band.nominal)})`);
+
+  const ltsa = c.ltsa;
+  check(ltsa && ltsa.freqs.length === a.levels.ltsa.freqs.length && ltsa.unit === `${a.levels.unit}/Hz`, 'the LTSAs share one frequency axis');
+  const peak = ltsa.delta.indexOf(Math.max(...ltsa.delta));
+  check(Math.abs(ltsa.freqs[peak] - TONE_HZ) / TONE_HZ < 0.1, `the LTSA grows most at the tone (got ${ltsa.freqs[peak]} Hz)`);
+
+  const t = c.traces;
+  check(t.sameProfile && Array.isArray(t.changedRules) && t.sections.some(s => s.key === 'final'), 'traces of one profile line up by section');
+  check(t.sections.every(s => s.delta === Number((s.b - s.a).toFixed(4))), 'trace section deltas are B − A');
+  const self = compareResults(a, a);
+  check([...self.scores, ...self.features].every(r => r.delta === null || r.delta === 0) && self.traces.changedRules.length === 0,
+    'a result compared with itself has no differences');
+  console.log(`deltas    score ${a.score} -> ${b.score}, SPL ${spl.delta > 0 ? '+' : ''}${spl.delta} dB, 1 kHz band ${tone && tone.delta} dB, ${bands.bands.filter(band => band.notable).length} band(s) flagged`);
+}
+
+function checkMismatches(check, a) {
+  const fullScale = analyze(0.1, { calibration: null });
+  const c = compareResults(a, fullScale);
+  const spl = c.scores.find(r => r.key === 'spl');
+  check(spl.a != null && spl.b != null && spl.delta === null, 'SPL in dB re 1 µPa against dBFS gets no delta');
+  check(!c.bands.comparable && c.bands.bands.every(band => band.delta === null && !band.notable), 'bands in different units are shown without deltas');
+  check(c.ltsa.unit === null && c.ltsa.delta === null, 'LTSAs in different units get no delta');
+  check(c.scores.find(r => r.key === 'score').delta !== null, 'scores still compare across units');
+
+  const bare = compareResults(a, analyze(0.1, { levels: false }));
+  check(bare.bands === null && bare.ltsa === null, 'without levels on one side there are no band or LTSA comparisons');
+  check(bare.scores.find(r => r.key === 'spl').b === null && bare.scores.find(r => r.key === 'spl').delta === null, 'the missing side reads null');
+
+  const other = compareResults(a, analyze(0.1, { profile: PROFILES.harbour }));
+  check(!other.traces.sameProfile && other.traces.changedRules === null && other.traces.profileB === 'harbour',
+    'traces of different profiles list no rule changes');
+  console.log('units     calibrated vs dBFS, missing levels, different profiles');
+}
+
+function checkReports(check, a, b) {
+  const report = buildComparisonReport(a, b, { labelA: 'before.wav', labelB: 'after.wav' });
+  check(report.schema === COMPARISON_REPORT_SCHEMA && report.version === COMPARISON_REPORT_VERSION && !isNaN(Date.parse(report.createdAt)),
+    'the report carries its schema, version and creation time');
+  check(report.a.label === 'before.wav' && report.b.result === b, 'both results travel whole with their labels');
+  check(validateComparisonReport(report).length === 0, `a fresh report is valid (got ${JSON.stringify(validateComparisonReport(report))})`);
+  const reopened = JSON.parse(JSON.stringify(report));
+  check(validateComparisonReport(reopened).length === 0, 'the report is valid after a JSON round trip');
+
+  check(validateComparisonReport(null).length === 1 && validateComparisonReport([]).length === 1, 'non-objects are refused');
+  check(/unknown report schema/.test(validateComparisonReport({ ...reopened, schema: 'mam-analysis-result' })[0]), 'an analysis result is not a report');
+  check(/not supported/.test(validateComparisonReport({ ...reopened, version: COMPARISON_REPORT_VERSION + 1 })[0]), 'a newer version is refused');
+  check(validateComparisonReport({ ...reopened, b: { result: reopened.b.result } })[0] === 'b must carry a label and a result', 'a side without a label is refused');
+  const broken = JSON.parse(JSON.stringify(report));
+  broken.a.result.score = 101;
+  check(validateComparisonReport(broken).some(p => p.startsWith('a.result: score')), 'problems in a result are reported with their side');
+  console.log('report    build, JSON round trip, broken reports');
+}
+
+function main() {
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+  const a = analyze(0.05);
+  const b = analyze(0.1);
+  checkDeltas(check, a, b);
+  checkMismatches(check, a);
+  checkReports(check, a, b);
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall comparison checks passed');
+}
+
+main();
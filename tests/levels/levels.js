@@ -0,0 +1,112 @@
+/* levels.js - checks for the sound-level measurements (acoustic-levels.js)
+   - computeLevels() on a 1 kHz sine of known amplitude through a known
+     calibration: SPL, peak, SEL, the exceedance levels and the 1 kHz
+     third-octave band against their closed forms; the same sine uncalibrated
+     reads in dBFS
+   - level sums over chunks that tile the clip (as the page's analysis workers
+     take them) add up to the whole clip's levels
+   - validateCalibration() refuses what can't be a hydrophone calibration
+   - usage, from the repository root:
+       node tests/levels/levels.js
+     exits 1 when any check fails
+*/
+
+const {
+  computeLevels, levelSums, addLevelSums, levelsFromSums, welchSize, validateCalibration,
+  calibrationOffsetDb, UNIT_CALIBRATED, UNIT_FULL_SCALE
+} = require('../../acoustic-levels.js');
+
+const SAMPLE_RATE = 48000;
+const SECONDS = 10;
+const TONE_HZ = 1000; // a whole number of cycles per second at SAMPLE_RATE
+const AMPLITUDE = 0.5;
+const CAL = { name: 'test hydrophone', sensitivityDb: -170, gainDb: 6, adcFullScaleV: 2 };
+const TOLERANCE_DB = 0.05;
+
+const near = (a, b, tol = TOLERANCE_DB) => Math.abs(a - b) <= tol;
+
+function sine(amplitude = AMPLITUDE, seconds = SECONDS) {
+  const x = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < x.length; i++) x[i] = amplitude * Math.sin(2 * Math.PI * TONE_HZ * i / SAMPLE_RATE);
+  return x;
+}
+
+function checkCalibratedSine(check) {
+  const levels = computeLevels(sine(), SAMPLE_RATE, CAL);
+  // 20·log10(2 V) - 6 dB gain + 170 dB sensitivity
+  const offset = 20 * Math.log10(CAL.adcFullScaleV) - CAL.gainDb - CAL.sensitivityDb;
+  const spl = 10 * Math.log10(AMPLITUDE ** 2 / 2) + offset;
+  check(levels.unit === UNIT_CALIBRATED && levels.calibration.name === CAL.name, 'a calibration gives dB re 1 µPa');
+  check(near(levels.calibration.offsetDb, offset, 0.01) && near(calibrationOffsetDb(CAL), offset, 1e-9), `offset ${offset.toFixed(2)} dB`);
+  check(near(levels.spl, spl), `SPL ${spl.toFixed(2)} (got ${levels.spl})`);
+  check(near(levels.peak, 20 * Math.log10(AMPLITUDE) + offset), `peak ${(20 * Math.log10(AMPLITUDE) + offset).toFixed(2)} (got ${levels.peak})`);
+  check(near(levels.sel, spl + 10 * Math.log10(SECONDS)), `SEL is SPL + 10·log10(${SECONDS} s) (got ${levels.sel})`);
+  const p = levels.percentiles;
+  check([p.L5, p.L50, p.L95].every(v => near(v, spl)), `a steady tone has L5 = L50 = L95 = SPL (got ${p.L5} / ${p.L50} / ${p.L95})`);
+
+  const band = levels.thirdOctave.find(b => b.nominal === 1000);
+  check(band && near(band.level, spl, 0.1), `the 1 kHz third-octave band holds the tone (got ${band && band.level})`);
+  const others = levels.thirdOctave.filter(b => b.nominal < 630 || b.nominal > 1600);
+  check(others.length && others.every(b => b.level < spl - 40), 'bands away from 1 kHz are at least 40 dB down');
+  check(levels.shippingBands[63] < spl - 40 && levels.shippingBands[125] < spl - 40, 'the shipping bands see no tone');
+  check(levels.thirdOctave[levels.thirdOctave.length - 1].upper <= SAMPLE_RATE / 2, 'no band reaches past Nyquist');
+
+  const ltsaBin = levels.ltsa.freqs.reduce((best, f, i) => (Math.abs(f - TONE_HZ) < Math.abs(levels.ltsa.freqs[best] - TONE_HZ) ? i : best), 0);
+  check(levels.ltsa.levels[ltsaBin] === Math.max(...levels.ltsa.levels), 'the LTSA peaks at the tone');
+  console.log(`sine      SPL ${levels.spl} · peak ${levels.peak} · SEL ${levels.sel} · 1 kHz band ${band && band.level} ${levels.unit}`);
+}
+
+function checkFullScale(check) {
+  const levels = computeLevels(sine(1, 2), SAMPLE_RATE);
+  check(levels.unit === UNIT_FULL_SCALE && levels.calibration === null, 'no calibration gives dBFS');
+  check(near(levels.spl, -3.01) && near(levels.peak, 0), `a full-scale sine is -3.01 dBFS SPL, 0 dBFS peak (got ${levels.spl} / ${levels.peak})`);
+  const silence = computeLevels(new Float32Array(SAMPLE_RATE), SAMPLE_RATE);
+  check(silence.spl === -200 && silence.peak === -200, `silence reads -200 dB, not -Infinity (got ${silence.spl})`);
+  console.log(`dBFS      full-scale sine ${levels.spl} dBFS, silence ${silence.spl} dBFS`);
+}
+
+function checkChunkedSums(check) {
+  // an amplitude ramp, so every second and every Welch frame differs
+  const x = sine();
+  for (let i = 0; i < x.length; i++) x[i] *= 0.2 + i / x.length;
+  const whole = JSON.stringify(computeLevels(x, SAMPLE_RATE, CAL));
+  const n = welchSize(SAMPLE_RATE, x.length);
+  const cuts = [0, 12345, 3 * SAMPLE_RATE, 3 * SAMPLE_RATE + 1, 7.5 * SAMPLE_RATE, x.length];
+  let sums = null;
+  for (let i = 0; i + 1 < cuts.length; i++) {
+    const [from, to] = [cuts[i], cuts[i + 1]];
+    // each chunk only has its own samples and the Welch frames past them, like a worker's copy
+    const offset = Math.max(0, from - 100);
+    const part = levelSums(x.slice(offset, Math.min(x.length, to + n)), SAMPLE_RATE, x.length, from, to, offset);
+    sums = sums ? addLevelSums(sums, part) : part;
+  }
+  check(sums.count === x.length, 'the chunks count every sample once');
+  check(JSON.stringify(levelsFromSums(sums, SAMPLE_RATE, CAL)) === whole, 'chunked level sums give the same levels as the whole clip');
+  console.log(`chunks    ${cuts.length - 1} chunks, ${sums.frames} Welch frames of ${n}`);
+}
+
+function checkCalibrationValidation(check) {
+  check(validateCalibration(CAL).length === 0, 'a usable calibration passes');
+  check(validateCalibration(null).length === 1, 'null is refused');
+  check(validateCalibration({ ...CAL, sensitivityDb: -20 }).length === 1, 'a -20 dB sensitivity is refused');
+  check(validateCalibration({ ...CAL, adcFullScaleV: 0 }).length === 1, 'a zero full-scale voltage is refused');
+  check(validateCalibration({ sensitivityDb: '-170', gainDb: null, adcFullScaleV: 1 }).length === 2, 'non-numbers are refused');
+  console.log('calibration validation');
+}
+
+function main() {
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+  checkCalibratedSine(check);
+  checkFullScale(check);
+  checkChunkedSums(check);
+  checkCalibrationValidation(check);
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall level checks passed');
+}
+
+main();
@@ -0,0 +1,175 @@
+/* metadata.js - checks for the WAV metadata reader (recording-metadata.js)
+   - builds small WAV files in memory chunk by chunk and reads them back with
+     parseWavMetadata(): fmt, bext (time reference and text time), GUANO (with and
+     without a UTC offset), odd-sized chunks, and data / guan chunks that claim
+     more bytes than the file holds
+   - start times without a zone must say so in warnings: every bext time, and
+     GUANO timestamps without an offset
+   - usage, from the repository root:
+       node tests/metadata/metadata.js
+     exits 1 when any check fails
+*/
+
+const { parseWavMetadata, sampleRateWarnings, describeRecording } = require('../../recording-metadata.js');
+
+const NO_ZONE_BWF = 'BWF origination time carries no time zone — assumed to be UTC';
+const NO_ZONE_GUANO = 'GUANO timestamp has no UTC offset — assumed to be UTC';
+
+/* ------------------------------
+   WAV builder
+   ------------------------------ */
+function chunk(id, body, declaredSize = body.length) {
+  const out = Buffer.alloc(8 + body.length + (body.length & 1));
+  out.write(id, 0, 'latin1');
+  out.writeUInt32LE(declaredSize >>> 0, 4);
+  Buffer.from(body).copy(out, 8);
+  return out;
+}
+
+function fmt({ formatTag = 1, channels = 1, sampleRate = 48000, bitsPerSample = 16 } = {}) {
+  const body = Buffer.alloc(16);
+  const blockAlign = channels * bitsPerSample / 8;
+  body.writeUInt16LE(formatTag, 0);
+  body.writeUInt16LE(channels, 2);
+  body.writeUInt32LE(sampleRate, 4);
+  body.writeUInt32LE(sampleRate * blockAlign, 8);
+  body.writeUInt16LE(blockAlign, 12);
+  body.writeUInt16LE(bitsPerSample, 14);
+  return chunk('fmt ', body);
+}
+
+function bext({ date = '2024-05-01', time = '12:00:00', timeReference = 0, originator = 'test' } = {}) {
+  const body = Buffer.alloc(602);
+  body.write('bext test file', 0, 'latin1');
+  body.write(originator, 256, 'latin1');
+  body.write(date, 320, 'latin1');
+  body.write(time, 330, 'latin1');
+  body.writeUInt32LE(timeReference % 2 ** 32, 338);
+  body.writeUInt32LE(Math.floor(timeReference / 2 ** 32), 342);
+  return chunk('bext', body);
+}
+
+const guan = (text, declaredSize) => chunk('guan', Buffer.from(text, 'utf8'), declaredSize);
+const data = (bytes, declaredSize) => chunk('data', Buffer.alloc(bytes), declaredSize);
+
+function wav(...chunks) {
+  const body = Buffer.concat([Buffer.from('WAVE', 'latin1'), ...chunks]);
+  const head = Buffer.alloc(8);
+  head.write('RIFF', 0, 'latin1');
+  head.writeUInt32LE(body.length, 4);
+  return new Uint8Array(Buffer.concat([head, body]));
+}
+
+/* ------------------------------
+   Checks
+   ------------------------------ */
+function checkFormat(check) {
+  check(parseWavMetadata(new Uint8Array(Buffer.from('ID3\u0003 not a wav file'))) === null, 'non-RIFF bytes give null');
+  check(parseWavMetadata(new Uint8Array(4)) === null, 'a file shorter than a RIFF header gives null');
+
+  const m = parseWavMetadata(wav(fmt({ channels: 2, sampleRate: 44100, bitsPerSample: 24 }), data(44100 * 6 * 2)));
+  const f = m && m.format;
+  check(f && f.encoding === 'PCM' && f.channels === 2 && f.sampleRate === 44100 && f.bitsPerSample === 24 && f.blockAlign === 6,
+    `fmt: PCM, 2 ch, 44.1 kHz, 24-bit (got ${JSON.stringify(f)})`);
+  check(f && f.dataBytes === 44100 * 12 && f.duration === 2, `data: 2 s of audio (got ${f && f.duration} s)`);
+  check(m.startTime === null && m.startTimeSource === null && m.warnings.length === 0, 'no time metadata, no warnings');
+  check(describeRecording(m) === '44.1 kHz · 24-bit PCM · 2 ch', `describeRecording (got "${describeRecording(m)}")`);
+
+  const float = parseWavMetadata(wav(fmt({ formatTag: 3, bitsPerSample: 32 }), data(0)));
+  check(float.format.encoding === 'IEEE float', 'format tag 3 is IEEE float');
+
+  const noFmt = parseWavMetadata(wav(data(16)));
+  check(noFmt.format === null && /no fmt chunk/.test(noFmt.warnings[0]), 'a file without fmt is flagged');
+
+  const low = parseWavMetadata(wav(fmt({ sampleRate: 8000 }), data(16000)));
+  check(low.warnings.length === 1 && /8000 Hz/.test(low.warnings[0]), 'an 8 kHz recording is flagged for the high band');
+  check(sampleRateWarnings(12000).length === 1 && sampleRateWarnings(48000).length === 0, 'sampleRateWarnings: 12 kHz flagged, 48 kHz not');
+  console.log('fmt       formats, durations, missing fmt, low rates');
+}
+
+function checkBext(check) {
+  // one hour of samples past midnight: the time reference wins over the text time
+  const ref = parseWavMetadata(wav(fmt(), bext({ time: '09:30:00', timeReference: 48000 * 3600 }), data(96000)));
+  check(ref.bext && ref.bext.timeReference === 48000 * 3600 && ref.bext.originator === 'test', 'bext fields are read');
+  check(ref.startTime === '2024-05-01T01:00:00.000Z' && ref.startTimeSource === 'bext',
+    `timeReference counts from midnight (got ${ref.startTime})`);
+  check(ref.warnings.includes(NO_ZONE_BWF), 'a start time from timeReference is flagged as zone-less');
+
+  const text = parseWavMetadata(wav(fmt(), bext({ time: '09:30:15' }), data(96000)));
+  check(text.startTime === '2024-05-01T09:30:15.000Z', `without a time reference the text time is used (got ${text.startTime})`);
+  check(text.warnings.includes(NO_ZONE_BWF), 'a start time from the text time is flagged as zone-less');
+
+  const high = parseWavMetadata(wav(fmt(), bext({ timeReference: 2 ** 32 + 48000 }), data(16)));
+  check(high.bext.timeReference === 2 ** 32 + 48000, 'the 64-bit time reference keeps its high word');
+
+  const undated = parseWavMetadata(wav(fmt(), bext({ date: 'unknown' }), data(16)));
+  check(undated.startTime === null && !undated.warnings.includes(NO_ZONE_BWF), 'bext without a date gives no start time');
+  console.log('bext      time reference, text time, 64-bit reference, no date');
+}
+
+function checkGuano(check) {
+  const text = [
+    'GUANO|Version: 1.0',
+    'Timestamp: 2024-05-01T10:00:00.250+02:00',
+    'Loc Position: 69.6492 18.9553',
+    'Loc Elevation: -12',
+    'Make: Ocean Instruments',
+    'Model: SoundTrap 300',
+    'Serial: 1234',
+    'Temperature Ext: 4.5'
+  ].join('\n');
+  const m = parseWavMetadata(wav(fmt(), bext(), guan(text), data(96000)));
+  const g = m.guano;
+  check(g && g.version === '1.0' && g.timestamp === '2024-05-01T08:00:00.250Z' && g.timestampHasZone,
+    `GUANO timestamp with an offset is converted to UTC (got ${g && g.timestamp})`);
+  check(g.gps && g.gps.lat === 69.6492 && g.gps.lon === 18.9553 && g.gps.elevation === -12, 'GUANO position and elevation');
+  check(g.device && g.device.make === 'Ocean Instruments' && g.device.serial === '1234' && g.temperature === 4.5, 'GUANO device and temperature');
+  check(m.startTime === g.timestamp && m.startTimeSource === 'guano', 'GUANO wins over bext');
+  check(!m.warnings.includes(NO_ZONE_BWF) && !m.warnings.includes(NO_ZONE_GUANO), 'a zoned GUANO timestamp is not flagged');
+
+  const naive = parseWavMetadata(wav(fmt(), guan('GUANO|Version: 1.0\r\nTimestamp: 2024-05-01 10:00:00\r\n'), data(16)));
+  check(naive.startTime === '2024-05-01T10:00:00.000Z' && naive.warnings.includes(NO_ZONE_GUANO),
+    'a GUANO timestamp without an offset is read as UTC and flagged');
+
+  const untimed = parseWavMetadata(wav(fmt(), bext(), guan('GUANO|Version: 1.0\nMake: x'), data(16)));
+  check(untimed.startTimeSource === 'bext' && untimed.warnings.includes(NO_ZONE_BWF), 'GUANO without a timestamp leaves bext the start time');
+  console.log('guano     offsets, naive times, position, device, precedence');
+}
+
+function checkChunks(check) {
+  // an odd-sized chunk is padded to a word; the chunk after it must still be found
+  const odd = parseWavMetadata(wav(fmt(), chunk('LIST', Buffer.alloc(7)), bext(), data(96000)));
+  check(odd.bext && odd.format.duration === 1, 'an odd-sized chunk is skipped with its pad byte');
+
+  // streaming recorders leave 0xFFFFFFFF in the data size; a cut file is shorter than its header says
+  const streamed = parseWavMetadata(wav(fmt(), data(96000, 0xFFFFFFFF)));
+  check(streamed.format.dataBytes === 96000 && streamed.format.duration === 1,
+    `a data size of 0xFFFFFFFF is clamped to the bytes present (got ${streamed.format.dataBytes})`);
+  const cut = parseWavMetadata(wav(fmt(), data(48000, 96000 * 10)));
+  check(cut.format.dataBytes === 48000 && cut.format.duration === 0.5, 'a truncated data chunk counts only the bytes present');
+
+  const cutGuano = parseWavMetadata(wav(fmt(), data(16), guan('GUANO|Version: 1.0\nTimestamp: 2024-05-01T10:00:00Z\nMake: Cut', 4096)));
+  check(cutGuano.guano && cutGuano.guano.timestamp === '2024-05-01T10:00:00.000Z' && cutGuano.guano.device.make === 'Cut',
+    'a truncated guan chunk is read up to the end of the file');
+
+  const shortBext = parseWavMetadata(wav(fmt(), chunk('bext', Buffer.alloc(100)), data(16)));
+  check(shortBext.bext === null && shortBext.startTime === null, 'a bext chunk too short for its fixed fields is ignored');
+  console.log('chunks    odd sizes, 0xFFFFFFFF and truncated data, truncated guan, short bext');
+}
+
+function main() {
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+  checkFormat(check);
+  checkBext(check);
+  checkGuano(check);
+  checkChunks(check);
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall metadata checks passed');
+}
+
+main();
@@ -0,0 +1,130 @@
+"""make_golden.py - reference outputs of back.py for the JS/Python parity check
+
+Renders every signal in signals.json (exactly as signals.js does), runs
+back.py's analyze_timeline() on it with each built-in profile and writes
+golden.json next to this file. Run it from the repository root, in the
+environment back.py runs in, whenever back.py's DSP or the profiles change:
+
+    python3 tests/parity/make_golden.py
+    node tests/parity/parity.js
+"""
+import json
+import os
+import platform
+import sys
+
+import numpy as np
+
+NOISE_TONES = 256
+NOISE_BAND = (20, 16000)
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+sys.path.insert(0, os.path.dirname(os.path.dirname(HERE)))
+
+import back  # noqa: E402  (needs the repository root on sys.path)
+
+
+def create_rng(seed):
+    """mulberry32, bit for bit as in signals.js"""
+    state = [seed & 0xFFFFFFFF]
+
+    def imul(a, b):
+        return (a * b) & 0xFFFFFFFF
+
+    def rng():
+        state[0] = (state[0] + 0x6D2B79F5) & 0xFFFFFFFF
+        t = state[0]
+        t = imul(t ^ (t >> 15), t | 1)
+        t ^= (t + imul(t ^ (t >> 7), t | 61)) & 0xFFFFFFFF
+        return ((t ^ (t >> 14)) & 0xFFFFFFFF) / 4294967296
+
+    return rng
+
+
+def js_round(x):
+    """Math.round: halves go up (Python's round() goes to even)"""
+    return int(np.floor(x + 0.5))
+
+
+def add_component(out, c, sr, seconds):
+    n = len(out)
+    t = np.arange(n) / sr
+    if c['type'] == 'sine':
+        out += c['amp'] * np.sin(2 * np.pi * c['freq'] * np.arange(n) / sr + c.get('phase', 0))
+    elif c['type'] == 'am':
+        out += c['amp'] * (1 - c['depth'] * 0.5 * (1 + np.cos(2 * np.pi * c['modFreq'] * t))) * np.sin(2 * np.pi * c['freq'] * t)
+    elif c['type'] == 'chirp':
+        k = (c['f1'] - c['f0']) / seconds
+        out += c['amp'] * np.sin(2 * np.pi * (c['f0'] * t + 0.5 * k * t * t))
+    elif c['type'] == 'noise':
+        rng = create_rng(c['seed'])
+        a = c['amp'] * np.sqrt(2 / (3 * NOISE_TONES))
+        for _ in range(NOISE_TONES):
+            freq = NOISE_BAND[0] + rng() * (NOISE_BAND[1] - NOISE_BAND[0])
+            phase = 2 * np.pi * rng()
+            out += a * np.sin(2 * np.pi * freq * np.arange(n) / sr + phase)
+    elif c['type'] == 'clicks':
+        length = js_round(c['cycles'] / c['freq'] * sr)
+        j = np.arange(length)
+        burst = c['amp'] * (0.5 - 0.5 * np.cos(2 * np.pi * j / length)) * np.sin(2 * np.pi * c['freq'] * j / sr)
+        t0 = 0.05
+        while t0 < seconds:  # accumulated like the JS loop so the click positions match
+            s0 = js_round(t0 * sr)
+            take = max(0, min(length, n - s0))
+            out[s0:s0 + take] += burst[:take]
+            t0 += 1 / c['rate']
+    else:
+        raise ValueError(f"unknown signal component {c['type']!r}")
+
+
+def render_signal(spec, sr):
+    """(samples,) or (samples, channels) float32, the shape soundfile decodes to"""
+    n = js_round(spec['seconds'] * sr)
+    channels = []
+    for components in spec['channels']:
+        acc = np.zeros(n)
+        for c in components:
+            add_component(acc, c, sr, spec['seconds'])
+        channels.append(acc.astype(np.float32))
+    return channels[0] if len(channels) == 1 else np.stack(channels, axis=1)
+
+
+def main():
+    with open(os.path.join(HERE, 'signals.json'), encoding='utf-8') as fh:
+        specs = json.load(fh)['signals']
+    profiles = {name: back.load_profile(name) for name in back.list_profiles()}
+
+    cases = {}
+    for spec in specs:
+        for sr in spec['rates']:
+            waveform = render_signal(spec, sr)
+            case = {'signal': spec['name'], 'sampleRate': sr, 'windows': None, 'profiles': {}}
+            for name, profile in profiles.items():
+                timeline = back.analyze_timeline(waveform, sr, profile)
+                if case['windows'] is None:
+                    case['windows'] = [{k: w[k] for k in ('start', 'end', 'features')} for w in timeline['windows']]
+                case['profiles'][name] = {
+                    # the soundscape indices use the profile's bands, so they differ per profile
+                    'soundscape': [{k: w['features'][k] for k in back.SOUNDSCAPE_FEATURE_KEYS} for w in timeline['windows']],
+                    'scores': [w['score'] for w in timeline['windows']],
+                    'isBoat': [w['isBoat'] for w in timeline['windows']],
+                    'mean': timeline['summary']['mean']
+                }
+            cases[f"{spec['name']}@{sr}"] = case
+            print(f"{spec['name']}@{sr}: {len(case['windows'])} windows")
+
+    golden = {
+        'generatedBy': 'back.py',
+        'python': platform.python_version(),
+        'numpy': np.__version__,
+        'canonicalSampleRate': back.CANONICAL_SAMPLE_RATE,
+        'cases': cases
+    }
+    with open(os.path.join(HERE, 'golden.json'), 'w', encoding='utf-8') as fh:
+        json.dump(golden, fh, indent=1)
+        fh.write('\n')
+    print(f"wrote {len(cases)} cases to golden.json")
+
+
+if __name__ == '__main__':
+    main()
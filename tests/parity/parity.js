@@ -0,0 +1,165 @@
+/* parity.js - JS/Python parity and sample-rate checks for the feature extractor and scorer
+   - renders the signals in signals.json, analyses them the way the page does
+     (toCanonicalRate -> analyzeWindowRange with each built-in profile) and
+     compares every window against golden.json, written by make_golden.py from back.py
+   - also checks that the same signal gives the same clip-level features at every
+     rate it lists, i.e. that resampling to CANONICAL_SAMPLE_RATE does its job
+   - usage, from the repository root:
+       node tests/parity/parity.js            both checks
+       node tests/parity/parity.js --rates    sample-rate check only (no golden.json needed)
+     exits 1 when any value is out of tolerance
+*/
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../../analysis-core.js');
+const { renderSignal, loadSignalSpecs } = require('./signals.js');
+
+const GOLDEN_FILE = path.join(__dirname, 'golden.json');
+const PROFILE_DIR = path.join(__dirname, '..', '..', 'profiles');
+
+// JS vs back.py on the same samples: float32 FFT vs float64 and last-digit rounding
+const PARITY_TOLERANCE = {
+  rms: { abs: 2e-4 },
+  lowRatio: { abs: 0.002 },
+  midRatio: { abs: 0.002 },
+  highRatio: { abs: 0.002 },
+  centroid: { abs: 2, rel: 0.002 },
+  flatness: { abs: 0.002 },
+  lowPeakiness: { abs: 0.02, rel: 0.005 },
+  clickConfidence: { abs: 0.03 },
+  whistleConfidence: { abs: 0.03 },
+  aci: { abs: 0.5, rel: 0.01 },
+  adi: { abs: 0.01 },
+  bi: { abs: 2, rel: 0.01 },
+  ndsi: { abs: 0.005 },
+  temporalEntropy: { abs: 0.005 },
+  spectralEntropy: { abs: 0.005 }
+};
+const SCORE_TOLERANCE = 1;
+
+// one signal at different rates: different noise samples and a different band edge
+const RATE_TOLERANCE = {
+  rms: { abs: 1e-3, rel: 0.03 },
+  lowRatio: { abs: 0.02 },
+  midRatio: { abs: 0.02 },
+  highRatio: { abs: 0.02 },
+  centroid: { abs: 20, rel: 0.03 },
+  flatness: { abs: 0.03 },
+  lowPeakiness: { abs: 0.1, rel: 0.1 },
+  clickConfidence: { abs: 0.1 },
+  whistleConfidence: { abs: 0.1 },
+  aci: { abs: 2, rel: 0.05 },
+  adi: { abs: 0.05 },
+  bi: { abs: 20, rel: 0.05 },
+  ndsi: { abs: 0.03 },
+  temporalEntropy: { abs: 0.02 },
+  spectralEntropy: { abs: 0.03 }
+};
+const RATE_SCORE_TOLERANCE = 3;
+
+const within = (a, b, tol) => Math.abs(a - b) <= Math.max(tol.abs || 0, (tol.rel || 0) * Math.max(Math.abs(a), Math.abs(b)));
+
+function loadProfiles() {
+  const names = JSON.parse(fs.readFileSync(path.join(PROFILE_DIR, 'index.json'), 'utf8'));
+  return names.map(name => JSON.parse(fs.readFileSync(path.join(PROFILE_DIR, name + '.json'), 'utf8')));
+}
+
+// rendering and resampling dominate the run time, so do each signal and rate once
+const _views = {};
+function canonicalView(spec, sampleRate) {
+  const key = `${spec.name}@${sampleRate}`;
+  if (!_views[key]) _views[key] = core.toCanonicalRate(core.channelView(renderSignal(spec, sampleRate), sampleRate));
+  return _views[key];
+}
+
+function analyzeSignal(spec, sampleRate, profile) {
+  const view = canonicalView(spec, sampleRate);
+  const starts = core.timelineWindowStarts(view.length);
+  const windows = core.analyzeWindowRange(view, starts, 0, starts.length, profile);
+  return { windows, summary: core.summarizeTimeline(windows) };
+}
+
+function checkGolden(specs, profiles, failures) {
+  const golden = JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8'));
+  if (golden.canonicalSampleRate !== core.CANONICAL_SAMPLE_RATE) {
+    failures.push(`golden.json was made at ${golden.canonicalSampleRate} Hz, JS analyses at ${core.CANONICAL_SAMPLE_RATE} Hz — rerun make_golden.py`);
+    return;
+  }
+  for (const spec of specs) {
+    for (const sr of spec.rates) {
+      const key = `${spec.name}@${sr}`;
+      const ref = golden.cases[key];
+      if (!ref) { failures.push(`${key}: missing from golden.json — rerun make_golden.py`); continue; }
+      const worst = {};
+      for (const profile of profiles) {
+        const { windows, summary } = analyzeSignal(spec, sr, profile);
+        const refProfile = ref.profiles[profile.name];
+        if (windows.length !== ref.windows.length) {
+          failures.push(`${key}: ${windows.length} windows in JS, ${ref.windows.length} in back.py`);
+          break;
+        }
+        windows.forEach((w, i) => {
+          for (const k of core.FEATURE_KEYS) {
+            const perProfile = refProfile && core.SOUNDSCAPE_FEATURE_KEYS.includes(k);
+            const a = w.features[k], b = perProfile ? refProfile.soundscape[i][k] : ref.windows[i].features[k];
+            worst[k] = Math.max(worst[k] || 0, Math.abs(a - b));
+            if (!within(a, b, PARITY_TOLERANCE[k])) failures.push(`${key} window ${i}${perProfile ? ` (${profile.name})` : ''}: ${k} JS ${a} vs back.py ${b}`);
+          }
+          if (!refProfile) return;
+          if (Math.abs(w.score - refProfile.scores[i]) > SCORE_TOLERANCE) {
+            failures.push(`${key} window ${i} (${profile.name}): score JS ${w.score} vs back.py ${refProfile.scores[i]}`);
+          }
+          if (w.isBoat !== refProfile.isBoat[i]) {
+            failures.push(`${key} window ${i} (${profile.name}): isBoat JS ${w.isBoat} vs back.py ${refProfile.isBoat[i]}`);
+          }
+        });
+        if (refProfile && Math.abs(summary.mean - refProfile.mean) > SCORE_TOLERANCE) {
+          failures.push(`${key} (${profile.name}): mean score JS ${summary.mean} vs back.py ${refProfile.mean}`);
+        }
+      }
+      console.log(`parity ${key.padEnd(28)} max |Δ| ` + core.FEATURE_KEYS.map(k => `${k} ${(worst[k] || 0).toPrecision(2)}`).join(', '));
+    }
+  }
+}
+
+function checkRates(specs, profile, failures) {
+  for (const spec of specs) {
+    if (!spec.rates.includes(core.CANONICAL_SAMPLE_RATE) || spec.rates.length < 2) continue;
+    const base = analyzeSignal(spec, core.CANONICAL_SAMPLE_RATE, profile).summary;
+    for (const sr of spec.rates) {
+      if (sr === core.CANONICAL_SAMPLE_RATE) continue;
+      const other = analyzeSignal(spec, sr, profile).summary;
+      const label = `${spec.name}@${sr} vs @${core.CANONICAL_SAMPLE_RATE}`;
+      for (const k of core.FEATURE_KEYS) {
+        const a = other.meanFeatures[k], b = base.meanFeatures[k];
+        if (!within(a, b, RATE_TOLERANCE[k])) failures.push(`${label}: mean ${k} ${a.toFixed(4)} vs ${b.toFixed(4)}`);
+      }
+      if (Math.abs(other.mean - base.mean) > RATE_SCORE_TOLERANCE) failures.push(`${label}: mean score ${other.mean} vs ${base.mean}`);
+      console.log(`rates  ${label.padEnd(40)} score ${other.mean} vs ${base.mean}`);
+    }
+  }
+}
+
+function main() {
+  const ratesOnly = process.argv.includes('--rates');
+  const specs = loadSignalSpecs();
+  const profiles = loadProfiles();
+  const failures = [];
+  if (!ratesOnly) {
+    if (!fs.existsSync(GOLDEN_FILE)) {
+      console.error('golden.json not found — run `python3 tests/parity/make_golden.py` where back.py runs, or pass --rates');
+      process.exit(1);
+    }
+    checkGolden(specs, profiles, failures);
+  }
+  checkRates(specs, profiles.find(p => p.name === 'default') || profiles[0], failures);
+  if (failures.length) {
+    console.error(`\n${failures.length} value(s) out of tolerance:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall values within tolerance');
+}
+
+main();
@@ -0,0 +1,86 @@
+/* signals.js - renders the synthetic signals in signals.json
+   - make_golden.py renders the same specs sample for sample: the maths is done
+     in float64 and every channel is stored as float32, as decoded audio is
+   - components (summed per channel):
+       sine    { freq, amp, phase = 0 }
+       am      { freq, amp, modFreq, depth }        amplitude-modulated sine
+       chirp   { f0, f1, amp }                       linear sweep over the clip
+       noise   { amp, seed }                         NOISE_TONES random sines (mulberry32) spread
+                                                     over NOISE_BAND, RMS amp / sqrt(3) like uniform
+                                                     noise in [-amp, amp] — unlike sample-by-sample
+                                                     noise it is the same signal at every rate
+       clicks  { rate, freq, cycles, amp }           Hann-windowed bursts every 1/rate s, from 0.05 s
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const SIGNALS_FILE = path.join(__dirname, 'signals.json');
+const NOISE_TONES = 256;
+const NOISE_BAND = [20, 16000];
+
+// mulberry32, as in synth-sounds.js
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function addComponent(out, c, sampleRate, seconds) {
+  const n = out.length;
+  const TWO_PI = 2 * Math.PI;
+  if (c.type === 'sine') {
+    for (let i = 0; i < n; i++) out[i] += c.amp * Math.sin(TWO_PI * c.freq * i / sampleRate + (c.phase || 0));
+  } else if (c.type === 'am') {
+    for (let i = 0; i < n; i++) {
+      const t = i / sampleRate;
+      out[i] += c.amp * (1 - c.depth * 0.5 * (1 + Math.cos(TWO_PI * c.modFreq * t))) * Math.sin(TWO_PI * c.freq * t);
+    }
+  } else if (c.type === 'chirp') {
+    const k = (c.f1 - c.f0) / seconds;
+    for (let i = 0; i < n; i++) {
+      const t = i / sampleRate;
+      out[i] += c.amp * Math.sin(TWO_PI * (c.f0 * t + 0.5 * k * t * t));
+    }
+  } else if (c.type === 'noise') {
+    const rng = createRng(c.seed);
+    const a = c.amp * Math.sqrt(2 / (3 * NOISE_TONES));
+    for (let k = 0; k < NOISE_TONES; k++) {
+      const freq = NOISE_BAND[0] + rng() * (NOISE_BAND[1] - NOISE_BAND[0]);
+      const phase = TWO_PI * rng();
+      for (let i = 0; i < n; i++) out[i] += a * Math.sin(TWO_PI * freq * i / sampleRate + phase);
+    }
+  } else if (c.type === 'clicks') {
+    const len = Math.round(c.cycles / c.freq * sampleRate);
+    for (let t0 = 0.05; t0 < seconds; t0 += 1 / c.rate) {
+      const s0 = Math.round(t0 * sampleRate);
+      for (let j = 0; j < len && s0 + j < n; j++) {
+        const w = 0.5 - 0.5 * Math.cos(TWO_PI * j / len);
+        out[s0 + j] += c.amp * w * Math.sin(TWO_PI * c.freq * j / sampleRate);
+      }
+    }
+  } else {
+    throw new Error(`unknown signal component "${c.type}"`);
+  }
+}
+
+// spec at sampleRate -> array of Float32Array channels
+function renderSignal(spec, sampleRate) {
+  const n = Math.round(spec.seconds * sampleRate);
+  return spec.channels.map(components => {
+    const acc = new Float64Array(n);
+    components.forEach(c => addComponent(acc, c, sampleRate, spec.seconds));
+    return Float32Array.from(acc);
+  });
+}
+
+function loadSignalSpecs() {
+  return JSON.parse(fs.readFileSync(SIGNALS_FILE, 'utf8')).signals;
+}
+
+module.exports = { createRng, renderSignal, loadSignalSpecs };
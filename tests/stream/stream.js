@@ -0,0 +1,259 @@
+/* stream.js - end-to-end check of back.py /stream (protocol "mam-stream" v1)
+   - starts back.py on a local port, runs the checks below against it and stops it
+   - protocol, on a bare socket: a bad hello gets an "error"; a good one gets
+     "ready" with the window, hop and maxInFlight; every PCM frame gets one "ack"
+     for the sample after it, "result" windows follow every hop, and a frame
+     that isn't whole float32 sample frames gets an "error"
+   - client (analysis-stream.js): send() refuses a block once maxInFlight frames
+     are unacknowledged and takes blocks again as acks come in; every window the
+     server scores matches the page's own live scorer on the same samples
+   - needs a WebSocket: Node 22+, `node --experimental-websocket` on Node 20, or
+     the `ws` package; back.py needs its own environment (flask, flask-sock, ...)
+   - usage, from the repository root:
+       node tests/stream/stream.js
+       PYTHON=.venv/bin/python STREAM_PORT=5057 node tests/stream/stream.js
+     exits 1 when any check fails
+*/
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const core = require('../../analysis-core.js');
+const { createAnalysisStream, STREAM_PROTOCOL, STREAM_PROTOCOL_VERSION } = require('../../analysis-stream.js');
+const { renderSignal, loadSignalSpecs } = require('../parity/signals.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PYTHON = process.env.PYTHON || 'python3';
+const PORT = Number(process.env.STREAM_PORT) || 5057;
+const URL = `ws://127.0.0.1:${PORT}/stream`;
+const SIGNAL = 'orca-whistle-clicks';
+const SAMPLE_RATE = 44100;
+const BLOCK_FRAMES = 4096;
+const SERVER_START_MS = 60000;
+const REPLY_MS = 20000;
+const SCORE_TOLERANCE = 1; // as in tests/parity/parity.js
+
+function webSocketImpl() {
+  if (typeof WebSocket !== 'undefined') return WebSocket;
+  try {
+    return require('ws');
+  } catch (err) {
+    console.error('no WebSocket — use Node 22+, `node --experimental-websocket`, or install `ws`');
+    process.exit(1);
+  }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function waitFor(test, ms, what) {
+  const until = Date.now() + ms;
+  while (!test()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await sleep(20);
+  }
+}
+
+/* ------------------------------
+   back.py, on 127.0.0.1:PORT
+   ------------------------------ */
+function startServer() {
+  const code = `import sys; sys.path.insert(0, ${JSON.stringify(ROOT)}); import back; back.app.run(host='127.0.0.1', port=${PORT})`;
+  const proc = spawn(PYTHON, ['-c', code], { cwd: ROOT, stdio: ['ignore', 'pipe', 'pipe'] });
+  proc.log = '';
+  proc.exited = false;
+  const keep = chunk => { proc.log = (proc.log + chunk).slice(-4000); };
+  proc.stdout.on('data', keep);
+  proc.stderr.on('data', keep);
+  proc.on('exit', () => { proc.exited = true; });
+  return proc;
+}
+
+function portOpen() {
+  return new Promise(resolve => {
+    const sock = net.connect(PORT, '127.0.0.1');
+    sock.once('connect', () => { sock.destroy(); resolve(true); });
+    sock.once('error', () => resolve(false));
+  });
+}
+
+async function waitForServer(proc) {
+  const until = Date.now() + SERVER_START_MS;
+  while (!(await portOpen())) {
+    if (proc.exited) throw new Error('back.py exited:\n' + proc.log);
+    if (Date.now() > until) throw new Error('back.py did not start listening:\n' + proc.log);
+    await sleep(200);
+  }
+}
+
+/* ------------------------------
+   Bare socket: one JSON message at a time
+   ------------------------------ */
+function openSocket(WS) {
+  return new Promise((resolve, reject) => {
+    const ws = new WS(URL);
+    ws.binaryType = 'arraybuffer';
+    const inbox = [];
+    const waiting = [];
+    ws.onmessage = (e) => {
+      if (typeof e.data !== 'string') return;
+      const msg = JSON.parse(e.data);
+      if (waiting.length) waiting.shift()(msg);
+      else inbox.push(msg);
+    };
+    ws.onerror = () => reject(new Error('could not open ' + URL));
+    ws.onopen = () => {
+      ws.next = () => (inbox.length ? Promise.resolve(inbox.shift()) : Promise.race([
+        new Promise(r => waiting.push(r)),
+        sleep(REPLY_MS).then(() => { throw new Error('no reply from /stream'); })
+      ]));
+      resolve(ws);
+    };
+  });
+}
+
+// float64 LE start sample, then interleaved float32 LE PCM
+function pcmFrame(interleaved, startSample) {
+  const frame = new ArrayBuffer(8 + interleaved.length * 4);
+  const view = new DataView(frame);
+  view.setFloat64(0, startSample, true);
+  interleaved.forEach((v, i) => view.setFloat32(8 + i * 4, v, true));
+  return frame;
+}
+
+function hello(extra) {
+  return JSON.stringify({ type: 'hello', protocol: STREAM_PROTOCOL, version: STREAM_PROTOCOL_VERSION, ...extra });
+}
+
+// window starts (native samples) the server cuts from a gapless stream of n samples
+function expectedOrigins(n, window, hop) {
+  const origins = [];
+  for (let o = 0; o + window <= n; o += hop) origins.push(o);
+  return origins;
+}
+
+async function checkProtocol(WS, mono, check) {
+  let ws = await openSocket(WS);
+  ws.send(hello({ sampleRate: SAMPLE_RATE, version: STREAM_PROTOCOL_VERSION + 1 }));
+  const refused = await ws.next();
+  check(refused.type === 'error' && /version/.test(refused.message), `hello with a future version is refused (got ${JSON.stringify(refused)})`);
+  // CLOSING once the server's close frame is in, CLOSED when the connection is gone
+  await waitFor(() => ws.readyState >= 2, REPLY_MS, 'the server to close after a bad hello');
+  ws.close();
+
+  ws = await openSocket(WS);
+  ws.send(hello({ sampleRate: SAMPLE_RATE, channels: 2, profile: 'default' }));
+  const ready = await ws.next();
+  const window = core.canonicalWindowSamples(SAMPLE_RATE);
+  check(ready.type === 'ready', `hello is answered with "ready" (got ${JSON.stringify(ready)})`);
+  check(ready.protocol === STREAM_PROTOCOL && ready.version === STREAM_PROTOCOL_VERSION, 'ready names the protocol and version');
+  check(ready.profile === 'default', 'ready names the profile');
+  check(ready.windowSamples === window && ready.hopSamples === Math.floor(window / 2),
+    `ready gives one canonical window at ${SAMPLE_RATE} Hz and half of it as hop (got ${ready.windowSamples}/${ready.hopSamples})`);
+  check(Number.isInteger(ready.maxInFlight) && ready.maxInFlight >= 1, 'ready gives maxInFlight');
+
+  // stereo, interleaved: the server scores the mix of the two channels
+  const results = [];
+  let acks = 0;
+  for (let start = 0; start < mono.length; start += BLOCK_FRAMES) {
+    const block = mono.subarray(start, Math.min(mono.length, start + BLOCK_FRAMES));
+    const interleaved = new Float32Array(block.length * 2);
+    block.forEach((v, i) => { interleaved[2 * i] = v; interleaved[2 * i + 1] = v; });
+    ws.send(pcmFrame(interleaved, start));
+    for (;;) {
+      const msg = await ws.next();
+      if (msg.type === 'result') { results.push(msg.window); continue; }
+      check(msg.type === 'ack' && msg.samples === start + block.length,
+        `frame at ${start} is acknowledged with samples ${start + block.length} (got ${JSON.stringify(msg)})`);
+      acks++;
+      break;
+    }
+  }
+  const origins = expectedOrigins(mono.length, ready.windowSamples, ready.hopSamples);
+  check(acks === Math.ceil(mono.length / BLOCK_FRAMES), 'one ack per frame');
+  check(results.length === origins.length, `${origins.length} result windows (got ${results.length})`);
+  check(results.every((w, i) => w.start === Number((origins[i] / SAMPLE_RATE).toFixed(3))), 'result windows start every hop');
+
+  ws.send(new ArrayBuffer(8 + 6));
+  const bad = await ws.next();
+  check(bad.type === 'error', `a frame of partial samples gets an "error" (got ${JSON.stringify(bad)})`);
+  ws.close();
+  console.log(`protocol  ready, ${acks} acks, ${results.length} windows, errors on bad hello and bad frame`);
+}
+
+/* ------------------------------
+   analysis-stream.js against the server
+   ------------------------------ */
+async function checkClient(WS, mono, profile, check) {
+  const windows = [];
+  let ready = null;
+  const stream = createAnalysisStream({
+    url: URL,
+    sampleRate: SAMPLE_RATE,
+    profile: profile.name,
+    WebSocketImpl: WS,
+    onWindow: w => windows.push(w),
+    onStatus: (s, detail) => { if (s === 'open') ready = detail; }
+  });
+  try {
+    await waitFor(() => ready, REPLY_MS, 'the client to open the stream');
+    const blocks = [];
+    for (let start = 0; start < mono.length; start += BLOCK_FRAMES) blocks.push([mono.subarray(start, start + BLOCK_FRAMES), start]);
+
+    // backpressure: nothing has been acknowledged yet, so the block after maxInFlight is refused
+    let sent = 0;
+    while (sent < ready.maxInFlight && sent < blocks.length && stream.send(...blocks[sent])) sent++;
+    check(sent === Math.min(ready.maxInFlight, blocks.length), `send() takes maxInFlight (${ready.maxInFlight}) blocks at once (took ${sent})`);
+    if (sent < blocks.length) check(!stream.send(...blocks[sent]), 'send() refuses a block past maxInFlight unacknowledged frames');
+
+    // ...and takes blocks again as the acks come back
+    while (sent < blocks.length) {
+      await waitFor(() => stream.send(...blocks[sent]), REPLY_MS, `an ack to free room for block ${sent}`);
+      sent++;
+    }
+    const origins = expectedOrigins(mono.length, ready.windowSamples, ready.hopSamples);
+    await waitFor(() => windows.length >= origins.length, REPLY_MS, `${origins.length} streamed windows`);
+    check(windows.length === origins.length, `${origins.length} streamed windows (got ${windows.length})`);
+
+    // the page's live scorer (front.js analyzeLiveWindow) on the same samples
+    const bands = core.soundscapeBands(profile);
+    let worst = 0;
+    windows.forEach((w, i) => {
+      const samples = mono.slice(origins[i], origins[i] + ready.windowSamples);
+      const view = core.toCanonicalRate(core.channelView([samples], SAMPLE_RATE));
+      const local = core.computeEnvironmentalScore(core.analyzeWindowFeatures(view, 0, view.length, bands), { profile });
+      worst = Math.max(worst, Math.abs(local.score - w.score));
+      check(Math.abs(local.score - w.score) <= SCORE_TOLERANCE, `window ${i} at ${w.start} s: server ${w.score} vs local ${local.score}`);
+    });
+    console.log(`client    ${blocks.length} blocks through maxInFlight ${ready.maxInFlight}, ${windows.length} windows, max |Δscore| ${worst}`);
+  } finally {
+    stream.close();
+  }
+}
+
+async function main() {
+  const WS = webSocketImpl();
+  const spec = loadSignalSpecs().find(s => s.name === SIGNAL);
+  const mono = renderSignal(spec, SAMPLE_RATE)[0];
+  const profile = require(path.join(ROOT, 'profiles', 'default.json'));
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+
+  const server = startServer();
+  try {
+    await waitForServer(server);
+    await checkProtocol(WS, mono, check);
+    await checkClient(WS, mono, profile, check);
+  } catch (err) {
+    failures.push(err.message);
+  } finally {
+    server.kill();
+  }
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall stream checks passed');
+}
+
+main();
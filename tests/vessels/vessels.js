@@ -0,0 +1,114 @@
+/* vessels.js - checks for the vessel passages (vessel-events.js)
+   - groupPassages(): runs of boat windows bridged across gaps up to
+     PASSAGE_MERGE_GAP seconds, runs shorter than PASSAGE_MIN_SECONDS dropped
+   - demonAnalysis() on noise amplitude-modulated like a propeller (a shaft rate
+     and a stronger blade-rate line) finds both rates and the blade count, and
+     nothing in steady noise, too short a stretch or too low a sample rate
+   - detectVesselPassages() on a passing source: onset / offset from the windows,
+     CPA and peak where the level tops out, DEMON rates at CPA; the CSV export
+     gets UTC columns once the start time is known
+   - usage, from the repository root:
+       node tests/vessels/vessels.js
+     exits 1 when any check fails
+*/
+
+const {
+  PASSAGE_MERGE_GAP, PASSAGE_MIN_SECONDS, groupPassages, demonAnalysis, detectVesselPassages, vesselEventsCsv
+} = require('../../vessel-events.js');
+const { createRng } = require('../parity/signals.js');
+
+const SAMPLE_RATE = 32000;
+const SHAFT_HZ = 3.2;
+const BLADES = 4;
+const HOP = 0.5;
+
+// windows every HOP s over `seconds`, boat where isBoat(start) says so
+function timeline(seconds, isBoat) {
+  const windows = [];
+  for (let t = 0; t + 1 <= seconds; t += HOP) windows.push({ start: t, end: t + 1, isBoat: isBoat(t) });
+  return windows;
+}
+
+// white noise modulated at the shaft rate and, stronger, at BLADES times it; gain(t) scales it over time
+function propellerNoise(seconds, { modulated = true, gain = () => 1, seed = 3 } = {}) {
+  const rng = createRng(seed);
+  const x = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < x.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const env = modulated
+      ? 1 + 0.25 * Math.sin(2 * Math.PI * SHAFT_HZ * t) + 0.6 * Math.sin(2 * Math.PI * BLADES * SHAFT_HZ * t)
+      : 1;
+    x[i] = 0.1 * gain(t) * env * (2 * rng() - 1);
+  }
+  return x;
+}
+
+function checkGrouping(check) {
+  const boat = (...spans) => t => spans.some(([a, b]) => t >= a && t < b);
+  // a lone 1 s window is too short; runs 7.5 s apart merge, one 14.5 s further on stays apart
+  const windows = timeline(80, boat([2, 2.5], [20, 30], [38, 45], [60, 70]));
+  const runs = groupPassages(windows).map(([a, b]) => [windows[a].start, windows[b].end]);
+  check(JSON.stringify(runs) === JSON.stringify([[20, 45.5], [60, 70.5]]),
+    `runs ${PASSAGE_MERGE_GAP} s apart or less merge, shorter than ${PASSAGE_MIN_SECONDS} s are dropped (got ${JSON.stringify(runs)})`);
+  check(groupPassages(timeline(30, () => false)).length === 0, 'no boat windows, no passages');
+  check(groupPassages([]).length === 0, 'an empty timeline has no passages');
+  const edge = timeline(12, boat([0, 1.5]));
+  check(groupPassages(edge).length === 1, `a ${PASSAGE_MIN_SECONDS} s run at the clip start counts`);
+  console.log(`grouping  ${runs.length} passages from ${windows.filter(w => w.isBoat).length} boat windows`);
+}
+
+function checkDemon(check) {
+  const x = propellerNoise(10);
+  const d = demonAnalysis(x, SAMPLE_RATE, 0, x.length);
+  check(d && Math.abs(d.shaftRateHz - SHAFT_HZ) <= 0.1, `shaft rate ${SHAFT_HZ} Hz (got ${d && d.shaftRateHz})`);
+  check(d && d.blades === BLADES && Math.abs(d.bladeRateHz - BLADES * SHAFT_HZ) <= 0.2,
+    `blade rate ${BLADES * SHAFT_HZ} Hz from ${BLADES} blades (got ${d && d.bladeRateHz} Hz, ${d && d.blades})`);
+  check(d && d.shaftRpm === Math.round(d.shaftRateHz * 60), 'rpm follows the shaft rate');
+  check(d && d.band[0] === 1000 && d.band[1] === 10000, `the DEMON band is 1-10 kHz (got ${d && d.band})`);
+
+  const steady = propellerNoise(10, { modulated: false });
+  check(demonAnalysis(steady, SAMPLE_RATE, 0, steady.length) === null, 'steady noise has no propeller lines');
+  check(demonAnalysis(x, SAMPLE_RATE, 0, SAMPLE_RATE) === null, 'one second is too short for DEMON');
+  check(demonAnalysis(x, 2000, 0, x.length) === null, 'a 2 kHz rate has no room for the DEMON band');
+  console.log(`demon     shaft ${d && d.shaftRateHz} Hz (${d && d.shaftRpm} rpm), blade ${d && d.bladeRateHz} Hz, salience ${d && d.salience}`);
+}
+
+function checkPassages(check) {
+  // a boat heard from 10 s to 50 s, loudest at 30 s
+  const seconds = 60;
+  const x = propellerNoise(seconds, { gain: t => 10 ** (-Math.abs(t - 30) / 20) });
+  const windows = timeline(seconds, t => t >= 10 && t < 50);
+  const cal = { sensitivityDb: -170, gainDb: 0, adcFullScaleV: 1 };
+  const vessels = detectVesselPassages(x, SAMPLE_RATE, windows, cal);
+  const p = vessels.passages[0];
+  check(vessels.unit === 'dB re 1 µPa' && vessels.passages.length === 1, 'one passage, in dB re 1 µPa');
+  check(p && p.onset === 10 && p.offset === 50.5 && p.duration === 40.5 && p.windows === 80,
+    `onset / offset from the boat windows (got ${p && [p.onset, p.offset, p.duration, p.windows]})`);
+  check(p && Math.abs(p.cpa - 30) <= 1 && Math.abs(p.peak - 30) <= 1, `CPA and peak at 30 s (got ${p && p.cpa} / ${p && p.peak})`);
+  // uniform noise of peak amplitude 0.1 has a mean square of 0.01 / 3; the modulation adds its own power
+  const expected = 10 * Math.log10(0.01 / 3 * (1 + 0.25 ** 2 / 2 + 0.6 ** 2 / 2)) + 170;
+  check(p && Math.abs(p.peakLevel - expected) <= 0.5, `peak level about ${expected.toFixed(1)} dB (got ${p && p.peakLevel})`);
+  check(p && p.demon && p.demon.blades === BLADES, 'DEMON at CPA finds the blades');
+
+  const csv = vesselEventsCsv(vessels, '2024-05-01T10:00:00.000Z').split('\r\n');
+  check(csv[0].endsWith('onsetUtc,peakUtc,cpaUtc,offsetUtc') && csv[1].includes('2024-05-01T10:00:10.000Z'),
+    'the CSV export adds UTC times from the recording start');
+  check(vesselEventsCsv(vessels).split('\r\n')[0].endsWith('demonSalience'), 'without a start time the CSV has no UTC columns');
+  console.log(`passages  ${vessels.passages.length} passage, CPA ${p && p.cpa} s, peak ${p && p.peakLevel} ${vessels.unit}`);
+}
+
+function main() {
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+  checkGrouping(check);
+  checkDemon(check);
+  checkPassages(check);
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall vessel checks passed');
+}
+
+main();
@@ -0,0 +1,145 @@
+/* voice.js - checks for the voice-command grammar and recognition wrapper (voice-commands.js)
+   - parseVoiceCommand(): phrases map to the commands listed in voice-commands.js,
+     unknown or empty phrases to null
+   - every section a command can navigate to is an element id in index.html
+   - createVoiceAssistant() on a mock SpeechRecognition that fires onresult /
+     onerror / onend the way browsers do: alternatives are tried in order, an
+     unparseable result is reported as unrecognized, and the status follows the session
+   - usage, from the repository root:
+       node tests/voice/voice.js
+     exits 1 when any check fails
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { parseVoiceCommand, createVoiceAssistant, VOICE_SECTIONS } = require('../../voice-commands.js');
+
+const INDEX_HTML = path.join(__dirname, '..', '..', 'index.html');
+
+const PHRASES = [
+  ['Analyze', { type: 'analyze' }],
+  ['please run the analysis', { type: 'analyze' }],
+  ['score this', { type: 'analyze' }],
+  ['Play the whale', { type: 'play', sound: 'whale' }],
+  ['listen to a killer whale', { type: 'play', sound: 'dolphin' }],
+  ['play dolphins!', { type: 'play', sound: 'dolphin' }],
+  ['play the ship', { type: 'play', sound: 'boat' }],
+  ['stop', { type: 'stop' }],
+  ['be quiet', { type: 'stop' }],
+  ['go to the spectrogram', { type: 'navigate', section: 'spectrogram-box' }],
+  ['show me live monitoring', { type: 'navigate', section: 'live-monitor' }],
+  ['take me to about us', { type: 'navigate', section: 'about' }],
+  ['scroll to the top', { type: 'navigate', section: 'hero' }],
+  ['What’s the score?', { type: 'readScore' }],
+  ['read me the results', { type: 'readScore' }]
+];
+
+const UNKNOWN = ['', '   ', 'hello there', 'play the piano', 'go to the moon', 'whale', null];
+
+function checkGrammar(check) {
+  PHRASES.forEach(([phrase, expected]) => {
+    const got = parseVoiceCommand(phrase);
+    check(JSON.stringify(got) === JSON.stringify(expected), `"${phrase}" -> ${JSON.stringify(expected)} (got ${JSON.stringify(got)})`);
+  });
+  UNKNOWN.forEach(phrase => {
+    const got = parseVoiceCommand(phrase);
+    check(got === null, `${JSON.stringify(phrase)} is not a command (got ${JSON.stringify(got)})`);
+  });
+  console.log(`grammar   ${PHRASES.length} phrases, ${UNKNOWN.length} non-commands`);
+}
+
+function checkSections(check) {
+  const html = fs.readFileSync(INDEX_HTML, 'utf8');
+  const ids = new Set([...html.matchAll(/\bid="([^"]+)"/g)].map(m => m[1]));
+  const sections = [...new Set(Object.values(VOICE_SECTIONS))];
+  sections.forEach(id => check(ids.has(id), `navigate target "${id}" is an element id in index.html`));
+  Object.keys(VOICE_SECTIONS).forEach(name => {
+    const got = parseVoiceCommand(`go to ${name}`);
+    check(got && got.section === VOICE_SECTIONS[name], `"go to ${name}" navigates to ${VOICE_SECTIONS[name]}`);
+  });
+  console.log(`sections  ${Object.keys(VOICE_SECTIONS).length} names, ${sections.length} ids`);
+}
+
+/* ------------------------------
+   Mock SpeechRecognition
+   - the test drives it: say() fires onresult then onend, fail() onerror then onend
+   ------------------------------ */
+function mockRecognition() {
+  const sessions = [];
+  class MockRecognition {
+    constructor() { sessions.push(this); this.started = false; }
+    start() { this.started = true; }
+    stop() { this.end(); }
+    end() { if (this.onend) this.onend(); }
+    // alternatives: transcripts of one final result, best first
+    say(...alternatives) {
+      const res = alternatives.map(transcript => ({ transcript, confidence: 0.9 }));
+      res.isFinal = true;
+      this.onresult({ resultIndex: 0, results: [res] });
+      this.end();
+    }
+    fail(error) {
+      this.onerror({ error });
+      this.end();
+    }
+  }
+  return { MockRecognition, sessions };
+}
+
+function checkAssistant(check) {
+  const { MockRecognition, sessions } = mockRecognition();
+  const commands = [], unrecognized = [], statuses = [];
+  const assistant = createVoiceAssistant({
+    Recognition: MockRecognition,
+    onCommand: (command, transcript) => commands.push([command, transcript]),
+    onUnrecognized: transcript => unrecognized.push(transcript),
+    onStatus: (s, detail) => statuses.push(detail ? `${s}:${detail}` : s)
+  });
+  check(assistant.supported, 'a Recognition implementation makes the assistant supported');
+
+  assistant.start();
+  const first = sessions[0];
+  check(first && first.started && assistant.isListening(), 'start() starts a recognition session');
+  check(first.lang === 'en-US' && first.continuous === false && first.maxAlternatives === 3, 'the session is one-shot, en-US, three alternatives');
+  assistant.start();
+  check(sessions.length === 1, 'start() while listening does not open a second session');
+  // the best alternative doesn't parse, the second does
+  first.say('play the wail', 'play the whale', 'stop');
+  check(commands.length === 1 && commands[0][0].sound === 'whale' && commands[0][1] === 'play the whale',
+    `the first alternative that parses is the command (got ${JSON.stringify(commands)})`);
+  check(!assistant.isListening(), 'the session ends after its result');
+
+  assistant.start();
+  sessions[1].say('what a lovely day', 'what a lovely bay');
+  check(unrecognized.length === 1 && unrecognized[0] === 'what a lovely day', 'an unparseable result is reported with its best transcript');
+  check(commands.length === 1, 'an unparseable result runs no command');
+
+  assistant.start();
+  sessions[2].fail('no-speech');
+  assistant.start();
+  assistant.stop();
+  check(!assistant.isListening(), 'stop() ends the session');
+  const expected = ['listening', 'idle', 'listening', 'idle', 'listening', 'error:no-speech', 'idle', 'listening', 'idle'];
+  check(JSON.stringify(statuses) === JSON.stringify(expected), `status sequence ${expected.join(' ')} (got ${statuses.join(' ')})`);
+
+  const none = [];
+  createVoiceAssistant({ onStatus: s => none.push(s) }).start();
+  check(none[0] === 'unsupported', 'without SpeechRecognition start() reports "unsupported"');
+  console.log(`assistant ${sessions.length} mock sessions, ${commands.length} command, ${unrecognized.length} unrecognized`);
+}
+
+function main() {
+  const failures = [];
+  const check = (ok, what) => { if (!ok) failures.push(what); };
+  checkGrammar(check);
+  checkSections(check);
+  checkAssistant(check);
+  if (failures.length) {
+    console.error(`\n${failures.length} check(s) failed:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('\nall voice checks passed');
+}
+
+main();
@@ -0,0 +1,237 @@
+/* vessel-events.js - vessel passages: onset, peak, offset, closest approach and propeller rates
+   - runs of windows flagged isBoat, bridged across gaps of up to PASSAGE_MERGE_GAP
+     seconds, make one passage; passages shorter than PASSAGE_MIN_SECONDS are dropped
+   - every window in a passage gets a received level from channel 0 (dB re 1 µPa with
+     a calibration, otherwise dBFS, as in acoustic-levels.js); the loudest window is
+     the peak. The closest point of approach (CPA) is the middle of the span around the
+     smoothed maximum where the level stays within CPA_DROP_DB of it — steadier than
+     the single loudest window, which a surface reflection can move
+   - DEMON (detection of envelope modulation on noise) around CPA: the audio is
+     band-passed to DEMON_BAND, its envelope taken from the analytic signal and the
+     envelope spectrum searched for a harmonic series. The fundamental is the shaft
+     rate; the strongest line is the blade rate, and its harmonic number the blade count
+   - back.py: detect_vessel_passages()
+   - no DOM access; FFT from signal-conditioning.js, levels from acoustic-levels.js
+*/
+
+const _vesselDeps = typeof fftComplex === 'function'
+  ? { fftComplex, nextPowerOfTwo, hannWindow, percentile, calibrationOffsetDb, levelDb, meanSquare, UNIT_CALIBRATED, UNIT_FULL_SCALE }
+  : { ...require('./analysis-core.js'), ...require('./signal-conditioning.js'), ...require('./acoustic-levels.js') };
+
+const PASSAGE_MERGE_GAP = 10; // s of quieter windows still counted as the same passage
+const PASSAGE_MIN_SECONDS = 2;
+const CPA_SMOOTH_SECONDS = 3;
+const CPA_DROP_DB = 3;
+const DEMON_SECONDS = 10; // audio analysed around CPA
+const DEMON_MIN_SECONDS = 2;
+const DEMON_BAND = [1000, 10000]; // Hz, the cavitation noise a propeller modulates
+const DEMON_RATE = 200; // envelope samples per second
+const DEMON_SHAFT_HZ = [0.5, 25]; // shaft rates searched (30-1500 rpm)
+const DEMON_HARMONICS = 8;
+const DEMON_SUBHARMONIC_RATIO = 0.8; // a divisor of the best fundamental this close wins
+const DEMON_MIN_SALIENCE = 4; // strongest line over the envelope spectrum's median
+
+const _round = (v, digits) => Number(v.toFixed(digits));
+
+// envelope of x[from, to) band-passed to [lowHz, highHz], averaged down to about DEMON_RATE
+function demonEnvelope(x, sampleRate, from, to, lowHz, highHz) {
+  const { fftComplex, nextPowerOfTwo } = _vesselDeps;
+  const n = to - from;
+  const size = nextPowerOfTwo(n);
+  const re = new Float64Array(size), im = new Float64Array(size);
+  for (let i = 0; i < n; i++) re[i] = x[from + i];
+  fftComplex(re, im);
+  // analytic band-pass: double the positive band, drop everything else
+  const k0 = Math.ceil(lowHz * size / sampleRate), k1 = Math.floor(highHz * size / sampleRate);
+  for (let k = 0; k < size; k++) {
+    if (k >= k0 && k <= k1) { re[k] *= 2; im[k] *= 2; } else { re[k] = 0; im[k] = 0; }
+  }
+  fftComplex(re, im, true);
+
+  const step = Math.max(1, Math.floor(sampleRate / DEMON_RATE));
+  const m = Math.floor(n / step);
+  const env = new Float64Array(m);
+  let mean = 0;
+  for (let j = 0; j < m; j++) {
+    let sum = 0;
+    for (let i = j * step; i < (j + 1) * step; i++) sum += Math.hypot(re[i], im[i]);
+    env[j] = sum / step;
+    mean += env[j] / m;
+  }
+  for (let j = 0; j < m; j++) env[j] -= mean;
+  return { env, rate: sampleRate / step };
+}
+
+/* Shaft and blade rate from x[from, to), or null when the envelope shows no clear
+   harmonic series. Returns { shaftRateHz, shaftRpm, bladeRateHz, blades, salience, band }. */
+function demonAnalysis(x, sampleRate, from, to) {
+  const { fftComplex, nextPowerOfTwo, hannWindow, percentile } = _vesselDeps;
+  const band = [DEMON_BAND[0], Math.min(DEMON_BAND[1], 0.45 * sampleRate)];
+  if (to - from < DEMON_MIN_SECONDS * sampleRate || band[1] < 1.5 * band[0]) return null;
+  const { env, rate } = demonEnvelope(x, sampleRate, from, to, band[0], band[1]);
+
+  // zero-padded twice over for a finer line grid
+  const size = 2 * nextPowerOfTwo(env.length);
+  const re = new Float64Array(size), im = new Float64Array(size);
+  const win = hannWindow(env.length);
+  for (let j = 0; j < env.length; j++) re[j] = env[j] * win[j];
+  fftComplex(re, im);
+  const half = size / 2;
+  const spec = new Float64Array(half);
+  for (let k = 0; k < half; k++) spec[k] = Math.hypot(re[k], im[k]);
+  const binHz = rate / size;
+
+  const kMin = Math.max(2, Math.ceil(DEMON_SHAFT_HZ[0] / binHz));
+  const kMax = Math.min(Math.floor(DEMON_SHAFT_HZ[1] / binHz), Math.floor((half - 2) / 2));
+  if (kMax <= kMin) return null;
+  const floor = percentile(Array.from(spec.subarray(kMin, Math.min(half, kMax * DEMON_HARMONICS))).sort((a, b) => a - b), 50) || 1e-20;
+  const line = b => {
+    const k = Math.round(b);
+    return k + 1 < half ? Math.max(spec[k - 1], spec[k], spec[k + 1]) / floor : 0;
+  };
+  const harmonicScore = k => {
+    let sum = 0;
+    for (let h = 1; h <= DEMON_HARMONICS; h++) sum += line(h * k);
+    return sum / DEMON_HARMONICS;
+  };
+
+  // a fundamental needs a line of its own, or any divisor of a strong line would win
+  let best = 0, bestScore = -1;
+  for (let k = kMin; k <= kMax; k++) {
+    if (line(k) < DEMON_MIN_SALIENCE) continue;
+    const s = harmonicScore(k);
+    if (s > bestScore) { best = k; bestScore = s; }
+  }
+  if (!best) return null;
+  // a blade-rate line carries the shaft-rate series too: prefer the lowest divisor that fits as well
+  let f0 = best;
+  for (let m = DEMON_HARMONICS; m >= 2; m--) {
+    const k = best / m;
+    if (k >= kMin && line(k) >= DEMON_MIN_SALIENCE && harmonicScore(k) >= DEMON_SUBHARMONIC_RATIO * bestScore) { f0 = k; break; }
+  }
+
+  let blades = 1, strongest = 0;
+  for (let h = 1; h <= DEMON_HARMONICS; h++) {
+    if (line(h * f0) > strongest) { strongest = line(h * f0); blades = h; }
+  }
+  if (strongest < DEMON_MIN_SALIENCE) return null;
+  // parabolic peak of the blade line for a rate finer than the bin grid
+  let k = Math.round(blades * f0);
+  if (spec[k - 1] > spec[k]) k--;
+  if (spec[k + 1] > spec[k]) k++;
+  const y0 = spec[k - 1], y1 = spec[k], y2 = spec[k + 1];
+  const denom = y0 - 2 * y1 + y2;
+  const bladeRateHz = (k + (denom < 0 ? 0.5 * (y0 - y2) / denom : 0)) * binHz;
+  const shaftRateHz = bladeRateHz / blades;
+  return {
+    shaftRateHz: _round(shaftRateHz, 2),
+    shaftRpm: Math.round(shaftRateHz * 60),
+    bladeRateHz: _round(bladeRateHz, 2),
+    blades: blades > 1 ? blades : null,
+    salience: _round(strongest, 1),
+    band: band.map(Math.round)
+  };
+}
+
+// [first, last] indices of each run of boat windows, runs closer than PASSAGE_MERGE_GAP joined
+function groupPassages(windows) {
+  const runs = [];
+  windows.forEach((w, i) => {
+    if (!w.isBoat) return;
+    const run = runs[runs.length - 1];
+    if (run && w.start - windows[run[1]].end <= PASSAGE_MERGE_GAP) run[1] = i;
+    else runs.push([i, i]);
+  });
+  return runs.filter(([a, b]) => windows[b].end - windows[a].start >= PASSAGE_MIN_SECONDS);
+}
+
+/* samples: channel 0 at sampleRate; windows: the clip timeline (start, end, isBoat);
+   cal: calibration or null. Returns { unit, passages: [{ id, onset, peak, offset,
+   duration, cpa, peakLevel, windows, demon }] } with times in seconds from the clip start. */
+function detectVesselPassages(samples, sampleRate, windows, cal = null) {
+  const { calibrationOffsetDb, levelDb, meanSquare } = _vesselDeps;
+  const offsetDb = calibrationOffsetDb(cal);
+  const hop = windows.length > 1 ? windows[1].start - windows[0].start : 1;
+  const reach = Math.max(0, Math.round(CPA_SMOOTH_SECONDS / 2 / hop));
+  const centre = w => (w.start + w.end) / 2;
+  const at = t => Math.max(0, Math.min(samples.length, Math.round(t * sampleRate)));
+
+  const passages = groupPassages(windows).map(([first, last], p) => {
+    const ms = [];
+    for (let i = first; i <= last; i++) ms.push(meanSquare(samples, at(windows[i].start), at(windows[i].end)));
+    let peak = 0;
+    ms.forEach((v, i) => { if (v > ms[peak]) peak = i; });
+
+    // smoothed in power, then the span within CPA_DROP_DB of its maximum
+    const smooth = ms.map((_, i) => {
+      const lo = Math.max(0, i - reach), hi = Math.min(ms.length - 1, i + reach);
+      let sum = 0;
+      for (let j = lo; j <= hi; j++) sum += ms[j];
+      return levelDb(sum / (hi - lo + 1), 0);
+    });
+    let top = 0;
+    smooth.forEach((v, i) => { if (v > smooth[top]) top = i; });
+    let l = top, r = top;
+    while (l > 0 && smooth[l - 1] >= smooth[top] - CPA_DROP_DB) l--;
+    while (r < smooth.length - 1 && smooth[r + 1] >= smooth[top] - CPA_DROP_DB) r++;
+    const cpa = (centre(windows[first + l]) + centre(windows[first + r])) / 2;
+
+    const onset = windows[first].start, offset = windows[last].end;
+    const half = DEMON_SECONDS / 2;
+    const from = Math.max(onset, Math.min(cpa - half, offset - DEMON_SECONDS));
+    const demon = demonAnalysis(samples, sampleRate, at(from), at(Math.min(offset, from + DEMON_SECONDS)));
+    return {
+      id: p + 1,
+      onset: _round(onset, 3),
+      peak: _round(centre(windows[first + peak]), 3),
+      offset: _round(offset, 3),
+      duration: _round(offset - onset, 3),
+      cpa: _round(cpa, 3),
+      peakLevel: _round(levelDb(ms[peak], offsetDb), 2),
+      windows: last - first + 1,
+      demon
+    };
+  });
+  return { unit: cal ? _vesselDeps.UNIT_CALIBRATED : _vesselDeps.UNIT_FULL_SCALE, passages };
+}
+
+const VESSEL_CSV_COLUMNS = ['id', 'onset', 'peak', 'cpa', 'offset', 'duration', 'peakLevel', 'unit',
+  'shaftRateHz', 'shaftRpm', 'bladeRateHz', 'blades', 'demonSalience'];
+
+/* flat rows for CSV / JSON export; with startTime (ISO) every time also gets a UTC column */
+function vesselEventRows(vessels, startTime = null) {
+  const utc = s => new Date(Date.parse(startTime) + Math.round(s * 1000)).toISOString();
+  return vessels.passages.map(v => {
+    const row = {
+      id: v.id, onset: v.onset, peak: v.peak, cpa: v.cpa, offset: v.offset, duration: v.duration,
+      peakLevel: v.peakLevel, unit: vessels.unit,
+      shaftRateHz: v.demon ? v.demon.shaftRateHz : null,
+      shaftRpm: v.demon ? v.demon.shaftRpm : null,
+      bladeRateHz: v.demon ? v.demon.bladeRateHz : null,
+      blades: v.demon ? v.demon.blades : null,
+      demonSalience: v.demon ? v.demon.salience : null
+    };
+    if (startTime) ['onset', 'peak', 'cpa', 'offset'].forEach(k => { row[k + 'Utc'] = utc(v[k]); });
+    return row;
+  });
+}
+
+function vesselEventsCsv(vessels, startTime = null) {
+  const columns = startTime ? [...VESSEL_CSV_COLUMNS, 'onsetUtc', 'peakUtc', 'cpaUtc', 'offsetUtc'] : VESSEL_CSV_COLUMNS;
+  const lines = [columns.join(',')];
+  vesselEventRows(vessels, startTime).forEach(r => lines.push(columns.map(c => (r[c] == null ? '' : String(r[c]))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PASSAGE_MERGE_GAP,
+    PASSAGE_MIN_SECONDS,
+    DEMON_BAND,
+    demonAnalysis,
+    groupPassages,
+    detectVesselPassages,
+    vesselEventRows,
+    vesselEventsCsv
+  };
+}
@@ -0,0 +1,149 @@
+/* voice-commands.js - speech-command grammar and recognition wrapper for the
+   voice assistant (#voiceAssistantBtn)
+   - parseVoiceCommand(text) maps a transcript (spoken or typed) to a command:
+       { type: 'analyze' }
+       { type: 'play', sound: 'whale' | 'dolphin' | 'boat' }
+       { type: 'stop' }
+       { type: 'navigate', section: <element id> }
+       { type: 'readScore' }
+     or null when nothing matches
+   - createVoiceAssistant() drives one SpeechRecognition session per start() and
+     tries every alternative the recognizer offers until one parses
+   - no DOM access: pass a SpeechRecognition implementation as Recognition (a
+     mock that fires onresult / onerror / onend is enough to test the grammar)
+*/
+
+const VOICE_SOUNDS = {
+  whale: 'whale', humpback: 'whale', whales: 'whale',
+  dolphin: 'dolphin', dolphins: 'dolphin', orca: 'dolphin', 'killer whale': 'dolphin',
+  boat: 'boat', boats: 'boat', ship: 'boat', vessel: 'boat', engine: 'boat'
+};
+
+// spoken section names -> element ids in index.html
+const VOICE_SECTIONS = {
+  about: 'about', 'about us': 'about',
+  home: 'hero', top: 'hero',
+  'how it works': 'info', demo: 'audio-demo', analyzer: 'audio-demo',
+  spectrogram: 'spectrogram-box',
+  batch: 'batch-box', history: 'history-box',
+  live: 'live-monitor', 'live monitoring': 'live-monitor',
+  game: 'guess-game', 'guess the sound': 'guess-game',
+  contact: 'footer'
+};
+
+const alternation = words => Object.keys(words).sort((a, b) => b.length - a.length).join('|');
+
+// first match wins; commands that carry an argument come before the bare verbs
+const VOICE_PATTERNS = [
+  { re: new RegExp(`\\b(?:play|listen to)\\s+(?:the\\s+|a\\s+)?(${alternation(VOICE_SOUNDS)})\\b`),
+    build: m => ({ type: 'play', sound: VOICE_SOUNDS[m[1]] }) },
+  { re: new RegExp(`\\b(?:go\\s+to|show(?:\\s+me)?|open|scroll\\s+to|take\\s+me\\s+to)\\s+(?:the\\s+)?(${alternation(VOICE_SECTIONS)})\\b`),
+    build: m => ({ type: 'navigate', section: VOICE_SECTIONS[m[1]] }) },
+  { re: /\b(?:read|say|tell me)\s+(?:(?:me|out)\s+)?(?:the\s+)?(?:score|result|results)\b|\bwhat(?:'s| is)\s+the\s+score\b/,
+    build: () => ({ type: 'readScore' }) },
+  { re: /\b(?:stop|halt|quiet|silence|be quiet)\b/,
+    build: () => ({ type: 'stop' }) },
+  { re: /\b(?:analy[sz]e|run (?:an |the )?analysis|score (?:this|it))\b/,
+    build: () => ({ type: 'analyze' }) }
+];
+
+function normalizeTranscript(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/[^a-z0-9' ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseVoiceCommand(text) {
+  const t = normalizeTranscript(text);
+  if (!t) return null;
+  for (const { re, build } of VOICE_PATTERNS) {
+    const m = t.match(re);
+    if (m) return build(m);
+  }
+  return null;
+}
+
+// sentence read back after an analysis: score, note, and the vessel verdict
+function describeResultForSpeech(result) {
+  if (!result) return 'There is no analysis yet. Upload a recording and say analyze.';
+  const note = String(result.note || '').replace(/[^\w\s.,'%/-]+/g, '').trim();
+  const parts = [`Environmental score ${result.score} out of 100.`];
+  if (note) parts.push(/[.!?]$/.test(note) ? note : note + '.');
+  parts.push(result.isBoat ? 'A vessel was detected.' : 'No vessel detected.');
+  if (result.partial) parts.push('This is a partial result; the analysis is still running.');
+  return parts.join(' ');
+}
+
+/* options: { Recognition, lang = 'en-US', onCommand(command, transcript),
+              onUnrecognized(transcript), onStatus(status, detail) }
+   status is 'listening' | 'idle' | 'error' | 'unsupported'.
+   Returns { supported, start(), stop(), isListening() }. */
+function createVoiceAssistant(options = {}) {
+  const { lang = 'en-US', onCommand, onUnrecognized, onStatus } = options;
+  const Recognition = options.Recognition ||
+    (typeof SpeechRecognition !== 'undefined' ? SpeechRecognition
+      : (typeof webkitSpeechRecognition !== 'undefined' ? webkitSpeechRecognition : null));
+  const state = { rec: null, listening: false };
+  const status = (s, detail) => { if (onStatus) onStatus(s, detail); };
+
+  function handleResult(e) {
+    const alternatives = [];
+    for (let i = e.resultIndex || 0; i < e.results.length; i++) {
+      const res = e.results[i];
+      if (res.isFinal === false) continue;
+      for (let j = 0; j < res.length; j++) alternatives.push(res[j].transcript);
+    }
+    for (const transcript of alternatives) {
+      const command = parseVoiceCommand(transcript);
+      if (command) return onCommand && onCommand(command, transcript);
+    }
+    if (alternatives.length && onUnrecognized) onUnrecognized(alternatives[0]);
+  }
+
+  function start() {
+    if (!Recognition) return status('unsupported');
+    if (state.listening) return;
+    const rec = new Recognition();
+    rec.lang = lang;
+    rec.continuous = false;
+    rec.interimResults = false;
+    rec.maxAlternatives = 3;
+    rec.onresult = handleResult;
+    rec.onerror = (e) => status('error', e.error || 'recognition error');
+    rec.onend = () => {
+      if (state.rec !== rec) return;
+      state.rec = null;
+      state.listening = false;
+      status('idle');
+    };
+    state.rec = rec;
+    state.listening = true;
+    try {
+      rec.start();
+    } catch (err) {
+      state.rec = null;
+      state.listening = false;
+      return status('error', err.message);
+    }
+    status('listening');
+  }
+
+  function stop() {
+    if (state.rec) state.rec.stop();
+  }
+
+  return { supported: !!Recognition, start, stop, isListening: () => state.listening };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VOICE_SOUNDS,
+    VOICE_SECTIONS,
+    parseVoiceCommand,
+    describeResultForSpeech,
+    createVoiceAssistant
+  };
+}